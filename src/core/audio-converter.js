@@ -2,6 +2,13 @@ const fs = require('fs-extra')
 const path = require('path')
 const os = require('os')
 
+const AiffFile = require('./audio/aiff-file')
+const AudioDuration = require('./audio/audio-duration')
+const AudioTags = require('./audio/audio-tags')
+const AudioTranscoder = require('./audio/audio-transcoder')
+const LoudnessNormalizer = require('./audio/loudness-normalizer')
+const WavFile = require('./audio/wav-file')
+
 /**
  * Audio Converter - Coordination layer between FileProcessor, TTS, and file management
  * Manages temporary files, audio format conversion, and processing pipeline
@@ -13,10 +20,23 @@ class AudioConverter {
       tempDir: options.tempDir || path.join(os.tmpdir(), 'tt3-audio'),
       cleanupOnError: options.cleanupOnError !== false, // Default true
       maxFileSize: options.maxFileSize || 500 * 1024 * 1024, // 500MB limit
+      durationTolerance: options.durationTolerance || 0.35, // Flag audio this far (as a fraction) from the estimate
+      bitrate: options.bitrate || null, // kbit/s for mp3/m4a/opus; null = per-format default
+      channels: options.channels || 1, // 1 = mono, 2 = stereo
+      encoder: options.encoder || 'auto', // 'auto', 'ffmpeg', 'lame', 'afconvert'
+      separator: options.separator || 'tone', // Between combined files: 'tone' or 'pause'
+      gap: options.gap ?? 600, // ms of silence around the separator tone (or the whole pause)
+      loudnessTarget: options.loudnessTarget ?? -16, // LUFS (EBU R128); null keeps the engine's level
+      truePeak: options.truePeak ?? -1, // dBTP ceiling for the normalized audio
       ...options
     }
     this.initialized = false
     this.activeFiles = new Set() // Track files for cleanup
+    this.transcoder = options.transcoder || new AudioTranscoder({
+      encoder: this.options.encoder,
+      bitrate: this.options.bitrate,
+      channels: this.options.channels
+    })
   }
 
   /**
@@ -25,8 +45,12 @@ class AudioConverter {
   async initialize () {
     try {
       await fs.ensureDir(this.options.tempDir)
+
+      // Fail before any synthesis when the output format cannot be written here
+      const encoder = await this.transcoder.selectEncoder(this.options.outputFormat)
+
       this.initialized = true
-      return { success: true, tempDir: this.options.tempDir }
+      return { success: true, tempDir: this.options.tempDir, encoder }
     } catch (error) {
       throw new Error(`Failed to initialize audio converter: ${error.message}`)
     }
@@ -41,7 +65,17 @@ class AudioConverter {
    * @param {string} options.outputMode - 'temp' (default) or 'direct'
    * @param {string} options.outputDir - Directory for direct output (uses source file dir if not specified)
    * @param {boolean} options.overwrite - Whether to overwrite existing files (default: false)
-   * @returns {Promise<{success: boolean, audioPath: string, tempPath: string, metadata: Object}>}
+   * @param {string} options.outputFormat - aiff, wav, mp3, m4a or opus
+   * @param {number} options.bitrate - Encoded bitrate in kbit/s
+   * @param {number} options.channels - 1 (mono) or 2 (stereo)
+   * @param {number|null} options.loudnessTarget - Integrated loudness in LUFS, or null to skip normalization
+   * @param {number} options.truePeak - True-peak ceiling in dBTP
+   * @param {Object} options.tags - title, artist, album, date, genre, track, trackTotal, comment to embed
+   * @param {Array<{title: string, offset: number, level: number, heading?: boolean}>} options.chapters - Chapter starts as
+   *   character offsets in textContent; timed chapters are embedded and written to a .chapters.json sidecar
+   * @param {AbortSignal} options.signal - Cancels the conversion: engine and encoder processes are killed
+   *   and the partial output is removed
+   * @returns {Promise<{success: boolean, audioPath: string, tempPath: string, chaptersPath: string|null, metadata: Object}>}
    */
   async convertToAudio (textContent, sourceFilename, ttsService, options = {}) {
     if (!this.initialized) {
@@ -57,49 +91,48 @@ class AudioConverter {
     }
 
     const mergedOptions = { ...this.options, ...options }
-    const outputMode = mergedOptions.outputMode || 'temp'
-    let audioPath = null
-    let tempPath = null
 
     try {
-      // Determine output path based on mode
-      if (outputMode === 'direct') {
-        audioPath = await this._generateDirectOutputPath(sourceFilename, mergedOptions)
-      } else {
-        // Generate audio filename based on source
-        const audioFilename = this._generateAudioFilename(sourceFilename, mergedOptions.outputFormat)
-        audioPath = path.join(this.options.tempDir, audioFilename)
-        tempPath = audioPath
-      }
-
-      // Track file for cleanup
-      this.activeFiles.add(audioPath)
+      return await this._renderAudio(sourceFilename, textContent, mergedOptions, {
+        engineFormat: (format) => this._engineFormat(ttsService, format),
+        synthesize: (synthesisPath) => ttsService.convertTextToAudio(textContent, synthesisPath, mergedOptions)
+      })
+    } catch (error) {
+      throw new Error(`Audio conversion failed: ${error.message}`)
+    }
+  }
 
-      // Convert text to audio using TTS service
-      const ttsResult = await ttsService.convertTextToAudio(textContent, audioPath, mergedOptions)
+  /**
+   * Join finished audio files into one, with a separator between them and a
+   * chapter for each titled part; the result is leveled, encoded and tagged
+   * like any other conversion
+   * @param {Array<{audioPath: string, title: string, text: string}>} parts - Files in playback order;
+   *   title names the part's chapter, text (optional) counts towards the word count
+   * @param {string} sourceFilename - Name the output is derived from
+   * @param {Object} options - convertToAudio() output options, plus
+   * @param {string} options.separator - 'tone' (default) or 'pause' between parts
+   * @param {number} options.gap - Silence in ms around the tone, or the whole pause
+   * @returns {Promise<{success: boolean, audioPath: string, tempPath: string, chaptersPath: string|null, metadata: Object}>}
+   */
+  async combineAudio (parts, sourceFilename, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Audio converter not initialized. Call initialize() first.')
+    }
 
-      // Validate the generated audio file
-      await this._validateAudioFile(audioPath)
+    if (!parts || parts.length === 0) {
+      throw new Error('At least one audio file is required to combine')
+    }
 
-      // Generate metadata
-      const metadata = await this._generateMetadata(sourceFilename, textContent, ttsResult)
+    const mergedOptions = { ...this.options, ...options }
+    const text = parts.map(part => part.text || '').filter(Boolean).join('\n\n')
 
-      return {
-        success: true,
-        audioPath,
-        tempPath: tempPath || audioPath, // For backward compatibility
-        metadata,
-        ttsResult,
-        format: mergedOptions.outputFormat,
-        outputMode
-      }
+    try {
+      return await this._renderAudio(sourceFilename, text, mergedOptions, {
+        engineFormat: () => 'wav',
+        synthesize: (synthesisPath) => this._joinParts(parts, synthesisPath, mergedOptions)
+      })
     } catch (error) {
-      // Cleanup on error if enabled
-      if (mergedOptions.cleanupOnError && audioPath) {
-        await this._cleanupFile(audioPath)
-        this.activeFiles.delete(audioPath) // Remove from tracking since we cleaned it up
-      }
-      throw new Error(`Audio conversion failed: ${error.message}`)
+      throw new Error(`Failed to combine audio: ${error.message}`)
     }
   }
 
@@ -183,6 +216,9 @@ class AudioConverter {
       tempDir: this.options.tempDir,
       activeFiles: this.activeFiles.size,
       outputFormat: this.options.outputFormat,
+      bitrate: this.options.bitrate,
+      channels: this.options.channels,
+      loudnessTarget: this.options.loudnessTarget,
       maxFileSize: this.options.maxFileSize
     }
   }
@@ -275,24 +311,362 @@ class AudioConverter {
     }
   }
 
+  /**
+   * Produce an output file from engine audio: choose the path, synthesize,
+   * level, encode, tag and describe it, removing partial output on failure
+   * @param {string} sourceFilename - Name the output is derived from
+   * @param {string} textContent - Text behind the audio, for metadata
+   * @param {Object} mergedOptions - Converter options merged with per-call options
+   * @param {Object} source - engineFormat(format) → format to synthesize in;
+   *   synthesize(path) → Promise of a TTS-style result ({duration, engine, chapters, ...})
+   * @returns {Promise<Object>} convertToAudio() result
+   */
+  async _renderAudio (sourceFilename, textContent, mergedOptions, source) {
+    const outputMode = mergedOptions.outputMode || 'temp'
+    let audioPath = null
+    let tempPath = null
+    let synthesisPath = null
+    let chaptersPath = null
+    let written = false // Whether audioPath holds output of this conversion
+
+    try {
+      this._checkAborted(mergedOptions)
+      const format = AudioTranscoder.normalizeFormat(mergedOptions.outputFormat)
+      const engineFormat = source.engineFormat(format)
+
+      // Check the encoder before spending time on synthesis
+      if (engineFormat !== format) {
+        await this.transcoder.selectEncoder(format, mergedOptions)
+      }
+
+      // Determine output path based on mode
+      if (outputMode === 'direct') {
+        audioPath = await this._generateDirectOutputPath(sourceFilename, mergedOptions)
+      } else {
+        // Generate audio filename based on source
+        const audioFilename = this._generateAudioFilename(sourceFilename, mergedOptions.outputFormat)
+        audioPath = path.join(this.options.tempDir, audioFilename)
+        tempPath = audioPath
+      }
+
+      // Track file for cleanup
+      this.activeFiles.add(audioPath)
+
+      // Engines write AIFF or WAV; synthesize to a side file when the output needs encoding
+      synthesisPath = engineFormat === format
+        ? audioPath
+        : path.join(this.options.tempDir, `${path.basename(audioPath, path.extname(audioPath))}.synth.${engineFormat}`)
+
+      // Synthesize the text (or join the parts) in the engine format
+      written = true
+      const ttsResult = await source.synthesize(synthesisPath)
+      const chapters = ttsResult.chapters || [] // Timed by the TTS service
+
+      // Level the engine's PCM before any encoding
+      this._checkAborted(mergedOptions)
+      const loudness = mergedOptions.loudnessTarget !== null
+        ? await this._normalizeLoudness(synthesisPath, mergedOptions)
+        : null
+
+      let transcode = null
+      this._checkAborted(mergedOptions)
+      if (synthesisPath !== audioPath) {
+        await this._validateAudioFile(synthesisPath)
+        transcode = await this.transcoder.transcode(synthesisPath, audioPath, { ...mergedOptions, format, chapters })
+        await this._cleanupFile(synthesisPath)
+      }
+
+      // Validate the generated audio file
+      await this._validateAudioFile(audioPath)
+
+      const tags = { ...mergedOptions.tags, ...(chapters.length > 0 && { chapters }) }
+      const tagging = Object.keys(tags).length > 0 ? await this._writeTags(audioPath, tags) : null
+
+      if (chapters.length > 0) {
+        chaptersPath = await this._writeChapterSidecar(audioPath, chapters, mergedOptions.tags?.title)
+      }
+
+      // Generate metadata from the file as written, not just the word-count estimate
+      const measurement = await this._measureAudio(audioPath)
+      const metadata = await this._generateMetadata(sourceFilename, textContent, ttsResult, measurement, transcode)
+      metadata.tagged = Boolean(tagging && tagging.written)
+      metadata.chapters = chapters
+      metadata.loudness = loudness
+
+      return {
+        success: true,
+        audioPath,
+        tempPath: tempPath || audioPath, // For backward compatibility
+        chaptersPath,
+        metadata,
+        ttsResult,
+        format: mergedOptions.outputFormat,
+        outputMode
+      }
+    } catch (error) {
+      // The side file is never kept
+      if (synthesisPath && synthesisPath !== audioPath) {
+        await this._cleanupFile(synthesisPath)
+      }
+
+      // A cancelled conversion never leaves partial output behind
+      const aborted = Boolean(mergedOptions.signal?.aborted)
+
+      if ((mergedOptions.cleanupOnError || aborted) && chaptersPath) {
+        await this._cleanupFile(chaptersPath)
+      }
+
+      // Cleanup on error if enabled
+      if ((mergedOptions.cleanupOnError || (aborted && written)) && audioPath) {
+        await this._cleanupFile(audioPath)
+        this.activeFiles.delete(audioPath) // Remove from tracking since we cleaned it up
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Stop between steps once the conversion's signal has been aborted
+   */
+  _checkAborted (options) {
+    if (options.signal?.aborted) {
+      throw new Error('Conversion aborted')
+    }
+  }
+
+  /**
+   * Write parts end to end as one WAV, matching each to the first part's
+   * sample rate and channel count, with a separator between parts
+   * @param {Array<{audioPath: string, title: string}>} parts - Files in playback order
+   * @param {string} outputPath - WAV file to write
+   * @param {Object} options - separator, gap
+   * @returns {Promise<Object>} TTS-style result with the parts' timed chapters
+   */
+  async _joinParts (parts, outputPath, options) {
+    const files = []
+    for (const part of parts) {
+      files.push(await this._readPcm(part.audioPath))
+    }
+
+    const [first] = files
+    const pieces = []
+    const chapters = []
+    let position = 0
+
+    files.forEach((file, index) => {
+      if (index > 0) {
+        const separator = this._separator(first, options)
+        pieces.push(separator)
+        position += separator.duration
+      }
+
+      const matched = this._matchFormat(file, first)
+      if (parts[index].title) {
+        chapters.push({ title: parts[index].title, level: 1, start: position })
+      }
+      pieces.push(matched)
+      position += matched.duration
+    })
+
+    // Each chapter runs until the next, so separators belong to the part before them
+    chapters.forEach((chapter, index) => {
+      chapter.end = index + 1 < chapters.length ? chapters[index + 1].start : position
+    })
+
+    await WavFile.concat(pieces).write(outputPath)
+    return { success: true, duration: position, engine: 'combined', method: 'combined', chunks: parts.length, chapters }
+  }
+
+  /**
+   * Read any output file as 16-bit WAV, decoding compressed formats with the transcoder
+   * @param {string} audioPath - Audio file path
+   * @returns {Promise<WavFile>}
+   */
+  async _readPcm (audioPath) {
+    const buffer = await fs.readFile(audioPath)
+    const format = AudioDuration.detectFormat(buffer)
+
+    if (format === 'wav') {
+      return WavFile.parse(buffer)
+    }
+    if (format === 'aiff') {
+      const aiff = AiffFile.parse(buffer)
+      return new WavFile({ channels: aiff.channels, sampleRate: aiff.sampleRate }).withChannels(aiff.getChannels())
+    }
+
+    const decodedPath = path.join(this.options.tempDir, `${path.basename(audioPath, path.extname(audioPath))}.decoded.wav`)
+    try {
+      await this.transcoder.decode(audioPath, decodedPath)
+      return await WavFile.read(decodedPath)
+    } finally {
+      await this._cleanupFile(decodedPath)
+    }
+  }
+
+  /**
+   * Copy of a file in another file's sample rate, channel count and sample format
+   */
+  _matchFormat (file, format) {
+    const resampled = file.sampleRate === format.sampleRate ? file : file.resample(format.sampleRate)
+    let channels = resampled.getChannels()
+
+    // Other layouts are mixed down and the mix copied to every channel
+    if (channels.length !== format.channels) {
+      const mix = new Float32Array(resampled.frames)
+      channels.forEach(samples => samples.forEach((value, i) => { mix[i] += value / channels.length }))
+      channels = Array.from({ length: format.channels }, () => mix)
+    }
+
+    return new WavFile({ channels: format.channels, sampleRate: format.sampleRate, bitsPerSample: format.bitsPerSample, audioFormat: format.audioFormat })
+      .withChannels(channels)
+  }
+
+  /**
+   * Gap between combined files: a short tone framed by silence, or a plain pause
+   */
+  _separator (format, options) {
+    const gap = WavFile.silence(format, options.gap)
+
+    if (options.separator === 'pause') {
+      return gap
+    }
+    if (options.separator !== 'tone') {
+      throw new Error(`Unknown separator "${options.separator}" (use tone or pause)`)
+    }
+    return WavFile.concat([gap, WavFile.tone(format, 150, { frequency: 880, amplitude: 0.2 }), gap])
+  }
+
+  /**
+   * Format the TTS engine writes for a requested output: the output itself when
+   * the engine supports it, otherwise the engine's native format for transcoding.
+   * Services that do not report formats are trusted to write what is asked
+   * @param {Object} ttsService - TTS service instance
+   * @param {string} format - Normalized output format
+   * @returns {string}
+   */
+  _engineFormat (ttsService, format) {
+    const supported = (ttsService.getStatus?.()?.supportedFormats || []).map(name => name.toLowerCase())
+
+    if (supported.length === 0 || supported.includes(format)) {
+      return format
+    }
+    return supported.find(name => AudioTranscoder.isPcmFormat(name)) || supported[0]
+  }
+
+  /**
+   * Embed tags in the output; a file that cannot be tagged is still usable
+   * @param {string} audioPath - Path to audio file
+   * @param {Object} tags - Tag values
+   * @returns {Promise<{format: string|null, written: boolean}|null>} null when tagging failed
+   */
+  async _writeTags (audioPath, tags) {
+    try {
+      return await AudioTags.write(audioPath, tags)
+    } catch (error) {
+      console.warn(`Warning: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Normalize loudness in place; audio that cannot be normalized is still usable
+   * @param {string} audioPath - Path to WAV or AIFF audio
+   * @param {Object} options - loudnessTarget, truePeak
+   * @returns {Promise<{input: number, output: number, gain: number, truePeak: number, limited: boolean}|null>}
+   *   LUFS, dB and dBTP; null when the file is not PCM, is silent or normalization failed
+   */
+  async _normalizeLoudness (audioPath, options) {
+    try {
+      const normalizer = new LoudnessNormalizer({ target: options.loudnessTarget, truePeak: options.truePeak })
+      const result = await normalizer.normalizeFile(audioPath)
+
+      if (!result || !Number.isFinite(result.input.integrated)) {
+        return null
+      }
+
+      return {
+        input: result.input.integrated,
+        output: result.output.integrated,
+        gain: result.gain,
+        truePeak: result.output.truePeak,
+        limited: result.limited
+      }
+    } catch (error) {
+      console.warn(`Warning: ${error.message}`)
+      return null
+    }
+  }
+
+  /**
+   * Write chapters as Podcasting 2.0 JSON chapters next to the audio file
+   * @param {string} audioPath - Path to audio file
+   * @param {Array<{title: string, start: number, end: number}>} chapters - Timed chapters
+   * @param {string} [title] - Title of the whole recording
+   * @returns {Promise<string>} Sidecar path (story.mp3 → story.chapters.json)
+   */
+  async _writeChapterSidecar (audioPath, chapters, title) {
+    const chaptersPath = path.join(path.dirname(audioPath), `${path.basename(audioPath, path.extname(audioPath))}.chapters.json`)
+    const round = (seconds) => Math.round(seconds * 1000) / 1000
+
+    try {
+      await fs.writeJson(chaptersPath, {
+        version: '1.2.0',
+        ...(title && { title }),
+        chapters: chapters.map(chapter => ({ startTime: round(chapter.start), endTime: round(chapter.end), title: chapter.title }))
+      }, { spaces: 2 })
+      return chaptersPath
+    } catch (error) {
+      throw new Error(`Failed to write chapters: ${error.message}`)
+    }
+  }
+
+  /**
+   * Read the real duration and container of the generated file
+   * @param {string} audioPath - Path to audio file
+   * @returns {Promise<{format: string, duration: number}|null>} null when the file cannot be parsed
+   */
+  async _measureAudio (audioPath) {
+    try {
+      return await AudioDuration.measure(audioPath)
+    } catch (error) {
+      return null
+    }
+  }
+
   /**
    * Generate metadata for audio file
    * @param {string} sourceFilename - Original filename
    * @param {string} textContent - Original text content
    * @param {Object} ttsResult - TTS conversion result
+   * @param {Object} [measurement] - Measured {format, duration} of the audio file
+   * @param {Object} [transcode] - Transcoder result when the engine output was encoded
    * @returns {Object} Audio metadata
    */
-  async _generateMetadata (sourceFilename, textContent, ttsResult) {
+  async _generateMetadata (sourceFilename, textContent, ttsResult, measurement = null, transcode = null) {
+    const estimatedDuration = ttsResult.duration || 0
+    const measuredDuration = measurement ? measurement.duration : null
+
+    // A large gap from the estimate usually means the engine stopped early
+    const durationMismatch = measuredDuration !== null && estimatedDuration > 0 &&
+      Math.abs(measuredDuration - estimatedDuration) / estimatedDuration > this.options.durationTolerance
+
     return {
       sourceFile: sourceFilename,
       audioFormat: this.options.outputFormat,
+      detectedFormat: measurement ? measurement.format : null,
       textLength: textContent.length,
       wordCount: textContent.split(/\s+/).length,
-      estimatedDuration: ttsResult.duration || 0,
+      duration: measuredDuration !== null ? measuredDuration : estimatedDuration,
+      estimatedDuration,
+      measuredDuration,
+      durationMismatch,
       createdAt: new Date().toISOString(),
       ttsEngine: ttsResult.engine || 'unknown',
       processingMethod: ttsResult.method || 'single',
-      chunksProcessed: ttsResult.chunks || 1
+      chunksProcessed: ttsResult.chunks || 1,
+      encoder: transcode ? transcode.encoder : null,
+      bitrate: transcode ? transcode.bitrate : null,
+      channels: transcode ? transcode.channels : null
     }
   }
 
@@ -0,0 +1,449 @@
+const fs = require('fs-extra')
+
+// AIFF-C version 1 timestamp, required in the FVER chunk
+const AIFC_VERSION_1 = 0xA2805140
+
+// Uncompressed AIFF-C sample encodings
+const PCM_COMPRESSION_TYPES = ['NONE', 'twos', 'sowt', 'raw ', 'fl32', 'FL32', 'fl64', 'FL64']
+
+/**
+ * AIFF File - Reader and writer for AIFF and AIFF-C audio
+ * Keeps the COMM format fields and the SSND sample data; other chunks
+ * (markers, comments, instrument data) are not carried over when writing
+ */
+class AiffFile {
+  /**
+   * @param {Object} options - channels, sampleSize (bits), sampleRate, frames, data (sample bytes),
+   *   aifc (write AIFF-C), compressionType and compressionName (AIFF-C only)
+   */
+  constructor (options = {}) {
+    this.channels = options.channels || 1
+    this.sampleSize = options.sampleSize || 16
+    this.sampleRate = options.sampleRate || 22050
+    this.aifc = Boolean(options.aifc)
+    this.compressionType = options.compressionType || 'NONE'
+    this.compressionName = options.compressionName || (this.compressionType === 'NONE' ? 'not compressed' : '')
+    this.data = options.data || Buffer.alloc(0)
+    this.frames = options.frames !== undefined ? options.frames : this._framesFromData()
+  }
+
+  /**
+   * Parse an AIFF or AIFF-C file
+   * @param {Buffer} buffer - Complete file contents
+   * @returns {AiffFile}
+   */
+  static parse (buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'FORM') {
+      throw new Error('Not an AIFF file (missing FORM header)')
+    }
+
+    const formType = buffer.toString('ascii', 8, 12)
+    if (formType !== 'AIFF' && formType !== 'AIFC') {
+      throw new Error(`Unsupported FORM type: ${formType}`)
+    }
+
+    const chunks = AiffFile._readChunks(buffer)
+    const comm = chunks.COMM
+    const ssnd = chunks.SSND
+
+    if (!comm || comm.length < 18) {
+      throw new Error('AIFF file is missing its COMM chunk')
+    }
+
+    const options = {
+      aifc: formType === 'AIFC',
+      channels: comm.readInt16BE(0),
+      frames: comm.readUInt32BE(2),
+      sampleSize: comm.readInt16BE(6),
+      sampleRate: AiffFile.readExtended(comm, 8)
+    }
+
+    if (options.aifc && comm.length >= 22) {
+      options.compressionType = comm.toString('ascii', 18, 22)
+      const nameLength = comm.length > 22 ? comm.readUInt8(22) : 0
+      options.compressionName = comm.toString('latin1', 23, 23 + nameLength)
+    }
+
+    if (ssnd) {
+      // SSND starts with an offset to the first sample and a block size
+      const offset = ssnd.length >= 8 ? ssnd.readUInt32BE(0) : 0
+      options.data = Buffer.from(ssnd.subarray(Math.min(8 + offset, ssnd.length)))
+    } else if (options.frames > 0) {
+      throw new Error('AIFF file is missing its SSND chunk')
+    }
+
+    return new AiffFile(options)
+  }
+
+  /**
+   * Read and parse an AIFF file from disk
+   * @param {string} filePath
+   * @returns {Promise<AiffFile>}
+   */
+  static async read (filePath) {
+    try {
+      return AiffFile.parse(await fs.readFile(filePath))
+    } catch (error) {
+      throw new Error(`Failed to read AIFF ${filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Join files that share one sample format, end to end
+   * @param {Array<AiffFile>} files - Files in playback order
+   * @returns {AiffFile}
+   */
+  static concat (files) {
+    if (!files || files.length === 0) {
+      throw new Error('No AIFF files to concatenate')
+    }
+
+    const [first] = files
+    files.forEach((file, index) => {
+      const mismatch = first._formatMismatch(file)
+      if (mismatch) {
+        throw new Error(`Cannot concatenate AIFF file ${index + 1}: ${mismatch}`)
+      }
+    })
+
+    return new AiffFile({
+      channels: first.channels,
+      sampleSize: first.sampleSize,
+      sampleRate: first.sampleRate,
+      aifc: first.aifc,
+      compressionType: first.compressionType,
+      compressionName: first.compressionName,
+      frames: files.reduce((sum, file) => sum + file.frames, 0),
+      data: Buffer.concat(files.map(file => file.data))
+    })
+  }
+
+  /**
+   * Silent audio in a given format
+   * @param {Object} format - An AiffFile or {channels, sampleSize, sampleRate, aifc, compressionType}
+   * @param {number} milliseconds - Length of the silence
+   * @returns {AiffFile}
+   */
+  static silence (format, milliseconds) {
+    const file = new AiffFile(format)
+    const frames = Math.round(Math.max(0, milliseconds) * file.sampleRate / 1000)
+    // 'raw ' samples are unsigned 8-bit, centred on 128; everything else on zero
+    const fill = file.aifc && file.compressionType === 'raw ' ? 0x80 : 0
+    return file._withData(Buffer.alloc(frames * file.channels * file._bytesPerSample(), fill))
+  }
+
+  /**
+   * Duration in seconds
+   * @returns {number}
+   */
+  get duration () {
+    return this.sampleRate > 0 ? this.frames / this.sampleRate : 0
+  }
+
+  /**
+   * Copy with silence added before and/or after the audio
+   * @param {Object} options - before, after (milliseconds)
+   * @returns {AiffFile}
+   */
+  padSilence ({ before = 0, after = 0 } = {}) {
+    return AiffFile.concat([AiffFile.silence(this, before), this, AiffFile.silence(this, after)])
+  }
+
+  /**
+   * Copy without the quiet frames at the start and/or end
+   * @param {Object} options - threshold (0-1 of full scale), keep (ms of quiet to leave at each end),
+   *   start and end (which ends to trim, both by default)
+   * @returns {AiffFile}
+   */
+  trimSilence ({ threshold = 0.01, keep = 0, start: trimStart = true, end: trimEnd = true } = {}) {
+    const bytesPerSample = this._bytesPerSample()
+    const blockAlign = this.channels * bytesPerSample
+    const frames = Math.min(this.frames, Math.floor(this.data.length / blockAlign))
+    const isLoud = (frame) => {
+      for (let channel = 0; channel < this.channels; channel++) {
+        if (Math.abs(this._readSample(frame * blockAlign + channel * bytesPerSample)) > threshold) {
+          return true
+        }
+      }
+      return false
+    }
+
+    let start = 0
+    while (start < frames && !isLoud(start)) start++
+
+    if (start === frames) {
+      return this._withData(Buffer.alloc(0))
+    }
+
+    let end = frames
+    while (end > start && !isLoud(end - 1)) end--
+
+    const keepFrames = Math.round(keep * this.sampleRate / 1000)
+    start = trimStart ? Math.max(0, start - keepFrames) : 0
+    end = trimEnd ? Math.min(frames, end + keepFrames) : frames
+
+    return this._withData(Buffer.from(this.data.subarray(start * blockAlign, end * blockAlign)))
+  }
+
+  /**
+   * Samples split by channel and scaled to -1..1
+   * @returns {Array<Float32Array>}
+   */
+  getChannels () {
+    const bytesPerSample = this._bytesPerSample()
+    const blockAlign = this.channels * bytesPerSample
+    const frames = Math.min(this.frames, Math.floor(this.data.length / blockAlign))
+    const channels = Array.from({ length: this.channels }, () => new Float32Array(frames))
+
+    for (let frame = 0; frame < frames; frame++) {
+      for (let channel = 0; channel < this.channels; channel++) {
+        channels[channel][frame] = this._readSample(frame * blockAlign + channel * bytesPerSample)
+      }
+    }
+    return channels
+  }
+
+  /**
+   * Copy in the same sample format holding other samples
+   * @param {Array<Float32Array>} channels - One -1..1 array per channel, all the same length
+   * @returns {AiffFile}
+   */
+  withChannels (channels) {
+    if (channels.length !== this.channels) {
+      throw new Error(`Expected ${this.channels} channels, got ${channels.length}`)
+    }
+
+    const bytesPerSample = this._bytesPerSample()
+    const blockAlign = this.channels * bytesPerSample
+    const frames = channels[0].length
+    const output = new AiffFile({
+      channels: this.channels,
+      sampleSize: this.sampleSize,
+      sampleRate: this.sampleRate,
+      aifc: this.aifc,
+      compressionType: this.compressionType,
+      compressionName: this.compressionName,
+      data: Buffer.alloc(frames * blockAlign)
+    })
+
+    for (let frame = 0; frame < frames; frame++) {
+      for (let channel = 0; channel < this.channels; channel++) {
+        output._writeSample(frame * blockAlign + channel * bytesPerSample, channels[channel][frame])
+      }
+    }
+    return output
+  }
+
+  /**
+   * Serialize with FORM, COMM and SSND sizes that match the data
+   * @returns {Buffer}
+   */
+  toBuffer () {
+    const chunks = []
+
+    if (this.aifc) {
+      const fver = Buffer.alloc(4)
+      fver.writeUInt32BE(AIFC_VERSION_1, 0)
+      chunks.push(AiffFile._chunk('FVER', fver))
+    }
+
+    chunks.push(AiffFile._chunk('COMM', this._commBody()))
+
+    const ssndHeader = Buffer.alloc(8) // offset 0, block size 0
+    chunks.push(AiffFile._chunk('SSND', Buffer.concat([ssndHeader, this.data])))
+
+    const body = Buffer.concat(chunks)
+    const header = Buffer.alloc(12)
+    header.write('FORM', 0, 'ascii')
+    header.writeUInt32BE(4 + body.length, 4)
+    header.write(this.aifc ? 'AIFC' : 'AIFF', 8, 'ascii')
+
+    return Buffer.concat([header, body])
+  }
+
+  /**
+   * Write the file to disk
+   * @param {string} filePath
+   */
+  async write (filePath) {
+    try {
+      await fs.writeFile(filePath, this.toBuffer())
+    } catch (error) {
+      throw new Error(`Failed to write AIFF ${filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Read an 80-bit IEEE 754 extended float (the COMM sample rate)
+   * @param {Buffer} buffer
+   * @param {number} offset
+   * @returns {number}
+   */
+  static readExtended (buffer, offset) {
+    const signAndExponent = buffer.readUInt16BE(offset)
+    const high = buffer.readUInt32BE(offset + 2)
+    const low = buffer.readUInt32BE(offset + 6)
+    const exponent = signAndExponent & 0x7FFF
+
+    if (exponent === 0 && high === 0 && low === 0) {
+      return 0
+    }
+
+    const value = (high * 2 ** 32 + low) * 2 ** (exponent - 16383 - 63)
+    return signAndExponent & 0x8000 ? -value : value
+  }
+
+  /**
+   * Encode a number as an 80-bit IEEE 754 extended float
+   * @param {number} value
+   * @returns {Buffer}
+   */
+  static writeExtended (value) {
+    const buffer = Buffer.alloc(10)
+    if (!value) {
+      return buffer
+    }
+
+    const magnitude = Math.abs(value)
+    const exponent = Math.floor(Math.log2(magnitude))
+    const mantissa = magnitude / 2 ** exponent // 1 <= mantissa < 2, stored with an explicit integer bit
+    const high = Math.floor(mantissa * 2 ** 31)
+    const low = Math.floor((mantissa * 2 ** 31 - high) * 2 ** 32)
+
+    buffer.writeUInt16BE((exponent + 16383) | (value < 0 ? 0x8000 : 0), 0)
+    buffer.writeUInt32BE(high >>> 0, 2)
+    buffer.writeUInt32BE(low >>> 0, 6)
+    return buffer
+  }
+
+  // Private methods
+
+  /**
+   * Map chunk IDs to their bodies, stopping at the end of the FORM or the buffer
+   */
+  static _readChunks (buffer) {
+    const chunks = {}
+    const end = Math.min(buffer.length, 8 + buffer.readUInt32BE(4))
+    let offset = 12
+
+    while (offset + 8 <= end) {
+      const id = buffer.toString('ascii', offset, offset + 4)
+      const size = Math.min(buffer.readUInt32BE(offset + 4), end - offset - 8)
+
+      if (!chunks[id]) {
+        chunks[id] = buffer.subarray(offset + 8, offset + 8 + size)
+      }
+
+      offset += 8 + size + (size % 2) // Chunks are padded to an even length
+    }
+
+    return chunks
+  }
+
+  static _chunk (id, body) {
+    const header = Buffer.alloc(8)
+    header.write(id, 0, 'ascii')
+    header.writeUInt32BE(body.length, 4)
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)])
+  }
+
+  _commBody () {
+    const fields = Buffer.alloc(18)
+    fields.writeInt16BE(this.channels, 0)
+    fields.writeUInt32BE(this.frames, 2)
+    fields.writeInt16BE(this.sampleSize, 6)
+    AiffFile.writeExtended(this.sampleRate).copy(fields, 8)
+
+    if (!this.aifc) {
+      return fields
+    }
+
+    // compressionType plus a Pascal string padded to an even total length
+    const name = Buffer.from(this.compressionName, 'latin1').subarray(0, 255)
+    const pascal = Buffer.alloc(1 + name.length + ((1 + name.length) % 2))
+    pascal.writeUInt8(name.length, 0)
+    name.copy(pascal, 1)
+
+    return Buffer.concat([fields, Buffer.from(this.compressionType.padEnd(4).slice(0, 4), 'ascii'), pascal])
+  }
+
+  /**
+   * Frame count implied by the data size (uncompressed encodings only)
+   */
+  _framesFromData () {
+    if (!PCM_COMPRESSION_TYPES.includes(this.compressionType)) {
+      return 0
+    }
+    const bytesPerFrame = this.channels * Math.ceil(this.sampleSize / 8)
+    return bytesPerFrame > 0 ? Math.floor(this.data.length / bytesPerFrame) : 0
+  }
+
+  /**
+   * Bytes per sample, refusing encodings that cannot be read sample by sample
+   */
+  _bytesPerSample () {
+    const type = this.aifc ? this.compressionType : 'NONE'
+    const floatSizes = { fl32: 32, FL32: 32, fl64: 64, FL64: 64 }
+
+    if (!PCM_COMPRESSION_TYPES.includes(type)) {
+      throw new Error(`Cannot decode compressed AIFF-C samples (${type})`)
+    }
+    if (floatSizes[type] ? this.sampleSize !== floatSizes[type] : ![8, 16, 24, 32].includes(this.sampleSize)) {
+      throw new Error(`Unsupported AIFF sample size: ${this.sampleSize}`)
+    }
+    return Math.ceil(this.sampleSize / 8)
+  }
+
+  /**
+   * Sample at a byte offset, scaled to -1..1
+   */
+  _readSample (offset) {
+    const type = this.aifc ? this.compressionType : 'NONE'
+
+    switch (type) {
+      case 'fl32': case 'FL32': return this.data.readFloatBE(offset)
+      case 'fl64': case 'FL64': return this.data.readDoubleBE(offset)
+      case 'raw ': return (this.data.readUInt8(offset) - 128) / 128
+      case 'sowt': return this.data.readIntLE(offset, this.sampleSize / 8) / 2 ** (this.sampleSize - 1)
+      default: return this.data.readIntBE(offset, this.sampleSize / 8) / 2 ** (this.sampleSize - 1)
+    }
+  }
+
+  /**
+   * Store a -1..1 sample at a byte offset, clipping out-of-range values
+   */
+  _writeSample (offset, value) {
+    const type = this.aifc ? this.compressionType : 'NONE'
+    const sample = Math.max(-1, Math.min(1, value))
+    const max = 2 ** (this.sampleSize - 1)
+    const scaled = Math.max(-max, Math.min(max - 1, Math.round(sample * max)))
+
+    switch (type) {
+      case 'fl32': case 'FL32': this.data.writeFloatBE(sample, offset); break
+      case 'fl64': case 'FL64': this.data.writeDoubleBE(sample, offset); break
+      case 'raw ': this.data.writeUInt8(scaled + 128, offset); break
+      case 'sowt': this.data.writeIntLE(scaled, offset, this.sampleSize / 8); break
+      default: this.data.writeIntBE(scaled, offset, this.sampleSize / 8)
+    }
+  }
+
+  _withData (data) {
+    return new AiffFile({
+      channels: this.channels,
+      sampleSize: this.sampleSize,
+      sampleRate: this.sampleRate,
+      aifc: this.aifc,
+      compressionType: this.compressionType,
+      compressionName: this.compressionName,
+      data
+    })
+  }
+
+  _formatMismatch (other) {
+    const fields = ['channels', 'sampleSize', 'sampleRate', 'compressionType']
+    const field = fields.find(name => this[name] !== other[name])
+    return field ? `${field} ${other[field]} does not match ${this[field]}` : null
+  }
+}
+
+module.exports = AiffFile
@@ -0,0 +1,233 @@
+const fs = require('fs-extra')
+
+const AiffFile = require('./aiff-file')
+const WavFile = require('./wav-file')
+
+// MPEG audio bitrates in kbit/s by [version group][layer][index]; version group 0 is MPEG-1, 1 is MPEG-2/2.5
+const MPEG_BITRATES = [
+  {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+]
+
+// Sample rates by version bits (3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5)
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  0: [11025, 12000, 8000]
+}
+
+/**
+ * Audio Duration - Reads the real playing time of AIFF, WAV, MP3, M4A and Opus files
+ * from their headers (or MPEG frames), identifying the container by its
+ * content rather than its extension
+ */
+class AudioDuration {
+  /**
+   * Measure an audio file
+   * @param {string} filePath
+   * @returns {Promise<{format: string, duration: number}>} duration in seconds
+   */
+  static async measure (filePath) {
+    try {
+      return AudioDuration.fromBuffer(await fs.readFile(filePath))
+    } catch (error) {
+      throw new Error(`Failed to measure audio duration of ${filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Measure audio held in memory
+   * @param {Buffer} buffer - Complete file contents
+   * @returns {{format: string, duration: number}}
+   */
+  static fromBuffer (buffer) {
+    const format = AudioDuration.detectFormat(buffer)
+
+    switch (format) {
+      case 'aiff':
+        return { format, duration: AiffFile.parse(buffer).duration }
+      case 'wav':
+        return { format, duration: WavFile.parse(buffer).duration }
+      case 'm4a':
+        return { format, duration: AudioDuration._mp4Duration(buffer) }
+      case 'mp3':
+        return { format, duration: AudioDuration._mpegDuration(buffer) }
+      case 'opus':
+        return { format, duration: AudioDuration._opusDuration(buffer) }
+      default:
+        throw new Error('Unrecognized audio format')
+    }
+  }
+
+  /**
+   * Identify the container from its leading bytes
+   * @param {Buffer} buffer
+   * @returns {string|null} 'aiff', 'wav', 'm4a', 'mp3', 'opus' or null
+   */
+  static detectFormat (buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+      return null
+    }
+
+    const magic = buffer.toString('ascii', 0, 4)
+    const kind = buffer.toString('ascii', 8, 12)
+
+    if (magic === 'FORM' && (kind === 'AIFF' || kind === 'AIFC')) return 'aiff'
+    if (magic === 'RIFF' && kind === 'WAVE') return 'wav'
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') return 'm4a'
+    if (magic === 'OggS' && buffer.toString('ascii', 28, 36) === 'OpusHead') return 'opus'
+    if (magic.startsWith('ID3') || AudioDuration._mpegFrame(buffer, 0)) return 'mp3'
+    return null
+  }
+
+  // Private methods
+
+  /**
+   * Duration from the movie header (moov/mvhd) of an MP4/M4A file
+   */
+  static _mp4Duration (buffer) {
+    const moov = AudioDuration._findAtom(buffer, 0, buffer.length, 'moov')
+    const mvhd = moov && AudioDuration._findAtom(buffer, moov.start, moov.end, 'mvhd')
+    if (!mvhd) {
+      throw new Error('MP4 file has no movie header')
+    }
+
+    const version = buffer.readUInt8(mvhd.start)
+    const timescale = version === 1 ? buffer.readUInt32BE(mvhd.start + 20) : buffer.readUInt32BE(mvhd.start + 12)
+    const duration = version === 1
+      ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+      : buffer.readUInt32BE(mvhd.start + 16)
+
+    if (!timescale) {
+      throw new Error('MP4 movie header has no timescale')
+    }
+    return duration / timescale
+  }
+
+  /**
+   * Duration of an Ogg Opus stream from the last page's granule position,
+   * which counts 48 kHz samples including the encoder's pre-skip
+   */
+  static _opusDuration (buffer) {
+    const preSkip = buffer.readUInt16LE(28 + 10)
+    let offset = buffer.lastIndexOf('OggS')
+
+    while (offset > 0 && offset + 14 > buffer.length) {
+      offset = buffer.lastIndexOf('OggS', offset - 1)
+    }
+
+    const granule = offset >= 0 ? Number(buffer.readBigInt64LE(offset + 6)) : -1
+    if (granule < 0) {
+      throw new Error('Ogg stream has no final granule position')
+    }
+    return Math.max(0, granule - preSkip) / 48000
+  }
+
+  /**
+   * Locate a child atom between two offsets; returns the body range
+   */
+  static _findAtom (buffer, start, end, type) {
+    let offset = start
+
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset)
+      let header = 8
+
+      if (size === 1 && offset + 16 <= end) {
+        size = Number(buffer.readBigUInt64BE(offset + 8)) // 64-bit size follows the type
+        header = 16
+      } else if (size === 0) {
+        size = end - offset // Atom runs to the end of its parent
+      }
+
+      if (size < header) {
+        break
+      }
+      if (buffer.toString('ascii', offset + 4, offset + 8) === type) {
+        return { start: offset + header, end: Math.min(end, offset + size) }
+      }
+      offset += size
+    }
+
+    return null
+  }
+
+  /**
+   * Duration of an MPEG audio stream by walking its frames (exact for VBR too)
+   */
+  static _mpegDuration (buffer) {
+    let offset = 0
+
+    // Skip an ID3v2 tag: 10-byte header plus a syncsafe size
+    if (buffer.toString('ascii', 0, 3) === 'ID3' && buffer.length >= 10) {
+      const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]
+      offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0) // Footer flag
+    }
+
+    // Tolerate junk between the tag and the first frame
+    while (offset < buffer.length - 4 && !AudioDuration._mpegFrame(buffer, offset)) {
+      offset++
+    }
+
+    let seconds = 0
+    let frames = 0
+    let frame
+
+    while ((frame = AudioDuration._mpegFrame(buffer, offset))) {
+      seconds += frame.samples / frame.sampleRate
+      offset += frame.length
+      frames++
+    }
+
+    if (frames === 0) {
+      throw new Error('No MPEG audio frames found')
+    }
+    return seconds
+  }
+
+  /**
+   * Decode the MPEG audio frame header at an offset, or null when there is none
+   */
+  static _mpegFrame (buffer, offset) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) {
+      return null
+    }
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x3
+    const layerBits = (buffer[offset + 1] >> 1) & 0x3
+    const bitrateIndex = buffer[offset + 2] >> 4
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x3
+    const padding = (buffer[offset + 2] >> 1) & 0x1
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      return null // Reserved values or free-format streams
+    }
+
+    const layer = 4 - layerBits
+    const mpeg1 = versionBits === 3
+    const bitrate = MPEG_BITRATES[mpeg1 ? 0 : 1][layer][bitrateIndex] * 1000
+    const sampleRate = MPEG_SAMPLE_RATES[versionBits][sampleRateIndex]
+
+    let samples
+    let length
+    if (layer === 1) {
+      samples = 384
+      length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    } else {
+      samples = layer === 3 && !mpeg1 ? 576 : 1152
+      length = Math.floor((samples / 8) * bitrate / sampleRate) + padding
+    }
+
+    return offset + length <= buffer.length ? { samples, sampleRate, length } : null
+  }
+}
+
+module.exports = AudioDuration
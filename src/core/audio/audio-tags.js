@@ -0,0 +1,348 @@
+const fs = require('fs-extra')
+
+const AudioDuration = require('./audio-duration')
+
+// ID3v2 text frames by tag field
+const ID3_FRAMES = {
+  title: 'TIT2',
+  artist: 'TPE1',
+  album: 'TALB',
+  date: 'TDRC',
+  genre: 'TCON'
+}
+
+// iTunes-style ilst item atoms by tag field ('\xA9' is the © byte)
+const MP4_ITEMS = {
+  title: '\xA9nam',
+  artist: '\xA9ART',
+  album: '\xA9alb',
+  date: '\xA9day',
+  genre: '\xA9gen',
+  comment: '\xA9cmt'
+}
+
+// MP4 atoms whose bodies are child atoms on the path to the chunk offset tables
+const MP4_CONTAINERS = ['moov', 'trak', 'mdia', 'minf', 'stbl']
+
+/**
+ * Audio Tags - Writes title, artist, album, date, genre, track and comment tags
+ * into generated audio: ID3v2.4 at the start of MP3, an ID3 chunk in AIFF and
+ * ilst atoms in M4A. Chapters become ID3 CHAP/CTOC frames or a Nero chpl atom.
+ * Existing tags are replaced; other formats are left untouched
+ */
+class AudioTags {
+  /**
+   * Tag an audio file in place
+   * @param {string} filePath
+   * @param {Object} tags - title, artist, album, date, genre, track, trackTotal, comment,
+   *   chapters ([{title, start, end}] in seconds)
+   * @returns {Promise<{format: string|null, written: boolean}>}
+   */
+  static async write (filePath, tags) {
+    try {
+      const { format, buffer } = AudioTags.apply(await fs.readFile(filePath), tags)
+      if (buffer) {
+        await fs.writeFile(filePath, buffer)
+      }
+      return { format, written: Boolean(buffer) }
+    } catch (error) {
+      throw new Error(`Failed to write tags to ${filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Tag audio held in memory
+   * @param {Buffer} buffer - Complete file contents
+   * @param {Object} tags
+   * @returns {{format: string|null, buffer: Buffer|null}} buffer is null when the format takes no tags
+   */
+  static apply (buffer, tags) {
+    const format = AudioDuration.detectFormat(buffer)
+
+    switch (format) {
+      case 'mp3':
+        return { format, buffer: Buffer.concat([AudioTags.id3(tags), buffer.subarray(AudioTags._id3Length(buffer))]) }
+      case 'aiff':
+        return { format, buffer: AudioTags._tagAiff(buffer, tags) }
+      case 'm4a':
+        return { format, buffer: AudioTags._tagMp4(buffer, tags) }
+      default:
+        return { format, buffer: null }
+    }
+  }
+
+  /**
+   * Build an ID3v2.4 tag with UTF-8 frames
+   * @param {Object} tags
+   * @returns {Buffer}
+   */
+  static id3 (tags) {
+    const frames = []
+
+    for (const [field, id] of Object.entries(ID3_FRAMES)) {
+      if (AudioTags._present(tags[field])) {
+        frames.push(AudioTags._id3Frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(String(tags[field]), 'utf8')])))
+      }
+    }
+
+    if (tags.track) {
+      const track = tags.trackTotal ? `${tags.track}/${tags.trackTotal}` : String(tags.track)
+      frames.push(AudioTags._id3Frame('TRCK', Buffer.concat([Buffer.from([3]), Buffer.from(track, 'ascii')])))
+    }
+
+    if (AudioTags._present(tags.comment)) {
+      // Encoding, language, empty description (terminated), text
+      const body = Buffer.concat([Buffer.from([3]), Buffer.from('eng\x00', 'ascii'), Buffer.from(String(tags.comment), 'utf8')])
+      frames.push(AudioTags._id3Frame('COMM', body))
+    }
+
+    frames.push(...AudioTags._id3Chapters(tags.chapters || []))
+
+    const body = Buffer.concat(frames)
+    const header = Buffer.concat([Buffer.from('ID3\x04\x00\x00', 'latin1'), AudioTags._syncsafe(body.length)])
+    return Buffer.concat([header, body])
+  }
+
+  // Private methods
+
+  static _present (value) {
+    return value !== undefined && value !== null && String(value).trim() !== ''
+  }
+
+  static _id3Frame (id, body) {
+    return Buffer.concat([Buffer.from(id, 'ascii'), AudioTags._syncsafe(body.length), Buffer.alloc(2), body])
+  }
+
+  /**
+   * CHAP frame per chapter plus an ordered top-level CTOC listing them
+   */
+  static _id3Chapters (chapters) {
+    if (chapters.length === 0) {
+      return []
+    }
+
+    const ids = chapters.map((chapter, i) => `chp${i}`)
+    const title = (text) => AudioTags._id3Frame('TIT2', Buffer.concat([Buffer.from([3]), Buffer.from(String(text), 'utf8')]))
+
+    const frames = chapters.map((chapter, i) => {
+      const times = Buffer.alloc(16, 0xFF) // Byte offsets unused
+      times.writeUInt32BE(Math.round(chapter.start * 1000), 0)
+      times.writeUInt32BE(Math.round(chapter.end * 1000), 4)
+      return AudioTags._id3Frame('CHAP', Buffer.concat([Buffer.from(`${ids[i]}\x00`, 'latin1'), times, title(chapter.title)]))
+    })
+
+    const toc = Buffer.concat([
+      Buffer.from('toc\x00', 'latin1'),
+      Buffer.from([0x03, ids.length]), // Top-level and ordered
+      ...ids.map(id => Buffer.from(`${id}\x00`, 'latin1'))
+    ])
+    return [AudioTags._id3Frame('CTOC', toc), ...frames]
+  }
+
+  /**
+   * 28-bit integer in four 7-bit bytes, as ID3v2 sizes are stored
+   */
+  static _syncsafe (value) {
+    return Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F])
+  }
+
+  /**
+   * Bytes taken by an ID3v2 tag at the start of the buffer (0 when there is none)
+   */
+  static _id3Length (buffer) {
+    if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') {
+      return 0
+    }
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]
+    return 10 + size + (buffer[5] & 0x10 ? 10 : 0) // Footer flag
+  }
+
+  /**
+   * Replace the AIFF 'ID3 ' chunk and rewrite the FORM size
+   */
+  static _tagAiff (buffer, tags) {
+    const chunks = []
+    let offset = 12
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4)
+      const size = buffer.readUInt32BE(offset + 4)
+      const end = Math.min(buffer.length, offset + 8 + size + (size % 2))
+
+      if (id !== 'ID3 ' && id !== 'id3 ') {
+        chunks.push(buffer.subarray(offset, end))
+      }
+      offset = end
+    }
+
+    const tag = AudioTags.id3(tags)
+    const tagHeader = Buffer.alloc(8)
+    tagHeader.write('ID3 ', 0, 'ascii')
+    tagHeader.writeUInt32BE(tag.length, 4)
+    chunks.push(tagHeader, tag, Buffer.alloc(tag.length % 2))
+
+    const body = Buffer.concat(chunks)
+    const header = Buffer.from(buffer.subarray(0, 12))
+    header.writeUInt32BE(4 + body.length, 4)
+    return Buffer.concat([header, body])
+  }
+
+  /**
+   * Replace moov/udta/meta with one holding the tags. A moov placed before
+   * mdat (fast start) changes size, so every chunk offset moves with it
+   */
+  static _tagMp4 (buffer, tags) {
+    const atoms = AudioTags._atoms(buffer, 0, buffer.length)
+    const moov = atoms.find(atom => atom.type === 'moov')
+    if (!moov) {
+      throw new Error('MP4 file has no moov atom')
+    }
+
+    const moovChildren = AudioTags._atoms(buffer, moov.bodyStart, moov.end)
+    const udta = moovChildren.find(atom => atom.type === 'udta')
+    const udtaChildren = udta
+      ? AudioTags._atoms(buffer, udta.bodyStart, udta.end).filter(atom => atom.type !== 'meta')
+      : []
+
+    const meta = AudioTags._atom('meta', Buffer.concat([
+      Buffer.alloc(4), // Full box version and flags
+      AudioTags._atom('hdlr', Buffer.concat([Buffer.alloc(8), Buffer.from('mdirappl', 'ascii'), Buffer.alloc(9)])),
+      AudioTags._atom('ilst', AudioTags._ilst(tags))
+    ]))
+
+    const chapters = tags.chapters || []
+    const slice = (atom) => buffer.subarray(atom.start, atom.end)
+    const newMoov = AudioTags._atom('moov', Buffer.concat([
+      ...moovChildren.filter(atom => atom.type !== 'udta').map(slice),
+      AudioTags._atom('udta', Buffer.concat([
+        ...udtaChildren.filter(atom => atom.type !== 'chpl').map(slice),
+        ...(chapters.length > 0 ? [AudioTags._chpl(chapters)] : []),
+        meta
+      ]))
+    ]))
+
+    const delta = newMoov.length - (moov.end - moov.start)
+    if (delta !== 0 && atoms.some(atom => atom.type === 'mdat' && atom.start > moov.start)) {
+      AudioTags._shiftChunkOffsets(newMoov, 0, newMoov.length, delta)
+    }
+
+    return Buffer.concat([buffer.subarray(0, moov.start), newMoov, buffer.subarray(moov.end)])
+  }
+
+  static _ilst (tags) {
+    const items = []
+    const data = (type, value) => {
+      const header = Buffer.alloc(8)
+      header.writeUInt32BE(type, 0) // 1 = UTF-8 text, 0 = binary; locale stays 0
+      return AudioTags._atom('data', Buffer.concat([header, value]))
+    }
+
+    for (const [field, type] of Object.entries(MP4_ITEMS)) {
+      if (AudioTags._present(tags[field])) {
+        items.push(AudioTags._atom(type, data(1, Buffer.from(String(tags[field]), 'utf8'))))
+      }
+    }
+
+    if (tags.track) {
+      const track = Buffer.alloc(8)
+      track.writeUInt16BE(tags.track, 2)
+      track.writeUInt16BE(tags.trackTotal || 0, 4)
+      items.push(AudioTags._atom('trkn', data(0, track)))
+    }
+
+    return Buffer.concat(items)
+  }
+
+  /**
+   * Nero chapter list: start times in 100 ns units and length-prefixed titles
+   */
+  static _chpl (chapters) {
+    const header = Buffer.from([1, 0, 0, 0, 0, 0, 0, 0, Math.min(chapters.length, 255)]) // Version 1, reserved, count
+    const entries = chapters.slice(0, 255).map(chapter => {
+      const title = AudioTags._truncateUtf8(String(chapter.title), 255)
+      const entry = Buffer.alloc(9)
+      entry.writeBigUInt64BE(BigInt(Math.round(chapter.start * 10000000)), 0)
+      entry.writeUInt8(title.length, 8)
+      return Buffer.concat([entry, title])
+    })
+    return AudioTags._atom('chpl', Buffer.concat([header, ...entries]))
+  }
+
+  /**
+   * UTF-8 bytes of text cut to a byte limit without splitting a character
+   */
+  static _truncateUtf8 (text, limit) {
+    let bytes = Buffer.from(text, 'utf8')
+    while (bytes.length > limit) {
+      text = text.slice(0, -1)
+      bytes = Buffer.from(text, 'utf8')
+    }
+    return bytes
+  }
+
+  static _atom (type, body) {
+    const header = Buffer.alloc(8)
+    header.writeUInt32BE(8 + body.length, 0)
+    header.write(type, 4, 'latin1')
+    return Buffer.concat([header, body])
+  }
+
+  /**
+   * Top-level atoms between two offsets
+   */
+  static _atoms (buffer, start, end) {
+    const atoms = []
+    let offset = start
+
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset)
+      let header = 8
+
+      if (size === 1 && offset + 16 <= end) {
+        size = Number(buffer.readBigUInt64BE(offset + 8)) // 64-bit size follows the type
+        header = 16
+      } else if (size === 0) {
+        size = end - offset // Atom runs to the end of its parent
+      }
+
+      if (size < header) {
+        break
+      }
+
+      atoms.push({
+        type: buffer.toString('latin1', offset + 4, offset + 8),
+        start: offset,
+        bodyStart: offset + header,
+        end: Math.min(end, offset + size)
+      })
+      offset += size
+    }
+
+    return atoms
+  }
+
+  /**
+   * Add delta to every stco/co64 entry under the given range
+   */
+  static _shiftChunkOffsets (buffer, start, end, delta) {
+    for (const atom of AudioTags._atoms(buffer, start, end)) {
+      if (MP4_CONTAINERS.includes(atom.type)) {
+        AudioTags._shiftChunkOffsets(buffer, atom.bodyStart, atom.end, delta)
+      } else if (atom.type === 'stco') {
+        const count = buffer.readUInt32BE(atom.bodyStart + 4)
+        for (let i = 0; i < count; i++) {
+          const position = atom.bodyStart + 8 + i * 4
+          buffer.writeUInt32BE(buffer.readUInt32BE(position) + delta, position)
+        }
+      } else if (atom.type === 'co64') {
+        const count = buffer.readUInt32BE(atom.bodyStart + 4)
+        for (let i = 0; i < count; i++) {
+          const position = atom.bodyStart + 8 + i * 8
+          buffer.writeBigUInt64BE(buffer.readBigUInt64BE(position) + BigInt(delta), position)
+        }
+      }
+    }
+  }
+}
+
+module.exports = AudioTags
@@ -0,0 +1,337 @@
+const fs = require('fs-extra')
+const path = require('path')
+
+const ProcessRunner = require('../process-runner')
+const AiffFile = require('./aiff-file')
+const AudioDuration = require('./audio-duration')
+const WavFile = require('./wav-file')
+
+// Uncompressed containers converted in-process; everything else needs an external encoder
+const PCM_FORMATS = ['aiff', 'wav']
+const ENCODED_FORMATS = ['mp3', 'm4a', 'opus']
+
+// Encoders to try for each output format, in order of preference
+const ENCODER_ORDER = {
+  aiff: ['builtin'],
+  wav: ['builtin'],
+  mp3: ['ffmpeg', 'lame'],
+  m4a: ['ffmpeg', 'afconvert'],
+  opus: ['ffmpeg']
+}
+
+// Default bitrates in kbit/s, chosen for speech rather than music
+const DEFAULT_BITRATES = { mp3: 64, m4a: 64, opus: 32 }
+
+// ffmpeg codec and muxer per output format
+const FFMPEG_CODECS = { mp3: 'libmp3lame', m4a: 'aac', opus: 'libopus' }
+const FFMPEG_MUXERS = { mp3: 'mp3', m4a: 'ipod', opus: 'ogg' }
+
+/**
+ * Audio Transcoder - Turns synthesized AIFF/WAV into the requested output
+ * container. MP3, M4A (AAC) and Opus go through ffmpeg, lame or afconvert,
+ * whichever is installed; AIFF and WAV are converted to each other in-process
+ */
+class AudioTranscoder {
+  constructor (options = {}) {
+    this.options = {
+      encoder: options.encoder || 'auto', // 'auto', 'ffmpeg', 'lame', 'afconvert' or 'builtin'
+      bitrate: options.bitrate || null, // kbit/s; null = per-format default
+      channels: options.channels || 1, // 1 = mono, 2 = stereo
+      timeout: options.timeout || 10 * 60 * 1000, // Long articles take a while to encode
+      ...options
+    }
+    this.encoderFormats = new Map() // encoder name -> Promise<Array<string>> of formats it can write here
+  }
+
+  /**
+   * Canonical output format name
+   * @param {string} format - Format name or file extension ('mp3', '.MP3')
+   * @returns {string}
+   */
+  static normalizeFormat (format) {
+    const name = String(format || '').replace(/^\./, '').toLowerCase()
+    const canonical = name === 'aif' ? 'aiff' : name
+
+    if (!ENCODER_ORDER[canonical]) {
+      throw new Error(`Unsupported output format "${format}" (supported: ${[...PCM_FORMATS, ...ENCODED_FORMATS].join(', ')})`)
+    }
+    return canonical
+  }
+
+  /**
+   * Whether a format is uncompressed PCM (no bitrate applies)
+   * @param {string} format
+   * @returns {boolean}
+   */
+  static isPcmFormat (format) {
+    return PCM_FORMATS.includes(AudioTranscoder.normalizeFormat(format))
+  }
+
+  /**
+   * Pick the encoder that will write a format, failing when none is installed
+   * @param {string} format - Output format
+   * @param {Object} options - encoder (overrides the configured encoder)
+   * @returns {Promise<string>} Encoder name
+   */
+  async selectEncoder (format, options = {}) {
+    const target = AudioTranscoder.normalizeFormat(format)
+    const requested = options.encoder || this.options.encoder
+    const candidates = requested && requested !== 'auto' ? [requested] : ENCODER_ORDER[target]
+
+    for (const name of candidates) {
+      if ((await this._formatsFor(name)).includes(target)) {
+        return name
+      }
+    }
+
+    if (requested && requested !== 'auto') {
+      throw new Error(`Encoder "${requested}" cannot write ${target} on this machine`)
+    }
+    throw new Error(`No ${target} encoder found; install ${candidates.join(' or ')} or choose aiff/wav output`)
+  }
+
+  /**
+   * Transcode an audio file
+   * @param {string} inputPath - AIFF or WAV from the TTS engine
+   * @param {string} outputPath - File to write
+   * @param {Object} options - format (default: output extension), bitrate (kbit/s), channels, encoder,
+   *   chapters ([{title, start, end}] in seconds; ffmpeg writes them to M4A as a QuickTime chapter track),
+   *   signal (AbortSignal that kills the encoder)
+   * @returns {Promise<{encoder: string, format: string, bitrate: number|null, channels: number|null}>}
+   */
+  async transcode (inputPath, outputPath, options = {}) {
+    const format = AudioTranscoder.normalizeFormat(options.format || path.extname(outputPath))
+    const encoder = await this.selectEncoder(format, options)
+
+    try {
+      if (encoder === 'builtin') {
+        // Channel layout and sample rate are kept as synthesized
+        await this._convertPcm(inputPath, outputPath, format)
+        return { encoder, format, bitrate: null, channels: null }
+      }
+
+      const bitrate = parseInt(options.bitrate || this.options.bitrate || DEFAULT_BITRATES[format], 10)
+      const channels = parseInt(options.channels || this.options.channels, 10)
+      if (!(bitrate > 0)) {
+        throw new Error(`Invalid bitrate: ${options.bitrate || this.options.bitrate}`)
+      }
+      if (channels !== 1 && channels !== 2) {
+        throw new Error(`Invalid channel count: ${options.channels || this.options.channels} (use 1 for mono or 2 for stereo)`)
+      }
+
+      const args = this._encoderArgs(encoder, format, inputPath, outputPath, bitrate, channels)
+      const chapters = options.chapters || []
+
+      if (encoder !== 'ffmpeg' || format !== 'm4a' || chapters.length === 0) {
+        await this._runChecked(encoder, args, { signal: options.signal })
+        return { encoder, format, bitrate, channels }
+      }
+
+      const metadataPath = `${outputPath}.ffmeta`
+      try {
+        await fs.writeFile(metadataPath, AudioTranscoder._ffmetadata(chapters))
+        const input = args.indexOf(inputPath) + 1
+        args.splice(input, 0, '-f', 'ffmetadata', '-i', metadataPath, '-map', '0:a', '-map_chapters', '1')
+        await this._runChecked(encoder, args, { signal: options.signal })
+      } finally {
+        await fs.remove(metadataPath)
+      }
+      return { encoder, format, bitrate, channels }
+    } catch (error) {
+      throw new Error(`Failed to transcode to ${format}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Decode an audio file to WAV so it can be edited in-process
+   * @param {string} inputPath - AIFF, WAV, MP3, M4A or Opus
+   * @param {string} outputPath - WAV file to write
+   * @returns {Promise<{decoder: string}>} 'builtin', 'ffmpeg' or 'afconvert'
+   */
+  async decode (inputPath, outputPath) {
+    try {
+      const source = AudioDuration.detectFormat(await fs.readFile(inputPath))
+
+      if (PCM_FORMATS.includes(source)) {
+        await this._convertPcm(inputPath, outputPath, 'wav')
+        return { decoder: 'builtin' }
+      }
+
+      // Decoders ship with every build, so no codec probe is needed
+      if (await this._commandExists('ffmpeg')) {
+        await this._runChecked('ffmpeg', ['-y', '-hide_banner', '-loglevel', 'error', '-i', inputPath, '-vn', '-c:a', 'pcm_s16le', '-f', 'wav', outputPath])
+        return { decoder: 'ffmpeg' }
+      }
+      if (await this._commandExists('afconvert')) {
+        await this._runChecked('afconvert', ['-f', 'WAVE', '-d', 'LEI16', inputPath, outputPath])
+        return { decoder: 'afconvert' }
+      }
+
+      throw new Error(`No decoder for ${source || 'unrecognized audio'}; install ffmpeg`)
+    } catch (error) {
+      throw new Error(`Failed to decode ${inputPath}: ${error.message}`)
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Formats an encoder can write on this machine (probed once)
+   */
+  _formatsFor (name) {
+    if (!this.encoderFormats.has(name)) {
+      this.encoderFormats.set(name, this._probeEncoder(name))
+    }
+    return this.encoderFormats.get(name)
+  }
+
+  async _probeEncoder (name) {
+    switch (name) {
+      case 'builtin':
+        return PCM_FORMATS
+      case 'ffmpeg':
+        try {
+          // Builds differ in which codecs they include, so ask rather than assume
+          const { code, stdout } = await this._run('ffmpeg', ['-hide_banner', '-encoders'], { timeout: 10000 })
+          if (code !== 0) return []
+          return ENCODED_FORMATS.filter(format => new RegExp(`\\s${FFMPEG_CODECS[format]}\\s`).test(stdout))
+        } catch (error) {
+          return []
+        }
+      case 'lame':
+        return (await this._commandExists('lame')) ? ['mp3'] : []
+      case 'afconvert':
+        return (await this._commandExists('afconvert')) ? ['m4a'] : []
+      default:
+        throw new Error(`Unknown encoder "${name}" (available: ffmpeg, lame, afconvert, builtin)`)
+    }
+  }
+
+  _encoderArgs (encoder, format, inputPath, outputPath, bitrate, channels) {
+    switch (encoder) {
+      case 'ffmpeg':
+        return [
+          '-y', '-hide_banner', '-loglevel', 'error',
+          '-i', inputPath,
+          '-vn',
+          '-ac', String(channels),
+          '-c:a', FFMPEG_CODECS[format],
+          '-b:a', `${bitrate}k`,
+          ...(format === 'm4a' ? ['-movflags', '+faststart'] : []), // Playable before fully downloaded
+          '-f', FFMPEG_MUXERS[format],
+          outputPath
+        ]
+      case 'lame':
+        return ['--quiet', '-b', String(bitrate), '-m', channels === 1 ? 'm' : 'j', inputPath, outputPath]
+      case 'afconvert':
+        return ['-f', 'm4af', '-d', 'aac', '-b', String(bitrate * 1000), '-c', String(channels), inputPath, outputPath]
+      default:
+        throw new Error(`Encoder "${encoder}" has no command line`)
+    }
+  }
+
+  /**
+   * Chapters in ffmpeg's FFMETADATA1 format (millisecond timebase)
+   */
+  static _ffmetadata (chapters) {
+    const escape = (text) => String(text).replace(/[=;#\\\n]/g, (char) => `\\${char}`)
+    const sections = chapters.map(chapter => [
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escape(chapter.title)}`
+    ].join('\n'))
+
+    return `${[';FFMETADATA1', ...sections].join('\n')}\n`
+  }
+
+  /**
+   * Rewrite integer PCM between AIFF (big-endian, signed) and WAV (little-endian, 8-bit unsigned)
+   */
+  async _convertPcm (inputPath, outputPath, format) {
+    const buffer = await fs.readFile(inputPath)
+    const source = AudioDuration.detectFormat(buffer)
+
+    if (source === format) {
+      if (path.resolve(inputPath) !== path.resolve(outputPath)) {
+        await fs.copy(inputPath, outputPath)
+      }
+      return
+    }
+
+    if (source === 'wav' && format === 'aiff') {
+      const wav = WavFile.parse(buffer)
+      if (wav.audioFormat !== WavFile.FORMAT_PCM) {
+        throw new Error('Only integer PCM WAV can be converted to AIFF')
+      }
+
+      const data = AudioTranscoder._swapSamples(wav.data, wav.bitsPerSample)
+      await new AiffFile({ channels: wav.channels, sampleSize: wav.bitsPerSample, sampleRate: wav.sampleRate, data }).write(outputPath)
+      return
+    }
+
+    if (source === 'aiff' && format === 'wav') {
+      const aiff = AiffFile.parse(buffer)
+      const type = aiff.compressionType
+      if (aiff.aifc && !['NONE', 'twos', 'sowt'].includes(type)) {
+        throw new Error(`Cannot convert compressed AIFF-C (${type}) to WAV`)
+      }
+
+      // 'sowt' AIFF-C is already little-endian
+      const data = aiff.aifc && type === 'sowt' && aiff.sampleSize > 8
+        ? Buffer.from(aiff.data)
+        : AudioTranscoder._swapSamples(aiff.data, aiff.sampleSize)
+      await new WavFile({ channels: aiff.channels, sampleRate: aiff.sampleRate, bitsPerSample: aiff.sampleSize, data }).write(outputPath)
+      return
+    }
+
+    throw new Error(`Cannot convert ${source || 'unrecognized audio'} to ${format} without an external encoder`)
+  }
+
+  /**
+   * Reverse the byte order of every sample; 8-bit samples flip between signed and unsigned instead
+   */
+  static _swapSamples (data, bitsPerSample) {
+    const bytes = Math.ceil(bitsPerSample / 8)
+    const output = Buffer.alloc(data.length - (data.length % bytes))
+
+    if (bytes === 1) {
+      for (let i = 0; i < output.length; i++) output[i] = data[i] ^ 0x80
+      return output
+    }
+
+    for (let offset = 0; offset < output.length; offset += bytes) {
+      for (let i = 0; i < bytes; i++) {
+        output[offset + i] = data[offset + bytes - 1 - i]
+      }
+    }
+    return output
+  }
+
+  /**
+   * Run a command with the transcoder's timeout; see ProcessRunner.run
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  _run (command, args, options = {}) {
+    return ProcessRunner.run(command, args, { ...options, timeout: options.timeout || this.options.timeout })
+  }
+
+  /**
+   * Run a command and fail unless it exits with code 0
+   */
+  async _runChecked (command, args, options) {
+    return ProcessRunner.check(command, await this._run(command, args, options))
+  }
+
+  /**
+   * Look a command up on PATH without running it
+   */
+  _commandExists (command) {
+    return ProcessRunner.commandExists(command)
+  }
+}
+
+AudioTranscoder.DEFAULT_BITRATES = DEFAULT_BITRATES
+
+module.exports = AudioTranscoder
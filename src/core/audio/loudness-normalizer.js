@@ -0,0 +1,339 @@
+const fs = require('fs-extra')
+
+const AudioDuration = require('./audio-duration')
+const AiffFile = require('./aiff-file')
+const WavFile = require('./wav-file')
+
+// ITU-R BS.1770 gating: 400 ms blocks every 100 ms
+const BLOCK_SECONDS = 0.4
+const STEP_SECONDS = 0.1
+const ABSOLUTE_GATE = -70 // LUFS
+const RELATIVE_GATE = -10 // LU below the abs-gated loudness
+
+// True peak is read from a 4x oversampled signal (12 taps per phase)
+const OVERSAMPLE = 4
+const HALF_TAPS = 6
+
+// Limited audio is re-gained until it lands this close (LU) to the target
+const LIMITER_PASSES = 3
+const TARGET_TOLERANCE = 0.5
+
+/**
+ * Loudness Normalizer - Measures integrated loudness (EBU R128 / ITU-R BS.1770)
+ * and true peak of PCM audio and brings it to a target loudness, limiting peaks
+ * that the gain would push over the ceiling. Works on WAV and AIFF in-process
+ */
+class LoudnessNormalizer {
+  /**
+   * @param {Object} options - target (LUFS), truePeak (dBTP ceiling), lookahead and release (ms)
+   */
+  constructor (options = {}) {
+    this.options = {
+      target: options.target ?? -16, // LUFS; a common target for spoken audio
+      truePeak: options.truePeak ?? -1, // dBTP
+      lookahead: options.lookahead || 5, // ms the limiter sees ahead of a peak
+      release: options.release || 100, // ms to recover full gain after a peak
+      ...options
+    }
+  }
+
+  /**
+   * Integrated loudness and peaks of PCM samples
+   * @param {Array<Float32Array>} channels - One -1..1 array per channel
+   * @param {number} sampleRate - Hz
+   * @returns {{integrated: number, truePeak: number, samplePeak: number}} LUFS and dBTP/dBFS;
+   *   -Infinity for silence
+   */
+  static measure (channels, sampleRate) {
+    const { envelope, ...measurement } = LoudnessNormalizer._analyze(channels, sampleRate)
+    return measurement
+  }
+
+  /**
+   * Bring samples to the target loudness under the true-peak ceiling
+   * @param {Array<Float32Array>} channels - One -1..1 array per channel
+   * @param {number} sampleRate - Hz
+   * @returns {{channels: Array<Float32Array>, input: Object, output: Object, gain: number, limited: boolean}}
+   *   input/output are measure() results; gain in dB before limiting; limited when peaks had to be pulled down
+   */
+  normalize (channels, sampleRate) {
+    const { envelope, ...input } = LoudnessNormalizer._analyze(channels, sampleRate)
+
+    // Silence has no loudness to correct
+    if (!Number.isFinite(input.integrated)) {
+      return { channels, input, output: input, gain: 0, limited: false }
+    }
+
+    const ceiling = 10 ** (this.options.truePeak / 20)
+    let gain = this.options.target - input.integrated
+    let result = null
+
+    // Limiting lowers loudness, so raise the gain and limit again until the target is met
+    for (let pass = 0; pass < LIMITER_PASSES; pass++) {
+      const limited = input.truePeak + gain > this.options.truePeak
+      const reduction = limited ? this._gainReduction(envelope, 10 ** (gain / 20), ceiling, sampleRate) : null
+      const output = this._applyGain(channels, gain, reduction)
+
+      result = { channels: output, input, output: LoudnessNormalizer.measure(output, sampleRate), gain, limited }
+
+      const shortfall = this.options.target - result.output.integrated
+      if (!limited || Math.abs(shortfall) <= TARGET_TOLERANCE) break
+      gain += shortfall
+    }
+
+    return result
+  }
+
+  /**
+   * Normalize a WAV or AIFF file in place
+   * @param {string} filePath - Audio file path
+   * @returns {Promise<{format: string, input: Object, output: Object, gain: number, limited: boolean}|null>}
+   *   null when the file is not PCM audio this class can edit
+   */
+  async normalizeFile (filePath) {
+    try {
+      const buffer = await fs.readFile(filePath)
+      const format = AudioDuration.detectFormat(buffer)
+
+      if (format !== 'wav' && format !== 'aiff') {
+        return null
+      }
+
+      const audio = format === 'wav' ? WavFile.parse(buffer) : AiffFile.parse(buffer)
+      const result = this.normalize(audio.getChannels(), audio.sampleRate)
+
+      if (result.gain !== 0 || result.limited) {
+        await audio.withChannels(result.channels).write(filePath)
+      }
+
+      return { format, input: result.input, output: result.output, gain: result.gain, limited: result.limited }
+    } catch (error) {
+      throw new Error(`Failed to normalize loudness of ${filePath}: ${error.message}`)
+    }
+  }
+
+  // Private methods
+
+  /**
+   * measure() plus the per-frame true-peak envelope the limiter works from
+   */
+  static _analyze (channels, sampleRate) {
+    const envelope = LoudnessNormalizer._peakEnvelope(channels)
+    let samplePeak = 0
+    let truePeak = 0
+
+    channels.forEach(samples => {
+      for (let i = 0; i < samples.length; i++) {
+        samplePeak = Math.max(samplePeak, Math.abs(samples[i]))
+      }
+    })
+    for (let i = 0; i < envelope.length; i++) {
+      truePeak = Math.max(truePeak, envelope[i])
+    }
+
+    return {
+      integrated: LoudnessNormalizer._integratedLoudness(channels, sampleRate),
+      truePeak: LoudnessNormalizer._toDb(truePeak),
+      samplePeak: LoudnessNormalizer._toDb(samplePeak),
+      envelope
+    }
+  }
+
+  /**
+   * Gated mean-square loudness of K-weighted audio
+   */
+  static _integratedLoudness (channels, sampleRate) {
+    const stepSamples = Math.round(STEP_SECONDS * sampleRate)
+    const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS)
+    const frames = channels.length > 0 ? channels[0].length : 0
+    const steps = stepSamples > 0 ? Math.floor(frames / stepSamples) : 0
+
+    if (steps < stepsPerBlock) {
+      return -Infinity // Shorter than one gating block
+    }
+
+    // Sum of squares per 100 ms step over all channels (mono/stereo channel weights are 1)
+    const stepEnergy = new Float64Array(steps)
+    channels.forEach(samples => {
+      const weighted = LoudnessNormalizer._kWeight(samples, sampleRate)
+      for (let i = 0; i < steps * stepSamples; i++) {
+        stepEnergy[Math.floor(i / stepSamples)] += weighted[i] * weighted[i]
+      }
+    })
+
+    const blocks = []
+    for (let start = 0; start + stepsPerBlock <= steps; start++) {
+      let energy = 0
+      for (let step = start; step < start + stepsPerBlock; step++) energy += stepEnergy[step]
+      blocks.push(energy / (stepsPerBlock * stepSamples))
+    }
+
+    const loudness = (power) => -0.691 + 10 * Math.log10(power)
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+    const audible = blocks.filter(power => loudness(power) > ABSOLUTE_GATE)
+    if (audible.length === 0) {
+      return -Infinity
+    }
+
+    const relativeGate = loudness(mean(audible)) + RELATIVE_GATE
+    const gated = audible.filter(power => loudness(power) > relativeGate)
+    return loudness(mean(gated))
+  }
+
+  /**
+   * BS.1770 K-weighting: a high shelf for the head's effect, then a high-pass,
+   * with coefficients derived for the sample rate at hand
+   */
+  static _kWeight (samples, sampleRate) {
+    const shelf = (() => {
+      const K = Math.tan(Math.PI * 1681.974450955533 / sampleRate)
+      const Q = 0.7071752369554196
+      const Vh = 10 ** (3.999843853973347 / 20)
+      const Vb = Vh ** 0.4996667741545416
+      const a0 = 1 + K / Q + K * K
+      return {
+        b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+        a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+      }
+    })()
+
+    const highPass = (() => {
+      const K = Math.tan(Math.PI * 38.13547087602444 / sampleRate)
+      const Q = 0.5003270373238773
+      const a0 = 1 + K / Q + K * K
+      return { b: [1, -2, 1], a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0] }
+    })()
+
+    return LoudnessNormalizer._biquad(LoudnessNormalizer._biquad(samples, shelf), highPass)
+  }
+
+  static _biquad (samples, { b, a }) {
+    const output = new Float64Array(samples.length)
+    let x1 = 0
+    let x2 = 0
+    let y1 = 0
+    let y2 = 0
+
+    for (let i = 0; i < samples.length; i++) {
+      const x = samples[i]
+      const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2
+      output[i] = y
+      x2 = x1
+      x1 = x
+      y2 = y1
+      y1 = y
+    }
+    return output
+  }
+
+  /**
+   * Per-frame true peak across channels: the largest magnitude at the frame or
+   * on the oversampled curve up to the next frame
+   */
+  static _peakEnvelope (channels) {
+    const frames = channels.length > 0 ? channels[0].length : 0
+    const envelope = new Float32Array(frames)
+    const phases = LoudnessNormalizer._interpolationFilter()
+
+    channels.forEach(samples => {
+      for (let i = 0; i < frames; i++) {
+        let peak = Math.abs(samples[i])
+
+        for (const taps of phases) {
+          let value = 0
+          for (let k = 0; k < taps.length; k++) {
+            const index = i + k - HALF_TAPS + 1
+            if (index >= 0 && index < frames) value += samples[index] * taps[k]
+          }
+          peak = Math.max(peak, Math.abs(value))
+        }
+
+        envelope[i] = Math.max(envelope[i], peak)
+      }
+    })
+    return envelope
+  }
+
+  /**
+   * Hann-windowed sinc taps for the points between two samples
+   */
+  static _interpolationFilter () {
+    if (!LoudnessNormalizer._phases) {
+      LoudnessNormalizer._phases = []
+      for (let phase = 1; phase < OVERSAMPLE; phase++) {
+        const fraction = phase / OVERSAMPLE
+        const taps = []
+        for (let k = 0; k < 2 * HALF_TAPS; k++) {
+          const distance = fraction - (k - HALF_TAPS + 1)
+          const sinc = Math.sin(Math.PI * distance) / (Math.PI * distance)
+          taps.push(sinc * 0.5 * (1 + Math.cos(Math.PI * distance / HALF_TAPS)))
+        }
+        const sum = taps.reduce((total, tap) => total + tap, 0)
+        LoudnessNormalizer._phases.push(taps.map(tap => tap / sum))
+      }
+    }
+    return LoudnessNormalizer._phases
+  }
+
+  /**
+   * Per-frame gain factor (0-1) that keeps gained peaks under the ceiling: the
+   * lowest factor needed within the lookahead, released gradually, then averaged
+   * over the lookahead so the gain ramps down before each peak instead of clicking
+   */
+  _gainReduction (envelope, gain, ceiling, sampleRate) {
+    const frames = envelope.length
+    const lookahead = Math.max(1, Math.round(this.options.lookahead * sampleRate / 1000))
+    const releaseStep = 1 / Math.max(1, Math.round(this.options.release * sampleRate / 1000))
+
+    const needed = new Float32Array(frames)
+    for (let i = 0; i < frames; i++) {
+      const peak = envelope[i] * gain
+      needed[i] = peak > ceiling ? ceiling / peak : 1
+    }
+
+    // Minimum over [i, i + lookahead) with a monotonic queue, released upwards
+    const held = new Float32Array(frames)
+    const queue = []
+    let head = 0
+    let previous = 1
+
+    for (let i = frames - 1; i >= 0; i--) {
+      while (queue.length > head && needed[queue[queue.length - 1]] >= needed[i]) queue.pop()
+      queue.push(i)
+      while (queue[head] >= i + lookahead) head++
+      held[i] = needed[queue[head]]
+    }
+    for (let i = 0; i < frames; i++) {
+      previous = Math.min(held[i], previous + releaseStep)
+      held[i] = previous
+    }
+
+    // Moving average over the lookahead never rises above the factor a peak needs;
+    // frames before the start count as the first one
+    const reduction = new Float32Array(frames)
+    let sum = frames > 0 ? held[0] * lookahead : 0
+    for (let i = 0; i < frames; i++) {
+      sum += held[i] - held[Math.max(0, i - lookahead)]
+      reduction[i] = sum / lookahead
+    }
+    return reduction
+  }
+
+  _applyGain (channels, gain, reduction) {
+    const linear = 10 ** (gain / 20)
+    return channels.map(samples => {
+      const output = new Float32Array(samples.length)
+      for (let i = 0; i < samples.length; i++) {
+        output[i] = samples[i] * linear * (reduction ? reduction[i] : 1)
+      }
+      return output
+    })
+  }
+
+  static _toDb (amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity
+  }
+}
+
+module.exports = LoudnessNormalizer
@@ -0,0 +1,397 @@
+const fs = require('fs-extra')
+
+const FORMAT_PCM = 1
+const FORMAT_FLOAT = 3
+const FORMAT_EXTENSIBLE = 0xFFFE
+
+/**
+ * WAV File - Reader and writer for RIFF/WAVE audio with the editing the
+ * pipeline needs without external tools: concatenation, silence, trimming
+ * and sample-rate conversion. Handles 8/16/24/32-bit PCM and 32-bit float;
+ * chunks other than fmt and data are not carried over when writing
+ */
+class WavFile {
+  /**
+   * @param {Object} options - channels, sampleRate, bitsPerSample, audioFormat (1 PCM, 3 float), data (sample bytes)
+   */
+  constructor (options = {}) {
+    this.channels = options.channels || 1
+    this.sampleRate = options.sampleRate || 22050
+    this.bitsPerSample = options.bitsPerSample || 16
+    this.audioFormat = options.audioFormat || FORMAT_PCM
+    this.data = options.data || Buffer.alloc(0)
+  }
+
+  /**
+   * Parse a WAV file
+   * @param {Buffer} buffer - Complete file contents
+   * @returns {WavFile}
+   */
+  static parse (buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12 ||
+        buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Not a WAV file (missing RIFF/WAVE header)')
+    }
+
+    let fmt = null
+    let data = null
+    let offset = 12
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4)
+      // Streaming writers leave placeholder sizes; never read past the end
+      const size = Math.min(buffer.readUInt32LE(offset + 4), buffer.length - offset - 8)
+      const body = buffer.subarray(offset + 8, offset + 8 + size)
+
+      if (id === 'fmt ' && !fmt) fmt = body
+      if (id === 'data' && !data) data = body
+
+      offset += 8 + size + (size % 2) // RIFF chunks are word-aligned
+    }
+
+    if (!fmt || fmt.length < 16) {
+      throw new Error('WAV file is missing its fmt chunk')
+    }
+    if (!data) {
+      throw new Error('WAV file is missing its data chunk')
+    }
+
+    let audioFormat = fmt.readUInt16LE(0)
+    if (audioFormat === FORMAT_EXTENSIBLE && fmt.length >= 26) {
+      audioFormat = fmt.readUInt16LE(24) // First two bytes of the sub-format GUID
+    }
+
+    const file = new WavFile({
+      audioFormat,
+      channels: fmt.readUInt16LE(2),
+      sampleRate: fmt.readUInt32LE(4),
+      bitsPerSample: fmt.readUInt16LE(14)
+    })
+
+    // Drop a trailing partial frame left by an interrupted writer
+    file.data = Buffer.from(data.subarray(0, data.length - (data.length % file.blockAlign)))
+    return file
+  }
+
+  /**
+   * Read and parse a WAV file from disk
+   * @param {string} filePath
+   * @returns {Promise<WavFile>}
+   */
+  static async read (filePath) {
+    try {
+      return WavFile.parse(await fs.readFile(filePath))
+    } catch (error) {
+      throw new Error(`Failed to read WAV ${filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Join files that share one sample format, end to end
+   * @param {Array<WavFile>} files - Files in playback order
+   * @returns {WavFile}
+   */
+  static concat (files) {
+    if (!files || files.length === 0) {
+      throw new Error('No WAV files to concatenate')
+    }
+
+    const [first] = files
+    files.forEach((file, index) => {
+      const mismatch = first._formatMismatch(file)
+      if (mismatch) {
+        throw new Error(`Cannot concatenate WAV file ${index + 1}: ${mismatch}`)
+      }
+    })
+
+    return first._withData(Buffer.concat(files.map(file => file.data)))
+  }
+
+  /**
+   * Silent audio in a given format
+   * @param {Object} format - A WavFile or {channels, sampleRate, bitsPerSample, audioFormat}
+   * @param {number} milliseconds - Length of the silence
+   * @returns {WavFile}
+   */
+  static silence (format, milliseconds) {
+    const file = new WavFile(format)
+    const frames = Math.round(Math.max(0, milliseconds) * file.sampleRate / 1000)
+    // Unsigned 8-bit PCM is centred on 128; everything else on zero
+    const fill = file.audioFormat === FORMAT_PCM && file.bitsPerSample === 8 ? 0x80 : 0
+    file.data = Buffer.alloc(frames * file.blockAlign, fill)
+    return file
+  }
+
+  /**
+   * Sine tone in a given format, faded in and out so it does not click
+   * @param {Object} format - A WavFile or {channels, sampleRate, bitsPerSample, audioFormat}
+   * @param {number} milliseconds - Length of the tone
+   * @param {Object} options - frequency (Hz), amplitude (0-1), fade (ms at each end)
+   * @returns {WavFile}
+   */
+  static tone (format, milliseconds, { frequency = 880, amplitude = 0.25, fade = 10 } = {}) {
+    const file = WavFile.silence(format, milliseconds)
+    const frames = file.frames
+    const fadeFrames = Math.max(1, Math.round(fade * file.sampleRate / 1000))
+    const bytesPerSample = file.blockAlign / file.channels
+
+    for (let frame = 0; frame < frames; frame++) {
+      const envelope = Math.min(1, frame / fadeFrames, (frames - 1 - frame) / fadeFrames)
+      const value = amplitude * envelope * Math.sin(2 * Math.PI * frequency * frame / file.sampleRate)
+      for (let channel = 0; channel < file.channels; channel++) {
+        file._writeSample(frame * file.blockAlign + channel * bytesPerSample, value)
+      }
+    }
+    return file
+  }
+
+  /**
+   * Bytes per frame (one sample for every channel)
+   * @returns {number}
+   */
+  get blockAlign () {
+    return this.channels * Math.ceil(this.bitsPerSample / 8)
+  }
+
+  /**
+   * Number of frames in the data
+   * @returns {number}
+   */
+  get frames () {
+    return Math.floor(this.data.length / this.blockAlign)
+  }
+
+  /**
+   * Duration in seconds
+   * @returns {number}
+   */
+  get duration () {
+    return this.sampleRate > 0 ? this.frames / this.sampleRate : 0
+  }
+
+  /**
+   * Copy with silence added before and/or after the audio
+   * @param {Object} options - before, after (milliseconds)
+   * @returns {WavFile}
+   */
+  padSilence ({ before = 0, after = 0 } = {}) {
+    return WavFile.concat([WavFile.silence(this, before), this, WavFile.silence(this, after)])
+  }
+
+  /**
+   * Copy without the quiet frames at the start and/or end
+   * @param {Object} options - threshold (0-1 of full scale), keep (ms of quiet to leave at each end),
+   *   start and end (which ends to trim, both by default)
+   * @returns {WavFile}
+   */
+  trimSilence ({ threshold = 0.01, keep = 0, start: trimStart = true, end: trimEnd = true } = {}) {
+    const frames = this.frames
+    const isLoud = (frame) => {
+      for (let channel = 0; channel < this.channels; channel++) {
+        if (Math.abs(this._readSample(frame * this.blockAlign + channel * (this.blockAlign / this.channels))) > threshold) {
+          return true
+        }
+      }
+      return false
+    }
+
+    let start = 0
+    while (start < frames && !isLoud(start)) start++
+
+    if (start === frames) {
+      return this._withData(Buffer.alloc(0))
+    }
+
+    let end = frames
+    while (end > start && !isLoud(end - 1)) end--
+
+    const keepFrames = Math.round(keep * this.sampleRate / 1000)
+    start = trimStart ? Math.max(0, start - keepFrames) : 0
+    end = trimEnd ? Math.min(frames, end + keepFrames) : frames
+
+    return this._withData(Buffer.from(this.data.subarray(start * this.blockAlign, end * this.blockAlign)))
+  }
+
+  /**
+   * Copy converted to another sample rate (linear interpolation)
+   * @param {number} sampleRate - Target rate in Hz
+   * @returns {WavFile}
+   */
+  resample (sampleRate) {
+    if (!(sampleRate > 0)) {
+      throw new Error(`Invalid sample rate: ${sampleRate}`)
+    }
+    if (sampleRate === this.sampleRate) {
+      return this._withData(Buffer.from(this.data))
+    }
+
+    const sourceFrames = this.frames
+    const targetFrames = Math.round(sourceFrames * sampleRate / this.sampleRate)
+    const bytesPerSample = this.blockAlign / this.channels
+    const output = new WavFile({ ...this._format(), sampleRate })
+    output.data = Buffer.alloc(targetFrames * this.blockAlign)
+
+    const sampleAt = (frame, channel) => this._readSample(frame * this.blockAlign + channel * bytesPerSample)
+
+    for (let frame = 0; frame < targetFrames; frame++) {
+      const position = frame * this.sampleRate / sampleRate
+      const left = Math.min(Math.floor(position), sourceFrames - 1)
+      const right = Math.min(left + 1, sourceFrames - 1)
+      const fraction = position - left
+
+      for (let channel = 0; channel < this.channels; channel++) {
+        const value = sampleAt(left, channel) * (1 - fraction) + sampleAt(right, channel) * fraction
+        output._writeSample(frame * this.blockAlign + channel * bytesPerSample, value)
+      }
+    }
+
+    return output
+  }
+
+  /**
+   * Samples split by channel and scaled to -1..1
+   * @returns {Array<Float32Array>}
+   */
+  getChannels () {
+    const frames = this.frames
+    const bytesPerSample = this.blockAlign / this.channels
+    const channels = Array.from({ length: this.channels }, () => new Float32Array(frames))
+
+    for (let frame = 0; frame < frames; frame++) {
+      for (let channel = 0; channel < this.channels; channel++) {
+        channels[channel][frame] = this._readSample(frame * this.blockAlign + channel * bytesPerSample)
+      }
+    }
+    return channels
+  }
+
+  /**
+   * Copy in the same sample format holding other samples
+   * @param {Array<Float32Array>} channels - One -1..1 array per channel, all the same length
+   * @returns {WavFile}
+   */
+  withChannels (channels) {
+    if (channels.length !== this.channels) {
+      throw new Error(`Expected ${this.channels} channels, got ${channels.length}`)
+    }
+
+    const frames = channels[0].length
+    const bytesPerSample = this.blockAlign / this.channels
+    const output = this._withData(Buffer.alloc(frames * this.blockAlign))
+
+    for (let frame = 0; frame < frames; frame++) {
+      for (let channel = 0; channel < this.channels; channel++) {
+        output._writeSample(frame * this.blockAlign + channel * bytesPerSample, channels[channel][frame])
+      }
+    }
+    return output
+  }
+
+  /**
+   * Serialize with RIFF and data sizes that match the data
+   * @returns {Buffer}
+   */
+  toBuffer () {
+    const fmt = Buffer.alloc(16)
+    fmt.writeUInt16LE(this.audioFormat, 0)
+    fmt.writeUInt16LE(this.channels, 2)
+    fmt.writeUInt32LE(this.sampleRate, 4)
+    fmt.writeUInt32LE(this.sampleRate * this.blockAlign, 8) // byte rate
+    fmt.writeUInt16LE(this.blockAlign, 12)
+    fmt.writeUInt16LE(this.bitsPerSample, 14)
+
+    const header = Buffer.alloc(12)
+    const padding = Buffer.alloc(this.data.length % 2)
+    header.write('RIFF', 0, 'ascii')
+    header.writeUInt32LE(4 + 8 + fmt.length + 8 + this.data.length + padding.length, 4)
+    header.write('WAVE', 8, 'ascii')
+
+    return Buffer.concat([header, WavFile._chunkHeader('fmt ', fmt.length), fmt, WavFile._chunkHeader('data', this.data.length), this.data, padding])
+  }
+
+  /**
+   * Write the file to disk
+   * @param {string} filePath
+   */
+  async write (filePath) {
+    try {
+      await fs.writeFile(filePath, this.toBuffer())
+    } catch (error) {
+      throw new Error(`Failed to write WAV ${filePath}: ${error.message}`)
+    }
+  }
+
+  // Private methods
+
+  static _chunkHeader (id, size) {
+    const header = Buffer.alloc(8)
+    header.write(id, 0, 'ascii')
+    header.writeUInt32LE(size, 4)
+    return header
+  }
+
+  _format () {
+    return {
+      channels: this.channels,
+      sampleRate: this.sampleRate,
+      bitsPerSample: this.bitsPerSample,
+      audioFormat: this.audioFormat
+    }
+  }
+
+  _withData (data) {
+    return new WavFile({ ...this._format(), data })
+  }
+
+  _formatMismatch (other) {
+    const fields = ['audioFormat', 'channels', 'sampleRate', 'bitsPerSample']
+    const field = fields.find(name => this[name] !== other[name])
+    return field ? `${field} ${other[field]} does not match ${this[field]}` : null
+  }
+
+  /**
+   * Sample at a byte offset, scaled to -1..1
+   */
+  _readSample (offset) {
+    if (this.audioFormat === FORMAT_FLOAT && this.bitsPerSample === 32) {
+      return this.data.readFloatLE(offset)
+    }
+    if (this.audioFormat !== FORMAT_PCM) {
+      throw new Error(`Unsupported WAV sample format: ${this.audioFormat}`)
+    }
+
+    switch (this.bitsPerSample) {
+      case 8: return (this.data.readUInt8(offset) - 128) / 128
+      case 16: return this.data.readInt16LE(offset) / 32768
+      case 24: return this.data.readIntLE(offset, 3) / 8388608
+      case 32: return this.data.readInt32LE(offset) / 2147483648
+      default: throw new Error(`Unsupported WAV bit depth: ${this.bitsPerSample}`)
+    }
+  }
+
+  /**
+   * Store a -1..1 sample at a byte offset, clipping out-of-range values
+   */
+  _writeSample (offset, value) {
+    const sample = Math.max(-1, Math.min(1, value))
+
+    if (this.audioFormat === FORMAT_FLOAT && this.bitsPerSample === 32) {
+      this.data.writeFloatLE(sample, offset)
+      return
+    }
+
+    const scale = (max) => Math.max(-max, Math.min(max - 1, Math.round(sample * max)))
+    switch (this.bitsPerSample) {
+      case 8: this.data.writeUInt8(scale(128) + 128, offset); break
+      case 16: this.data.writeInt16LE(scale(32768), offset); break
+      case 24: this.data.writeIntLE(scale(8388608), offset, 3); break
+      case 32: this.data.writeInt32LE(scale(2147483648), offset); break
+      default: throw new Error(`Unsupported WAV bit depth: ${this.bitsPerSample}`)
+    }
+  }
+}
+
+WavFile.FORMAT_PCM = FORMAT_PCM
+WavFile.FORMAT_FLOAT = FORMAT_FLOAT
+
+module.exports = WavFile
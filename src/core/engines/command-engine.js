@@ -0,0 +1,54 @@
+const TTSEngine = require('./tts-engine')
+
+/**
+ * Custom command engine - Any command-line synthesizer described by a template
+ * Arguments may use {output}, {text}, {voice} and {rate}; without {text} the
+ * text is written to the command's stdin
+ */
+class CommandEngine extends TTSEngine {
+  constructor (options = {}) {
+    super(options)
+
+    if (!options.command) {
+      throw new Error('Custom TTS engine requires a command')
+    }
+
+    this.command = options.command
+    this.args = options.args || ['{output}']
+    this.name = options.name || 'command'
+    this.displayName = options.displayName || this.command
+    this.formats = options.formats || ['wav']
+    this.markup = options.markup || 'text' // 'ssml' for synthesizers that read SSML
+    this.voices = options.voices || [] // Names or {name, language, gender, quality} objects
+  }
+
+  async detect () {
+    return this._commandExists(this.command)
+  }
+
+  async listVoices () {
+    return this.voices.map(voice => typeof voice === 'string'
+      ? this._voice(voice)
+      : this._voice(voice.name, voice))
+  }
+
+  async synthesize (text, outputPath, options = {}) {
+    const values = {
+      output: outputPath,
+      text,
+      voice: options.voice || 'default',
+      rate: String(options.rate || 200)
+    }
+    const args = this.args.map(arg => arg.replace(/\{(output|text|voice|rate)\}/g, (match, key) => values[key]))
+    const usesTextArgument = this.args.some(arg => arg.includes('{text}'))
+
+    await this._runChecked(this.command, args, {
+      input: usesTextArgument ? undefined : text,
+      timeout: options.timeout,
+      signal: options.signal
+    })
+    return { audioPath: outputPath }
+  }
+}
+
+module.exports = CommandEngine
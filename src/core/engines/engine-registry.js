@@ -0,0 +1,125 @@
+const TTSEngine = require('./tts-engine')
+const SayEngine = require('./say-engine')
+const SapiEngine = require('./sapi-engine')
+const EspeakEngine = require('./espeak-engine')
+const FestivalEngine = require('./festival-engine')
+const PicoEngine = require('./pico-engine')
+const CommandEngine = require('./command-engine')
+
+// Engines tried in order when the user does not pick one
+const DEFAULT_PREFERENCES = {
+  darwin: ['say'],
+  win32: ['sapi'],
+  linux: ['espeak', 'espeak-ng', 'festival', 'pico2wave']
+}
+
+/**
+ * Engine Registry - Named TTS engines with ordered fallback selection
+ */
+class EngineRegistry {
+  constructor (options = {}) {
+    this.options = {
+      platform: options.platform || process.platform,
+      ...options
+    }
+    this.engines = new Map()
+  }
+
+  /**
+   * Create a registry with the built-in engines (and a custom command engine when configured)
+   * @param {Object} options - platform, timeout, customCommand ({command, args, ...})
+   * @returns {EngineRegistry}
+   */
+  static createDefault (options = {}) {
+    const registry = new EngineRegistry(options)
+    const engineOptions = { timeout: options.timeout }
+
+    registry.register(new SayEngine(engineOptions))
+    registry.register(new SapiEngine(engineOptions))
+    registry.register(new EspeakEngine({ ...engineOptions, command: 'espeak' }))
+    registry.register(new EspeakEngine({ ...engineOptions, command: 'espeak-ng' }))
+    registry.register(new FestivalEngine(engineOptions))
+    registry.register(new PicoEngine(engineOptions))
+
+    if (options.customCommand) {
+      registry.register(new CommandEngine({ ...engineOptions, ...options.customCommand }))
+    }
+
+    return registry
+  }
+
+  /**
+   * Add or replace an engine
+   * Engines must extend TTSEngine so voice matching, formats, markup and
+   * platform checks always have the base class defaults to fall back on
+   * @param {TTSEngine} engine - Engine instance with name/detect/listVoices/synthesize
+   */
+  register (engine) {
+    if (!(engine instanceof TTSEngine) || !engine.name || typeof engine.synthesize !== 'function') {
+      throw new Error('TTS engines must extend TTSEngine and have a name and a synthesize() method')
+    }
+    this.engines.set(engine.name, engine)
+  }
+
+  /**
+   * Look up an engine by name
+   * @param {string} name
+   * @returns {TTSEngine|null}
+   */
+  get (name) {
+    return this.engines.get(name) || null
+  }
+
+  /**
+   * Names of all registered engines
+   * @returns {Array<string>}
+   */
+  list () {
+    return Array.from(this.engines.keys())
+  }
+
+  /**
+   * Ordered engine names to try: the requested engine, then the preference list
+   * @param {Object} options - engine (preferred name), preference (ordered names)
+   * @returns {Array<string>}
+   */
+  candidates ({ engine, preference } = {}) {
+    const fallback = preference || DEFAULT_PREFERENCES[this.options.platform] || []
+    const custom = this.engines.has('command') && !fallback.includes('command') ? ['command'] : []
+    return [...new Set([engine, ...fallback, ...custom].filter(Boolean))]
+  }
+
+  /**
+   * Detect and return the first available engine
+   * @param {Object} options - engine (preferred name), preference (ordered names)
+   * @returns {Promise<TTSEngine>}
+   */
+  async select (options = {}) {
+    const names = this.candidates(options)
+    const tried = []
+
+    for (const name of names) {
+      const engine = this.get(name)
+      if (!engine) {
+        if (name === options.engine) {
+          throw new Error(`Unknown TTS engine: ${name} (available: ${this.list().join(', ')})`)
+        }
+        continue
+      }
+
+      tried.push(name)
+      if (engine.supportsPlatform(this.options.platform) && await engine.detect()) {
+        return engine
+      }
+    }
+
+    if (tried.length === 0) {
+      throw new Error(`Unsupported platform: ${this.options.platform}`)
+    }
+    throw new Error(`No TTS engine available (tried ${tried.join(', ')})`)
+  }
+}
+
+EngineRegistry.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES
+
+module.exports = EngineRegistry
@@ -0,0 +1,89 @@
+const TTSEngine = require('./tts-engine')
+
+/**
+ * eSpeak engine - espeak and its maintained fork espeak-ng share a command line
+ */
+class EspeakEngine extends TTSEngine {
+  constructor (options = {}) {
+    super(options)
+    this.command = options.command || 'espeak'
+    this.name = this.command
+    this.displayName = this.command
+    this.formats = ['wav']
+    this.markup = 'ssml'
+  }
+
+  async detect () {
+    return this._probe(this.command, ['--version'])
+  }
+
+  async listVoices () {
+    const { stdout } = await this._runChecked(this.command, ['--voices'], { timeout: 10000 })
+    return this._parseVoices(stdout)
+  }
+
+  /**
+   * eSpeak's -v accepts a voice name, a language code or a voice file
+   */
+  matchesVoice (voice, requested) {
+    const wanted = String(requested).toLowerCase()
+    return [voice.name, voice.language, voice.file]
+      .some(value => value && value.toLowerCase() === wanted)
+  }
+
+  /**
+   * Display names ("Spanish_(Spain)") are not what -v expects; the language code is
+   */
+  voiceId (voice) {
+    return voice.language || voice.file || voice.name
+  }
+
+  async synthesize (text, outputPath, options = {}) {
+    const args = [
+      '-w', outputPath, // output to wav file
+      '-s', String(options.rate || 200) // speed in words per minute
+    ]
+
+    if (options.voice && options.voice !== 'default') {
+      args.push('-v', options.voice)
+    }
+
+    if (options.markup === 'ssml') {
+      args.push('-m') // Interpret SSML tags instead of reading them out
+    }
+
+    // Read the text from stdin so long chunks never hit argv length limits
+    args.push('--stdin')
+
+    await this._runChecked(this.command, args, { input: text, timeout: options.timeout, signal: options.signal })
+    return { audioPath: outputPath }
+  }
+
+  // Private methods
+
+  /**
+   * Parse the `--voices` table: "Pty Language Age/Gender VoiceName File Other Languages"
+   */
+  _parseVoices (output) {
+    const voices = []
+
+    for (const line of output.split('\n').slice(1)) {
+      const [, language, ageGender, name, file] = line.trim().split(/\s+/)
+      if (!name) continue
+
+      const gender = (ageGender || '').split('/')[1]
+      voices.push({
+        ...this._voice(name, {
+          language,
+          gender: gender === 'M' ? 'male' : gender === 'F' ? 'female' : null,
+          quality: 'low' // Formant synthesis
+        }),
+        file
+      })
+    }
+
+    return voices
+  }
+}
+
+module.exports = EspeakEngine
@@ -0,0 +1,73 @@
+const TTSEngine = require('./tts-engine')
+
+// Voices from the festival distribution; others are described from their name
+const KNOWN_VOICES = {
+  kal_diphone: { language: 'en-US', gender: 'male' },
+  ked_diphone: { language: 'en-US', gender: 'male' },
+  rab_diphone: { language: 'en-GB', gender: 'male' },
+  don_diphone: { language: 'en-GB', gender: 'male' },
+  el_diphone: { language: 'es-ES', gender: 'male' },
+  cmu_us_slt_arctic_hts: { language: 'en-US', gender: 'female' },
+  cmu_us_clb_arctic_clunits: { language: 'en-US', gender: 'female' },
+  cmu_us_bdl_arctic_hts: { language: 'en-US', gender: 'male' },
+  cmu_us_rms_arctic_clunits: { language: 'en-US', gender: 'male' },
+  cmu_us_awb_arctic_clunits: { language: 'en-GB', gender: 'male' }
+}
+
+/**
+ * Festival engine - Synthesizes through festival's text2wave script
+ */
+class FestivalEngine extends TTSEngine {
+  constructor (options = {}) {
+    super(options)
+    this.name = 'festival'
+    this.displayName = 'festival'
+    this.formats = ['wav']
+  }
+
+  async detect () {
+    // Synthesis goes through text2wave, which some packages ship separately
+    return await this._probe('festival', ['--version']) && this._commandExists('text2wave')
+  }
+
+  async listVoices () {
+    const { stdout } = await this._runChecked('festival', ['-b', '(print (voice.list))'], { timeout: 10000 })
+    return this._parseVoices(stdout)
+  }
+
+  async synthesize (text, outputPath, options = {}) {
+    const args = ['-o', outputPath]
+
+    // Festival speaks at about 200 wpm; a larger stretch is slower
+    const stretch = (200 / (options.rate || 200)).toFixed(2)
+    args.push('-eval', `(Parameter.set 'Duration_Stretch ${stretch})`)
+
+    if (options.voice && options.voice !== 'default') {
+      args.push('-eval', `(voice_${options.voice})`)
+    }
+
+    // text2wave reads the text from stdin
+    await this._runChecked('text2wave', args, { input: text, timeout: options.timeout, signal: options.signal })
+    return { audioPath: outputPath }
+  }
+
+  // Private methods
+
+  /**
+   * Parse the printed Scheme list, e.g. "(kal_diphone cmu_us_slt_arctic_hts)"
+   */
+  _parseVoices (output) {
+    const names = output.replace(/[()]/g, ' ').split(/\s+/).filter(Boolean)
+
+    return names.map(name => {
+      const known = KNOWN_VOICES[name] || {}
+      return this._voice(name, {
+        language: known.language || (/_us_/.test(name) ? 'en-US' : /_uk_/.test(name) ? 'en-GB' : null),
+        gender: known.gender || null,
+        quality: /_diphone$/.test(name) ? 'low' : 'standard' // Unit selection and HTS voices sound far better
+      })
+    })
+  }
+}
+
+module.exports = FestivalEngine
@@ -0,0 +1,40 @@
+const TTSEngine = require('./tts-engine')
+
+const PICO_LANGUAGES = ['en-US', 'en-GB', 'de-DE', 'es-ES', 'fr-FR', 'it-IT']
+
+/**
+ * SVOX Pico engine - Small offline synthesizer (pico2wave); voices are languages
+ */
+class PicoEngine extends TTSEngine {
+  constructor (options = {}) {
+    super(options)
+    this.name = 'pico2wave'
+    this.displayName = 'SVOX Pico'
+    this.formats = ['wav']
+  }
+
+  async detect () {
+    return this._commandExists('pico2wave')
+  }
+
+  async listVoices () {
+    // Pico ships one female voice per language, selected with --lang
+    return PICO_LANGUAGES.map(language => this._voice(language, { language, gender: 'female' }))
+  }
+
+  async synthesize (text, outputPath, options = {}) {
+    // pico2wave has no rate control and insists on a .wav output name
+    const args = [`--wave=${outputPath}`]
+
+    if (options.voice && options.voice !== 'default') {
+      args.push(`--lang=${options.voice}`)
+    }
+
+    args.push(text)
+
+    await this._runChecked('pico2wave', args, { timeout: options.timeout, signal: options.signal })
+    return { audioPath: outputPath }
+  }
+}
+
+module.exports = PicoEngine
@@ -0,0 +1,85 @@
+const TTSEngine = require('./tts-engine')
+
+/**
+ * Windows SAPI engine - System.Speech through PowerShell
+ */
+class SapiEngine extends TTSEngine {
+  constructor (options = {}) {
+    super(options)
+    this.name = 'sapi'
+    this.displayName = 'Windows SAPI'
+    this.formats = ['wav']
+    this.markup = 'ssml'
+    this.platforms = ['win32']
+  }
+
+  async detect () {
+    return this._probe('powershell', ['-Command', 'Add-Type -AssemblyName System.Speech; exit 0'])
+  }
+
+  async listVoices () {
+    const script = `
+      Add-Type -AssemblyName System.Speech
+      $synth = New-Object System.Speech.Synthesis.SpeechSynthesizer
+      $synth.GetInstalledVoices() | Where-Object { $_.Enabled } | ForEach-Object {
+        $info = $_.VoiceInfo
+        "$($info.Name)|$($info.Culture.Name)|$($info.Gender)"
+      }
+      $synth.Dispose()
+    `
+
+    const { stdout } = await this._runChecked('powershell', ['-Command', script], { timeout: 10000 })
+    return this._parseVoices(stdout)
+  }
+
+  async synthesize (text, outputPath, options = {}) {
+    const voice = options.voice && options.voice !== 'default'
+      ? `$synth.SelectVoice(${this._literal(options.voice)})`
+      : ''
+
+    // The text arrives on stdin; only the short script goes on the command line
+    const script = `
+      [Console]::InputEncoding = [System.Text.Encoding]::UTF8
+      $text = [Console]::In.ReadToEnd()
+      Add-Type -AssemblyName System.Speech
+      $synth = New-Object System.Speech.Synthesis.SpeechSynthesizer
+      $synth.Rate = ${this._sapiRate(options.rate || 200)} # Convert to SAPI rate (-10 to 10)
+      ${voice}
+      $synth.SetOutputToWaveFile(${this._literal(outputPath)})
+      $synth.${options.markup === 'ssml' ? 'SpeakSsml' : 'Speak'}($text)
+      $synth.Dispose()
+    `
+
+    await this._runChecked('powershell', ['-NoProfile', '-Command', script], { input: text, timeout: options.timeout, signal: options.signal })
+    return { audioPath: outputPath }
+  }
+
+  // Private methods
+
+  /**
+   * Parse "Name|Culture|Gender" lines written by the voice listing script
+   */
+  _parseVoices (output) {
+    return output.split(/\r?\n/)
+      .map(line => line.trim().split('|'))
+      .filter(([name]) => name)
+      .map(([name, culture, gender]) => this._voice(name, {
+        language: culture || null,
+        gender: ['Male', 'Female', 'Neutral'].includes(gender) ? gender.toLowerCase() : null
+      }))
+  }
+
+  /**
+   * Single-quoted PowerShell string, which expands neither $(...) nor backticks;
+   * PowerShell also closes one on typographic single quotes, so those are doubled too
+   */
+  _literal (value) {
+    return `'${String(value).replace(/['\u2018\u2019\u201A\u201B]/g, '$&$&')}'`
+  }
+
+  _sapiRate (wordsPerMinute) {
+    return Math.max(-10, Math.min(10, Math.round((wordsPerMinute - 200) / 20)))
+  }
+}
+
+module.exports = SapiEngine
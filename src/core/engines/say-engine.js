@@ -0,0 +1,62 @@
+const TTSEngine = require('./tts-engine')
+
+/**
+ * macOS say engine - Built-in speech synthesis on macOS
+ */
+class SayEngine extends TTSEngine {
+  constructor (options = {}) {
+    super(options)
+    this.name = 'say'
+    this.displayName = 'macOS say'
+    this.formats = ['aiff', 'm4a']
+    this.markup = 'say' // [[slnc]], [[emph]] and [[char]] embedded commands
+    this.platforms = ['darwin']
+  }
+
+  async detect () {
+    // say returns 0 even with an empty string
+    return this._probe('say', [''])
+  }
+
+  async listVoices () {
+    const { stdout } = await this._runChecked('say', ['-v', '?'], { timeout: 10000 })
+    return this._parseVoices(stdout)
+  }
+
+  async synthesize (text, outputPath, options = {}) {
+    const args = ['-o', outputPath, '-r', String(options.rate || 200)]
+
+    if (options.voice && options.voice !== 'default') {
+      args.push('-v', options.voice)
+    }
+
+    args.push(text)
+
+    await this._runChecked('say', args, { timeout: options.timeout, signal: options.signal })
+    return { audioPath: outputPath }
+  }
+
+  // Private methods
+
+  /**
+   * Parse `say -v '?'` lines such as "Ava (Premium)    en_US    # Hello! My name is Ava."
+   */
+  _parseVoices (output) {
+    const voices = []
+
+    for (const line of output.split('\n')) {
+      const match = line.match(/^(.+?)\s+([a-z]{2,3}[_-][A-Za-z0-9]+)\s+#/)
+      if (!match) continue
+
+      const name = match[1].trim()
+      voices.push(this._voice(name, {
+        language: match[2].replace('_', '-'),
+        quality: /\(Premium\)/i.test(name) ? 'premium' : /\(Enhanced\)/i.test(name) ? 'enhanced' : 'standard'
+      }))
+    }
+
+    return voices
+  }
+}
+
+module.exports = SayEngine
@@ -0,0 +1,124 @@
+const ProcessRunner = require('../process-runner')
+
+/**
+ * TTS Engine - Base class for text-to-speech engine modules
+ * An engine knows how to detect itself, list its voices and synthesize text
+ * to an audio file. Subclasses set name/displayName/formats and override the
+ * three public methods
+ */
+class TTSEngine {
+  constructor (options = {}) {
+    this.options = {
+      timeout: options.timeout || 30000, // Per-process timeout in ms
+      ...options
+    }
+    this.name = 'engine' // Registry key, used in options and config
+    this.displayName = 'TTS engine' // Human-readable name for status output
+    this.formats = ['wav'] // Audio formats the engine writes natively
+    this.markup = 'text' // Input synthesize() understands: 'ssml', 'say' (embedded commands) or 'text'
+    this.platforms = null // null = any platform
+  }
+
+  /**
+   * Check whether the engine can run on this machine
+   * @returns {Promise<boolean>}
+   */
+  async detect () {
+    return false
+  }
+
+  /**
+   * List voices the engine offers
+   * quality is 'low' (formant/diphone), 'standard', 'enhanced' or 'premium';
+   * language and gender are null when the engine does not say
+   * @returns {Promise<Array<{name: string, language: string|null, gender: string|null, quality: string}>>}
+   */
+  async listVoices () {
+    return []
+  }
+
+  /**
+   * Whether a requested voice name refers to a listed voice
+   * @param {Object} voice - Entry from listVoices()
+   * @param {string} requested - Voice name from options
+   * @returns {boolean}
+   */
+  matchesVoice (voice, requested) {
+    return voice.name.toLowerCase() === String(requested).toLowerCase()
+  }
+
+  /**
+   * Value to pass as the voice option to select a listed voice
+   * @param {Object} voice - Entry from listVoices()
+   * @returns {string}
+   */
+  voiceId (voice) {
+    return voice.name
+  }
+
+  /**
+   * Synthesize text to an audio file
+   * @param {string} text - Text to speak
+   * @param {string} outputPath - Audio file to write
+   * @param {Object} options - voice, rate (words per minute), timeout, markup ('ssml' when text is an SSML document),
+   *   signal (AbortSignal that kills the synthesis process)
+   * @returns {Promise<{audioPath: string}>}
+   */
+  async synthesize (text, outputPath, options = {}) {
+    throw new Error(`${this.displayName} does not implement synthesis`)
+  }
+
+  /**
+   * Whether the engine is usable on a platform
+   * @param {string} platform - process.platform value
+   * @returns {boolean}
+   */
+  supportsPlatform (platform) {
+    return !this.platforms || this.platforms.includes(platform)
+  }
+
+  // Private methods
+
+  /**
+   * Build a voice entry with every field present
+   */
+  _voice (name, { language = null, gender = null, quality = 'standard' } = {}) {
+    return { name, language, gender, quality }
+  }
+
+  /**
+   * Run a command with the engine's timeout; see ProcessRunner.run
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  _run (command, args, options = {}) {
+    return ProcessRunner.run(command, args, { ...options, timeout: options.timeout || this.options.timeout })
+  }
+
+  /**
+   * Run a command and fail unless it exits with code 0
+   */
+  async _runChecked (command, args, options) {
+    return ProcessRunner.check(command, await this._run(command, args, options))
+  }
+
+  /**
+   * Run a probe command and report whether it exited cleanly
+   */
+  async _probe (command, args) {
+    try {
+      const result = await this._run(command, args, { timeout: 10000 })
+      return result.code === 0
+    } catch (error) {
+      return false
+    }
+  }
+
+  /**
+   * Look a command up on PATH without running it
+   */
+  _commandExists (command) {
+    return ProcessRunner.commandExists(command)
+  }
+}
+
+module.exports = TTSEngine
@@ -0,0 +1,167 @@
+const ZipReader = require('./zip-reader')
+const HtmlExtractor = require('./html-extractor')
+
+// Run-level elements whose text must not be read aloud
+const IGNORED_RUN_TAGS = new Set(['w:instrtext', 'w:deltext', 'w:del', 'w:fldchar', 'w:footnotereference', 'w:commentreference'])
+
+/**
+ * DOCX Extractor - Offline text extraction from Word documents
+ * Reads paragraphs in document order and maps Heading/Title styles to heading blocks
+ */
+class DocxExtractor {
+  constructor (options = {}) {
+    this.options = {
+      ...options
+    }
+    // The lenient HTML parser handles WordprocessingML well enough for text extraction
+    this.xmlParser = new HtmlExtractor()
+  }
+
+  /**
+   * Extract text, structure and metadata from a DOCX file
+   * @param {Buffer} buffer - DOCX file contents
+   * @returns {{text: string, blocks: Array, metadata: Object}}
+   */
+  extract (buffer) {
+    const zip = new ZipReader(buffer)
+
+    if (!zip.has('word/document.xml')) {
+      throw new Error('Not a Word document (word/document.xml missing)')
+    }
+
+    const styleNames = this._readStyleNames(zip)
+    const document = this.xmlParser.parse(zip.readText('word/document.xml'))
+    const body = this.xmlParser.findAll(document, node => node.tag === 'w:body')[0] || document
+
+    const blocks = []
+    for (const paragraph of this.xmlParser.findAll(body, node => node.tag === 'w:p')) {
+      const text = this._paragraphText(paragraph).replace(/\s+/g, ' ').trim()
+      if (!text) {
+        continue
+      }
+
+      const level = this._headingLevel(paragraph, styleNames)
+      blocks.push(level ? { type: 'heading', level, text } : { type: 'paragraph', text })
+    }
+
+    return {
+      text: blocks.map(block => block.text).join('\n\n'),
+      blocks,
+      metadata: this._readMetadata(zip)
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Map style ids to their display names (ids are localised in non-English Word)
+   */
+  _readStyleNames (zip) {
+    const names = new Map()
+    if (!zip.has('word/styles.xml')) {
+      return names
+    }
+
+    const styles = this.xmlParser.parse(zip.readText('word/styles.xml'))
+    for (const style of this.xmlParser.findAll(styles, node => node.tag === 'w:style' && node.attrs['w:styleid'])) {
+      const nameElement = style.children.find(child => child.tag === 'w:name')
+      if (nameElement && nameElement.attrs['w:val']) {
+        names.set(style.attrs['w:styleid'], nameElement.attrs['w:val'].toLowerCase())
+      }
+    }
+
+    return names
+  }
+
+  /**
+   * Concatenate run text of a paragraph, excluding nested paragraphs (text boxes)
+   */
+  _paragraphText (paragraph) {
+    let text = ''
+
+    const walk = (node) => {
+      for (const child of node.children || []) {
+        if (child.tag === '#text') {
+          if (node.tag === 'w:t') {
+            text += child.text
+          }
+          continue
+        }
+
+        if (child.tag === 'w:p' || IGNORED_RUN_TAGS.has(child.tag)) continue
+
+        if (child.tag === 'w:tab' || child.tag === 'w:br' || child.tag === 'w:cr') {
+          text += ' '
+        } else if (child.tag === 'w:nobreakhyphen') {
+          text += '-'
+        } else {
+          walk(child)
+        }
+      }
+    }
+
+    walk(paragraph)
+    return text
+  }
+
+  /**
+   * Determine heading level from paragraph style or outline level
+   */
+  _headingLevel (paragraph, styleNames) {
+    const properties = paragraph.children.find(child => child.tag === 'w:ppr')
+    if (!properties) {
+      return null
+    }
+
+    const styleElement = properties.children.find(child => child.tag === 'w:pstyle')
+    if (styleElement && styleElement.attrs['w:val']) {
+      const styleId = styleElement.attrs['w:val']
+      const styleName = styleNames.get(styleId) || styleId.toLowerCase()
+
+      if (styleName === 'title') return 1
+      if (styleName === 'subtitle') return 2
+
+      const headingMatch = /^heading\s*([1-9])$/.exec(styleName)
+      if (headingMatch) {
+        return Math.min(parseInt(headingMatch[1], 10), 6)
+      }
+    }
+
+    const outline = properties.children.find(child => child.tag === 'w:outlinelvl')
+    if (outline && /^\d$/.test(outline.attrs['w:val'] || '')) {
+      return Math.min(parseInt(outline.attrs['w:val'], 10) + 1, 6)
+    }
+
+    return null
+  }
+
+  /**
+   * Read core document properties (title, author, created date)
+   */
+  _readMetadata (zip) {
+    const metadata = {}
+    if (!zip.has('docProps/core.xml')) {
+      return metadata
+    }
+
+    const core = this.xmlParser.parse(zip.readText('docProps/core.xml'))
+    const value = (tag) => {
+      const element = this.xmlParser.findAll(core, node => node.tag === tag)[0]
+      return element ? this.xmlParser.textContent(element) : ''
+    }
+
+    const title = value('dc:title')
+    const creator = value('dc:creator')
+    const created = value('dcterms:created')
+    const language = value('dc:language')
+
+    if (title) metadata.title = title
+    if (creator) metadata.byline = creator
+    if (created) metadata.publishedDate = created
+    if (language) metadata.language = language
+
+    return metadata
+  }
+}
+
+module.exports = DocxExtractor
@@ -0,0 +1,204 @@
+const path = require('path')
+
+const ZipReader = require('./zip-reader')
+const HtmlExtractor = require('./html-extractor')
+
+/**
+ * EPUB Extractor - Offline text extraction from EPUB 2/3 publications
+ * Reads chapters in spine order and uses the table of contents for chapter titles
+ */
+class EpubExtractor {
+  constructor (options = {}) {
+    this.options = {
+      includeNonLinear: options.includeNonLinear || false, // Skip auxiliary spine items by default
+      ...options
+    }
+    this.htmlExtractor = new HtmlExtractor(this.options.html)
+  }
+
+  /**
+   * Extract text, structure and metadata from an EPUB file
+   * @param {Buffer} buffer - EPUB file contents
+   * @returns {{text: string, blocks: Array, chapters: Array<{title: string, href: string, blockIndex: number}>, metadata: Object}}
+   */
+  extract (buffer) {
+    const zip = new ZipReader(buffer)
+    const packagePath = this._findPackagePath(zip)
+    const packageDocument = this.htmlExtractor.parse(zip.readText(packagePath))
+    const baseDir = path.posix.dirname(packagePath)
+
+    const manifest = this._readManifest(packageDocument, baseDir)
+    const spine = this._readSpine(packageDocument, manifest)
+    const tocTitles = this._readTableOfContents(zip, packageDocument, manifest)
+    const metadata = this._readMetadata(packageDocument)
+
+    const blocks = []
+    const chapters = []
+
+    for (const item of spine) {
+      if (!zip.has(item.path)) {
+        continue
+      }
+
+      const document = this.htmlExtractor.parse(zip.readText(item.path))
+      const body = this.htmlExtractor.findAll(document, node => node.tag === 'body')[0] || document
+      const chapterBlocks = this.htmlExtractor.collectBlocks(body)
+
+      if (chapterBlocks.length === 0) {
+        continue // Cover images, blank pages
+      }
+
+      const firstHeading = chapterBlocks[0].type === 'heading' ? chapterBlocks[0].text : null
+      const title = tocTitles.get(item.path) || firstHeading
+
+      // Make every chapter start with a heading so the boundary survives into the text
+      if (title && !firstHeading) {
+        chapterBlocks.unshift({ type: 'heading', level: 1, text: title })
+      }
+
+      chapters.push({
+        title: title || `Chapter ${chapters.length + 1}`,
+        href: item.path,
+        blockIndex: blocks.length
+      })
+      blocks.push(...chapterBlocks)
+    }
+
+    return {
+      text: blocks.map(block => block.text).join('\n\n'),
+      blocks,
+      chapters,
+      metadata
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Read META-INF/container.xml to find the OPF package document
+   */
+  _findPackagePath (zip) {
+    if (!zip.has('META-INF/container.xml')) {
+      throw new Error('Not an EPUB file (META-INF/container.xml missing)')
+    }
+
+    const container = this.htmlExtractor.parse(zip.readText('META-INF/container.xml'))
+    const rootfile = this.htmlExtractor.findAll(container, node => node.tag === 'rootfile' && node.attrs['full-path'])[0]
+
+    if (!rootfile) {
+      throw new Error('EPUB container does not reference a package document')
+    }
+
+    return rootfile.attrs['full-path']
+  }
+
+  /**
+   * Map manifest ids to archive paths
+   */
+  _readManifest (packageDocument, baseDir) {
+    const manifest = new Map()
+
+    for (const item of this.htmlExtractor.findAll(packageDocument, node => node.tag === 'item' && node.attrs.id)) {
+      manifest.set(item.attrs.id, {
+        path: this._resolveHref(baseDir, item.attrs.href || ''),
+        mediaType: item.attrs['media-type'] || '',
+        properties: (item.attrs.properties || '').split(/\s+/)
+      })
+    }
+
+    return manifest
+  }
+
+  /**
+   * Resolve spine itemrefs to manifest entries in reading order
+   */
+  _readSpine (packageDocument, manifest) {
+    return this.htmlExtractor.findAll(packageDocument, node => node.tag === 'itemref')
+      .filter(itemref => this.options.includeNonLinear || itemref.attrs.linear !== 'no')
+      .map(itemref => manifest.get(itemref.attrs.idref))
+      .filter(item => item && /html|xml/.test(item.mediaType))
+  }
+
+  /**
+   * Build a map of chapter path -> title from the EPUB 3 nav document or EPUB 2 NCX
+   */
+  _readTableOfContents (zip, packageDocument, manifest) {
+    const titles = new Map()
+    const addTitle = (baseDir, href, title) => {
+      const target = this._resolveHref(baseDir, href)
+      if (title && !titles.has(target)) {
+        titles.set(target, title)
+      }
+    }
+
+    const navItem = Array.from(manifest.values()).find(item => item.properties.includes('nav'))
+    if (navItem && zip.has(navItem.path)) {
+      const navDocument = this.htmlExtractor.parse(zip.readText(navItem.path))
+      const tocNav = this.htmlExtractor.findAll(navDocument, node => node.tag === 'nav' && /\btoc\b/.test(node.attrs['epub:type'] || node.attrs.role || ''))[0]
+      const baseDir = path.posix.dirname(navItem.path)
+
+      for (const link of this.htmlExtractor.findAll(tocNav || navDocument, node => node.tag === 'a' && node.attrs.href)) {
+        addTitle(baseDir, link.attrs.href, this.htmlExtractor.textContent(link))
+      }
+    }
+
+    const spineElement = this.htmlExtractor.findAll(packageDocument, node => node.tag === 'spine')[0]
+    const ncxItem = spineElement && manifest.get(spineElement.attrs.toc)
+    if (ncxItem && zip.has(ncxItem.path)) {
+      const ncxDocument = this.htmlExtractor.parse(zip.readText(ncxItem.path))
+      const baseDir = path.posix.dirname(ncxItem.path)
+
+      for (const navPoint of this.htmlExtractor.findAll(ncxDocument, node => node.tag === 'navpoint')) {
+        const label = this.htmlExtractor.findAll(navPoint, node => node.tag === 'navlabel')[0]
+        const content = navPoint.children.find(child => child.tag === 'content')
+        if (label && content && content.attrs.src) {
+          addTitle(baseDir, content.attrs.src, this.htmlExtractor.textContent(label))
+        }
+      }
+    }
+
+    return titles
+  }
+
+  /**
+   * Read Dublin Core metadata from the package document
+   */
+  _readMetadata (packageDocument) {
+    const dcValue = (name) => {
+      const element = this.htmlExtractor.findAll(packageDocument, node => node.tag === `dc:${name}`)[0]
+      const value = element ? this.htmlExtractor.textContent(element) : ''
+      return value || null
+    }
+
+    const metadata = {}
+    const title = dcValue('title')
+    const creator = dcValue('creator')
+    const date = dcValue('date')
+    const language = dcValue('language')
+    const publisher = dcValue('publisher')
+
+    if (title) metadata.title = title
+    if (creator) metadata.byline = creator
+    if (date) metadata.publishedDate = date
+    if (language) metadata.language = language
+    if (publisher) metadata.siteName = publisher
+
+    return metadata
+  }
+
+  /**
+   * Resolve a (possibly URL-encoded, fragment-bearing) href against a directory in the archive
+   */
+  _resolveHref (baseDir, href) {
+    const withoutFragment = href.split('#')[0]
+    let decoded = withoutFragment
+    try {
+      decoded = decodeURIComponent(withoutFragment)
+    } catch (error) {
+      // Keep the raw href if it is not valid percent-encoding
+    }
+    return path.posix.normalize(path.posix.join(baseDir, decoded))
+  }
+}
+
+module.exports = EpubExtractor
@@ -0,0 +1,242 @@
+/**
+ * Front Matter Parser - YAML front matter for Markdown articles
+ * Understands the YAML subset used by clipping tools (scalars, lists, nested
+ * maps, block scalars) without an external YAML dependency
+ */
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/
+
+class FrontMatterParser {
+  /**
+   * Split front matter from document content
+   * @param {string} text - Full document text
+   * @returns {{data: Object, content: string, hasFrontMatter: boolean}}
+   */
+  parse (text) {
+    if (!text || typeof text !== 'string') {
+      return { data: {}, content: text || '', hasFrontMatter: false }
+    }
+
+    const match = FRONT_MATTER_PATTERN.exec(text)
+    if (!match) {
+      return { data: {}, content: text, hasFrontMatter: false }
+    }
+
+    return {
+      data: this.parseYaml(match[1] || ''),
+      content: text.slice(match[0].length),
+      hasFrontMatter: true
+    }
+  }
+
+  /**
+   * Parse a YAML mapping document
+   * @param {string} source - YAML source
+   * @returns {Object} Parsed mapping (empty object when the document is not a mapping)
+   */
+  parseYaml (source) {
+    const lines = source
+      .split(/\r?\n/)
+      .map(raw => ({ indent: raw.match(/^ */)[0].length, text: raw.trim() }))
+      .filter(line => line.text.length > 0 && !line.text.startsWith('#'))
+
+    if (lines.length === 0) {
+      return {}
+    }
+
+    const [value] = this._parseNode(lines, 0, lines[0].indent)
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {}
+  }
+
+  // Private methods
+
+  /**
+   * Parse a list or mapping starting at the given line
+   */
+  _parseNode (lines, index, indent) {
+    if (this._isListItem(lines[index].text)) {
+      return this._parseList(lines, index, indent)
+    }
+    return this._parseMap(lines, index, indent)
+  }
+
+  /**
+   * Parse "key: value" lines at one indentation level
+   */
+  _parseMap (lines, index, indent) {
+    const result = {}
+
+    while (index < lines.length && lines[index].indent === indent && !this._isListItem(lines[index].text)) {
+      const match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(lines[index].text)
+      index++
+
+      if (!match) {
+        continue // Not a key/value line - skip rather than fail the whole article
+      }
+
+      const key = this._parseScalar(match[1])
+      const rest = (match[2] || '').trim()
+
+      if (/^[|>][+-]?$/.test(rest)) {
+        const blockLines = []
+        while (index < lines.length && lines[index].indent > indent) {
+          blockLines.push(lines[index].text)
+          index++
+        }
+        result[key] = blockLines.join(rest[0] === '|' ? '\n' : ' ')
+      } else if (rest === '' || rest.startsWith('#')) {
+        const next = lines[index]
+        const nested = next && (next.indent > indent || (next.indent === indent && this._isListItem(next.text)))
+        if (nested) {
+          const [value, nextIndex] = this._parseNode(lines, index, next.indent)
+          result[key] = value
+          index = nextIndex
+        } else {
+          result[key] = null
+        }
+      } else {
+        result[key] = this._parseScalar(rest)
+      }
+    }
+
+    return [result, index]
+  }
+
+  /**
+   * Parse "- item" lines at one indentation level
+   */
+  _parseList (lines, index, indent) {
+    const items = []
+
+    while (index < lines.length && lines[index].indent === indent && this._isListItem(lines[index].text)) {
+      const rest = lines[index].text.slice(1).trim()
+
+      if (rest === '') {
+        index++
+        const next = lines[index]
+        if (next && next.indent > indent) {
+          const [value, nextIndex] = this._parseNode(lines, index, next.indent)
+          items.push(value)
+          index = nextIndex
+        } else {
+          items.push(null)
+        }
+      } else if (/^[^"'[{][^:]*:(\s|$)/.test(rest)) {
+        // "- key: value" starts a mapping whose remaining keys sit two columns in
+        lines[index] = { indent: indent + 2, text: rest }
+        const [value, nextIndex] = this._parseMap(lines, index, indent + 2)
+        items.push(value)
+        index = nextIndex
+      } else {
+        items.push(this._parseScalar(rest))
+        index++
+      }
+    }
+
+    return [items, index]
+  }
+
+  _isListItem (text) {
+    return text === '-' || text.startsWith('- ')
+  }
+
+  /**
+   * Convert a scalar or flow collection to a JavaScript value
+   */
+  _parseScalar (raw) {
+    let value = raw.trim()
+
+    if (value.startsWith('"')) {
+      const end = this._closingQuote(value, '"')
+      const quoted = value.slice(0, end + 1)
+      try {
+        return JSON.parse(quoted)
+      } catch (error) {
+        return quoted.slice(1, -1)
+      }
+    }
+
+    if (value.startsWith("'")) {
+      const end = this._closingQuote(value, "'")
+      return value.slice(1, end).replace(/''/g, "'")
+    }
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+      const inner = value.slice(1, -1).trim()
+      return inner ? this._splitFlow(inner).map(item => this._parseScalar(item)) : []
+    }
+
+    if (value.startsWith('{') && value.endsWith('}')) {
+      const mapping = {}
+      for (const pair of this._splitFlow(value.slice(1, -1))) {
+        const separator = pair.indexOf(':')
+        if (separator > 0) {
+          mapping[this._parseScalar(pair.slice(0, separator))] = this._parseScalar(pair.slice(separator + 1))
+        }
+      }
+      return mapping
+    }
+
+    value = value.replace(/\s+#.*$/, '') // Trailing comment
+
+    if (value === '' || value === '~' || value === 'null') return null
+    if (value === 'true') return true
+    if (value === 'false') return false
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value)
+
+    return value
+  }
+
+  /**
+   * Index of the quote closing a quoted scalar ('' escapes in single quotes, \" in double)
+   */
+  _closingQuote (value, quote) {
+    for (let i = 1; i < value.length; i++) {
+      if (quote === '"' && value[i] === '\\') {
+        i++
+      } else if (value[i] === quote) {
+        if (quote === "'" && value[i + 1] === "'") {
+          i++
+        } else {
+          return i
+        }
+      }
+    }
+    return value.length
+  }
+
+  /**
+   * Split a flow collection body on top-level commas
+   */
+  _splitFlow (source) {
+    const parts = []
+    let depth = 0
+    let quote = null
+    let current = ''
+
+    for (const char of source) {
+      if (quote) {
+        if (char === quote) quote = null
+      } else if (char === '"' || char === "'") {
+        quote = char
+      } else if (char === '[' || char === '{') {
+        depth++
+      } else if (char === ']' || char === '}') {
+        depth--
+      } else if (char === ',' && depth === 0) {
+        parts.push(current)
+        current = ''
+        continue
+      }
+      current += char
+    }
+
+    if (current.trim()) {
+      parts.push(current)
+    }
+
+    return parts.map(part => part.trim())
+  }
+}
+
+module.exports = FrontMatterParser
@@ -0,0 +1,525 @@
+/**
+ * HTML Extractor - Article body and metadata extraction from saved web pages
+ * Parses "Save Page As" HTML without external dependencies, locates the main
+ * article content, drops page chrome (navigation, ads, scripts, footers) and
+ * returns structured blocks suitable for TTS preprocessing
+ */
+
+// Elements that never contain readable article text
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+  'embed', 'video', 'audio', 'picture', 'img', 'form', 'input', 'button', 'select',
+  'textarea', 'nav', 'aside', 'footer', 'figure', 'head'
+])
+
+// Elements whose contents are raw text (no nested markup parsing)
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'template', 'noscript'])
+
+// Elements without closing tags
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'param', 'source', 'track', 'wbr'
+])
+
+// Elements that start a new block of text when encountered
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt', 'figcaption',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre',
+  'section', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+])
+
+// Line breaks inside a block; read as a space so a sentence is not split mid-way
+const LINE_BREAK_TAGS = new Set(['br'])
+
+// Opening one of these implicitly closes an open <p>
+const CLOSES_PARAGRAPH = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'ul'
+])
+
+// class/id fragments that mark page chrome rather than article content
+const BOILERPLATE_PATTERN = /(^|[\s_-])(ad|ads|advert|advertisement|banner|breadcrumbs?|comments?|cookie|footer|masthead|menu|modal|newsletter|outbrain|paywall|popup|promo|related|share|sharing|sidebar|social|sponsored|subscribe|taboola|tags|toolbar|widget)([\s_-]|$)/i
+const BYLINE_PATTERN = /(^|[\s_-])(byline|author|dateline|contributor)([\s_-]|$)/i
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  deg: '°',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  sect: '§',
+  para: '¶',
+  times: '×',
+  divide: '÷',
+  frac12: '½',
+  frac14: '¼',
+  frac34: '¾',
+  aacute: 'á',
+  eacute: 'é',
+  iacute: 'í',
+  oacute: 'ó',
+  uacute: 'ú',
+  agrave: 'à',
+  egrave: 'è',
+  auml: 'ä',
+  ouml: 'ö',
+  uuml: 'ü',
+  Auml: 'Ä',
+  Ouml: 'Ö',
+  Uuml: 'Ü',
+  szlig: 'ß',
+  ntilde: 'ñ',
+  Ntilde: 'Ñ',
+  ccedil: 'ç'
+}
+
+class HtmlExtractor {
+  constructor (options = {}) {
+    this.options = {
+      minParagraphLength: options.minParagraphLength || 20, // chars for a <p> to count towards content scoring
+      removeBylineFromText: options.removeBylineFromText !== false, // Byline goes to metadata instead
+      ...options
+    }
+  }
+
+  /**
+   * Extract article content and metadata from an HTML document
+   * @param {string} html - Raw HTML source
+   * @returns {{text: string, blocks: Array<{type: string, text: string, level?: number}>, metadata: Object}}
+   */
+  extract (html) {
+    if (!html || typeof html !== 'string') {
+      return { text: '', blocks: [], metadata: {} }
+    }
+
+    const document = this.parse(html)
+    const metadata = this._extractMetadata(document)
+    const root = this._findContentRoot(document)
+    const blocks = this.collectBlocks(root)
+
+    // Fall back to the page title when the body has no heading of its own
+    if (metadata.title && !blocks.some(block => block.type === 'heading')) {
+      blocks.unshift({ type: 'heading', level: 1, text: metadata.title })
+    }
+
+    return {
+      text: blocks.map(block => block.text).join('\n\n'),
+      blocks,
+      metadata
+    }
+  }
+
+  /**
+   * Parse HTML into a lightweight element tree
+   * @param {string} html - Raw HTML source
+   * @returns {Object} Root node with children
+   */
+  parse (html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null }
+    const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<\/?([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g
+    let current = root
+    let lastIndex = 0
+    let match
+
+    const appendText = (text) => {
+      if (text) {
+        current.children.push({ tag: '#text', text: this.decodeEntities(text), parent: current })
+      }
+    }
+
+    while ((match = tokenPattern.exec(html)) !== null) {
+      appendText(html.slice(lastIndex, match.index))
+      lastIndex = tokenPattern.lastIndex
+
+      const tagName = match[1] && match[1].toLowerCase()
+      if (!tagName) {
+        continue // Comment, doctype, CDATA or processing instruction
+      }
+
+      if (match[0].startsWith('</')) {
+        current = this._closeElement(current, tagName)
+        continue
+      }
+
+      if (CLOSES_PARAGRAPH.has(tagName)) {
+        current = this._closeImplicit(current, 'p')
+      }
+      if (tagName === 'li') {
+        current = this._closeImplicit(current, 'li', ['ul', 'ol'])
+      }
+
+      const element = {
+        tag: tagName,
+        attrs: this._parseAttributes(match[2] || ''),
+        children: [],
+        parent: current
+      }
+      current.children.push(element)
+
+      const selfClosing = /\/\s*$/.test(match[2] || '')
+      if (VOID_TAGS.has(tagName) || selfClosing) {
+        continue
+      }
+
+      if (RAW_TEXT_TAGS.has(tagName)) {
+        // Consume everything up to the matching closing tag verbatim
+        const closePattern = new RegExp(`</${tagName}\\s*>`, 'ig')
+        closePattern.lastIndex = lastIndex
+        const closeMatch = closePattern.exec(html)
+        const end = closeMatch ? closeMatch.index : html.length
+        const rawText = html.slice(lastIndex, end)
+        if (rawText) {
+          element.children.push({ tag: '#text', text: tagName === 'title' ? this.decodeEntities(rawText) : rawText, parent: element })
+        }
+        lastIndex = closeMatch ? closePattern.lastIndex : html.length
+        tokenPattern.lastIndex = lastIndex
+        continue
+      }
+
+      current = element
+    }
+
+    appendText(html.slice(lastIndex))
+    return root
+  }
+
+  /**
+   * Decode HTML character references
+   * @param {string} text - Text containing entities
+   * @returns {string} Decoded text
+   */
+  decodeEntities (text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1] === 'x' || code[1] === 'X'
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10)
+        try {
+          return String.fromCodePoint(value)
+        } catch (error) {
+          return entity
+        }
+      }
+      return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, code) ? NAMED_ENTITIES[code] : entity
+    })
+  }
+
+  /**
+   * Depth-first search for all elements matching a predicate
+   * @param {Object} node - Node to search below
+   * @param {Function} predicate - Test applied to each element
+   * @returns {Array<Object>} Matching elements in document order
+   */
+  findAll (node, predicate, results = []) {
+    for (const child of node.children || []) {
+      if (child.tag === '#text') continue
+      if (predicate(child)) {
+        results.push(child)
+      }
+      this.findAll(child, predicate, results)
+    }
+    return results
+  }
+
+  /**
+   * Concatenated text content of a node, whitespace-collapsed
+   * @param {Object} node - Element or text node
+   * @returns {string}
+   */
+  textContent (node) {
+    if (node.tag === '#text') {
+      return node.text
+    }
+    if (SKIPPED_TAGS.has(node.tag)) {
+      return ''
+    }
+    return (node.children || [])
+      .map(child => BLOCK_TAGS.has(child.tag) || LINE_BREAK_TAGS.has(child.tag) ? ` ${this.textContent(child)} ` : this.textContent(child))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim()
+  }
+
+  /**
+   * Walk a content root and emit heading/paragraph blocks
+   * @param {Object} root - Element holding the article content
+   * @returns {Array<{type: string, text: string, level?: number}>}
+   */
+  collectBlocks (root) {
+    const blocks = []
+    let buffer = ''
+
+    const flush = (type = 'paragraph', level) => {
+      const text = buffer.replace(/\s+/g, ' ').trim()
+      buffer = ''
+      if (!text) return
+      const block = { type, text }
+      if (level) block.level = level
+      blocks.push(block)
+    }
+
+    const walk = (node) => {
+      for (const child of node.children || []) {
+        if (child.tag === '#text') {
+          buffer += child.text
+          continue
+        }
+
+        if (LINE_BREAK_TAGS.has(child.tag)) {
+          buffer += ' '
+          continue
+        }
+
+        if (this._isBoilerplate(child)) continue
+        if (this.options.removeBylineFromText && this._isByline(child) && !/^h[1-6]$/.test(child.tag)) continue
+
+        const headingMatch = /^h([1-6])$/.exec(child.tag)
+        if (headingMatch) {
+          flush()
+          buffer = this.textContent(child)
+          flush('heading', parseInt(headingMatch[1], 10))
+          continue
+        }
+
+        if (BLOCK_TAGS.has(child.tag)) {
+          flush()
+          walk(child)
+          flush()
+        } else {
+          walk(child)
+        }
+      }
+    }
+
+    walk(root)
+    flush()
+
+    return blocks
+  }
+
+  // Private methods
+
+  /**
+   * Close the nearest open element with the given tag name
+   */
+  _closeElement (current, tagName) {
+    let node = current
+    while (node && node.tag !== '#root') {
+      if (node.tag === tagName) {
+        return node.parent
+      }
+      node = node.parent
+    }
+    return current // Stray closing tag - ignore it
+  }
+
+  /**
+   * Close an open element implied to end by a following sibling (e.g. <p> before <div>)
+   */
+  _closeImplicit (current, tagName, boundaries = []) {
+    let node = current
+    while (node && node.tag !== '#root' && !boundaries.includes(node.tag)) {
+      if (node.tag === tagName) {
+        return node.parent
+      }
+      node = node.parent
+    }
+    return current
+  }
+
+  /**
+   * Parse a tag's attribute string into an object
+   */
+  _parseAttributes (source) {
+    const attrs = {}
+    const attrPattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g
+    let match
+
+    while ((match = attrPattern.exec(source)) !== null) {
+      const value = match[2] ?? match[3] ?? match[4] ?? ''
+      attrs[match[1].toLowerCase()] = this.decodeEntities(value)
+    }
+
+    return attrs
+  }
+
+  /**
+   * Whether an element is page chrome based on its tag, role, class or id
+   */
+  _isBoilerplate (node) {
+    if (SKIPPED_TAGS.has(node.tag)) {
+      return true
+    }
+
+    // Page-level containers often carry theme classes like "has-sidebar"
+    if (node.tag === 'html' || node.tag === 'body') {
+      return false
+    }
+
+    const role = (node.attrs.role || '').toLowerCase()
+    if (['navigation', 'banner', 'contentinfo', 'complementary', 'search'].includes(role)) {
+      return true
+    }
+
+    if (node.attrs.hidden !== undefined || node.attrs['aria-hidden'] === 'true') {
+      return true
+    }
+
+    const identity = `${node.attrs.class || ''} ${node.attrs.id || ''}`
+    return BOILERPLATE_PATTERN.test(identity)
+  }
+
+  /**
+   * Whether an element carries the article byline or dateline
+   */
+  _isByline (node) {
+    if (node.attrs.rel === 'author' || node.attrs.itemprop === 'author') {
+      return true
+    }
+    return BYLINE_PATTERN.test(`${node.attrs.class || ''} ${node.attrs.id || ''}`)
+  }
+
+  /**
+   * Extract title, byline and publish date from meta tags and markup
+   */
+  _extractMetadata (document) {
+    const metaContent = (...keys) => {
+      const meta = this.findAll(document, node => node.tag === 'meta' &&
+        keys.includes((node.attrs.property || node.attrs.name || node.attrs.itemprop || '').toLowerCase()))
+      const found = meta.find(node => node.attrs.content && node.attrs.content.trim())
+      return found ? found.attrs.content.trim() : null
+    }
+
+    const titleElement = this.findAll(document, node => node.tag === 'title')[0]
+    const title = metaContent('og:title', 'twitter:title', 'headline') ||
+      (titleElement ? this.textContent(titleElement) : null)
+
+    let byline = metaContent('author', 'article:author', 'byl', 'parsely-author', 'sailthru.author', 'dc.creator')
+    if (!byline || /^https?:\/\//.test(byline)) {
+      const bylineElement = this.findAll(document, node => !this._isBoilerplate(node) && this._isByline(node))
+        .find(node => this.textContent(node).length > 0 && this.textContent(node).length < 200)
+      byline = bylineElement ? this.textContent(bylineElement) : null
+    }
+    if (byline) {
+      byline = byline.replace(/^by\s+/i, '').trim()
+    }
+
+    let publishedDate = metaContent('article:published_time', 'datepublished', 'date', 'pubdate', 'publishdate',
+      'dc.date', 'dc.date.issued', 'sailthru.date', 'parsely-pub-date')
+    if (!publishedDate) {
+      const timeElement = this.findAll(document, node => node.tag === 'time' && (node.attrs.datetime || node.attrs.pubdate !== undefined))[0]
+      if (timeElement) {
+        publishedDate = timeElement.attrs.datetime || this.textContent(timeElement) || null
+      }
+    }
+
+    const metadata = {}
+    if (title) metadata.title = this._cleanTitle(title, metaContent('og:site_name', 'application-name'))
+    if (byline) metadata.byline = byline
+    if (publishedDate) metadata.publishedDate = publishedDate
+
+    const siteName = metaContent('og:site_name', 'application-name')
+    if (siteName) metadata.siteName = siteName
+
+    return metadata
+  }
+
+  /**
+   * Strip a trailing " | Site Name" suffix from a page title
+   */
+  _cleanTitle (title, siteName) {
+    const cleaned = title.replace(/\s+/g, ' ').trim()
+    if (siteName) {
+      const suffix = new RegExp(`\\s*[|–—-]\\s*${siteName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, 'i')
+      return cleaned.replace(suffix, '') || cleaned
+    }
+    return cleaned
+  }
+
+  /**
+   * Locate the element holding the main article body
+   */
+  _findContentRoot (document) {
+    const paragraphTextLength = (node) => this.findAll(node, child => child.tag === 'p' && !this._hasBoilerplateAncestor(child, node))
+      .reduce((sum, p) => sum + this.textContent(p).length, 0)
+
+    // Prefer explicit semantic markup when present
+    const semanticCandidates = this.findAll(document, node =>
+      node.tag === 'article' ||
+      node.tag === 'main' ||
+      node.attrs.role === 'main' ||
+      node.attrs.itemprop === 'articleBody'
+    ).filter(node => !this._isBoilerplate(node))
+
+    if (semanticCandidates.length > 0) {
+      const best = semanticCandidates
+        .map(node => ({ node, score: paragraphTextLength(node) }))
+        .sort((a, b) => b.score - a.score)[0]
+      if (best.score > 0) {
+        return best.node
+      }
+    }
+
+    // Otherwise score containers by the paragraph text they directly hold
+    const scores = new Map()
+    const paragraphs = this.findAll(document, node => node.tag === 'p' && !this._hasBoilerplateAncestor(node))
+
+    for (const paragraph of paragraphs) {
+      const length = this.textContent(paragraph).length
+      if (length < this.options.minParagraphLength) continue
+
+      const parent = paragraph.parent
+      const grandparent = parent && parent.parent
+      if (parent) scores.set(parent, (scores.get(parent) || 0) + length)
+      if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2)
+    }
+
+    let bestNode = null
+    let bestScore = 0
+    for (const [node, score] of scores) {
+      if (score > bestScore) {
+        bestNode = node
+        bestScore = score
+      }
+    }
+
+    return bestNode || this.findAll(document, node => node.tag === 'body')[0] || document
+  }
+
+  /**
+   * Whether any ancestor (below an optional stop node) is boilerplate
+   */
+  _hasBoilerplateAncestor (node, stopAt = null) {
+    let current = node.parent
+    while (current && current !== stopAt && current.tag !== '#root') {
+      if (this._isBoilerplate(current)) {
+        return true
+      }
+      current = current.parent
+    }
+    return false
+  }
+}
+
+module.exports = HtmlExtractor
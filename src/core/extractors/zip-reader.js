@@ -0,0 +1,178 @@
+const zlib = require('zlib')
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50
+const LOCAL_FILE_HEADER = 0x04034b50
+
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+
+// Largest entry inflated into memory; chapters and document.xml are far smaller
+const MAX_ENTRY_SIZE = 256 * 1024 * 1024
+
+/**
+ * Zip Reader - Minimal offline reader for zip-based document formats
+ * Supports stored and deflated entries, which covers EPUB and DOCX files
+ */
+class ZipReader {
+  /**
+   * @param {Buffer} buffer - Complete zip archive contents
+   * @param {Object} options - maxEntrySize (bytes an entry may declare or inflate to)
+   */
+  constructor (buffer, options = {}) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new Error('Zip archive must be a Buffer')
+    }
+
+    this.options = {
+      maxEntrySize: options.maxEntrySize || MAX_ENTRY_SIZE,
+      ...options
+    }
+    this.buffer = buffer
+    this.entries = this._readCentralDirectory()
+  }
+
+  /**
+   * List entry names in archive order
+   * @returns {Array<string>}
+   */
+  list () {
+    return Array.from(this.entries.keys())
+  }
+
+  /**
+   * Check whether the archive contains an entry
+   * @param {string} name - Entry path inside the archive
+   * @returns {boolean}
+   */
+  has (name) {
+    return this.entries.has(name)
+  }
+
+  /**
+   * Read and decompress an entry
+   * @param {string} name - Entry path inside the archive
+   * @returns {Buffer} Uncompressed entry data
+   */
+  read (name) {
+    const entry = this.entries.get(name)
+    if (!entry) {
+      throw new Error(`Entry not found in archive: ${name}`)
+    }
+
+    if (entry.flags & 0x1) {
+      throw new Error(`Encrypted archive entries are not supported: ${name}`)
+    }
+
+    if (entry.uncompressedSize > this.options.maxEntrySize) {
+      throw new Error(`Archive entry too large: ${name} (${entry.uncompressedSize} bytes, limit ${this.options.maxEntrySize})`)
+    }
+
+    const header = entry.localHeaderOffset
+    if (this.buffer.readUInt32LE(header) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt local header for entry: ${name}`)
+    }
+
+    const nameLength = this.buffer.readUInt16LE(header + 26)
+    const extraLength = this.buffer.readUInt16LE(header + 28)
+    const dataStart = header + 30 + nameLength + extraLength
+    const compressed = this.buffer.subarray(dataStart, dataStart + entry.compressedSize)
+
+    switch (entry.method) {
+      case METHOD_STORED:
+        return Buffer.from(compressed)
+      case METHOD_DEFLATE:
+        return this._inflate(compressed, entry)
+      default:
+        throw new Error(`Unsupported compression method ${entry.method} for entry: ${name}`)
+    }
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   * @param {string} name - Entry path inside the archive
+   * @returns {string}
+   */
+  readText (name) {
+    return this.read(name).toString('utf8').replace(/^\uFEFF/, '')
+  }
+
+  // Private methods
+
+  /**
+   * Inflate no more than the size the central directory declares, so a
+   * crafted entry cannot expand without bound
+   */
+  _inflate (compressed, entry) {
+    if (entry.uncompressedSize === 0) {
+      return Buffer.alloc(0)
+    }
+
+    try {
+      return zlib.inflateRawSync(compressed, { maxOutputLength: entry.uncompressedSize })
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`Archive entry inflates beyond its declared size: ${entry.name}`)
+      }
+      throw new Error(`Failed to inflate archive entry ${entry.name}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Locate and parse the central directory
+   */
+  _readCentralDirectory () {
+    const eocdOffset = this._findEndOfCentralDirectory()
+    const entryCount = this.buffer.readUInt16LE(eocdOffset + 10)
+    const directoryOffset = this.buffer.readUInt32LE(eocdOffset + 16)
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('Zip64 archives are not supported')
+    }
+
+    const entries = new Map()
+    let offset = directoryOffset
+
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + 46 > this.buffer.length || this.buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error('Corrupt zip central directory')
+      }
+
+      const flags = this.buffer.readUInt16LE(offset + 8)
+      const nameLength = this.buffer.readUInt16LE(offset + 28)
+      const extraLength = this.buffer.readUInt16LE(offset + 30)
+      const commentLength = this.buffer.readUInt16LE(offset + 32)
+      const name = this.buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength)
+
+      entries.set(name, {
+        name,
+        flags,
+        method: this.buffer.readUInt16LE(offset + 10),
+        compressedSize: this.buffer.readUInt32LE(offset + 20),
+        uncompressedSize: this.buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: this.buffer.readUInt32LE(offset + 42)
+      })
+
+      offset += 46 + nameLength + extraLength + commentLength
+    }
+
+    return entries
+  }
+
+  /**
+   * Scan backwards for the end-of-central-directory record (it may be followed by a comment)
+   */
+  _findEndOfCentralDirectory () {
+    const minOffset = Math.max(0, this.buffer.length - 22 - 0xffff)
+
+    for (let offset = this.buffer.length - 22; offset >= minOffset; offset--) {
+      if (this.buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+        return offset
+      }
+    }
+
+    throw new Error('Not a zip archive (end of central directory not found)')
+  }
+}
+
+module.exports = ZipReader
@@ -1,6 +1,18 @@
 const fs = require('fs-extra')
 const path = require('path')
 
+const HtmlExtractor = require('./extractors/html-extractor')
+const EpubExtractor = require('./extractors/epub-extractor')
+const DocxExtractor = require('./extractors/docx-extractor')
+const FrontMatterParser = require('./extractors/front-matter')
+const LanguageDetector = require('./text/language-detector')
+const MarkdownSpeechTransformer = require('./text/markdown-speech')
+const SpeechDocument = require('./text/speech-document')
+
+const HTML_EXTENSIONS = ['.html', '.htm']
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown']
+const ARCHIVE_EXTENSIONS = ['.epub', '.docx'] // Zip-based formats read as binary
+
 /**
  * File Processor - Text file processing and content extraction
  * Handles discovery, reading, and preprocessing of text files for TTS conversion
@@ -8,15 +20,26 @@ const path = require('path')
 class FileProcessor {
   constructor (options = {}) {
     this.options = {
-      supportedExtensions: options.supportedExtensions || ['.txt', '.md'],
+      supportedExtensions: options.supportedExtensions || ['.txt', '.md', '.markdown', '.html', '.htm', '.epub', '.docx'],
       maxFileSize: options.maxFileSize || 1024 * 1024, // 1MB default
+      maxArchiveSize: options.maxArchiveSize || 50 * 1024 * 1024, // 50MB default for EPUB/DOCX (embedded images)
       encoding: options.encoding || 'utf8',
       recursive: options.recursive !== false, // default to true
+      // Language of every article instead of detecting it (front matter still wins); null to detect
+      language: options.language || null,
+      detectLanguage: options.detectLanguage !== false,
       ...options
     }
     this.processed = []
     this.errors = []
     this.initialized = false
+    this.htmlExtractor = new HtmlExtractor(this.options.html)
+    this.epubExtractor = new EpubExtractor(this.options.epub)
+    this.docxExtractor = new DocxExtractor(this.options.docx)
+    this.frontMatterParser = new FrontMatterParser()
+    // Bold, italics and block quotes reach the TTS layer as speech markers (see text/speech-document.js)
+    this.markdownTransformer = new MarkdownSpeechTransformer({ markEmphasis: true, markQuotes: true, ...this.options.markdown })
+    this.languageDetector = new LanguageDetector(this.options.languageDetection)
   }
 
   /**
@@ -117,13 +140,23 @@ class FileProcessor {
 
     try {
       const fileInfo = this._extractFileInfo(filePath, stats)
+
+      if (ARCHIVE_EXTENSIONS.includes(fileInfo.extension.toLowerCase())) {
+        const archive = await this._readArchiveContent(filePath)
+        return {
+          ...fileInfo,
+          ...this._extractArchive(archive, fileInfo.extension),
+          success: true
+        }
+      }
+
       const rawContent = await this._readFileContent(filePath)
-      const cleanedText = this._preprocessText(rawContent)
+      const extracted = this._extractContent(rawContent, fileInfo.extension)
 
       return {
         ...fileInfo,
         rawContent,
-        cleanedText,
+        ...extracted,
         success: true
       }
     } catch (error) {
@@ -262,56 +295,168 @@ class FileProcessor {
     }
   }
 
+  /**
+   * Read a zip-based document as binary
+   */
+  async _readArchiveContent (filePath) {
+    const stats = await fs.stat(filePath)
+
+    if (stats.size > this.options.maxArchiveSize) {
+      throw new Error(`File too large: ${stats.size} bytes (max: ${this.options.maxArchiveSize})`)
+    }
+
+    try {
+      return await fs.readFile(filePath)
+    } catch (error) {
+      throw new Error(`Failed to read file: ${error.message}`)
+    }
+  }
+
+  /**
+   * Turn raw file content into TTS-ready text based on the file type
+   * @returns {{cleanedText: string, metadata: Object, blocks: Array, sections: Array}}
+   */
+  _extractContent (rawContent, extension) {
+    if (HTML_EXTENSIONS.includes(extension.toLowerCase())) {
+      const { blocks, metadata } = this.htmlExtractor.extract(rawContent)
+      return this._buildStructuredResult(blocks, metadata)
+    }
+
+    if (MARKDOWN_EXTENSIONS.includes(extension.toLowerCase())) {
+      const { data, content } = this.frontMatterParser.parse(rawContent)
+      const metadata = this._normalizeFrontMatter(data)
+      return this._buildStructuredResult(this.markdownTransformer.parse(content), metadata, null, metadata.language)
+    }
+
+    // Plain text is read with Markdown block rules (blank lines separate paragraphs)
+    return this._buildStructuredResult(this.markdownTransformer.parse(rawContent), {})
+  }
+
+  /**
+   * Map front matter onto the metadata fields other extractors produce
+   * Original keys are kept; author/date are also exposed as byline/publishedDate
+   */
+  _normalizeFrontMatter (data) {
+    const metadata = { ...data }
+
+    if (metadata.title !== undefined && metadata.title !== null) {
+      metadata.title = String(metadata.title)
+    }
+
+    if (typeof metadata.tags === 'string') {
+      metadata.tags = metadata.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    }
+
+    if (metadata.author && !metadata.byline) {
+      metadata.byline = Array.isArray(metadata.author) ? metadata.author.join(', ') : String(metadata.author)
+    }
+
+    if (metadata.date && !metadata.publishedDate) {
+      metadata.publishedDate = String(metadata.date)
+    }
+
+    if (metadata.lang && !metadata.language) {
+      metadata.language = String(metadata.lang)
+    }
+
+    return metadata
+  }
+
+  /**
+   * Extract text from an EPUB or DOCX archive
+   * rawContent is the plain text in reading order, since the archive itself is binary
+   * @returns {{rawContent: string, cleanedText: string, metadata: Object, blocks: Array, sections: Array}}
+   */
+  _extractArchive (buffer, extension) {
+    const extractor = extension.toLowerCase() === '.epub' ? this.epubExtractor : this.docxExtractor
+    const { text, blocks, chapters, metadata } = extractor.extract(buffer)
+
+    return {
+      rawContent: text,
+      ...this._buildStructuredResult(blocks, metadata, chapters)
+    }
+  }
+
+  /**
+   * Clean structured blocks and derive section boundaries
+   * Sections are EPUB chapters when available, otherwise the document headings
+   * @param {string} [declaredLanguage] - Language the author gave (front matter), used instead of detection
+   */
+  _buildStructuredResult (blocks, metadata, chapters = null, declaredLanguage = null) {
+    const cleanedBlocks = blocks.map(block => ({ ...block, text: this._finishBlockText(block) }))
+
+    // Blocks are joined with blank lines so paragraph and heading breaks reach the TTS layer
+    const cleanedText = cleanedBlocks
+      .map(block => block.text)
+      .filter(text => text.length > 0)
+      .join('\n\n')
+
+    const sections = chapters || cleanedBlocks
+      .map((block, blockIndex) => ({ block, blockIndex }))
+      .filter(({ block }) => block.type === 'heading')
+      .map(({ block, blockIndex }) => ({ title: SpeechDocument.strip(block.text).replace(/\.$/, ''), level: block.level, blockIndex }))
+
+    return { cleanedText, metadata, blocks: cleanedBlocks, sections, language: this._articleLanguage(cleanedText, metadata, declaredLanguage) }
+  }
+
+  /**
+   * Language an article is read in: the author's, else the configured one, else the detected
+   * dominant language, else the one the document format declares (EPUB/DOCX dc:language)
+   * @returns {string|null} BCP 47 tag
+   */
+  _articleLanguage (text, metadata, declaredLanguage) {
+    if (declaredLanguage) {
+      return String(declaredLanguage)
+    }
+    if (this.options.language) {
+      return this.options.language
+    }
+
+    const detected = this.options.detectLanguage ? this.languageDetector.detect(text) : null
+    return detected ? detected.language : (metadata.language || null)
+  }
+
   /**
    * Clean and preprocess text for TTS
+   * Markdown structure is turned into speakable text with blank lines between blocks
    */
   _preprocessText (rawText) {
     if (!rawText || typeof rawText !== 'string') {
       return ''
     }
 
-    let cleaned = rawText
-      // Remove or replace markdown formatting
-      .replace(/#{1,6}\s+/g, '') // Remove markdown headers
-      .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold formatting
-      .replace(/\*(.*?)\*/g, '$1') // Remove italic formatting
-      .replace(/`(.*?)`/g, '$1') // Remove inline code formatting
-      .replace(/```[\s\S]*?```/g, '') // Remove code blocks
-      .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1') // Convert links to just text
-
-      // Clean up whitespace and line breaks
-      .replace(/\r\n/g, '\n') // Normalize line endings
-      .replace(/\n{3,}/g, '\n\n') // Reduce multiple line breaks
-      .replace(/\s+/g, ' ') // Normalize whitespace
+    return this._buildStructuredResult(this.markdownTransformer.parse(rawText), {}).cleanedText
+  }
 
-      // Remove or replace special characters that cause TTS issues
-      .replace(/["""'']/g, '"') // Normalize quotes
+  /**
+   * Normalize characters and sentence endings of a single block
+   */
+  _finishBlockText (block) {
+    const cleaned = (block.text || '')
+      // Replace special characters that cause TTS issues
+      .replace(/[“”„‟″]/g, '"') // Normalize double quotes
+      .replace(/[‘’‚‛′]/g, "'") // Normalize single quotes and apostrophes
       .replace(/[–—]/g, '-') // Normalize dashes
       .replace(/…/g, '...') // Replace ellipsis
-
-      // Clean up sentence structure for better TTS flow
-      .replace(/\.\s*\n/g, '. ') // Join sentences split across lines
-      .replace(/([.!?])\s*([a-z])/g, '$1 $2') // Ensure space after punctuation
-
+      .replace(/\s+/g, ' ')
       .trim()
 
-    // Remove empty lines and ensure proper sentence endings
-    cleaned = cleaned
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .join(' ')
-      .replace(/\s+/g, ' ')
+    if (!cleaned || /[.!?:;]["')\]]*$/.test(SpeechDocument.strip(cleaned))) {
+      return cleaned
+    }
+
+    // Headings always end in a full stop so engines pause before the body
+    if (block.type === 'heading') {
+      return `${cleaned}.`
+    }
 
     // Only add period for actual sentences that need it
     // Don't add to labels, phrases ending with colons, or text that doesn't look like prose
-    if (cleaned &&
-        cleaned.length > 15 &&
+    if (cleaned.length > 15 &&
         cleaned.includes(' ') &&
-        !cleaned.match(/[.!?:]$/) &&
         !cleaned.match(/:\s*[^\s]+$/) && // Avoid "label: value" patterns
         cleaned.split(' ').length > 2) { // Must be more than a couple words
-      cleaned += '.'
+      return `${cleaned}.`
     }
 
     return cleaned
@@ -0,0 +1,130 @@
+const { spawn } = require('child_process')
+const fs = require('fs-extra')
+const path = require('path')
+
+const DEFAULT_TIMEOUT = 30000
+
+/**
+ * Process Runner - Child processes for engines, encoders and ffmpeg
+ * Every process gets a timeout and can be killed through an AbortSignal, so a
+ * hung or cancelled tool never stalls a conversion
+ */
+class ProcessRunner {
+  /**
+   * Run a command to completion, optionally feeding stdin
+   * @param {string} command - Executable name or path
+   * @param {Array<string>} args - Arguments
+   * @param {Object} options - input (written to stdin), timeout (ms), signal (AbortSignal that kills the process)
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  static run (command, args, { input, timeout = DEFAULT_TIMEOUT, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error(`${command} aborted`))
+        return
+      }
+
+      const child = spawn(command, args, { stdio: 'pipe' })
+      let stdout = ''
+      let stderr = ''
+      let settled = false
+
+      const finish = (callback) => {
+        if (!settled) {
+          settled = true
+          clearTimeout(timer)
+          signal?.removeEventListener('abort', abort)
+          callback()
+        }
+      }
+
+      const abort = () => {
+        child.kill('SIGTERM')
+        finish(() => reject(new Error(`${command} aborted`)))
+      }
+      signal?.addEventListener('abort', abort)
+
+      // Add timeout to prevent hanging
+      const timer = setTimeout(() => {
+        child.kill('SIGTERM')
+        finish(() => reject(new Error(`${command} timed out after ${timeout}ms`)))
+      }, timeout)
+
+      child.stdout?.on('data', (data) => { stdout += data })
+      child.stderr?.on('data', (data) => { stderr += data })
+
+      child.on('close', (code) => finish(() => resolve({ code, stdout, stderr })))
+      child.on('error', (error) => finish(() => reject(new Error(`${command} error: ${error.message}`))))
+
+      if (child.stdin) {
+        child.stdin.on('error', () => {}) // The process may exit before reading everything
+        child.stdin.end(input === undefined ? undefined : input)
+      }
+    })
+  }
+
+  /**
+   * Run a command and fail unless it exits with code 0
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  static async runChecked (command, args, options) {
+    return ProcessRunner.check(command, await ProcessRunner.run(command, args, options))
+  }
+
+  /**
+   * Fail with the first stderr line unless a run exited with code 0
+   * @param {string} command - Command that produced the result
+   * @param {{code: number, stdout: string, stderr: string}} result - From run()
+   * @returns {{code: number, stdout: string, stderr: string}} The same result
+   */
+  static check (command, result) {
+    if (result.code !== 0) {
+      const detail = result.stderr.trim() ? `: ${result.stderr.trim().split('\n')[0]}` : ''
+      throw new Error(`${command} failed with code ${result.code}${detail}`)
+    }
+    return result
+  }
+
+  /**
+   * Look a command up on PATH without running it
+   * @param {string} command - Executable name or absolute path
+   * @returns {Promise<boolean>}
+   */
+  static async commandExists (command) {
+    if (path.isAbsolute(command)) {
+      return ProcessRunner.isExecutable(command)
+    }
+
+    const extensions = process.platform === 'win32'
+      ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+      : ['']
+
+    for (const directory of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+      for (const extension of extensions) {
+        if (await ProcessRunner.isExecutable(path.join(directory, command + extension))) {
+          return true
+        }
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Whether a path is an executable file
+   * @param {string} filePath - File to check
+   * @returns {Promise<boolean>}
+   */
+  static async isExecutable (filePath) {
+    try {
+      await fs.access(filePath, fs.constants.X_OK)
+      return (await fs.stat(filePath)).isFile()
+    } catch (error) {
+      return false
+    }
+  }
+}
+
+ProcessRunner.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT
+
+module.exports = ProcessRunner
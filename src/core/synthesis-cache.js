@@ -0,0 +1,231 @@
+const crypto = require('crypto')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.tt3', 'cache')
+const DEFAULT_MAX_SIZE_BYTES = 512 * 1024 * 1024
+const INDEX_FILE = 'index.json'
+const ENTRY_DIR_PATTERN = /^[0-9a-f]{2}$/
+const ENTRY_FILE_PATTERN = /^([0-9a-f]{2})[/\\][0-9a-f]{64}\.[a-z0-9]+$/
+
+/**
+ * Synthesis Cache - Content-addressed store of synthesized chunk audio
+ * Entries are keyed by a hash of the normalized text plus engine, voice, rate
+ * and format, so rerunning unchanged articles skips synthesis. The least
+ * recently used entries are evicted once the cache outgrows its limits
+ */
+class SynthesisCache {
+  constructor (options = {}) {
+    this.options = {
+      cacheDir: options.cacheDir || DEFAULT_CACHE_DIR,
+      maxSizeBytes: options.maxSizeBytes || DEFAULT_MAX_SIZE_BYTES,
+      maxEntries: options.maxEntries || 10000,
+      ...options
+    }
+
+    this.entries = new Map() // key -> {file, size, format, createdAt, lastUsed}; oldest use first
+    this.loaded = false
+    this._indexWrite = Promise.resolve()
+  }
+
+  /**
+   * Cache key for a synthesis request
+   * @param {Object} request - text, engine, voice, rate, format
+   * @returns {string} Hex SHA-256 digest
+   */
+  static key ({ text, engine, voice, rate, format }) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim()
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([normalized, engine || '', voice || 'default', Number(rate) || 0, format || '']))
+      .digest('hex')
+  }
+
+  /**
+   * Read the cache index (a missing index is an empty cache)
+   * @returns {Promise<SynthesisCache>}
+   */
+  async load () {
+    try {
+      this.entries.clear()
+      const indexPath = path.join(this.options.cacheDir, INDEX_FILE)
+
+      if (await fs.pathExists(indexPath)) {
+        const index = await fs.readJson(indexPath)
+        Object.entries(index.entries || {})
+          .sort(([, a], [, b]) => a.lastUsed - b.lastUsed)
+          .forEach(([key, entry]) => this.entries.set(key, entry))
+      }
+
+      this.loaded = true
+      return this
+    } catch (error) {
+      throw new Error(`Failed to load synthesis cache ${this.options.cacheDir}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Copy cached audio to a destination
+   * @param {string} key - Cache key from SynthesisCache.key()
+   * @param {string} destinationPath - Where the audio is needed
+   * @returns {Promise<boolean>} Whether the entry was found
+   */
+  async get (key, destinationPath) {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return false
+    }
+
+    try {
+      await fs.copyFile(path.join(this.options.cacheDir, entry.file), destinationPath)
+    } catch (error) {
+      // File removed behind our back; forget the entry
+      this.entries.delete(key)
+      await this._saveIndex()
+      return false
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key)
+    this.entries.set(key, { ...entry, lastUsed: Date.now() })
+    await this._saveIndex()
+    return true
+  }
+
+  /**
+   * Store synthesized audio, evicting old entries beyond the limits
+   * @param {string} key - Cache key from SynthesisCache.key()
+   * @param {string} sourcePath - Audio file to store
+   */
+  async put (key, sourcePath) {
+    try {
+      const format = path.extname(sourcePath).slice(1).toLowerCase() || 'audio'
+      const file = path.join(key.slice(0, 2), `${key}.${format}`)
+      const target = path.join(this.options.cacheDir, file)
+
+      await fs.ensureDir(path.dirname(target))
+      await fs.copyFile(sourcePath, target)
+
+      const { size } = await fs.stat(target)
+      const now = Date.now()
+      this.entries.delete(key)
+      this.entries.set(key, { file, size, format, createdAt: now, lastUsed: now })
+
+      await this._evict()
+      await this._saveIndex()
+    } catch (error) {
+      throw new Error(`Failed to cache synthesized audio: ${error.message}`)
+    }
+  }
+
+  /**
+   * Summary of the cache contents
+   * @returns {{cacheDir: string, entries: number, sizeBytes: number, maxSizeBytes: number, maxEntries: number, oldestUse: number|null}}
+   */
+  stats () {
+    const entries = Array.from(this.entries.values())
+    return {
+      cacheDir: this.options.cacheDir,
+      entries: entries.length,
+      sizeBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxSizeBytes: this.options.maxSizeBytes,
+      maxEntries: this.options.maxEntries,
+      oldestUse: entries.length > 0 ? entries[0].lastUsed : null
+    }
+  }
+
+  /**
+   * Remove every indexed file, the emptied hash directories and the index
+   * Only files the index names are deleted, so pointing clear() at a directory
+   * that is not a cache fails instead of wiping it
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clear () {
+    try {
+      const { cacheDir } = this.options
+      await this._indexWrite
+
+      if (!await fs.pathExists(cacheDir)) {
+        this.entries.clear()
+        return 0
+      }
+
+      if (!await fs.pathExists(path.join(cacheDir, INDEX_FILE))) {
+        throw new Error(`${cacheDir} has no ${INDEX_FILE}; not a synthesis cache`)
+      }
+
+      await this.load()
+      const removed = this.entries.size
+
+      for (const entry of this.entries.values()) {
+        if (ENTRY_FILE_PATTERN.test(entry.file)) {
+          await fs.remove(path.join(cacheDir, entry.file))
+        }
+      }
+      this.entries.clear()
+      await fs.remove(path.join(cacheDir, INDEX_FILE))
+
+      for (const name of await fs.readdir(cacheDir)) {
+        if (ENTRY_DIR_PATTERN.test(name)) {
+          await this._removeIfEmpty(path.join(cacheDir, name))
+        }
+      }
+      await this._removeIfEmpty(cacheDir)
+
+      return removed
+    } catch (error) {
+      throw new Error(`Failed to clear synthesis cache: ${error.message}`)
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Drop least recently used entries until the cache fits its limits
+   */
+  async _evict () {
+    let sizeBytes = this.stats().sizeBytes
+
+    for (const [key, entry] of this.entries) {
+      if (sizeBytes <= this.options.maxSizeBytes && this.entries.size <= this.options.maxEntries) {
+        break
+      }
+
+      this.entries.delete(key)
+      sizeBytes -= entry.size
+      await fs.remove(path.join(this.options.cacheDir, entry.file))
+    }
+  }
+
+  /**
+   * Delete a directory only when nothing is left in it
+   */
+  async _removeIfEmpty (directory) {
+    const stats = await fs.stat(directory)
+    if (stats.isDirectory() && (await fs.readdir(directory)).length === 0) {
+      await fs.rmdir(directory)
+    }
+  }
+
+  /**
+   * Write the index; writes are serialized because chunks finish concurrently
+   */
+  _saveIndex () {
+    this._indexWrite = this._indexWrite.then(async () => {
+      const indexPath = path.join(this.options.cacheDir, INDEX_FILE)
+      const tempPath = `${indexPath}.${process.pid}.tmp`
+
+      await fs.ensureDir(this.options.cacheDir)
+      await fs.writeJson(tempPath, { version: 1, entries: Object.fromEntries(this.entries) })
+      await fs.move(tempPath, indexPath, { overwrite: true })
+    }).catch(error => {
+      console.warn(`Warning: Failed to write synthesis cache index: ${error.message}`)
+    })
+
+    return this._indexWrite
+  }
+}
+
+SynthesisCache.DEFAULT_CACHE_DIR = DEFAULT_CACHE_DIR
+
+module.exports = SynthesisCache
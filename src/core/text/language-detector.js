@@ -0,0 +1,146 @@
+const SpeechDocument = require('./speech-document')
+
+// Sample prose per language; each detector builds its profiles from it, so a
+// language is added by adding a paragraph or two of ordinary news text
+const SAMPLES = {
+  en: `The government said on Tuesday that it would raise spending on schools and hospitals next year,
+    after months of pressure from local councils. Officials expect the plan to cost more than the budget
+    allowed for, but ministers argue that the economy is growing again and that the money will be found.
+    Critics were not convinced. They pointed out that the same promise had been made before the last
+    election and that waiting lists have only become longer since then. In a statement, the opposition
+    leader called the announcement a distraction from the rising cost of living, which is now the main
+    concern of most families. Meanwhile, the central bank kept interest rates unchanged for the third
+    month in a row. Its governor told reporters that inflation was falling more slowly than hoped and
+    that the bank would not hesitate to act if prices kept climbing. Markets reacted calmly, and shares
+    in the largest companies closed slightly higher. Analysts say the coming weeks will show whether
+    the recovery is strong enough to survive another winter of high energy bills.`,
+  es: `El Gobierno anunció el martes que aumentará el gasto en escuelas y hospitales el próximo año,
+    después de meses de presión por parte de los ayuntamientos. Los responsables esperan que el plan
+    cueste más de lo previsto en los presupuestos, pero los ministros sostienen que la economía vuelve
+    a crecer y que se encontrará el dinero. Los críticos no quedaron convencidos. Recordaron que la misma
+    promesa se hizo antes de las últimas elecciones y que las listas de espera no han dejado de crecer
+    desde entonces. En un comunicado, el líder de la oposición calificó el anuncio de una distracción
+    ante el aumento del coste de la vida, que es ahora la principal preocupación de la mayoría de las
+    familias. Mientras tanto, el banco central mantuvo los tipos de interés sin cambios por tercer mes
+    consecutivo. Su gobernador dijo a los periodistas que la inflación baja más despacio de lo esperado
+    y que el banco no dudará en actuar si los precios siguen subiendo. Los mercados reaccionaron con
+    calma y las acciones de las mayores empresas cerraron con ligeras subidas. Según los analistas, las
+    próximas semanas mostrarán si la recuperación es lo bastante fuerte para soportar otro invierno con
+    facturas de energía tan altas.`,
+  de: `Die Regierung hat am Dienstag angekündigt, im nächsten Jahr mehr Geld für Schulen und Krankenhäuser
+    auszugeben, nachdem die Gemeinden monatelang Druck gemacht hatten. Die Verantwortlichen rechnen damit,
+    dass der Plan mehr kostet als im Haushalt vorgesehen, doch die Minister argumentieren, dass die
+    Wirtschaft wieder wächst und das Geld gefunden wird. Die Kritiker waren nicht überzeugt. Sie wiesen
+    darauf hin, dass dasselbe Versprechen schon vor der letzten Wahl gemacht wurde und die Wartelisten
+    seitdem nur länger geworden sind. In einer Erklärung bezeichnete der Oppositionsführer die Ankündigung
+    als Ablenkung von den steigenden Lebenshaltungskosten, die inzwischen die größte Sorge der meisten
+    Familien sind. Unterdessen ließ die Zentralbank die Zinsen zum dritten Mal in Folge unverändert. Ihr
+    Präsident sagte vor Journalisten, die Inflation sinke langsamer als erhofft, und die Bank werde nicht
+    zögern zu handeln, wenn die Preise weiter steigen. Die Märkte reagierten gelassen, und die Aktien der
+    größten Unternehmen schlossen leicht im Plus. Nach Ansicht von Analysten werden die kommenden Wochen
+    zeigen, ob die Erholung stark genug ist, um einen weiteren Winter mit hohen Energierechnungen zu
+    überstehen.`
+}
+
+/**
+ * Language Detector - Offline dominant-language guess for article text
+ * Compares the ranked character n-grams (one to three letters, word edges
+ * included) of the text with those of each language's sample prose, using
+ * the out-of-place distance of Cavnar and Trenkle; no dictionary or service
+ */
+class LanguageDetector {
+  /**
+   * @param {Object} options - samples ({code: prose} replacing the built-in ones), profileSize,
+   *   maxLength (characters of the text examined), minLength (letters needed for a guess),
+   *   minConfidence (0-1 margin of the best language over the runner-up)
+   */
+  constructor (options = {}) {
+    this.options = {
+      samples: options.samples || SAMPLES,
+      profileSize: options.profileSize || 300,
+      maxLength: options.maxLength || 10000,
+      minLength: options.minLength || 20,
+      minConfidence: options.minConfidence ?? 0.1,
+      ...options
+    }
+    this.profiles = Object.fromEntries(Object.entries(this.options.samples)
+      .map(([language, sample]) => [language, this._profile(sample)]))
+  }
+
+  /**
+   * Languages that can be detected
+   * @returns {Array<string>} ISO 639-1 codes
+   */
+  get languages () {
+    return Object.keys(this.profiles)
+  }
+
+  /**
+   * Guess the dominant language of a text
+   * @param {string} text - Plain or SpeechDocument-marked text
+   * @returns {{language: string, confidence: number}|null} null when the text is too short or
+   *   no language is clearly closer than the others
+   */
+  detect (text) {
+    const plain = SpeechDocument.strip(text || '').slice(0, this.options.maxLength)
+    if ((plain.match(/\p{L}/gu) || []).length < this.options.minLength) {
+      return null
+    }
+
+    const profile = this._profile(plain)
+    const ranked = Object.entries(this.profiles)
+      .map(([language, reference]) => ({ language, distance: this._distance(profile, reference) }))
+      .sort((a, b) => a.distance - b.distance)
+
+    if (ranked.length === 0) {
+      return null
+    }
+
+    const [best, next] = ranked
+    const confidence = next ? (next.distance - best.distance) / next.distance : 1
+    return confidence >= this.options.minConfidence
+      ? { language: best.language, confidence: Math.round(confidence * 100) / 100 }
+      : null
+  }
+
+  // Private methods
+
+  /**
+   * Most frequent n-grams of a text, mapped to their rank
+   */
+  _profile (text) {
+    const counts = new Map()
+
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+      const padded = `_${word}_`
+      for (let size = 1; size <= 3; size++) {
+        for (let i = 0; i + size <= padded.length; i++) {
+          const gram = padded.slice(i, i + size)
+          if (gram !== '_') {
+            counts.set(gram, (counts.get(gram) || 0) + 1)
+          }
+        }
+      }
+    }
+
+    const ranked = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, this.options.profileSize)
+    return new Map(ranked.map(([gram], rank) => [gram, rank]))
+  }
+
+  /**
+   * Sum of rank differences; n-grams missing from the reference cost the most
+   */
+  _distance (profile, reference) {
+    let distance = 0
+    for (const [gram, rank] of profile) {
+      distance += reference.has(gram) ? Math.abs(reference.get(gram) - rank) : this.options.profileSize
+    }
+    return distance
+  }
+}
+
+LanguageDetector.SAMPLES = SAMPLES
+
+module.exports = LanguageDetector
@@ -0,0 +1,349 @@
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+const FrontMatterParser = require('../extractors/front-matter')
+const SpeechDocument = require('./speech-document')
+
+const DEFAULT_LEXICON_PATH = path.join(os.homedir(), '.tt3', 'lexicon.json')
+
+const ACRONYM_MODES = ['spell', 'word', 'expand']
+
+// Common news acronyms; user entries override these
+const BUILT_IN_ACRONYMS = {
+  AI: 'spell',
+  BBC: 'spell',
+  CEO: 'spell',
+  CIA: 'spell',
+  EU: 'spell',
+  FBI: 'spell',
+  GDP: 'spell',
+  NASA: 'word',
+  NATO: 'word',
+  NHS: 'spell',
+  OPEC: 'word',
+  UK: 'spell',
+  UN: 'spell',
+  UNESCO: 'word',
+  UNICEF: 'word',
+  US: 'spell',
+  USA: 'spell',
+  WHO: 'spell'
+}
+
+const YAML_EXTENSIONS = ['.yaml', '.yml']
+
+// Built-in acronyms, spelling unknown capitals and "C E O's" are English conventions
+const isEnglish = (language) => !language || /^en(?:[-_]|$)/i.test(String(language).trim())
+
+// An ALL-CAPS token with an optional plural "s" ("CEOs")
+const ALL_CAPS_PATTERN = /(?<![\p{L}\p{N}])(\p{Lu}{2,})(s?)(?![\p{L}\p{N}])/gu
+
+// Roman numerals up to 39 ("World War II", "Louis XIV"); engines read these themselves
+const ROMAN_NUMERAL_PATTERN = /^(?:X{0,3})(?:IX|IV|V?I{0,3})$/
+
+// Short English words that are not acronyms when written in capitals ("I AM here", "GO")
+const COMMON_WORDS = new Set([
+  'AM', 'AN', 'AS', 'AT', 'BE', 'BY', 'DO', 'GO', 'HE', 'IF', 'IN', 'IS', 'IT', 'ME', 'MY',
+  'NO', 'OF', 'OH', 'ON', 'OR', 'SO', 'TO', 'UP', 'WE',
+  'ALL', 'AND', 'ARE', 'BUT', 'CAN', 'FOR', 'HAD', 'HAS', 'HER', 'HIM', 'HIS', 'HOW', 'ITS',
+  'NEW', 'NOT', 'NOW', 'OUR', 'OUT', 'SHE', 'THE', 'WAS', 'WHY', 'YES', 'YOU'
+])
+
+// Three or more ALL-CAPS words in a row are a shouted headline, not acronyms ("MAN IS FOUND")
+const SHOUTING_PATTERN = /(?<![\p{L}\p{N}])\p{Lu}{2,}(?:[^\p{L}\p{N}\n]+(?:\p{Lu}[^\p{L}\p{N}\n]+)?\p{Lu}{2,}){2,}(?![\p{L}\p{N}])/gu
+
+/**
+ * Lexicon - User pronunciation dictionary and acronym rules
+ * Entries live in a JSON or YAML file:
+ *   words:    { "Nguyen": "win" }                       exact spoken form
+ *   acronyms: { "NATO": "word", "FBI": "spell",         say as a word / letter by letter
+ *               "IMF": { "expand": "International Monetary Fund" } }
+ * ALL-CAPS words without an entry are spelled out when short or vowel-less
+ * ("NHS") and otherwise read as words ("OFCOM" -> "Ofcom"), except Roman
+ * numerals ("Henry VIII") and short common words ("I AM here"); shouted headlines
+ * are lower-cased apart from the user's own acronym entries
+ */
+class Lexicon {
+  constructor (options = {}) {
+    this.options = {
+      filePath: options.filePath || DEFAULT_LEXICON_PATH,
+      builtInAcronyms: options.builtInAcronyms !== false, // Include common news acronyms
+      maxSpelledLength: options.maxSpelledLength || 3, // Unknown ALL-CAPS words up to this length are spelled
+      ...options
+    }
+
+    this.words = new Map()
+    this.acronyms = new Map()
+    this.loaded = false
+    this._wordPattern = null
+  }
+
+  /**
+   * Load entries from the lexicon file (a missing file is an empty lexicon)
+   * @returns {Promise<Lexicon>}
+   */
+  async load () {
+    try {
+      this.words.clear()
+      this.acronyms.clear()
+      this._wordPattern = null
+
+      if (await fs.pathExists(this.options.filePath)) {
+        const source = await fs.readFile(this.options.filePath, 'utf8')
+        this._import(this._isYaml() ? new FrontMatterParser().parseYaml(source) : JSON.parse(source || '{}'))
+      }
+
+      this.loaded = true
+      return this
+    } catch (error) {
+      throw new Error(`Failed to load lexicon ${this.options.filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Write entries back to the lexicon file in its own format
+   * @returns {Promise<string>} File path written
+   */
+  async save () {
+    try {
+      const data = this.toJSON()
+      await fs.ensureDir(path.dirname(this.options.filePath))
+      await fs.writeFile(this.options.filePath, this._isYaml() ? this._toYaml(data) : `${JSON.stringify(data, null, 2)}\n`, 'utf8')
+      return this.options.filePath
+    } catch (error) {
+      throw new Error(`Failed to save lexicon ${this.options.filePath}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Add or replace a word's spoken form
+   * @param {string} term - Word or phrase as written
+   * @param {string} spoken - How it should be said
+   */
+  addWord (term, spoken) {
+    const key = this._requireText(term, 'Term')
+    this.words.set(key, this._requireText(spoken, 'Spoken form'))
+    this._wordPattern = null
+  }
+
+  /**
+   * Add or replace an acronym rule
+   * @param {string} term - Acronym as written (case-sensitive)
+   * @param {string} mode - 'spell', 'word' or 'expand'
+   * @param {string} [expansion] - Spoken expansion for 'expand'
+   */
+  addAcronym (term, mode, expansion) {
+    const key = this._requireText(term, 'Acronym')
+
+    if (!ACRONYM_MODES.includes(mode)) {
+      throw new Error(`Unknown acronym mode "${mode}" (expected ${ACRONYM_MODES.join(', ')})`)
+    }
+
+    this.acronyms.set(key, mode === 'expand'
+      ? { mode, expansion: this._requireText(expansion, 'Expansion') }
+      : { mode })
+  }
+
+  /**
+   * Remove a word or acronym entry
+   * @param {string} term - Entry to remove
+   * @returns {boolean} Whether an entry was removed
+   */
+  remove (term) {
+    const removedWord = this.words.delete(term)
+    const removedAcronym = this.acronyms.delete(term)
+    this._wordPattern = null
+    return removedWord || removedAcronym
+  }
+
+  /**
+   * List user entries sorted by term
+   * @returns {Array<{term: string, type: string, mode?: string, spoken: string}>} type is 'word' or 'acronym'
+   */
+  list () {
+    const entries = [
+      ...Array.from(this.words, ([term, spoken]) => ({ term, type: 'word', spoken })),
+      ...Array.from(this.acronyms, ([term, rule]) => ({ term, type: 'acronym', mode: rule.mode, spoken: this._speakAcronym(term, rule) }))
+    ]
+    return entries.sort((a, b) => a.term.localeCompare(b.term))
+  }
+
+  /**
+   * Apply word entries and acronym rules to text
+   * @param {string} text - Text about to be synthesized
+   * @param {Object} options - markup: wrap spelled acronyms in SpeechDocument say-as markers
+   *   instead of separating their letters; language: article language, where anything but
+   *   English only gets the user's own entries
+   * @returns {string}
+   */
+  apply (text, { markup = false, language = null } = {}) {
+    const english = isEnglish(language)
+    if (!text || typeof text !== 'string') {
+      return ''
+    }
+
+    const pattern = this._getWordPattern()
+    const withWords = pattern
+      ? text.replace(pattern, (match) => this.words.get(match) ?? this._lookupWord(match))
+      : text
+
+    const shouting = Array.from(withWords.matchAll(SHOUTING_PATTERN), run => [run.index, run.index + run[0].length])
+    const isShouted = (offset) => shouting.some(([start, end]) => offset >= start && offset < end)
+
+    return withWords.replace(ALL_CAPS_PATTERN, (match, letters, plural, offset) => {
+      if (isShouted(offset) && !this.acronyms.has(letters)) {
+        return match.toLowerCase()
+      }
+
+      const described = english ? this._acronymRule(letters) : this.acronyms.get(letters)
+      if (english && !described && !plural) {
+        if (ROMAN_NUMERAL_PATTERN.test(letters)) {
+          return match
+        }
+        if (COMMON_WORDS.has(letters)) {
+          return match.toLowerCase()
+        }
+      }
+
+      const rule = described || (english ? this._defaultRule(letters) : null)
+      if (!rule) {
+        return match
+      }
+
+      const spoken = markup && rule.mode === 'spell' ? SpeechDocument.spell(letters) : this._speakAcronym(letters, rule)
+      if (!plural) {
+        return spoken
+      }
+      // "CEOs" -> "C E O's" so the engine does not read a stray "Os"
+      return rule.mode === 'spell' && english ? `${spoken}'s` : `${spoken}s`
+    })
+  }
+
+  /**
+   * Plain-object form of the user entries (the file format)
+   * @returns {{words: Object, acronyms: Object}}
+   */
+  toJSON () {
+    const acronyms = {}
+    for (const [term, rule] of this.acronyms) {
+      acronyms[term] = rule.mode === 'expand' ? { expand: rule.expansion } : rule.mode
+    }
+    return { words: Object.fromEntries(this.words), acronyms }
+  }
+
+  // Private methods
+
+  /**
+   * Validate and import a parsed lexicon document
+   */
+  _import (data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Lexicon must be an object with "words" and/or "acronyms"')
+    }
+
+    for (const [term, spoken] of Object.entries(data.words || {})) {
+      this.addWord(term, String(spoken))
+    }
+
+    for (const [term, rule] of Object.entries(data.acronyms || {})) {
+      if (rule && typeof rule === 'object') {
+        this.addAcronym(term, 'expand', rule.expand)
+      } else {
+        this.addAcronym(term, rule)
+      }
+    }
+  }
+
+  _acronymRule (term) {
+    if (this.acronyms.has(term)) {
+      return this.acronyms.get(term)
+    }
+    if (this.options.builtInAcronyms && BUILT_IN_ACRONYMS[term]) {
+      return { mode: BUILT_IN_ACRONYMS[term] }
+    }
+    return null
+  }
+
+  /**
+   * Rule for ALL-CAPS words nobody has described
+   */
+  _defaultRule (term) {
+    const spell = term.length <= this.options.maxSpelledLength || !/[AEIOUY]/.test(term)
+    return { mode: spell ? 'spell' : 'word' }
+  }
+
+  _speakAcronym (term, rule) {
+    switch (rule.mode) {
+      case 'expand':
+        return rule.expansion
+      case 'word':
+        return term.charAt(0) + term.slice(1).toLowerCase()
+      default:
+        return term.split('').join(' ')
+    }
+  }
+
+  /**
+   * Case-insensitive whole-word matcher over all word entries, longest first
+   */
+  _getWordPattern () {
+    if (this._wordPattern === null && this.words.size > 0) {
+      const alternatives = Array.from(this.words.keys())
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+      this._wordPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    }
+    return this._wordPattern
+  }
+
+  _lookupWord (match) {
+    const normalized = match.replace(/\s+/g, ' ').toLowerCase()
+    for (const [term, spoken] of this.words) {
+      if (term.replace(/\s+/g, ' ').toLowerCase() === normalized) {
+        return spoken
+      }
+    }
+    return match
+  }
+
+  _requireText (value, label) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new Error(`${label} must be a non-empty string`)
+    }
+    return value.trim()
+  }
+
+  _isYaml () {
+    return YAML_EXTENSIONS.includes(path.extname(this.options.filePath).toLowerCase())
+  }
+
+  /**
+   * Serialize the lexicon document as YAML (two levels of quoted scalars)
+   */
+  _toYaml (data) {
+    const quote = (value) => JSON.stringify(value)
+    const lines = ['words:']
+
+    for (const [term, spoken] of Object.entries(data.words)) {
+      lines.push(`  ${quote(term)}: ${quote(spoken)}`)
+    }
+    if (Object.keys(data.words).length === 0) {
+      lines[0] = 'words: {}'
+    }
+
+    lines.push(Object.keys(data.acronyms).length === 0 ? 'acronyms: {}' : 'acronyms:')
+    for (const [term, rule] of Object.entries(data.acronyms)) {
+      lines.push(typeof rule === 'object'
+        ? `  ${quote(term)}:\n    expand: ${quote(rule.expand)}`
+        : `  ${quote(term)}: ${rule}`)
+    }
+
+    return `${lines.join('\n')}\n`
+  }
+}
+
+Lexicon.DEFAULT_LEXICON_PATH = DEFAULT_LEXICON_PATH
+Lexicon.ACRONYM_MODES = ACRONYM_MODES
+
+module.exports = Lexicon
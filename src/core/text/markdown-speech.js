@@ -0,0 +1,314 @@
+/**
+ * Markdown Speech Transformer - Markdown to speakable structured text
+ * Parses Markdown (and plain text, which is a subset) into blocks that keep
+ * heading and paragraph boundaries, reads lists as spoken items, summarises
+ * tables and marks block quotes so the TTS layer can turn structure into pauses
+ */
+
+const SpeechDocument = require('./speech-document')
+
+const ORDINALS = ['First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth', 'Tenth']
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/
+const SETEXT_UNDERLINE_PATTERN = /^ {0,3}(=+|-+)\s*$/
+const THEMATIC_BREAK_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/
+const BLOCKQUOTE_PATTERN = /^ {0,3}>/
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+const LINK_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:\s*\S+/
+
+class MarkdownSpeechTransformer {
+  constructor (options = {}) {
+    this.options = {
+      quoteStart: options.quoteStart || 'Quote:', // Spoken before a block quote
+      quoteEnd: options.quoteEnd || 'End quote.', // Spoken after a block quote
+      maxTableRowsRead: options.maxTableRowsRead ?? 5, // Larger tables are only summarised
+      markEmphasis: options.markEmphasis || false, // Keep bold and italics as speech emphasis markers
+      markQuotes: options.markQuotes || false, // Wrap block quote text in speech quote markers
+      ...options
+    }
+  }
+
+  /**
+   * Parse Markdown into speakable blocks
+   * Every block carries a `text` property with its spoken form
+   * @param {string} markdown - Markdown or plain text source
+   * @returns {Array<{type: string, text: string}>} heading, paragraph, list, quote and table blocks
+   */
+  parse (markdown) {
+    if (!markdown || typeof markdown !== 'string') {
+      return []
+    }
+
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n')
+    return this._parseLines(lines)
+      .map(block => ({ ...block, text: this._speakBlock(block) }))
+      .filter(block => block.text.length > 0)
+  }
+
+  /**
+   * Convert Markdown to speakable text with blank lines between blocks
+   * @param {string} markdown - Markdown or plain text source
+   * @returns {string}
+   */
+  toSpeechText (markdown) {
+    return this.parse(markdown).map(block => block.text).join('\n\n')
+  }
+
+  /**
+   * Strip inline Markdown/HTML formatting from a span of text
+   * With markEmphasis, bold and italic spans are wrapped in SpeechDocument emphasis markers
+   * @param {string} text - Inline Markdown
+   * @returns {string} Plain text
+   */
+  stripInline (text) {
+    const emphasize = (inner) => this.options.markEmphasis ? SpeechDocument.emphasis(inner) : inner
+
+    return text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '') // Images
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // Inline links
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1') // Reference links
+      .replace(/<(https?:\/\/|mailto:)[^>]+>/g, '') // Autolinks
+      .replace(/\[\^[^\]]+\]/g, '') // Footnote references
+      .replace(/(`+)(.+?)\1/g, '$2') // Inline code
+      .replace(/<\/?[a-zA-Z][^>]*>/g, '') // Inline HTML tags
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, (match, marker, inner) => emphasize(inner)) // Bold
+      .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?!\w)/g, (match, before, inner) => before + emphasize(inner)) // Italic (*)
+      .replace(/(^|\W)_(?=\S)(.+?)(?<=\S)_(?=\W|$)/g, (match, before, inner) => before + emphasize(inner)) // Italic (_), leaving snake_case alone
+      .replace(/~~(.+?)~~/g, '$1') // Strikethrough
+      .replace(/\\([\\`*_{}[\]()#+\-.!|>~])/g, '$1') // Backslash escapes
+      .replace(/\s+/g, ' ')
+      .trim()
+  }
+
+  // Private methods
+
+  /**
+   * Split lines into structural blocks
+   */
+  _parseLines (lines) {
+    const blocks = []
+    let i = 0
+
+    while (i < lines.length) {
+      const line = lines[i]
+
+      if (line.trim() === '' || LINK_DEFINITION_PATTERN.test(line)) {
+        i++
+        continue
+      }
+
+      const fence = FENCE_PATTERN.exec(line)
+      if (fence) {
+        // Code is not read aloud: skip to the closing fence
+        i++
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) i++
+        i++
+        continue
+      }
+
+      const heading = ATX_HEADING_PATTERN.exec(line)
+      if (heading) {
+        blocks.push({ type: 'heading', level: heading[1].length, content: heading[2] || '' })
+        i++
+        continue
+      }
+
+      if (THEMATIC_BREAK_PATTERN.test(line)) {
+        i++
+        continue
+      }
+
+      if (BLOCKQUOTE_PATTERN.test(line)) {
+        const quoteLines = []
+        while (i < lines.length && lines[i].trim() !== '') {
+          quoteLines.push(lines[i].replace(/^ {0,3}> ?/, ''))
+          i++
+        }
+        blocks.push({ type: 'quote', blocks: this._parseLines(quoteLines) })
+        continue
+      }
+
+      if (LIST_ITEM_PATTERN.test(line)) {
+        i = this._parseList(lines, i, blocks)
+        continue
+      }
+
+      if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+        i = this._parseTable(lines, i, blocks)
+        continue
+      }
+
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraphLines = [line]
+      i++
+      while (i < lines.length && lines[i].trim() !== '' && !this._startsBlock(lines[i])) {
+        if (SETEXT_UNDERLINE_PATTERN.test(lines[i])) break
+        paragraphLines.push(lines[i])
+        i++
+      }
+
+      if (i < lines.length && SETEXT_UNDERLINE_PATTERN.test(lines[i]) && lines[i].trim() !== '') {
+        blocks.push({ type: 'heading', level: lines[i].trim()[0] === '=' ? 1 : 2, content: paragraphLines.join(' ') })
+        i++
+        continue
+      }
+
+      blocks.push({ type: 'paragraph', content: paragraphLines.join(' ') })
+    }
+
+    return blocks
+  }
+
+  /**
+   * Whether a line interrupts a running paragraph
+   */
+  _startsBlock (line) {
+    return FENCE_PATTERN.test(line) ||
+      ATX_HEADING_PATTERN.test(line) ||
+      BLOCKQUOTE_PATTERN.test(line) ||
+      (LIST_ITEM_PATTERN.test(line) && !/^\s*\d/.test(line)) || // Numbers like "2026." often start wrapped lines
+      (THEMATIC_BREAK_PATTERN.test(line) && !/^ {0,3}-+\s*$/.test(line))
+  }
+
+  /**
+   * Collect a list (nested items are flattened into the same spoken list)
+   */
+  _parseList (lines, index, blocks) {
+    const ordered = /^\s*\d/.test(lines[index])
+    const items = []
+
+    while (index < lines.length) {
+      const line = lines[index]
+      const item = LIST_ITEM_PATTERN.exec(line)
+
+      if (item) {
+        items.push(item[3].replace(/^\[[ xX]\]\s+/, '')) // Task list checkboxes
+        index++
+      } else if (line.trim() === '') {
+        // A blank line only continues the list if another item or indented text follows
+        const next = lines[index + 1]
+        if (next !== undefined && (LIST_ITEM_PATTERN.test(next) || /^\s{2,}\S/.test(next))) {
+          index++
+        } else {
+          break
+        }
+      } else if (items.length > 0 && !this._startsBlock(line)) {
+        items[items.length - 1] += ` ${line.trim()}` // Continuation line
+        index++
+      } else {
+        break
+      }
+    }
+
+    blocks.push({ type: 'list', ordered, items })
+    return index
+  }
+
+  /**
+   * Collect a pipe table
+   */
+  _parseTable (lines, index, blocks) {
+    const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => this.stripInline(cell))
+
+    const headers = splitRow(lines[index])
+    const rows = []
+    index += 2
+
+    while (index < lines.length && lines[index].trim() !== '' && lines[index].includes('|')) {
+      rows.push(splitRow(lines[index]))
+      index++
+    }
+
+    blocks.push({ type: 'table', headers, rows })
+    return index
+  }
+
+  /**
+   * Produce the spoken form of a parsed block
+   */
+  _speakBlock (block) {
+    switch (block.type) {
+      case 'heading':
+        return this.stripInline(block.content)
+      case 'paragraph':
+        return this.stripInline(block.content)
+      case 'list':
+        return this._speakList(block)
+      case 'quote': {
+        const inner = block.blocks.map(child => this._endSentence(this._speakBlock(child))).filter(Boolean).join(' ')
+        if (!inner) {
+          return ''
+        }
+        const quoted = this.options.markQuotes ? SpeechDocument.quote(inner) : inner
+        return `${this.options.quoteStart} ${quoted} ${this.options.quoteEnd}`
+      }
+      case 'table':
+        return this._speakTable(block)
+      default:
+        return ''
+    }
+  }
+
+  /**
+   * Read list items as separate sentences, numbering ordered lists aloud
+   */
+  _speakList (block) {
+    return block.items
+      .map(item => this.stripInline(item))
+      .filter(Boolean)
+      .map((item, index) => {
+        const sentence = this._endSentence(item)
+        if (!block.ordered) return sentence
+        const ordinal = ORDINALS[index] || `Number ${index + 1}`
+        return `${ordinal}, ${sentence}`
+      })
+      .join(' ')
+  }
+
+  /**
+   * Summarise a table; small tables also have their rows read out
+   */
+  _speakTable (block) {
+    const headers = block.headers.filter(Boolean)
+    const rowCount = block.rows.length
+    const parts = [
+      `Table with ${rowCount} ${rowCount === 1 ? 'row' : 'rows'}${headers.length ? ` and columns ${this._joinSpoken(headers)}` : ''}.`
+    ]
+
+    if (rowCount > 0 && rowCount <= this.options.maxTableRowsRead) {
+      for (const row of block.rows) {
+        const cells = row
+          .map((cell, index) => (block.headers[index] && cell ? `${block.headers[index]} ${cell}` : cell))
+          .filter(Boolean)
+        if (cells.length > 0) {
+          parts.push(this._endSentence(cells.join(', ')))
+        }
+      }
+    }
+
+    return parts.join(' ')
+  }
+
+  /**
+   * Join words as "a, b and c"
+   */
+  _joinSpoken (items) {
+    if (items.length <= 1) return items.join('')
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+  }
+
+  /**
+   * Terminate a sentence so the engine pauses after it
+   */
+  _endSentence (text) {
+    const trimmed = text.trim()
+    if (!trimmed || /[.!?:;]["')\]]*$/.test(SpeechDocument.strip(trimmed))) {
+      return trimmed
+    }
+    return `${trimmed}.`
+  }
+}
+
+module.exports = MarkdownSpeechTransformer
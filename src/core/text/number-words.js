@@ -0,0 +1,202 @@
+/**
+ * Number Words - Spell numbers out the way a newsreader says them
+ * Covers cardinals, ordinals, years, decimals and simple fractions for
+ * en-US and en-GB ("one hundred five" vs "one hundred and five")
+ */
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen']
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety']
+const SCALES = ['', 'thousand', 'million', 'billion', 'trillion']
+
+const IRREGULAR_ORDINALS = {
+  one: 'first',
+  two: 'second',
+  three: 'third',
+  five: 'fifth',
+  eight: 'eighth',
+  nine: 'ninth',
+  twelve: 'twelfth'
+}
+
+class NumberWords {
+  constructor (options = {}) {
+    this.options = {
+      locale: options.locale || 'en-US', // en-GB inserts "and" after hundreds
+      ...options
+    }
+  }
+
+  /**
+   * Spell out an integer
+   * @param {number} value - Integer (magnitudes up to the trillions)
+   * @returns {string} e.g. "one thousand two hundred thirty-four"
+   */
+  cardinal (value) {
+    const number = Math.trunc(Number(value))
+
+    if (!Number.isFinite(number)) {
+      return String(value)
+    }
+    if (number < 0) {
+      return `minus ${this.cardinal(-number)}`
+    }
+    if (number === 0) {
+      return ONES[0]
+    }
+    if (number >= 1000 ** SCALES.length) {
+      return this.digits(String(number))
+    }
+
+    const groups = []
+    let remaining = number
+    while (remaining > 0) {
+      groups.push(remaining % 1000)
+      remaining = Math.floor(remaining / 1000)
+    }
+
+    const words = []
+    for (let index = groups.length - 1; index >= 0; index--) {
+      const group = groups[index]
+      if (group === 0) continue
+
+      // British English says "one thousand and five"
+      if (index === 0 && group < 100 && groups.length > 1 && this._isBritish()) {
+        words.push('and')
+      }
+
+      words.push(this._hundreds(group))
+      if (SCALES[index]) {
+        words.push(SCALES[index])
+      }
+    }
+
+    return words.join(' ')
+  }
+
+  /**
+   * Spell out an ordinal
+   * @param {number} value - Integer
+   * @returns {string} e.g. "twenty-first"
+   */
+  ordinal (value) {
+    const words = this.cardinal(value)
+    const match = /^(.*?)([a-z]+)$/.exec(words)
+    if (!match) {
+      return words
+    }
+
+    const [, prefix, last] = match
+    if (IRREGULAR_ORDINALS[last]) {
+      return `${prefix}${IRREGULAR_ORDINALS[last]}`
+    }
+    if (last.endsWith('y')) {
+      return `${prefix}${last.slice(0, -1)}ieth`
+    }
+    return `${prefix}${last}th`
+  }
+
+  /**
+   * Read a year the way it is spoken ("nineteen eighty-four", "two thousand five")
+   * @param {number} value - Year
+   * @returns {string}
+   */
+  year (value) {
+    const year = Math.trunc(Number(value))
+
+    if (year < 1000 || year > 9999 || (year >= 2000 && year < 2010)) {
+      return this.cardinal(year)
+    }
+
+    const century = Math.floor(year / 100)
+    const rest = year % 100
+
+    if (rest === 0) {
+      return year % 1000 === 0 ? this.cardinal(year) : `${this.cardinal(century)} hundred`
+    }
+    if (rest < 10) {
+      return `${this.cardinal(century)} oh ${ONES[rest]}`
+    }
+    return `${this.cardinal(century)} ${this.cardinal(rest)}`
+  }
+
+  /**
+   * Read a decade ("nineteen nineties", "twenty tens")
+   * @param {number} value - First year of the decade
+   * @returns {string}
+   */
+  decade (value) {
+    return this.year(value).replace(/y$/, 'ie').replace(/([a-z])$/, '$1s')
+  }
+
+  /**
+   * Read a decimal number string ("4.05" -> "four point zero five")
+   * @param {string} value - Decimal number without grouping separators
+   * @returns {string}
+   */
+  decimal (value) {
+    const [integer, fraction] = String(value).split('.')
+    const negative = integer.startsWith('-')
+    const whole = this.cardinal(Number(negative ? integer.slice(1) : integer) || 0)
+    const spoken = fraction ? `${whole} point ${this.digits(fraction)}` : whole
+    return negative ? `minus ${spoken}` : spoken
+  }
+
+  /**
+   * Read a string of digits one at a time
+   * @param {string} value - Digits
+   * @returns {string} e.g. "zero seven seven"
+   */
+  digits (value) {
+    return String(value).replace(/\D/g, '').split('').map(digit => ONES[Number(digit)]).join(' ')
+  }
+
+  /**
+   * Read a simple fraction ("three quarters", "two thirds", "one half")
+   * @param {number} numerator
+   * @param {number} denominator
+   * @returns {string}
+   */
+  fraction (numerator, denominator) {
+    const plural = numerator !== 1
+    let name
+    if (denominator === 2) {
+      name = plural ? 'halves' : 'half'
+    } else if (denominator === 4) {
+      name = plural ? 'quarters' : 'quarter'
+    } else {
+      name = `${this.ordinal(denominator)}${plural ? 's' : ''}`
+    }
+    return `${this.cardinal(numerator)} ${name}`
+  }
+
+  // Private methods
+
+  /**
+   * Spell out 1-999
+   */
+  _hundreds (value) {
+    const hundreds = Math.floor(value / 100)
+    const rest = value % 100
+    const words = []
+
+    if (hundreds > 0) {
+      words.push(`${ONES[hundreds]} hundred`)
+      if (rest > 0 && this._isBritish()) {
+        words.push('and')
+      }
+    }
+
+    if (rest > 0) {
+      words.push(rest < 20 ? ONES[rest] : TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ONES[rest % 10]}` : ''))
+    }
+
+    return words.join(' ')
+  }
+
+  _isBritish () {
+    return this.options.locale === 'en-GB'
+  }
+}
+
+module.exports = NumberWords
@@ -0,0 +1,275 @@
+/**
+ * Speech Document - Engine-neutral description of what to say
+ * A document is a list of paragraph and heading blocks, each optionally
+ * followed by a pause. Block text is a plain string in which emphasis,
+ * letter-by-letter (say-as) and quoted spans are wrapped in private-use marker
+ * characters, so they survive normalization, the lexicon and chunking; the
+ * serializers turn a document into SSML, macOS say embedded commands or
+ * plain text for the selected engine
+ */
+
+// Private-use characters that open and close inline spans in speech text
+const EMPHASIS_START = '\uE000'
+const EMPHASIS_END = '\uE001'
+const SAY_AS_START = '\uE002'
+const SAY_AS_END = '\uE003'
+const QUOTE_START = '\uE004'
+const QUOTE_END = '\uE005'
+
+const MARKERS = [EMPHASIS_START, EMPHASIS_END, SAY_AS_START, SAY_AS_END, QUOTE_START, QUOTE_END]
+
+const SSML_NAMESPACE = 'http://www.w3.org/2001/10/synthesis'
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }
+
+class SpeechDocument {
+  /**
+   * @param {Array<{type: string, text: string, pause?: number|null}>} blocks - 'paragraph' or 'heading'
+   *   blocks of marked text; pause is the silence after the block in ms
+   * @param {Object} options - language (BCP 47 tag written into SSML)
+   */
+  constructor (blocks = [], options = {}) {
+    this.blocks = blocks
+    this.options = {
+      language: options.language || 'en-US',
+      ...options
+    }
+  }
+
+  /**
+   * Mark text to be spoken with emphasis
+   * @param {string} text
+   * @returns {string}
+   */
+  static emphasis (text) {
+    return `${EMPHASIS_START}${text}${EMPHASIS_END}`
+  }
+
+  /**
+   * Mark letters to be read one by one
+   * @param {string} letters
+   * @returns {string}
+   */
+  static spell (letters) {
+    return `${SAY_AS_START}${letters}${SAY_AS_END}`
+  }
+
+  /**
+   * Mark a quoted passage, which may be read by another voice
+   * @param {string} text
+   * @returns {string}
+   */
+  static quote (text) {
+    return `${QUOTE_START}${text}${QUOTE_END}`
+  }
+
+  /**
+   * Mark every "double-quoted" passage in a paragraph; an unpaired quote mark is left as narration
+   * @param {string} text
+   * @returns {string}
+   */
+  static markQuotes (text) {
+    return text.replace(/"[^"]+"/g, match => SpeechDocument.quote(match))
+  }
+
+  /**
+   * Split marked text at quote boundaries, in order; spans open across a boundary are closed
+   * and reopened so each part stands on its own
+   * @param {string} text
+   * @returns {Array<{text: string, quote: boolean}>} trimmed; empty parts are dropped
+   */
+  static splitQuotes (text) {
+    const parts = []
+    let depth = 0
+    let current = ''
+
+    const flush = (quote) => {
+      parts.push({ text: current, quote })
+      current = ''
+    }
+
+    for (const char of text) {
+      if (char === QUOTE_START) {
+        if (depth === 0) flush(false)
+        depth++
+      } else if (char === QUOTE_END && depth > 0) {
+        depth--
+        if (depth === 0) flush(true)
+      } else if (char !== QUOTE_END) {
+        current += char
+      }
+    }
+    flush(depth > 0)
+
+    const balanced = SpeechDocument.balance(parts.map(part => part.text))
+    return parts
+      .map((part, i) => ({ text: balanced[i].trim(), quote: part.quote }))
+      .filter(part => SpeechDocument.strip(part.text).trim())
+  }
+
+  /**
+   * Close the spans still open at the end of each part and reopen them at the start of the next,
+   * for marked text that was split into pieces
+   * @param {Array<string>} parts
+   * @returns {Array<string>}
+   */
+  static balance (parts) {
+    let open = { emphasis: 0, sayAs: false, quote: 0 }
+
+    return parts.map(part => {
+      const reopen = QUOTE_START.repeat(open.quote) + EMPHASIS_START.repeat(open.emphasis) + (open.sayAs ? SAY_AS_START : '')
+      open = SpeechDocument._openSpans(part, open)
+      const close = (open.sayAs ? SAY_AS_END : '') + EMPHASIS_END.repeat(open.emphasis) + QUOTE_END.repeat(open.quote)
+      return reopen + part + close
+    })
+  }
+
+  /**
+   * Plain text of marked text: markers removed, spelled spans written as separate letters
+   * @param {string} text
+   * @returns {string}
+   */
+  static strip (text) {
+    return SpeechDocument.inline(text || '').map(run => SpeechDocument._plainRun(run)).join('')
+  }
+
+  /**
+   * Split marked text into runs that share one style; unclosed spans end with the text
+   * @param {string} text
+   * @returns {Array<{text: string, emphasis: boolean, sayAs: string|null, quote: boolean}>} sayAs is
+   *   'characters' or null
+   */
+  static inline (text) {
+    const runs = []
+    let open = { emphasis: 0, sayAs: false, quote: 0 }
+    let current = ''
+
+    const flush = () => {
+      if (current) {
+        runs.push({ text: current, emphasis: open.emphasis > 0, sayAs: open.sayAs ? 'characters' : null, quote: open.quote > 0 })
+      }
+      current = ''
+    }
+
+    for (const char of text) {
+      if (MARKERS.includes(char)) {
+        flush()
+        open = SpeechDocument._openSpans(char, open)
+      } else {
+        current += char
+      }
+    }
+
+    flush()
+    return runs
+  }
+
+  /**
+   * Serialize for an engine's markup
+   * @param {string} markup - 'ssml', 'say' or 'text'
+   * @returns {string}
+   */
+  render (markup) {
+    switch (markup) {
+      case 'ssml': return this.toSsml()
+      case 'say': return this.toSayText()
+      default: return this.toPlainText()
+    }
+  }
+
+  /**
+   * SSML 1.0 for SAPI (SpeakSsml) and eSpeak (-m)
+   * Headings are emphasized; pauses become breaks
+   * @returns {string}
+   */
+  toSsml () {
+    const body = this.blocks.map(block => {
+      let open = false
+      let output = ''
+
+      for (const run of this._runs(block)) {
+        if (run.emphasis !== open) {
+          output += open ? '</emphasis>' : '<emphasis>'
+          open = run.emphasis
+        }
+        const text = SpeechDocument._escapeXml(run.text)
+        output += run.sayAs ? `<say-as interpret-as="${run.sayAs}">${text}</say-as>` : text
+      }
+
+      return output + (open ? '</emphasis>' : '') + (block.pause > 0 ? `<break time="${Math.round(block.pause)}ms"/>` : '')
+    })
+
+    const language = SpeechDocument._escapeXml(this.options.language)
+    return `<speak version="1.0" xmlns="${SSML_NAMESPACE}" xml:lang="${language}">${body.join(' ')}</speak>`
+  }
+
+  /**
+   * Text with macOS say embedded commands: [[emph +]] before each emphasized word,
+   * [[char LTRL]] around spelled spans and [[slnc]] for pauses
+   * @returns {string}
+   */
+  toSayText () {
+    return this.blocks.map(block => {
+      const text = this._runs(block).map(run => {
+        // Text must not open an embedded command of its own
+        const escaped = run.text.replace(/\[\[/g, '[ [')
+        if (run.sayAs) {
+          return `[[char LTRL]]${escaped}[[char NORM]]`
+        }
+        return run.emphasis ? escaped.replace(/(^|\s)(?=\S)/g, '$1[[emph +]]') : escaped
+      }).join('')
+
+      return block.pause > 0 ? `${text} [[slnc ${Math.round(block.pause)}]]` : text
+    }).join(' ')
+  }
+
+  /**
+   * Plain text for engines without markup; paragraphs followed by a pause are separated by blank lines
+   * @returns {string}
+   */
+  toPlainText () {
+    return this.blocks.map((block, i) => {
+      const text = SpeechDocument.strip(block.text)
+      const last = i === this.blocks.length - 1
+      return last ? text : text + (block.pause > 0 ? '\n\n' : ' ')
+    }).join('')
+  }
+
+  // Private methods
+
+  /**
+   * Inline runs of a block; a heading is emphasized as a whole
+   */
+  _runs (block) {
+    const runs = SpeechDocument.inline(block.text || '')
+    return block.type === 'heading' ? runs.map(run => ({ ...run, emphasis: true })) : runs
+  }
+
+  /**
+   * Spans still open after marked text, starting from those open before it; stray ends are ignored
+   */
+  static _openSpans (text, open) {
+    const spans = { ...open }
+    for (const char of text) {
+      switch (char) {
+        case EMPHASIS_START: spans.emphasis++; break
+        case EMPHASIS_END: spans.emphasis = Math.max(0, spans.emphasis - 1); break
+        case SAY_AS_START: spans.sayAs = true; break
+        case SAY_AS_END: spans.sayAs = false; break
+        case QUOTE_START: spans.quote++; break
+        case QUOTE_END: spans.quote = Math.max(0, spans.quote - 1); break
+      }
+    }
+    return spans
+  }
+
+  static _plainRun (run) {
+    return run.sayAs ? run.text.split('').join(' ') : run.text
+  }
+
+  static _escapeXml (text) {
+    return String(text).replace(/[&<>"']/g, char => XML_ENTITIES[char])
+  }
+}
+
+module.exports = SpeechDocument
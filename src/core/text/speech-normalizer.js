@@ -0,0 +1,494 @@
+/**
+ * Speech Normalizer - Expand written forms into the words a reader would say
+ * Runs between text extraction and TTS so engines never see "$4.5bn", "3/4",
+ * "2026-10-19", "km/h", "Q3" or "12:30pm". Rules run in a fixed order, most
+ * specific first, so a date is never half-read as a fraction or a range
+ */
+
+const NumberWords = require('./number-words')
+
+const SUPPORTED_LOCALES = ['en-US', 'en-GB']
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?'
+
+// Grouped or plain number, optionally with decimals ("1,234.5", "42")
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?'
+
+const CURRENCIES = {
+  $: { major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+  US$: { major: ['US dollar', 'US dollars'], minor: ['cent', 'cents'] },
+  A$: { major: ['Australian dollar', 'Australian dollars'], minor: ['cent', 'cents'] },
+  C$: { major: ['Canadian dollar', 'Canadian dollars'], minor: ['cent', 'cents'] },
+  '£': { major: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+  '€': { major: ['euro', 'euros'], minor: ['cent', 'cents'] },
+  '¥': { major: ['yen', 'yen'], minor: null },
+  '₹': { major: ['rupee', 'rupees'], minor: ['paisa', 'paise'] }
+}
+
+const MAGNITUDES = {
+  k: 'thousand',
+  thousand: 'thousand',
+  m: 'million',
+  mn: 'million',
+  million: 'million',
+  bn: 'billion',
+  billion: 'billion',
+  tn: 'trillion',
+  trillion: 'trillion'
+}
+
+// Symbol -> [singular, plural]; {metre} and {litre} are spelled per locale
+const UNITS = {
+  'km/h': ['{kilometre} per hour', '{kilometre}s per hour'],
+  kph: ['{kilometre} per hour', '{kilometre}s per hour'],
+  mph: ['mile per hour', 'miles per hour'],
+  'm/s': ['{metre} per second', '{metre}s per second'],
+  km: ['{kilometre}', '{kilometre}s'],
+  cm: ['centi{metre}', 'centi{metre}s'],
+  mm: ['milli{metre}', 'milli{metre}s'],
+  mi: ['mile', 'miles'],
+  ft: ['foot', 'feet'],
+  kg: ['kilogram', 'kilograms'],
+  mg: ['milligram', 'milligrams'],
+  g: ['gram', 'grams'],
+  lb: ['pound', 'pounds'],
+  lbs: ['pound', 'pounds'],
+  oz: ['ounce', 'ounces'],
+  ml: ['milli{litre}', 'milli{litre}s'],
+  mL: ['milli{litre}', 'milli{litre}s'],
+  l: ['{litre}', '{litre}s'],
+  L: ['{litre}', '{litre}s'],
+  '°C': ['degree Celsius', 'degrees Celsius'],
+  '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  '°': ['degree', 'degrees'],
+  kWh: ['kilowatt hour', 'kilowatt hours'],
+  kW: ['kilowatt', 'kilowatts'],
+  MW: ['megawatt', 'megawatts'],
+  GW: ['gigawatt', 'gigawatts'],
+  KB: ['kilobyte', 'kilobytes'],
+  kB: ['kilobyte', 'kilobytes'],
+  MB: ['megabyte', 'megabytes'],
+  GB: ['gigabyte', 'gigabytes'],
+  TB: ['terabyte', 'terabytes'],
+  Hz: ['hertz', 'hertz'],
+  kHz: ['kilohertz', 'kilohertz'],
+  MHz: ['megahertz', 'megahertz'],
+  GHz: ['gigahertz', 'gigahertz'],
+  ms: ['millisecond', 'milliseconds'],
+  sec: ['second', 'seconds'],
+  secs: ['second', 'seconds'],
+  min: ['minute', 'minutes'],
+  mins: ['minute', 'minutes'],
+  hr: ['hour', 'hours'],
+  hrs: ['hour', 'hours']
+}
+
+const UNICODE_FRACTIONS = {
+  '½': [1, 2],
+  '⅓': [1, 3],
+  '⅔': [2, 3],
+  '¼': [1, 4],
+  '¾': [3, 4],
+  '⅕': [1, 5],
+  '⅛': [1, 8],
+  '⅜': [3, 8],
+  '⅝': [5, 8],
+  '⅞': [7, 8]
+}
+
+// Words after which a bare four-digit number is a year ("in 2026", "since 1999"); the
+// year may open a list whose other members are read as years too ("in 2000, 1999 and 2010")
+const YEAR = '1[1-9]\\d\\d|20\\d\\d'
+const YEAR_CONTEXT_PATTERN = new RegExp(
+  '\\b(in|since|by|from|until|till|before|after|during|of|year|circa|around|early|late|mid|spring|summer|autumn|fall|winter)(\\s+)' +
+  `((?:${YEAR})(?:(?:,\\s+|,?\\s+(?:and|or)\\s+)(?:${YEAR}))*)\\b(?!,\\d|\\.\\d)`,
+  'gi'
+)
+
+// Prepositions that need "the" before a spoken reporting period ("in Q3" -> "in the third quarter")
+const PERIOD_PREPOSITIONS = ['in', 'during', 'for', 'by', 'since', 'from', 'until', 'through', 'throughout', 'over', 'after', 'before', 'into', 'across']
+
+// Slashed numbers that are said as written, not as fractions
+const SLASH_IDIOMS = {
+  '24/7': 'twenty-four seven',
+  '9/11': 'nine eleven',
+  '20/20': 'twenty-twenty',
+  '50/50': 'fifty-fifty'
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+
+class SpeechNormalizer {
+  constructor (options = {}) {
+    this.options = {
+      locale: options.locale || 'en-US', // Default when the article does not declare a language
+      ...options
+    }
+
+    if (!SUPPORTED_LOCALES.includes(this.options.locale)) {
+      throw new Error(`Unsupported locale: ${this.options.locale} (supported: ${SUPPORTED_LOCALES.join(', ')})`)
+    }
+
+    this.numberWords = {
+      'en-US': new NumberWords({ locale: 'en-US' }),
+      'en-GB': new NumberWords({ locale: 'en-GB' })
+    }
+  }
+
+  /**
+   * Expand numbers, dates, times, currencies, percentages and units into words
+   * @param {string} text - Extracted article text
+   * @param {Object} options - Per-call options
+   * @param {string} [options.locale] - Locale or article language (e.g. "en-GB", "en-au")
+   * @returns {string} Text with paragraph breaks preserved
+   */
+  normalize (text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return ''
+    }
+
+    const locale = this.resolveLocale(options.locale)
+    const context = { locale, words: this.numberWords[locale] }
+
+    return [
+      this._expandCurrency,
+      this._expandDates,
+      this._expandTimes,
+      this._expandPercentages,
+      this._expandPeriods,
+      this._expandUnits,
+      this._expandFractions,
+      this._expandOrdinals,
+      this._expandRanges,
+      this._expandYears,
+      this._expandNumbers
+    ].reduce((current, rule) => rule.call(this, current, context), text)
+  }
+
+  /**
+   * Whether the rules can read a language; they only know English, so text in
+   * other languages is better left for the engine than read with English words
+   * @param {string} [language] - BCP 47 language tag (none means the default locale)
+   * @returns {boolean}
+   */
+  supportsLanguage (language) {
+    if (!language || typeof language !== 'string') {
+      return true
+    }
+    return /^en(?:[-_]|$)/i.test(language.trim())
+  }
+
+  /**
+   * Map a locale or document language onto a supported locale
+   * Non-US English variants (en-AU, en-IE, en-NZ...) follow British conventions
+   * @param {string} [language] - BCP 47 language tag
+   * @returns {string} 'en-US' or 'en-GB'
+   */
+  resolveLocale (language) {
+    if (!language || typeof language !== 'string') {
+      return this.options.locale
+    }
+
+    const normalized = language.trim().replace('_', '-').toLowerCase()
+    if (normalized === 'en-us') return 'en-US'
+    if (/^en-[a-z]{2}$/.test(normalized)) return 'en-GB'
+    return this.options.locale
+  }
+
+  /**
+   * Read a written number ("1,234.5") as words
+   * @param {string} value - Number as written, optionally with grouping commas
+   * @param {string} [locale] - Supported locale
+   * @returns {string}
+   */
+  readNumber (value, locale = this.options.locale) {
+    const words = this.numberWords[locale]
+    const plain = String(value).replace(/,/g, '')
+
+    if (plain.includes('.')) {
+      return words.decimal(plain)
+    }
+    // Long digit runs and leading zeros are identifiers, not quantities
+    if (plain.replace('-', '').length > 15 || /^-?0\d/.test(plain)) {
+      return words.digits(plain)
+    }
+    return words.cardinal(Number(plain))
+  }
+
+  // Private methods
+
+  /**
+   * "$4.5bn" -> "four point five billion dollars", "£1.50" -> "one pound fifty pence"
+   */
+  _expandCurrency (text, { locale, words }) {
+    const symbols = Object.keys(CURRENCIES).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')
+    const magnitudes = Object.keys(MAGNITUDES).sort((a, b) => b.length - a.length).join('|')
+    const pattern = new RegExp(`(-)?(${symbols})\\s?(${NUMBER})(?:\\s?(${magnitudes})(?![a-zA-Z]))?`, 'g')
+
+    return text.replace(pattern, (match, minus, symbol, amount, magnitude) => {
+      const currency = CURRENCIES[symbol]
+      const sign = minus ? 'minus ' : ''
+      const plain = amount.replace(/,/g, '')
+
+      if (magnitude) {
+        return `${sign}${this.readNumber(amount, locale)} ${MAGNITUDES[magnitude.toLowerCase()]} ${currency.major[1]}`
+      }
+
+      const [major, minor = ''] = plain.split('.')
+      const majorValue = Number(major)
+      if (!currency.minor || minor.length > 2) {
+        return `${sign}${this.readNumber(amount, locale)} ${currency.major[plain === '1' ? 0 : 1]}`
+      }
+
+      const minorValue = minor ? Number(minor.padEnd(2, '0')) : 0
+      const parts = []
+      if (majorValue > 0 || minorValue === 0) {
+        parts.push(`${this.readNumber(major, locale)} ${currency.major[majorValue === 1 ? 0 : 1]}`)
+      }
+      if (minorValue > 0) {
+        parts.push(`${words.cardinal(minorValue)} ${currency.minor[minorValue === 1 ? 0 : 1]}`)
+      }
+      return sign + parts.join(' and ')
+    })
+  }
+
+  /**
+   * ISO, numeric and written dates
+   */
+  _expandDates (text, { locale, words }) {
+    const spokenYear = (year) => (year ? words.year(Number(year)) : '')
+
+    return text
+      // 2026-10-19
+      .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) => this._speakDate(Number(year), Number(month), Number(day), { locale, words }) || match)
+      // 10/19/2026 (en-US) or 19/10/2026 (en-GB)
+      .replace(/(?<![\d/])(\d{1,2})\/(\d{1,2})\/(\d{4})(?![\d/])/g, (match, first, second, year) => {
+        const [month, day] = locale === 'en-US' || Number(second) > 12 ? [first, second] : [second, first]
+        return this._speakDate(Number(year), Number(month), Number(day), { locale, words }) ||
+          this._speakDate(Number(year), Number(day), Number(month), { locale, words }) ||
+          match
+      })
+      // 19 October 2026, 1st Oct
+      .replace(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?\\b`, 'g'), (match, day, month, year) => {
+        if (Number(day) < 1 || Number(day) > 31) return match
+        const spoken = `the ${words.ordinal(Number(day))} of ${this._monthName(month)}`
+        return year ? `${spoken} ${spokenYear(year)}` : spoken
+      })
+      // October 19, 2026 and Oct. 19th
+      .replace(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?![:.,]?\\d)(?:,\\s*(\\d{4})\\b)?`, 'g'), (match, month, day, year) => {
+        if (Number(day) < 1 || Number(day) > 31) return match
+        const spoken = `${this._monthName(month)} ${words.ordinal(Number(day))}`
+        return year ? `${spoken}, ${spokenYear(year)}` : spoken
+      })
+      // October 2026
+      .replace(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{4})\\b`, 'g'), (match, month, year) => `${this._monthName(month)} ${spokenYear(year)}`)
+  }
+
+  /**
+   * "12:30pm" -> "twelve thirty P M", "09:05" -> "nine oh five", "9am" -> "nine A M"
+   */
+  _expandTimes (text, { words }) {
+    const meridiem = (suffix) => (suffix.toLowerCase().startsWith('a') ? 'A M' : 'P M')
+    const minutes = (value) => {
+      if (value === 0) return ''
+      return value < 10 ? `oh ${words.cardinal(value)}` : words.cardinal(value)
+    }
+
+    return text
+      .replace(/(?<![\d:.])(\d{1,2}):(\d{2})(?::\d{2})?(?:\s?([ap])(?:m|\.m\.)(?![a-z]))?(?![\d:])/gi, (match, hourText, minuteText, suffix) => {
+        const hour = Number(hourText)
+        const minute = Number(minuteText)
+        if (hour > 24 || minute > 59) return match
+
+        if (suffix) {
+          return [words.cardinal(hour), minutes(minute), meridiem(suffix)].filter(Boolean).join(' ')
+        }
+        if (minute === 0) {
+          return hour > 12 || hourText.length === 2 ? `${words.cardinal(hour)} hundred` : `${words.cardinal(hour)} o'clock`
+        }
+        return `${words.cardinal(hour)} ${minutes(minute)}`
+      })
+      .replace(/(?<![\d:.])(\d{1,2})\s?([ap])(?:m|\.m\.)(?![a-z])/gi, (match, hour, suffix) => {
+        return Number(hour) > 12 ? match : `${words.cardinal(Number(hour))} ${meridiem(suffix)}`
+      })
+  }
+
+  /**
+   * "12%" -> "twelve percent" (en-US) / "twelve per cent" (en-GB)
+   */
+  _expandPercentages (text, { locale }) {
+    const percent = locale === 'en-GB' ? 'per cent' : 'percent'
+    return text.replace(new RegExp(`(?<![\\w.])(-)?(${NUMBER})\\s?%`, 'g'), (match, minus, amount) => {
+      return `${minus ? 'minus ' : ''}${this.readNumber(amount, locale)} ${percent}`
+    })
+  }
+
+  /**
+   * Reporting periods: "in Q3" -> "in the third quarter", "H1 2026" -> "first half of twenty twenty-six", "FY26"
+   */
+  _expandPeriods (text, { words }) {
+    const fiscalYear = (year) => (year.length === 2 ? words.cardinal(Number(year)) : words.year(Number(year)))
+    const lead = (word, space) => {
+      if (!word) {
+        return ''
+      }
+      return PERIOD_PREPOSITIONS.includes(word.toLowerCase()) ? `${word} the ` : `${word}${space}`
+    }
+
+    return text
+      .replace(/(?:\b([A-Za-z]+)(\s+))?\bQ([1-4])(?:\s+(\d{4}))?\b/g, (match, word, space, quarter, year) => {
+        const spoken = `${lead(word, space)}${words.ordinal(Number(quarter))} quarter`
+        return year ? `${spoken} of ${words.year(Number(year))}` : spoken
+      })
+      .replace(/(?:\b([A-Za-z]+)(\s+))?\bH([12])\s+(\d{4})\b/g, (match, word, space, half, year) => {
+        return `${lead(word, space)}${words.ordinal(Number(half))} half of ${words.year(Number(year))}`
+      })
+      .replace(/\bFY\s?(\d{4}|\d{2})\b/g, (match, year) => `fiscal year ${fiscalYear(year)}`)
+  }
+
+  /**
+   * "80 km/h" -> "eighty kilometres per hour" (en-GB), "3.5bn" -> "three point five billion"
+   * A bare "m" is ambiguous ("100m sprint", "20m people") so it is only read as metres after a space.
+   * A measurement used before a noun stays singular and is hyphenated: "a 5 m wall" and
+   * "5-km run" -> "a five-metre wall", "five-kilometre run"
+   */
+  _expandUnits (text, { locale }) {
+    const spell = (name) => name
+      .replace('{metre}', locale === 'en-GB' ? 'metre' : 'meter')
+      .replace('{kilometre}', locale === 'en-GB' ? 'kilometre' : 'kilometer')
+      .replace('{litre}', locale === 'en-GB' ? 'litre' : 'liter')
+    const speak = (minus, amount, [singular, plural], attributive) => {
+      const number = `${minus ? 'minus ' : ''}${this.readNumber(amount, locale)}`
+      if (attributive) {
+        return `${number} ${spell(singular)}`.replace(/ /g, '-')
+      }
+      return `${number} ${spell(amount === '1' && !minus ? singular : plural)}`
+    }
+    // "a 5 m wall": an article before the number and a noun after the unit
+    const beforeNoun = (source, offset, length) => /\b[Aa]n?\s+$/.test(source.slice(0, offset)) && /^\s+[a-z]/.test(source.slice(offset + length))
+
+    const units = Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')
+    const withUnits = text.replace(new RegExp(`(?<![\\w.,])(-)?(${NUMBER})(\\s|-)?(${units})(?![\\w/°])`, 'g'), (match, minus, amount, joiner, unit, offset, source) => {
+      return speak(minus, amount, UNITS[unit], joiner === '-' || beforeNoun(source, offset, match.length))
+    })
+
+    return withUnits
+      .replace(new RegExp(`(?<![\\w.,])(${NUMBER})( |-)m(?=[\\s.,;:!?)]|$)`, 'g'), (match, amount, joiner, offset, source) => {
+        return speak(null, amount, ['{metre}', '{metre}s'], joiner === '-' || beforeNoun(source, offset, match.length))
+      })
+      .replace(new RegExp(`(?<![\\w.,])(${NUMBER})(bn|tn)\\b`, 'g'), (match, amount, magnitude) => {
+        return `${this.readNumber(amount, locale)} ${MAGNITUDES[magnitude]}`
+      })
+  }
+
+  /**
+   * "3/4" -> "three quarters", "1 1/2" -> "one and a half", "½" -> "one half", "24/7" -> "twenty-four seven"
+   * Only proper fractions are read as such; "7/4" is left for the number rule
+   */
+  _expandFractions (text, { words }) {
+    const isSimple = (numerator, denominator) => denominator >= 2 && denominator <= 16 && numerator > 0 && numerator < denominator
+    const mixed = (whole, numerator, denominator) => {
+      const fraction = numerator === 1 ? `a ${words.fraction(1, denominator).replace(/^one /, '')}` : words.fraction(numerator, denominator)
+      return `${words.cardinal(whole)} and ${fraction}`
+    }
+    const unicode = Object.keys(UNICODE_FRACTIONS).join('')
+
+    const idioms = Object.keys(SLASH_IDIOMS).map(escapeRegExp).join('|')
+
+    return text
+      .replace(new RegExp(`(?<![\\w.,/])(${idioms})(?![\\d/])`, 'g'), (idiom) => SLASH_IDIOMS[idiom])
+      .replace(new RegExp(`(?<![\\w.,])(\\d+)\\s?([${unicode}])`, 'g'), (match, whole, symbol) => mixed(Number(whole), ...UNICODE_FRACTIONS[symbol]))
+      .replace(new RegExp(`[${unicode}]`, 'g'), (symbol) => words.fraction(...UNICODE_FRACTIONS[symbol]))
+      .replace(/(?<![\w.,/])(\d+)\s+(\d{1,2})\/(\d{1,2})(?![\d/])/g, (match, whole, numerator, denominator) => {
+        return isSimple(Number(numerator), Number(denominator)) ? mixed(Number(whole), Number(numerator), Number(denominator)) : match
+      })
+      .replace(/(?<![\w.,/])(\d{1,2})\/(\d{1,2})(?![\d/])/g, (match, numerator, denominator) => {
+        return isSimple(Number(numerator), Number(denominator)) ? words.fraction(Number(numerator), Number(denominator)) : match
+      })
+  }
+
+  /**
+   * "21st" -> "twenty-first"
+   */
+  _expandOrdinals (text, { words }) {
+    return text.replace(/(?<![\w.,])(\d{1,3}(?:,\d{3})*|\d+)(st|nd|rd|th)\b/gi, (match, value) => words.ordinal(Number(value.replace(/,/g, ''))))
+  }
+
+  /**
+   * "2020-24" -> "twenty twenty to twenty twenty-four", "10-20" -> "ten to twenty",
+   * "555-1234" -> "five five five, one two three four"
+   */
+  _expandRanges (text, { locale, words }) {
+    const digits = (group) => group.split('').map(digit => words.cardinal(Number(digit))).join(' ')
+    // Three or more groups, a local "555-1234" number, or a group with a leading zero ("020-7946")
+    const isPhone = (groups) => groups.length >= 3 ||
+      (groups[0].length === 3 && groups[1].length === 4) ||
+      groups.some(group => group.startsWith('0'))
+
+    return text
+      .replace(/(?<![\w.,-])(1[1-9]\d\d|20\d\d)-(\d{4}|\d{2})(?![\w-]|[.,]\d)/g, (match, start, endText) => {
+        const end = endText.length === 2 ? Number(start.slice(0, 2) + endText) : Number(endText)
+        return end > Number(start) ? `${words.year(Number(start))} to ${words.year(end)}` : match
+      })
+      .replace(/(?<![\w.,-])\d{2,4}(?:-\d{2,4}){1,3}(?![\w-]|[.,]\d)/g, (match) => {
+        const groups = match.split('-')
+        return isPhone(groups) ? groups.map(digits).join(', ') : match
+      })
+      .replace(/(?<![\w.,-])(\d{1,3})-(\d{1,3})(?![\w-]|[.,]\d)/g, (match, start, end) => {
+        return Number(end) > Number(start) ? `${this.readNumber(start, locale)} to ${this.readNumber(end, locale)}` : match
+      })
+  }
+
+  /**
+   * Four-digit years in context ("in 2026", "in 2000, 1999 and 2010") and decades ("1990s")
+   */
+  _expandYears (text, { words }) {
+    return text
+      .replace(/(?<![\w.,'])(1[1-9]\d0|20\d0)s\b/g, (match, decade) => words.decade(Number(decade)))
+      .replace(/(?<![\w.,])'(\d)0s\b/g, (match, decade) => words.decade(Number(`19${decade}0`)).replace(/^nineteen /, ''))
+      .replace(YEAR_CONTEXT_PATTERN, (match, preposition, space, years) => {
+        return `${preposition}${space}${years.replace(/\d{4}/g, (year) => words.year(Number(year)))}`
+      })
+  }
+
+  /**
+   * Remaining numbers: versions, "#1", negatives, decimals and integers
+   */
+  _expandNumbers (text, { locale }) {
+    return text
+      .replace(/(?<![\w.])(\d+(?:\.\d+){2,})(?![\w.]*\d)/g, (match) => match.split('.').map(part => this.readNumber(part, locale)).join(' point '))
+      .replace(/#(\d+)\b/g, (match, value) => `number ${this.readNumber(value, locale)}`)
+      .replace(new RegExp(`(?<![\\w.,])(?:(?<![\\w-])(-))?(${NUMBER})(?![\\d,]*\\d)`, 'g'), (match, minus, amount, offset, source) => {
+        const spacer = /[a-zA-Z]/.test(source[offset + match.length] || '') ? ' ' : '' // "3D" -> "three D"
+        return `${minus ? 'minus ' : ''}${this.readNumber(amount, locale)}${spacer}`
+      })
+  }
+
+  /**
+   * Read a validated calendar date in locale order
+   */
+  _speakDate (year, month, day, { locale, words }) {
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+      return null
+    }
+
+    const monthName = MONTHS[month - 1]
+    const spokenYear = words.year(year)
+
+    return locale === 'en-GB'
+      ? `the ${words.ordinal(day)} of ${monthName} ${spokenYear}`
+      : `${monthName} ${words.ordinal(day)}, ${spokenYear}`
+  }
+
+  /**
+   * Full month name from a full or abbreviated one
+   */
+  _monthName (month) {
+    return MONTHS.find(name => name.startsWith(month.replace(/\.$/, '').slice(0, 3)))
+  }
+}
+
+SpeechNormalizer.SUPPORTED_LOCALES = SUPPORTED_LOCALES
+
+module.exports = SpeechNormalizer
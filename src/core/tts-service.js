@@ -1,16 +1,34 @@
-const { spawn } = require('child_process')
 const fs = require('fs-extra')
 const path = require('path')
 const os = require('os')
 
+const Lexicon = require('./text/lexicon')
+const SpeechDocument = require('./text/speech-document')
+const EngineRegistry = require('./engines/engine-registry')
+const ProcessRunner = require('./process-runner')
+const SynthesisCache = require('./synthesis-cache')
+const AiffFile = require('./audio/aiff-file')
+const AudioDuration = require('./audio/audio-duration')
+const AudioTranscoder = require('./audio/audio-transcoder')
+const WavFile = require('./audio/wav-file')
+
+// Quiet kept at each trimmed chunk edge so speech does not start or stop abruptly (ms)
+const TRIM_KEEP_MS = 30
+
 /**
  * Local TTS Service - Cross-platform text-to-speech conversion
- * Uses platform-specific TTS engines for offline processing
+ * Uses pluggable offline TTS engines (see engines/engine-registry.js)
  */
 class LocalTTSService {
   constructor (options = {}) {
     this.options = {
       voice: options.voice || 'default',
+      // Voices by role: {narrator, quote, heading}; unmapped roles, and every role on an engine
+      // with a single voice, use the narrator (the voice option when no narrator is mapped)
+      voiceMap: options.voiceMap || null,
+      // Voice (or voice map) per article language, e.g. {es: 'Monica', de: 'Anna'}; an article in a
+      // language without one is read by the first engine voice that speaks it
+      voicesByLanguage: options.voicesByLanguage || {},
       rate: options.rate || 200, // words per minute
       outputFormat: options.outputFormat || 'mp3',
       tempDir: options.tempDir || path.join(os.tmpdir(), 'tt3-tts'),
@@ -19,9 +37,50 @@ class LocalTTSService {
       maxChunkWords: options.maxChunkWords || 500,
       chunkOverlapWords: options.chunkOverlapWords || 0,
       maxProcessTimeout: options.maxProcessTimeout || 30000,
+      chunkConcurrency: options.chunkConcurrency || os.cpus().length || 1, // Chunks synthesized at once
+      chunkRetryAttempts: options.chunkRetryAttempts ?? 2, // Extra attempts per failed chunk
+      chunkRetryDelay: options.chunkRetryDelay ?? 500, // ms, multiplied by the attempt number
+      // Silence inserted after sentences, paragraphs and headings (ms). Paragraphs and headings are
+      // synthesized as separate chunks; a sentencePause does the same for every sentence, while null
+      // lets sentences share a chunk and keeps the engine's own pause between them
+      sentencePause: options.sentencePause ?? null,
+      paragraphPause: options.paragraphPause ?? 600,
+      headingPause: options.headingPause ?? 900,
+      // Trim the dead air engines leave at the start and end of each chunk
+      trimSilence: options.trimSilence !== false,
+      silenceThreshold: options.silenceThreshold ?? 0.01, // 0-1 of full scale
+      // Language written into SSML for engines that read it (defaults to the voice's language);
+      // given per conversion, it is the article's language and selects the voice
+      language: options.language || null,
+      // Pronunciation lexicon (defaults to ~/.tt3/lexicon.json)
+      lexiconPath: options.lexiconPath || Lexicon.DEFAULT_LEXICON_PATH,
+      // Engine selection: a preferred engine, then the ordered fallback list (platform default when null)
+      engine: options.engine || null,
+      enginePreference: options.enginePreference || null,
+      customCommand: options.customCommand || null, // {command, args} for a command-line synthesizer
+      // Reuse audio for unchanged chunks across runs (defaults to ~/.tt3/cache)
+      cache: options.cache !== false,
+      cacheDir: options.cacheDir || SynthesisCache.DEFAULT_CACHE_DIR,
+      cacheMaxSize: options.cacheMaxSize || 512 * 1024 * 1024, // bytes
       ...options
     }
     this.platform = process.platform
+    this.lexicon = new Lexicon({ filePath: this.options.lexiconPath })
+
+    this.registry = EngineRegistry.createDefault({
+      platform: this.platform,
+      timeout: this.options.maxProcessTimeout,
+      customCommand: this.options.customCommand
+    })
+    for (const engine of this.options.engines || []) {
+      this.registry.register(engine)
+    }
+    this.transcoder = options.transcoder || new AudioTranscoder() // Encodes joined chunks for compressed outputs
+    this.cache = this.options.cache
+      ? new SynthesisCache({ cacheDir: this.options.cacheDir, maxSizeBytes: this.options.cacheMaxSize })
+      : null
+    this.engine = null
+    this.voices = null // Voices of the selected engine, listed once
     this.initialized = false
   }
 
@@ -32,8 +91,17 @@ class LocalTTSService {
     try {
       await fs.ensureDir(this.options.tempDir)
       await this._detectTTSCapabilities()
+      await this._validateVoice(this.options.voice)
+      await this._validateVoiceMap(this.options.voiceMap)
+      for (const voices of Object.values(this.options.voicesByLanguage)) {
+        await (typeof voices === 'string' ? this._validateVoice(voices) : this._validateVoiceMap(voices))
+      }
+      await this.lexicon.load()
+      if (this.cache) {
+        await this.cache.load()
+      }
       this.initialized = true
-      return { success: true, platform: this.platform, engine: this._getTTSEngine() }
+      return { success: true, platform: this.platform, engine: this._getTTSEngine(), engineName: this.engine.name }
     } catch (error) {
       throw new Error(`Failed to initialize TTS service: ${error.message}`)
     }
@@ -43,7 +111,8 @@ class LocalTTSService {
    * Convert text to audio file
    * @param {string} text - Text content to convert
    * @param {string} outputPath - Path for the output audio file
-   * @param {Object} options - Override options for this conversion
+   * @param {Object} options - Override options for this conversion; signal (AbortSignal) kills the
+   *   running engine process, stops the chunk loop and removes the partial output
    * @returns {Promise<{success: boolean, audioPath: string, duration?: number}>}
    */
   async convertTextToAudio (text, outputPath, options = {}) {
@@ -55,14 +124,26 @@ class LocalTTSService {
       throw new Error('Text content is required for TTS conversion')
     }
 
-    const mergedOptions = { ...this.options, ...options }
-
     try {
-      // Clean and prepare text for TTS
-      const cleanedText = this._preprocessText(text)
+      this._checkAborted(options)
+      const mergedOptions = await this._languageVoice({ ...this.options, ...options }, options)
+
+      // Per-article voices (front matter) were not checked at initialize()
+      if (mergedOptions.voice !== this.options.voice) {
+        await this._validateVoice(mergedOptions.voice)
+      }
+      if (mergedOptions.voiceMap !== this.options.voiceMap) {
+        await this._validateVoiceMap(mergedOptions.voiceMap)
+      }
+
+      // Clean and prepare text for TTS, section by section so chapter starts survive,
+      // then split quotes off where they are read by another voice
+      const roles = await this._voiceRoles(mergedOptions)
+      const pieces = this._voicePieces(this._speechPieces(text, mergedOptions), roles)
+      const cleanedText = SpeechDocument.strip(pieces.map(piece => piece.chunk).join(' '))
 
       // Generate audio using platform-specific TTS
-      const result = await this._generateAudio(cleanedText, outputPath, mergedOptions)
+      const result = await this._generateAudio(cleanedText, outputPath, mergedOptions, pieces)
 
       return {
         success: true,
@@ -73,6 +154,9 @@ class LocalTTSService {
         ...result // Include any additional properties like method, chunks
       }
     } catch (error) {
+      if (options.signal?.aborted) {
+        await fs.remove(outputPath) // Partly written by the killed engine
+      }
       throw new Error(`TTS conversion failed: ${error.message}`)
     }
   }
@@ -102,6 +186,7 @@ class LocalTTSService {
       ready: this.initialized,
       platform: this.platform,
       engine: this._getTTSEngine(),
+      engineName: this.engine ? this.engine.name : null, // Registry key of the detected engine
       supportedFormats: this._getSupportedFormats()
     }
   }
@@ -122,286 +207,408 @@ class LocalTTSService {
   // Private methods
 
   /**
-   * Detect platform TTS capabilities
+   * Select the first available engine from the requested engine and preference list
    */
   async _detectTTSCapabilities () {
-    switch (this.platform) {
-      case 'darwin': // macOS
-        return this._detectMacOSTTS()
-      case 'win32': // Windows
-        return this._detectWindowsTTS()
-      case 'linux':
-        return this._detectLinuxTTS()
-      default:
-        throw new Error(`Unsupported platform: ${this.platform}`)
+    this.engine = await this.registry.select({
+      engine: this.options.engine,
+      preference: this.options.enginePreference
+    })
+    this.voices = null
+    return true
+  }
+
+  /**
+   * Fail early when a voice is not offered by the selected engine
+   */
+  async _validateVoice (voice) {
+    if (!voice || voice === 'default') {
+      return
+    }
+
+    const voices = await this._getAvailableVoices()
+    if (voices.length === 0) {
+      return // Engine cannot enumerate voices; let it decide at synthesis time
+    }
+
+    const matchesVoice = this.engine.matchesVoice
+      ? (entry) => this.engine.matchesVoice(entry, voice)
+      : (entry) => entry.name.toLowerCase() === voice.toLowerCase()
+
+    if (!voices.some(matchesVoice)) {
+      const names = voices.slice(0, 10).map(entry => entry.name)
+      const more = voices.length > names.length ? `, ... ${voices.length - names.length} more` : ''
+      throw new Error(`Unknown voice "${voice}" for ${this._getTTSEngine()} (available: ${names.join(', ')}${more})`)
     }
   }
 
   /**
-   * Check macOS 'say' command availability
+   * Check the voices of a voice map, or warn that it is ignored when the engine has a single voice
    */
-  async _detectMacOSTTS () {
-    return new Promise((resolve, reject) => {
-      // Test with a simple empty string to verify say command works
-      const testProcess = spawn('say', [''], { stdio: 'pipe' })
-      testProcess.on('close', (code) => {
-        // say command returns 0 even with empty string
-        resolve(true)
-      })
-      testProcess.on('error', (error) => {
-        reject(new Error(`macOS say command not found: ${error.message}`))
-      })
-    })
+  async _validateVoiceMap (voiceMap) {
+    if (!voiceMap) {
+      return
+    }
+
+    const voices = await this._getAvailableVoices()
+    if (voices.length === 1) {
+      console.warn(`Warning: ${this._getTTSEngine()} has a single voice; quotes and headings use the narrator voice`)
+      return
+    }
+
+    for (const voice of Object.values(voiceMap)) {
+      await this._validateVoice(voice)
+    }
   }
 
   /**
-   * Check Windows SAPI availability
+   * Switch to the voice for the article's language: the configured one, else the first engine
+   * voice that speaks it. A voice given for the conversion (front matter) always wins, and the
+   * narrator is kept when it already speaks the language
    */
-  async _detectWindowsTTS () {
-    // For Windows, we'll use PowerShell with SAPI
-    return new Promise((resolve, reject) => {
-      const testScript = 'Add-Type -AssemblyName System.Speech; exit 0'
-      const testProcess = spawn('powershell', ['-Command', testScript], { stdio: 'pipe' })
-      testProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve(true)
-        } else {
-          reject(new Error('Windows SAPI not available'))
-        }
-      })
-      testProcess.on('error', () => {
-        reject(new Error('PowerShell not found for Windows TTS'))
-      })
-    })
+  async _languageVoice (options, overrides) {
+    if (!overrides.language || overrides.voice) {
+      return options
+    }
+
+    const language = LocalTTSService._primaryLanguage(overrides.language)
+    const configured = options.voicesByLanguage[overrides.language] || options.voicesByLanguage[language]
+    if (configured) {
+      return typeof configured === 'string'
+        ? { ...options, voice: configured, voiceMap: null }
+        : { ...options, voice: configured.narrator || options.voice, voiceMap: configured }
+    }
+
+    const voices = await this._getAvailableVoices()
+    const current = voices.find(entry => this.engine.matchesVoice(entry, options.voice))
+    const currentLanguage = current?.language || this.options.language || 'en-US' // The default voice is assumed to speak English
+    if (voices.length === 0 || LocalTTSService._primaryLanguage(currentLanguage) === language) {
+      return options
+    }
+
+    const speaker = voices.find(entry => entry.language && LocalTTSService._primaryLanguage(entry.language) === language)
+    if (!speaker) {
+      console.warn(`Warning: No ${this._getTTSEngine()} voice speaks "${overrides.language}"; reading it with ${options.voice}`)
+      return options
+    }
+    return { ...options, voice: this.engine.voiceId(speaker), voiceMap: null }
   }
 
   /**
-   * Check Linux espeak/festival availability
+   * Primary subtag of a language tag ("en-GB", "es_ES" -> "en", "es")
    */
-  async _detectLinuxTTS () {
-    return new Promise((resolve, reject) => {
-      // Try espeak first, then festival
-      const testProcess = spawn('espeak', ['--version'], { stdio: 'pipe' })
-      testProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve(true)
-        } else {
-          // Try festival as fallback
-          const festivalProcess = spawn('festival', ['--version'], { stdio: 'pipe' })
-          festivalProcess.on('close', (festivalCode) => {
-            if (festivalCode === 0) {
-              resolve(true)
-            } else {
-              reject(new Error('Neither espeak nor festival found on Linux'))
-            }
-          })
-          festivalProcess.on('error', () => {
-            reject(new Error('No TTS engines found on Linux (tried espeak, festival)'))
-          })
-        }
-      })
-      testProcess.on('error', () => {
-        // espeak not found, try festival
-        const festivalProcess = spawn('festival', ['--version'], { stdio: 'pipe' })
-        festivalProcess.on('close', (festivalCode) => {
-          if (festivalCode === 0) {
-            resolve(true)
-          } else {
-            reject(new Error('Neither espeak nor festival found on Linux'))
-          }
-        })
-        festivalProcess.on('error', () => {
-          reject(new Error('No TTS engines found on Linux'))
-        })
-      })
-    })
+  static _primaryLanguage (tag) {
+    return String(tag).split(/[-_]/)[0].toLowerCase()
   }
 
   /**
-   * Generate audio using platform-specific TTS
+   * Voice for each role. A per-conversion voice (front matter) replaces the mapped narrator
    */
-  async _generateAudio (text, outputPath, options) {
-    switch (this.platform) {
-      case 'darwin':
-        return this._generateMacOSAudio(text, outputPath, options)
-      case 'win32':
-        return this._generateWindowsAudio(text, outputPath, options)
-      case 'linux':
-        return this._generateLinuxAudio(text, outputPath, options)
-      default:
-        throw new Error(`Audio generation not implemented for platform: ${this.platform}`)
+  async _voiceRoles (options) {
+    const voiceMap = options.voiceMap || {}
+    const narrator = options.voice !== this.options.voice ? options.voice : (voiceMap.narrator || options.voice)
+
+    if (!options.voiceMap || (await this._getAvailableVoices()).length === 1) {
+      return { narrator, quote: narrator, heading: narrator }
     }
+    return { narrator, quote: voiceMap.quote || narrator, heading: voiceMap.heading || narrator }
   }
 
   /**
-   * Generate audio on macOS using 'say' command with chunking for stability
+   * Give each piece its voice, splitting paragraphs at quotes read by the quote voice.
+   * Parts of one paragraph follow each other without a pause
    */
-  async _generateMacOSAudio (text, outputPath, options) {
-    if (!options.enableChunking) {
-      return this._generateSingleMacOSAudio(text, outputPath, options)
-    }
+  _voicePieces (pieces, roles) {
+    return pieces.flatMap(piece => {
+      if (piece.heading) {
+        return [{ ...piece, voice: roles.heading }]
+      }
+      if (roles.quote === roles.narrator) {
+        return [{ ...piece, voice: roles.narrator }]
+      }
 
-    const words = text.split(/\s+/)
+      const parts = SpeechDocument.splitQuotes(piece.chunk)
+      if (parts.length <= 1) {
+        return [{ ...piece, voice: parts[0]?.quote ? roles.quote : roles.narrator }]
+      }
+      return parts.map((part, i) => ({
+        ...piece,
+        chunk: part.text,
+        chapter: i === 0 ? piece.chapter : null,
+        voice: part.quote ? roles.quote : roles.narrator,
+        pause: i + 1 < parts.length ? null : piece.pause
+      }))
+    })
+  }
 
-    // If text is short enough, process without chunking
-    if (words.length <= options.maxChunkWords) {
-      return this._generateSingleMacOSAudio(text, outputPath, options)
+  /**
+   * Generate audio with the selected engine, chunking long text on every platform
+   */
+  async _generateAudio (text, outputPath, options, pieces) {
+    // A single piece (or chunking turned off with one voice) is synthesized in one process,
+    // pauses rendered by the engine
+    const voices = new Set(pieces.map(piece => piece.voice))
+    if ((!options.enableChunking || pieces.length <= 1) && voices.size <= 1 && !pieces.some(piece => piece.chapter)) {
+      const voiceOptions = { ...options, voice: pieces[0]?.voice || options.voice }
+      const result = await this._synthesizeSingle(this._renderSpeech(pieces, voiceOptions), outputPath, voiceOptions)
+      await this._shapeChunk(result.audioPath, 0, options)
+      return result
     }
 
-    // Split into chunks and process separately
-    const chunks = this._chunkText(text, options.maxChunkWords)
-    const tempFiles = []
+    return this._generateChunkedAudio(text, outputPath, options, pieces)
+  }
+
+  /**
+   * Synthesize sentence-aligned chunks separately and join them, so no engine
+   * receives a whole article in one process (say crashes, PowerShell and argv
+   * hit length limits); each chunk gets its own maxProcessTimeout. Chunks run
+   * through a bounded pool and are joined in text order. With chapter segments,
+   * chunks never cross a chapter start and each chapter is timed from the
+   * measured length of the chunks before it. Each chunk is trimmed and followed
+   * by its pause before the chunks are timed and joined. Chunks read by different voices
+   * are brought to one sample rate first. Chunks are always PCM (WAV or AIFF, whichever the
+   * engine writes); an output in another format is encoded from the joined chunks
+   */
+  async _generateChunkedAudio (text, outputPath, options, pieces) {
+    const chunks = pieces.map(piece => piece.chunk)
+    const chunkOptions = pieces.map(piece => ({ ...options, voice: piece.voice || options.voice }))
+    const inputs = pieces.map((piece, i) => this._renderSpeech([{ ...piece, pause: 0 }], chunkOptions[i])) // Pauses are added as audio
+    const extension = this._chunkFormat()
+    const batchId = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`
+    const tempFiles = chunks.map((chunk, i) => path.join(this.options.tempDir, `chunk_${batchId}_${i}.${extension}`))
+    const joinedPath = this._audioFormat(outputPath) === extension
+      ? outputPath
+      : path.join(this.options.tempDir, `joined_${batchId}.${extension}`)
 
     try {
-      console.log(`Processing ${chunks.length} chunks for long text (${words.length} words)`)
+      console.log(`Processing ${chunks.length} chunks for long text (${text.split(/\s+/).length} words)`)
 
-      // Generate audio for each chunk
-      for (let i = 0; i < chunks.length; i++) {
-        const chunkPath = path.join(this.options.tempDir, `chunk_${Date.now()}_${i}.aiff`)
-        console.log(`Processing chunk ${i + 1}/${chunks.length} (${chunks[i].split(/\s+/).length} words)`)
+      const results = await this._mapWithConcurrency(chunks, options.chunkConcurrency, async (chunk, i) => {
+        console.log(`Processing chunk ${i + 1}/${chunks.length} (${chunk.split(/\s+/).length} words)`)
+        const result = await this._synthesizeChunk(inputs[i], tempFiles[i], i, chunks.length, chunkOptions[i])
+        await this._shapeChunk(tempFiles[i], pieces[i].pause, options)
+        return result
+      })
 
-        await this._generateSingleMacOSAudio(chunks[i], chunkPath, options)
-        tempFiles.push(chunkPath)
+      this._checkAborted(options)
+      if (new Set(chunkOptions.map(chunk => chunk.voice)).size > 1) {
+        await this._matchSampleRates(tempFiles)
       }
 
+      const chapters = pieces.some(piece => piece.chapter) ? await this._timeChapters(pieces, tempFiles, options.rate) : null
+
       // Concatenate all chunks into final output
-      await this._concatenateAudioFiles(tempFiles, outputPath)
+      await this._concatenateAudioFiles(tempFiles, joinedPath, options)
+      if (joinedPath !== outputPath) {
+        await this.transcoder.transcode(joinedPath, outputPath, { chapters, signal: options.signal })
+      }
 
       return {
         audioPath: outputPath,
         duration: this._estimateAudioDuration(text, options.rate),
         chunks: chunks.length,
-        method: 'chunked'
+        cachedChunks: results.filter(result => result.cached).length,
+        method: 'chunked',
+        ...(chapters && { chapters })
       }
     } catch (error) {
       throw new Error(`Chunked TTS generation failed: ${error.message}`)
     } finally {
       // Cleanup temporary files
-      await this._cleanupTempFiles(tempFiles)
+      await this._cleanupTempFiles(joinedPath === outputPath ? tempFiles : [...tempFiles, joinedPath])
     }
   }
 
   /**
-   * Generate single audio file without chunking
+   * Synthesize one chunk, retrying it on its own before giving up on the article
    */
-  async _generateSingleMacOSAudio (text, outputPath, options) {
-    return new Promise((resolve, reject) => {
-      const args = [
-        '-o', outputPath,
-        '-r', options.rate.toString()
-      ]
+  async _synthesizeChunk (chunk, chunkPath, index, total, options) {
+    const attempts = options.chunkRetryAttempts + 1
+    let lastError
 
-      if (options.voice && options.voice !== 'default') {
-        args.push('-v', options.voice)
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      try {
+        if (attempt > 0) {
+          await this._delay(options.chunkRetryDelay * attempt, options.signal)
+        }
+        return await this._synthesizeSingle(chunk, chunkPath, options)
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw error // Cancelled, not failed: no retry
+        }
+        lastError = error
       }
+    }
 
-      args.push(text)
-
-      const sayProcess = spawn('say', args, { stdio: 'pipe' })
-
-      // Add timeout to prevent hanging
-      const processTimeout = setTimeout(() => {
-        sayProcess.kill('SIGTERM')
-        reject(new Error('macOS say command timed out'))
-      }, options.maxProcessTimeout || 30000)
-
-      sayProcess.on('close', (code) => {
-        clearTimeout(processTimeout)
-        if (code === 0) {
-          resolve({
-            audioPath: outputPath,
-            duration: this._estimateAudioDuration(text, options.rate),
-            method: 'single'
-          })
-        } else {
-          reject(new Error(`macOS say command failed with code ${code}`))
-        }
-      })
+    const tries = attempts > 1 ? ` after ${attempts} attempts` : ''
+    throw new Error(`chunk ${index + 1}/${total} failed${tries}: ${lastError.message}`)
+  }
 
-      sayProcess.on('error', (error) => {
-        clearTimeout(processTimeout)
-        reject(new Error(`macOS say command error: ${error.message}`))
-      })
+  /**
+   * Run worker over items with at most `limit` in flight; results keep item order.
+   * After a failure no new items start, in-flight ones finish, then it rethrows
+   */
+  async _mapWithConcurrency (items, limit, worker) {
+    const results = new Array(items.length)
+    let next = 0
+    let failure = null
+
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+      while (next < items.length && !failure) {
+        const index = next++
+        try {
+          results[index] = await worker(items[index], index)
+        } catch (error) {
+          failure = failure || error
+        }
+      }
     })
+
+    await Promise.all(runners)
+    if (failure) {
+      throw failure
+    }
+    return results
   }
 
   /**
-   * Generate audio on Windows using PowerShell and SAPI
+   * Generate a single audio file without chunking
    */
-  async _generateWindowsAudio (text, outputPath, options) {
-    return new Promise((resolve, reject) => {
-      const script = `
-        Add-Type -AssemblyName System.Speech
-        $synth = New-Object System.Speech.Synthesis.SpeechSynthesizer
-        $synth.Rate = ${Math.round((options.rate - 200) / 20)} # Convert to SAPI rate (-10 to 10)
-        $synth.SetOutputToWaveFile("${outputPath}")
-        $synth.Speak("${text.replace(/"/g, '""')}")
-        $synth.Dispose()
-      `
-
-      const psProcess = spawn('powershell', ['-Command', script])
-
-      psProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve({
-            audioPath: outputPath,
-            duration: this._estimateAudioDuration(text, options.rate)
-          })
-        } else {
-          reject(new Error(`Windows PowerShell TTS failed with code ${code}`))
-        }
-      })
+  async _synthesizeSingle (text, outputPath, options) {
+    this._checkAborted(options)
+    const cacheKey = this.cache && SynthesisCache.key({
+      text,
+      engine: this.engine.name,
+      voice: options.voice,
+      rate: options.rate,
+      format: path.extname(outputPath).slice(1).toLowerCase()
+    })
+
+    const cached = cacheKey ? await this._readCache(cacheKey, outputPath) : false
+    let audioPath = outputPath
 
-      psProcess.on('error', (error) => {
-        reject(new Error(`Windows PowerShell TTS error: ${error.message}`))
+    if (!cached) {
+      const result = await this.engine.synthesize(text, outputPath, {
+        voice: options.voice,
+        rate: options.rate,
+        timeout: options.maxProcessTimeout,
+        markup: this.engine.markup,
+        signal: options.signal
       })
-    })
+      audioPath = result.audioPath || outputPath
+
+      if (cacheKey) {
+        await this._writeCache(cacheKey, audioPath)
+      }
+    }
+
+    return {
+      audioPath,
+      duration: this._estimateAudioDuration(text, options.rate),
+      method: 'single',
+      cached
+    }
   }
 
   /**
-   * Generate audio on Linux using espeak
+   * Copy cached audio into place; cache problems never fail synthesis
    */
-  async _generateLinuxAudio (text, outputPath, options) {
-    return new Promise((resolve, reject) => {
-      const args = [
-        '-w', outputPath, // output to wav file
-        '-s', options.rate.toString(), // speed in words per minute
-        text
-      ]
-
-      const espeakProcess = spawn('espeak', args)
-
-      espeakProcess.on('close', (code) => {
-        if (code === 0) {
-          resolve({
-            audioPath: outputPath,
-            duration: this._estimateAudioDuration(text, options.rate)
-          })
-        } else {
-          reject(new Error(`Linux espeak failed with code ${code}`))
-        }
-      })
+  async _readCache (key, outputPath) {
+    try {
+      return await this.cache.get(key, outputPath)
+    } catch (error) {
+      console.warn(`Warning: Synthesis cache read failed: ${error.message}`)
+      return false
+    }
+  }
 
-      espeakProcess.on('error', (error) => {
-        reject(new Error(`Linux espeak error: ${error.message}`))
-      })
-    })
+  async _writeCache (key, audioPath) {
+    try {
+      await this.cache.put(key, audioPath)
+    } catch (error) {
+      console.warn(`Warning: ${error.message}`)
+    }
   }
 
   /**
    * Preprocess text for better TTS output
+   * @param {string} text - Spoken text, possibly holding SpeechDocument markers
+   * @param {Object} options - markup: keep emphasis markers and mark spelled acronyms instead of
+   *   returning plain text; language: article language (English acronym rules only apply to English)
+   * @returns {string} Cleaned paragraphs separated by blank lines
    */
-  _preprocessText (text) {
+  _preprocessText (text, { markup = false, language = null } = {}) {
+    // Paragraph breaks must be found before whitespace is collapsed
     return text
-      // Remove excessive whitespace
-      .replace(/\s+/g, ' ')
-      // Remove common text artifacts
-      .replace(/https?:\/\/[^\s]+/g, '') // Remove URLs
-      .replace(/\b[A-Z]{2,}\b/g, (match) => match.toLowerCase()) // Convert CAPS to lowercase
-      // Add pauses for better flow
-      .replace(/\. /g, '. ... ') // Add pause after sentences
-      .replace(/\n\n/g, ' ... ... ') // Convert paragraph breaks to pauses
-      .trim()
+      .split(/\n\s*\n/)
+      .map(paragraph => {
+        const cleaned = paragraph
+          // Remove excessive whitespace
+          .replace(/\s+/g, ' ')
+          // Remove common text artifacts
+          .replace(/https?:\/\/[^\s]+/g, '') // Remove URLs
+
+        // Apply pronunciation lexicon and acronym rules
+        const spoken = this.lexicon.apply(cleaned, { markup, language })
+        return (markup ? SpeechDocument.markQuotes(spoken) : SpeechDocument.strip(spoken)).trim()
+      })
+      .filter(Boolean)
+      .join('\n\n')
+  }
+
+  /**
+   * Split text into the chunks synthesized on their own, each with the silence that follows it.
+   * Every paragraph ends a chunk, and so does every sentence when a sentencePause is set; longer
+   * paragraphs are split at sentences to stay within maxChunkWords
+   * @param {string} text - Text before preprocessing
+   * @param {Object} options - Merged conversion options
+   * @returns {Array<{chunk: string, chapter: Object|null, heading: boolean, pause: number|null}>} chunk is
+   *   marked text (see SpeechDocument); pause in ms, or null where the engine's own pause between sentences is kept
+   */
+  _speechPieces (text, options) {
+    const pieces = []
+
+    for (const segment of this._segmentText(text, options.chapters)) {
+      const paragraphs = this._preprocessText(segment.text, { markup: true, language: options.language }).split('\n\n').filter(Boolean)
+
+      paragraphs.forEach((paragraph, p) => {
+        const parts = SpeechDocument.balance(options.sentencePause !== null
+          ? paragraph.split(/(?<=[.!?])\s+/)
+          : this._chunkText(paragraph, options.maxChunkWords))
+        const paragraphPause = p === 0 && segment.heading ? options.headingPause : options.paragraphPause
+
+        parts.forEach((chunk, i) => pieces.push({
+          chunk,
+          chapter: p === 0 && i === 0 ? segment.chapter : null,
+          heading: p === 0 && segment.heading,
+          pause: i + 1 < parts.length ? options.sentencePause : paragraphPause
+        }))
+      })
+    }
+
+    if (pieces.length > 0) {
+      pieces[pieces.length - 1].pause = 0 // Nothing follows the last chunk
+    }
+    return pieces
+  }
+
+  /**
+   * Render pieces as input for the selected engine: SSML, say embedded commands or plain text
+   */
+  _renderSpeech (pieces, options) {
+    const blocks = pieces.map(piece => ({ type: piece.heading ? 'heading' : 'paragraph', text: piece.chunk, pause: piece.pause }))
+    return new SpeechDocument(blocks, { language: this._speechLanguage(options) }).render(this.engine.markup)
+  }
+
+  /**
+   * Language for SSML: the configured one, else the selected voice's, else en-US
+   */
+  _speechLanguage (options) {
+    if (options.language) {
+      return options.language
+    }
+    const voice = (this.voices || []).find(entry => this.engine.matchesVoice(entry, options.voice))
+    return voice?.language || 'en-US'
   }
 
   /**
@@ -414,36 +621,35 @@ class LocalTTSService {
   }
 
   /**
-   * Get the TTS engine name for current platform
+   * Get the display name of the selected engine (or the platform default before initialize)
    */
   _getTTSEngine () {
-    switch (this.platform) {
-      case 'darwin':
-        return 'macOS say'
-      case 'win32':
-        return 'Windows SAPI'
-      case 'linux':
-        return 'espeak'
-      default:
-        return 'unknown'
-    }
+    const engine = this._currentEngine()
+    return engine ? engine.displayName : 'unknown'
   }
 
   /**
-   * Get available voices (simplified for now)
+   * Get available voices from the engine ({name, language, gender, quality} entries)
    */
   async _getAvailableVoices () {
-    // This is a simplified implementation
-    // Real implementation would query system for available voices
-    switch (this.platform) {
-      case 'darwin':
-        return ['Alex', 'Samantha', 'Victoria', 'default']
-      case 'win32':
-        return ['Microsoft David', 'Microsoft Zira', 'default']
-      case 'linux':
-        return ['default']
-      default:
-        return ['default']
+    if (this.voices) {
+      return this.voices
+    }
+
+    const engine = this._currentEngine()
+    if (!engine) {
+      return []
+    }
+
+    try {
+      const voices = await engine.listVoices()
+      if (this.engine) {
+        this.voices = voices // Only cache once an engine has been detected
+      }
+      return voices
+    } catch (error) {
+      console.warn(`Warning: Could not list voices for ${engine.displayName}: ${error.message}`)
+      return []
     }
   }
 
@@ -451,16 +657,19 @@ class LocalTTSService {
    * Get supported audio formats
    */
   _getSupportedFormats () {
-    switch (this.platform) {
-      case 'darwin':
-        return ['aiff', 'm4a']
-      case 'win32':
-        return ['wav']
-      case 'linux':
-        return ['wav']
-      default:
-        return ['wav']
+    const engine = this._currentEngine()
+    return engine ? engine.formats : ['wav']
+  }
+
+  /**
+   * The selected engine, or the first candidate when nothing has been detected yet
+   */
+  _currentEngine () {
+    if (this.engine) {
+      return this.engine
     }
+    const [first] = this.registry.candidates({ engine: this.options.engine, preference: this.options.enginePreference })
+    return first ? this.registry.get(first) : null
   }
 
   /**
@@ -493,104 +702,228 @@ class LocalTTSService {
   }
 
   /**
-   * Concatenate multiple AIFF audio files using built-in macOS tools
+   * Split text at chapter character offsets
+   * @param {string} text - Text before preprocessing
+   * @param {Array<{title: string, offset: number, level: number}>} chapters - Chapter starts in text
+   * @returns {Array<{text: string, chapter: Object|null, heading: boolean}>} chapter is null for text
+   *   before the first chapter; heading is true when the chapter's first paragraph is its heading
+   */
+  _segmentText (text, chapters) {
+    const starts = (chapters || [])
+      .filter(chapter => chapter.offset >= 0 && chapter.offset < text.length)
+      .sort((a, b) => a.offset - b.offset)
+
+    if (starts.length === 0) {
+      return [{ text, chapter: null, heading: false }]
+    }
+
+    const segments = starts[0].offset > 0 ? [{ text: text.slice(0, starts[0].offset), chapter: null, heading: false }] : []
+    starts.forEach((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1].offset : text.length
+      segments.push({
+        text: text.slice(start.offset, end),
+        chapter: { title: start.title, level: start.level || 1 },
+        heading: Boolean(start.heading)
+      })
+    })
+    return segments
+  }
+
+  /**
+   * Start and end times of each chapter from the chunk files, before they are joined
+   */
+  async _timeChapters (pieces, chunkFiles, rate) {
+    const chapters = []
+    let elapsed = 0
+
+    for (let i = 0; i < pieces.length; i++) {
+      if (pieces[i].chapter) {
+        chapters.push({ ...pieces[i].chapter, start: elapsed })
+      }
+      elapsed += await this._chunkDuration(chunkFiles[i], pieces[i].chunk, rate)
+    }
+
+    return chapters.map((chapter, i) => ({ ...chapter, end: i + 1 < chapters.length ? chapters[i + 1].start : elapsed }))
+  }
+
+  /**
+   * Length of a chunk file in seconds, estimated from its words when the file cannot be read
    */
-  async _concatenateAudioFiles (inputFiles, outputPath) {
+  async _chunkDuration (chunkPath, chunk, rate) {
     try {
-      // Try ffmpeg first (if available), fall back to binary concatenation
-      await this._tryFFmpegConcat(inputFiles, outputPath)
+      return (await AudioDuration.measure(chunkPath)).duration
     } catch (error) {
-      console.log('ffmpeg not available, using binary concatenation')
-      await this._binaryConcatenation(inputFiles, outputPath)
+      return chunk.split(/\s+/).length / (rate || this.options.rate) * 60
     }
   }
 
   /**
-   * Concatenate using ffmpeg (if available)
+   * Trim a chunk's leading and trailing silence and append its pause, in place. Where the
+   * pause is null the engine's own trailing pause is kept. Formats other than WAV and AIFF
+   * (such as a custom command writing MP3) are left as they are
    */
-  async _tryFFmpegConcat (inputFiles, outputPath) {
-    return new Promise((resolve, reject) => {
-      const concatList = inputFiles.map(f => `file '${f}'`).join('\n')
-      const listPath = path.join(this.options.tempDir, 'concat_list.txt')
+  async _shapeChunk (chunkPath, pause, options) {
+    if (!options.trimSilence && !(pause > 0)) {
+      return
+    }
 
-      fs.writeFileSync(listPath, concatList)
+    try {
+      const buffer = await fs.readFile(chunkPath)
+      const Format = { wav: WavFile, aiff: AiffFile }[AudioDuration.detectFormat(buffer)]
+      if (!Format) {
+        return
+      }
 
-      const ffmpegArgs = [
-        '-f', 'concat',
-        '-safe', '0',
-        '-i', listPath,
-        '-c', 'copy',
-        outputPath
-      ]
+      let audio = Format.parse(buffer)
+      if (options.trimSilence) {
+        audio = audio.trimSilence({ threshold: options.silenceThreshold, keep: TRIM_KEEP_MS, end: pause !== null })
+      }
+      await audio.padSilence({ after: pause || 0 }).write(chunkPath)
+    } catch (error) {
+      console.warn(`Warning: Could not adjust silence in ${path.basename(chunkPath)}: ${error.message}`)
+    }
+  }
 
-      const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, { stdio: 'pipe' })
+  /**
+   * Resample chunks in place to the first chunk's sample rate, since voices of one engine may
+   * differ and chunks are joined without conversion. Formats other than WAV and AIFF are left as they are
+   */
+  async _matchSampleRates (chunkFiles) {
+    let sampleRate = null
 
-      ffmpegProcess.on('close', (code) => {
-        try {
-          fs.unlinkSync(listPath)
-        } catch (cleanupError) {
-          // Ignore cleanup errors
+    for (const chunkPath of chunkFiles) {
+      try {
+        const buffer = await fs.readFile(chunkPath)
+        const Format = { wav: WavFile, aiff: AiffFile }[AudioDuration.detectFormat(buffer)]
+        if (!Format) {
+          continue
         }
-        if (code === 0) {
-          resolve()
-        } else {
-          reject(new Error(`ffmpeg concat failed with code ${code}`))
+
+        const audio = Format.parse(buffer)
+        sampleRate = sampleRate || audio.sampleRate
+        if (audio.sampleRate === sampleRate) {
+          continue
         }
-      })
 
-      ffmpegProcess.on('error', (error) => {
-        reject(new Error(`ffmpeg not found: ${error.message}`))
-      })
-    })
+        // Resample through 32-bit float so AIFF and integer WAV lose no precision on the way
+        const float = new WavFile({ channels: audio.channels, sampleRate: audio.sampleRate, bitsPerSample: 32, audioFormat: WavFile.FORMAT_FLOAT })
+        const resampled = audio.withChannels(float.withChannels(audio.getChannels()).resample(sampleRate).getChannels())
+        resampled.sampleRate = sampleRate
+        await resampled.write(chunkPath)
+      } catch (error) {
+        console.warn(`Warning: Could not resample ${path.basename(chunkPath)}: ${error.message}`)
+      }
+    }
+  }
+
+  /**
+   * PCM format chunks are synthesized in: the engine's own when it writes one
+   */
+  _chunkFormat () {
+    return (this.engine.formats || []).find(format => ['aiff', 'wav'].includes(format)) || 'wav'
+  }
+
+  /**
+   * Lower-case audio format named by a file extension ("aif" is AIFF)
+   */
+  _audioFormat (filePath) {
+    const format = path.extname(filePath).slice(1).toLowerCase()
+    return format === 'aif' ? 'aiff' : format
   }
 
   /**
-   * Simple binary concatenation for AIFF files (fallback method)
+   * Concatenate chunk audio files (AIFF or WAV) into a file of the same format
    */
-  async _binaryConcatenation (inputFiles, outputPath) {
-    if (inputFiles.length === 0) {
-      throw new Error('No input files to concatenate')
+  async _concatenateAudioFiles (inputFiles, outputPath, options = {}) {
+    const chunkFormat = this._audioFormat(inputFiles[0] || '')
+    if (this._audioFormat(outputPath) !== chunkFormat) {
+      throw new Error(`Cannot join ${chunkFormat || 'unknown'} chunks into ${path.basename(outputPath)}`)
     }
 
-    if (inputFiles.length === 1) {
-      // Just copy the single file
-      await fs.copyFile(inputFiles[0], outputPath)
-      return
+    try {
+      // Try ffmpeg first (if available), fall back to rewriting the files ourselves
+      await this._tryFFmpegConcat(inputFiles, outputPath, options)
+    } catch (error) {
+      this._checkAborted(options)
+      console.log('ffmpeg not available, concatenating chunks directly')
+      if (chunkFormat === 'wav') {
+        await this._wavConcatenation(inputFiles, outputPath)
+      } else {
+        await this._aiffConcatenation(inputFiles, outputPath)
+      }
     }
+  }
 
-    // For AIFF files, we can do a simple binary concatenation
-    // This is not perfect but works for basic cases
-    let combinedData = Buffer.alloc(0)
+  /**
+   * Concatenate using ffmpeg (if available); -y because the output may exist
+   * from an earlier run, where ffmpeg would otherwise wait on its overwrite prompt
+   */
+  async _tryFFmpegConcat (inputFiles, outputPath, options = {}) {
+    const concatList = inputFiles.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n')
+    const listPath = path.join(this.options.tempDir, `concat_${path.basename(outputPath)}_${Date.now()}.txt`)
 
-    for (let i = 0; i < inputFiles.length; i++) {
-      const fileData = await fs.readFile(inputFiles[i])
+    await fs.writeFile(listPath, concatList)
 
-      if (i === 0) {
-        // First file: include the full AIFF header
-        combinedData = fileData
-      } else {
-        // Subsequent files: skip AIFF header (first 54 bytes typically)
-        const headerSize = this._getAIFFHeaderSize(fileData)
-        const audioData = fileData.slice(headerSize)
-        combinedData = Buffer.concat([combinedData, audioData])
-      }
+    try {
+      await ProcessRunner.runChecked('ffmpeg', [
+        '-y',
+        '-hide_banner', '-loglevel', 'error',
+        '-f', 'concat',
+        '-safe', '0',
+        '-i', listPath,
+        '-c', 'copy',
+        outputPath
+      ], { timeout: options.maxProcessTimeout || this.options.maxProcessTimeout, signal: options.signal })
+    } finally {
+      await fs.remove(listPath)
     }
+  }
+
+  /**
+   * Concatenate AIFF/AIFF-C files, rewriting the FORM, COMM and SSND sizes
+   */
+  async _aiffConcatenation (inputFiles, outputPath) {
+    const files = await Promise.all(inputFiles.map(file => AiffFile.read(file)))
+    await AiffFile.concat(files).write(outputPath)
+  }
 
-    await fs.writeFile(outputPath, combinedData)
+  /**
+   * Concatenate WAV files under one RIFF header
+   */
+  async _wavConcatenation (inputFiles, outputPath) {
+    const files = await Promise.all(inputFiles.map(file => WavFile.read(file)))
+    await WavFile.concat(files).write(outputPath)
   }
 
   /**
-   * Get AIFF header size (simplified - assumes standard AIFF format)
+   * Stop before starting more work once the conversion's signal has been aborted
    */
-  _getAIFFHeaderSize (buffer) {
-    // Simple heuristic: look for 'SSND' chunk which contains audio data
-    const ssndIndex = buffer.indexOf('SSND')
-    if (ssndIndex !== -1) {
-      // SSND chunk header is 8 bytes, plus 8 bytes for chunk data header
-      return ssndIndex + 16
+  _checkAborted (options) {
+    if (options.signal?.aborted) {
+      throw new Error('Synthesis aborted')
     }
-    // Fallback: assume standard header size
-    return 54
+  }
+
+  /**
+   * Wait, or reject with the abort error as soon as the signal aborts
+   */
+  _delay (ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new Error('Synthesis aborted'))
+        return
+      }
+
+      const abort = () => {
+        clearTimeout(timer)
+        reject(new Error('Synthesis aborted'))
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', abort)
+        resolve()
+      }, ms)
+      signal?.addEventListener('abort', abort, { once: true })
+    })
   }
 
   /**
@@ -6,10 +6,14 @@ const FileProcessor = require('./file-processor')
 const LocalTTSService = require('./tts-service')
 const AudioConverter = require('./audio-converter')
 const ITunesManager = require('./itunes-manager')
+const SpeechNormalizer = require('./text/speech-normalizer')
+
+const DEFAULT_SUPPORTED_EXTENSIONS = ['.txt', '.md', '.markdown', '.html', '.htm', '.epub', '.docx']
+const DEFAULT_ARTIST = 'News Audio Converter' // Used when an article names no author or source
 
 /**
  * Workflow Orchestrator - Main coordinator for news article to audio conversion
- * Manages the complete pipeline: File Processing → TTS → Audio Conversion → iTunes Import
+ * Manages the complete pipeline: File Processing → Text Normalization → TTS → Audio Conversion → iTunes Import
  */
 class WorkflowOrchestrator extends EventEmitter {
   constructor (options = {}) {
@@ -25,6 +29,7 @@ class WorkflowOrchestrator extends EventEmitter {
       outputMode: options.outputMode || 'direct', // 'direct' (default) or 'temp'
       enableItunesIntegration: options.enableItunesIntegration || false, // Optional iTunes integration
       overwriteExisting: options.overwriteExisting || false, // Overwrite existing files
+      briefing: options.briefing || false, // true or {title, separator, gap}: also merge each batch into one episode
 
       // Progress tracking
       enableProgress: options.enableProgress !== false,
@@ -36,6 +41,7 @@ class WorkflowOrchestrator extends EventEmitter {
 
       // Component options
       fileProcessor: options.fileProcessor || {},
+      speechNormalizer: options.speechNormalizer || {},
       ttsService: options.ttsService || {},
       audioConverter: options.audioConverter || {},
       itunesManager: options.itunesManager || {},
@@ -54,6 +60,7 @@ class WorkflowOrchestrator extends EventEmitter {
       currentStep: null,
       startTime: null,
       endTime: null,
+      files: [],
       errors: [],
       results: []
     }
@@ -61,11 +68,13 @@ class WorkflowOrchestrator extends EventEmitter {
     // Component instances
     this.components = {
       fileProcessor: null,
+      speechNormalizer: null,
       ttsService: null,
       audioConverter: null,
       itunesManager: null
     }
 
+    this.abortController = null // Aborted by stop() to kill in-flight synthesis and encoding
     this.initialized = false
   }
 
@@ -80,6 +89,9 @@ class WorkflowOrchestrator extends EventEmitter {
       this.components.fileProcessor = new FileProcessor(this.options.fileProcessor)
       await this.components.fileProcessor.initialize()
 
+      // Initialize spoken-text normalization (numbers, dates, units)
+      this.components.speechNormalizer = new SpeechNormalizer(this.options.speechNormalizer)
+
       // Initialize TTS Service
       this.components.ttsService = new LocalTTSService(this.options.ttsService)
       await this.components.ttsService.initialize()
@@ -119,6 +131,7 @@ class WorkflowOrchestrator extends EventEmitter {
     try {
       // Reset state for new workflow
       this._resetState()
+      this.abortController = new AbortController()
       this.state.status = 'running'
       this.state.startTime = new Date()
 
@@ -127,6 +140,7 @@ class WorkflowOrchestrator extends EventEmitter {
       // Step 1: Discover and validate input files
       const files = await this._discoverFiles(input)
       this.state.totalFiles = files.length
+      this.state.files = files // Track numbers follow discovery order
 
       if (files.length === 0) {
         throw new Error('No valid files found to process')
@@ -137,7 +151,12 @@ class WorkflowOrchestrator extends EventEmitter {
       // Step 2: Process each file through the pipeline
       const results = await this._processFilesBatch(files, options)
 
-      // Step 3: Generate summary and cleanup
+      // Step 3: Merge the articles into one episode (optional)
+      const briefing = this.options.briefing && this.state.status !== 'stopped'
+        ? await this._buildBriefing(results, this._batchDirectory(input, files), options)
+        : null
+
+      // Step 4: Generate summary and cleanup
       const summary = await this._generateSummary()
 
       this.state.status = 'completed'
@@ -149,6 +168,7 @@ class WorkflowOrchestrator extends EventEmitter {
         success: true,
         summary,
         results,
+        ...(briefing && { briefing }),
         duration: this.state.endTime - this.state.startTime
       }
     } catch (error) {
@@ -188,20 +208,39 @@ class WorkflowOrchestrator extends EventEmitter {
       )
       fileState.steps.textExtraction = textResult
 
-      // Step 2: Convert text to audio
+      // Step 2: Expand numbers, dates and units into words for the TTS engine
+      this.state.currentStep = 'text-normalization'
+      this.emit('file:step', { filePath, step: 'text-normalization' })
+
+      const locale = this._speechLocale(textResult)
+      const { text: spokenText, chapters } = this._speakSections(filePath, textResult, locale)
+      fileState.steps.textNormalization = {
+        success: true,
+        locale,
+        language: textResult.language || null,
+        textLength: spokenText.length,
+        chapters: chapters.length
+      }
+
+      // Step 3: Convert text to audio
       this.state.currentStep = 'audio-conversion'
       this.emit('file:step', { filePath, step: 'audio-conversion' })
 
       const audioOptions = {
         ...options.audio || {},
+        ...(textResult.language && { language: textResult.language }), // Declared or detected, picks the voice
+        ...(textResult.metadata?.voice && { voice: textResult.metadata.voice }), // Per-article front matter voice
         outputMode: this.options.outputMode,
         outputDir: path.dirname(filePath), // Save alongside source file
-        overwrite: this.options.overwriteExisting
+        overwrite: this.options.overwriteExisting,
+        tags: this._buildTags(filePath, textResult.metadata || {}),
+        ...this._abortOptions(),
+        ...(chapters.length > 0 && { chapters })
       }
 
       const audioResult = await this._executeWithRetry(
         () => this.components.audioConverter.convertToAudio(
-          textResult.content,
+          spokenText,
           filePath, // Pass full path for direct output
           this.components.ttsService,
           audioOptions
@@ -210,8 +249,10 @@ class WorkflowOrchestrator extends EventEmitter {
       )
       fileState.steps.audioConversion = audioResult
 
-      // Step 3: Import to iTunes (optional)
-      if (this.options.enableItunesIntegration && this.components.itunesManager) {
+      // Step 4: Import to iTunes (optional; a briefing is imported as one track instead)
+      if (this.options.briefing) {
+        fileState.steps.itunesImport = { success: true, skipped: true, reason: 'Imported as part of the briefing' }
+      } else if (this.options.enableItunesIntegration && this.components.itunesManager) {
         this.state.currentStep = 'itunes-import'
         this.emit('file:step', { filePath, step: 'itunes-import' })
 
@@ -220,7 +261,7 @@ class WorkflowOrchestrator extends EventEmitter {
             audioResult.audioPath,
             {
               title: textResult.metadata?.title || path.basename(filePath, path.extname(filePath)),
-              artist: 'News Audio Converter',
+              artist: DEFAULT_ARTIST,
               album: `News ${new Date().toISOString().split('T')[0]}`,
               ...options.itunes || {}
             }
@@ -232,8 +273,10 @@ class WorkflowOrchestrator extends EventEmitter {
         fileState.steps.itunesImport = { success: true, skipped: true, reason: 'iTunes integration disabled' }
       }
 
-      // Step 4: Cleanup temporary files (only if temp mode was used)
-      if (audioResult.outputMode === 'temp') {
+      // Step 5: Cleanup temporary files (only if temp mode was used)
+      if (audioResult.outputMode === 'temp' && this.options.briefing) {
+        fileState.steps.cleanup = { success: true, skipped: true, reason: 'Kept until the briefing is built' }
+      } else if (audioResult.outputMode === 'temp') {
         this.state.currentStep = 'cleanup'
         this.emit('file:step', { filePath, step: 'cleanup' })
 
@@ -318,10 +361,12 @@ class WorkflowOrchestrator extends EventEmitter {
 
   /**
    * Stop workflow and cleanup
+   * Running engine and encoder processes are killed and their partial output removed
    */
   async stop () {
     try {
       this.state.status = 'stopped'
+      this.abortController?.abort()
 
       // Cleanup any active operations
       if (this.components.audioConverter) {
@@ -352,16 +397,260 @@ class WorkflowOrchestrator extends EventEmitter {
       currentStep: null,
       startTime: null,
       endTime: null,
+      files: [],
       errors: [],
       results: []
     }
   }
 
+  /**
+   * Merge the converted articles of a batch into one episode: a spoken intro
+   * listing the headlines, then each article behind a separator, with one
+   * chapter per article
+   * @param {Array<Object>} results - File results in discovery order
+   * @param {string} outputDir - Directory the episode is written to in direct mode
+   * @param {Object} options - Processing options (itunes overrides)
+   * @returns {Promise<Object>} {success, audioPath, articles, audioConversion, itunesImport} or {success: false, ...}
+   */
+  async _buildBriefing (results, outputDir, options = {}) {
+    const settings = this.options.briefing === true ? {} : this.options.briefing
+    const articles = results.filter(result => result && result.success && result.steps?.audioConversion?.audioPath)
+    const converter = this.components.audioConverter
+    const tempFiles = this.options.outputMode === 'temp' ? articles.map(article => article.steps.audioConversion.audioPath) : []
+
+    if (articles.length === 0) {
+      return { success: false, skipped: true, reason: 'No articles were converted' }
+    }
+
+    const today = new Date().toISOString().split('T')[0]
+    const title = settings.title || `News briefing ${today}`
+    const headlines = articles.map(article => this._articleTitle(article.path, article.steps.textExtraction?.metadata || {}))
+    const briefing = { success: false, articles: articles.length }
+
+    try {
+      this.state.currentStep = 'briefing'
+      this.emit('briefing:started', { articles: articles.length })
+
+      const locale = this.components.speechNormalizer.resolveLocale()
+      const introText = this.components.speechNormalizer.normalize(this._briefingIntro(headlines, locale), { locale })
+      const intro = await this._executeWithRetry(
+        () => converter.convertToAudio(introText, 'briefing-intro', this.components.ttsService, { outputMode: 'temp', outputFormat: 'wav', ...this._abortOptions() }),
+        'briefing-intro'
+      )
+      tempFiles.push(intro.audioPath)
+
+      const parts = [
+        { audioPath: intro.audioPath, title: 'Headlines', text: introText },
+        ...articles.map((article, i) => ({
+          audioPath: article.steps.audioConversion.audioPath,
+          title: headlines[i],
+          text: article.steps.textExtraction?.content
+        }))
+      ]
+
+      briefing.audioConversion = await converter.combineAudio(parts, path.join(outputDir, `briefing-${today}`), {
+        outputMode: this.options.outputMode,
+        outputDir,
+        overwrite: this.options.overwriteExisting,
+        ...(settings.separator && { separator: settings.separator }),
+        ...(settings.gap !== undefined && { gap: settings.gap }),
+        tags: { title, artist: DEFAULT_ARTIST, album: `News ${today}`, date: today, genre: 'Speech', comment: `${articles.length} articles` },
+        ...this._abortOptions()
+      })
+      briefing.audioPath = briefing.audioConversion.audioPath
+
+      if (this.options.enableItunesIntegration && this.components.itunesManager) {
+        this.state.currentStep = 'itunes-import'
+        briefing.itunesImport = await this._executeWithRetry(
+          () => this.components.itunesManager.importAudioFile(briefing.audioPath, {
+            title,
+            artist: DEFAULT_ARTIST,
+            album: `News ${today}`,
+            ...options.itunes || {}
+          }),
+          'itunes-import'
+        )
+      }
+
+      if (briefing.audioConversion.outputMode === 'temp') {
+        tempFiles.push(briefing.audioPath)
+      }
+
+      briefing.success = true
+      this.emit('briefing:completed', { briefing })
+      return briefing
+    } catch (error) {
+      briefing.error = error
+      this.state.errors.push({ filePath: outputDir, error, step: this.state.currentStep })
+      this.emit('briefing:failed', { error, step: this.state.currentStep })
+
+      if (!this.options.continueOnError) {
+        throw error
+      }
+      return briefing
+    } finally {
+      await converter.cleanup(tempFiles)
+      this.state.currentStep = null
+    }
+  }
+
+  /**
+   * Spoken intro for a briefing: the date and the headlines in order
+   * @param {Array<string>} headlines - Article titles
+   * @param {string} locale - Date locale (en-US, en-GB)
+   * @returns {string}
+   */
+  _briefingIntro (headlines, locale) {
+    const date = new Date().toLocaleDateString(locale, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })
+    const count = headlines.length === 1 ? 'one story' : `${headlines.length} stories`
+    const sentence = (text) => /[.!?]$/.test(text) ? text : `${text}.`
+
+    return [`This is your news briefing for ${date}, with ${count}.`, ...headlines.map(sentence)].join('\n\n')
+  }
+
+  /**
+   * Directory a batch's combined output is written next to
+   * @param {string|Array<string>} input - processFiles() input
+   * @param {Array<string>} files - Discovered files
+   * @returns {string}
+   */
+  _batchDirectory (input, files) {
+    if (typeof input === 'string') {
+      return files.length === 1 && files[0] === input ? path.dirname(input) : input
+    }
+
+    // Deepest directory shared by every file
+    const [first, ...others] = files.map(file => path.dirname(path.resolve(file)).split(path.sep))
+    let length = first.length
+    others.forEach(parts => {
+      let i = 0
+      while (i < length && parts[i] === first[i]) i++
+      length = i
+    })
+    return first.slice(0, length).join(path.sep) || path.sep
+  }
+
+  /**
+   * Title an article is announced and tagged with
+   */
+  _articleTitle (filePath, metadata) {
+    return metadata.title || path.basename(filePath, path.extname(filePath))
+  }
+
+  /**
+   * Normalization locale for an article's language (declared or detected); a
+   * detected "en" keeps the region the document declares ("en-GB")
+   * @param {Object} textResult - Extraction result with language and metadata
+   * @returns {string|null} null when the normalizer does not read the language
+   */
+  _speechLocale (textResult) {
+    const normalizer = this.components.speechNormalizer
+    const declared = textResult.metadata?.language
+    const language = textResult.language || declared
+
+    if (!normalizer.supportsLanguage(language)) {
+      return null
+    }
+    return normalizer.resolveLocale(declared && normalizer.supportsLanguage(declared) ? declared : language)
+  }
+
+  /**
+   * Normalize extracted text section by section, recording where each
+   * heading or chapter starts in the spoken text so it can become a chapter
+   * @param {string} filePath - Source file path
+   * @param {Object} textResult - Extraction result with content, blocks and sections
+   * @param {string|null} locale - Normalization locale; null leaves the text as written
+   * @returns {{text: string, chapters: Array<{title: string, level: number, offset: number, heading?: boolean}>}}
+   */
+  _speakSections (filePath, textResult, locale) {
+    const normalizer = this.components.speechNormalizer
+    const sections = textResult.sections || []
+    const blocks = textResult.blocks || []
+    const normalize = (text) => (locale ? normalizer.normalize(text, { locale }) : text)
+
+    if (sections.length === 0 || blocks.length === 0) {
+      return { text: normalize(textResult.content), chapters: [] }
+    }
+
+    const blockText = (from, to) => blocks.slice(from, to)
+      .map(block => block.text)
+      .filter(text => text && text.length > 0)
+      .join('\n\n')
+
+    let text = ''
+    const chapters = []
+    const append = (segment, chapter) => {
+      const spoken = normalize(segment)
+      if (!spoken.trim()) {
+        return
+      }
+      if (text) {
+        text += '\n\n'
+      }
+      chapters.push({ ...chapter, offset: text.length })
+      text += spoken
+    }
+
+    // Text before the first heading gets a chapter named after the article
+    const articleTitle = textResult.metadata?.title || path.basename(filePath, path.extname(filePath))
+    append(blockText(0, sections[0].blockIndex), { title: articleTitle, level: 1 })
+
+    sections.forEach((section, i) => {
+      const end = i + 1 < sections.length ? sections[i + 1].blockIndex : blocks.length
+      append(blockText(section.blockIndex, end), {
+        title: section.title,
+        level: section.level || 1,
+        ...(blocks[section.blockIndex]?.type === 'heading' && { heading: true }) // Followed by a heading pause
+      })
+    })
+
+    return { text, chapters }
+  }
+
+  /**
+   * Tags for a file's audio from its front matter or extracted metadata
+   * @param {string} filePath - Source file path
+   * @param {Object} metadata - Metadata from text extraction
+   * @returns {Object} title, artist, album, date, genre, track, trackTotal, comment
+   */
+  _buildTags (filePath, metadata) {
+    const today = new Date().toISOString().split('T')[0]
+    const index = (this.state.files || []).indexOf(filePath)
+
+    return {
+      title: this._articleTitle(filePath, metadata),
+      artist: metadata.byline || metadata.source || metadata.siteName || DEFAULT_ARTIST,
+      album: `News ${today}`,
+      date: this._tagDate(metadata.publishedDate) || today,
+      genre: 'Speech',
+      ...(index >= 0 && { track: index + 1, trackTotal: this.state.files.length }),
+      comment: filePath
+    }
+  }
+
+  /**
+   * Published date as YYYY-MM-DD, or null when it cannot be read
+   */
+  _tagDate (value) {
+    if (!value) {
+      return null
+    }
+
+    const text = value instanceof Date ? value.toISOString() : String(value)
+    const iso = text.match(/^\d{4}-\d{2}-\d{2}/)
+    if (iso) {
+      return iso[0]
+    }
+
+    const parsed = new Date(text)
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0]
+  }
+
   /**
    * Discover files from input (file path, directory, or array)
    */
   async _discoverFiles (input) {
-    const supportedExtensions = ['.txt', '.md']
+    const supportedExtensions = this.options.fileProcessor.supportedExtensions || DEFAULT_SUPPORTED_EXTENSIONS
 
     try {
       if (typeof input === 'string') {
@@ -579,6 +868,10 @@ class WorkflowOrchestrator extends EventEmitter {
       } catch (error) {
         lastError = error
 
+        if (this.state.status === 'stopped') {
+          break // Killed by stop(), not worth retrying
+        }
+
         if (attempt < this.options.retryAttempts) {
           this.emit('operation:retry-failed', { step: stepName, attempt, error })
         }
@@ -588,6 +881,13 @@ class WorkflowOrchestrator extends EventEmitter {
     throw lastError
   }
 
+  /**
+   * Signal option for conversions of the running workflow
+   */
+  _abortOptions () {
+    return this.abortController ? { signal: this.abortController.signal } : {}
+  }
+
   /**
    * Generate processing summary
    */
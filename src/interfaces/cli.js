@@ -15,6 +15,8 @@ const fs = require('fs-extra')
 
 // Import our core processing engine
 const WorkflowOrchestrator = require('../core/workflow-orchestrator')
+const Lexicon = require('../core/text/lexicon')
+const SynthesisCache = require('../core/synthesis-cache')
 
 // CLI version and metadata
 const packageJson = require('../../package.json')
@@ -38,7 +40,7 @@ class TT3CLI {
     this.program
       .command('process')
       .description('Process text files to audio with optional iTunes import')
-      .argument('<input>', 'Input file or directory path containing .txt/.md files')
+      .argument('<input>', 'Input file or directory path containing articles (.txt, .md, .html, .epub, .docx)')
       .option('-v, --verbose', 'Enable verbose logging for troubleshooting')
       .option('-c, --concurrency <number>', 'Number of files to process concurrently', '1')
       .option('--continue-on-error', 'Continue processing other files if one fails', true)
@@ -47,6 +49,27 @@ class TT3CLI {
       .option('--itunes', 'Enable iTunes playlist integration (optional)')
       .option('--overwrite', 'Overwrite existing audio files instead of creating numbered versions')
       .option('--dry-run', 'Preview files that would be processed without actual conversion')
+      .option('--locale <locale>', 'Default locale for reading numbers, dates and units (en-US, en-GB)', 'en-US')
+      .option('--lexicon <path>', 'Pronunciation lexicon file (default: ~/.tt3/lexicon.json)')
+      .option('--engine <name>', 'TTS engine to try first (say, sapi, espeak, espeak-ng, festival, pico2wave)')
+      .option('--no-cache', 'Synthesize every chunk again instead of reusing cached audio')
+      .option('--sentence-pause <ms>', 'Silence after every sentence in milliseconds (default: the engine\'s own pause)')
+      .option('--paragraph-pause <ms>', 'Silence after each paragraph in milliseconds (default: 600)')
+      .option('--heading-pause <ms>', 'Silence after each heading in milliseconds (default: 900)')
+      .option('--no-trim-silence', 'Keep the dead air TTS engines leave at the start and end of each chunk')
+      .option('--quote-voice <name>', 'Voice that reads quoted passages (default: the narrator voice)')
+      .option('--heading-voice <name>', 'Voice that reads headings (default: the narrator voice)')
+      .option('--language <code>', 'Language of every article instead of detecting it (en, es, de); front matter still wins')
+      .option('--language-voices <list>', 'Voice per article language, e.g. es=Monica,de=Anna (default: an engine voice that speaks it)')
+      .option('-f, --format <format>', 'Audio output format (aiff, wav, mp3, m4a, opus)')
+      .option('--bitrate <kbps>', 'Bitrate for mp3, m4a and opus output in kbit/s')
+      .option('--stereo', 'Encode mp3, m4a and opus output in stereo instead of mono')
+      .option('--encoder <name>', 'Encoder for compressed output (ffmpeg, lame, afconvert)')
+      .option('--briefing', 'Also merge all converted articles into one briefing episode with a headline intro')
+      .option('--separator <type>', 'What plays between articles in a briefing (tone, pause)')
+      .option('--loudness <lufs>', 'Integrated loudness to normalize output to, in LUFS (default: -16)')
+      .option('--no-loudness', 'Keep the TTS engine\'s volume instead of normalizing loudness')
+      .option('--true-peak <dbtp>', 'True-peak ceiling for normalized output, in dBTP (default: -1)')
       .action(this.handleProcessCommand.bind(this))
 
     // Status command
@@ -56,6 +79,59 @@ class TT3CLI {
       .option('-v, --verbose', 'Show detailed component information')
       .action(this.handleStatusCommand.bind(this))
 
+    // Pronunciation lexicon commands
+    const lexicon = this.program
+      .command('lexicon')
+      .description('Manage how words, names and acronyms are pronounced')
+
+    lexicon
+      .command('add')
+      .description('Add a word\'s spoken form or an acronym rule')
+      .argument('<term>', 'Word, phrase or acronym as written')
+      .argument('[spoken]', 'How the word should be spoken')
+      .option('--spell', 'Spell the acronym letter by letter (F B I)')
+      .option('--word', 'Say the acronym as a word (Nato)')
+      .option('--expand <text>', 'Replace the acronym with its expansion')
+      .option('-f, --file <path>', 'Lexicon file (.json, .yaml)', Lexicon.DEFAULT_LEXICON_PATH)
+      .action(this.handleLexiconAddCommand.bind(this))
+
+    lexicon
+      .command('remove')
+      .description('Remove a word or acronym entry')
+      .argument('<term>', 'Entry to remove')
+      .option('-f, --file <path>', 'Lexicon file (.json, .yaml)', Lexicon.DEFAULT_LEXICON_PATH)
+      .action(this.handleLexiconRemoveCommand.bind(this))
+
+    lexicon
+      .command('list')
+      .description('List lexicon entries')
+      .option('-f, --file <path>', 'Lexicon file (.json, .yaml)', Lexicon.DEFAULT_LEXICON_PATH)
+      .action(this.handleLexiconListCommand.bind(this))
+
+    lexicon
+      .command('test')
+      .description('Show how text will be spoken after lexicon rules are applied')
+      .argument('<text...>', 'Text to test')
+      .option('-f, --file <path>', 'Lexicon file (.json, .yaml)', Lexicon.DEFAULT_LEXICON_PATH)
+      .action(this.handleLexiconTestCommand.bind(this))
+
+    // Synthesis cache commands
+    const cache = this.program
+      .command('cache')
+      .description('Inspect or clear the synthesized audio cache')
+
+    cache
+      .command('info', { isDefault: true })
+      .description('Show cache location, size and entry count')
+      .option('-d, --dir <path>', 'Cache directory', SynthesisCache.DEFAULT_CACHE_DIR)
+      .action(this.handleCacheInfoCommand.bind(this))
+
+    cache
+      .command('clear')
+      .description('Delete all cached audio')
+      .option('-d, --dir <path>', 'Cache directory', SynthesisCache.DEFAULT_CACHE_DIR)
+      .action(this.handleCacheClearCommand.bind(this))
+
     // Version command override for detailed info
     this.program
       .command('version')
@@ -80,6 +156,35 @@ class TT3CLI {
         process.exit(1)
       }
 
+      // Only pass TTS overrides the user asked for
+      const ttsServiceOptions = {
+        ...(options.lexicon && { lexiconPath: path.resolve(options.lexicon) }),
+        ...(options.engine && { engine: options.engine }),
+        ...(options.cache === false && { cache: false }),
+        ...(options.sentencePause && { sentencePause: parseInt(options.sentencePause, 10) }),
+        ...(options.paragraphPause && { paragraphPause: parseInt(options.paragraphPause, 10) }),
+        ...(options.headingPause && { headingPause: parseInt(options.headingPause, 10) }),
+        ...(options.trimSilence === false && { trimSilence: false }),
+        ...((options.quoteVoice || options.headingVoice) && {
+          voiceMap: {
+            ...(options.quoteVoice && { quote: options.quoteVoice }),
+            ...(options.headingVoice && { heading: options.headingVoice })
+          }
+        }),
+        ...(options.languageVoices && { voicesByLanguage: this._parseLanguageVoices(options.languageVoices) })
+      }
+
+      // Only pass output settings the user asked for
+      const audioConverterOptions = {
+        ...(options.format && { outputFormat: options.format.toLowerCase() }),
+        ...(options.bitrate && { bitrate: parseInt(options.bitrate, 10) }),
+        ...(options.stereo && { channels: 2 }),
+        ...(options.encoder && { encoder: options.encoder }),
+        ...(typeof options.loudness === 'string' && { loudnessTarget: parseFloat(options.loudness) }),
+        ...(options.loudness === false && { loudnessTarget: null }),
+        ...(options.truePeak && { truePeak: parseFloat(options.truePeak) })
+      }
+
       // Initialize orchestrator with CLI options
       const orchestratorOptions = {
         concurrency: parseInt(options.concurrency, 10),
@@ -87,6 +192,11 @@ class TT3CLI {
         retryAttempts: parseInt(options.retryAttempts, 10),
         enableItunesIntegration: options.itunes || false,
         overwriteExisting: options.overwrite || false,
+        speechNormalizer: { locale: options.locale },
+        ...(options.language && { fileProcessor: { language: options.language } }),
+        ...(options.briefing && { briefing: options.separator ? { separator: options.separator } : true }),
+        ...(Object.keys(ttsServiceOptions).length > 0 && { ttsService: ttsServiceOptions }),
+        ...(Object.keys(audioConverterOptions).length > 0 && { audioConverter: audioConverterOptions }),
         outputMode: 'direct' // Always use direct output mode for CLI
       }
 
@@ -144,7 +254,7 @@ class TT3CLI {
       console.log(chalk.yellow.bold(`\n📋 Files that would be processed (${files.length} total):`))
 
       if (files.length === 0) {
-        console.log(chalk.gray('  No .txt or .md files found'))
+        console.log(chalk.gray('  No supported article files found (.txt, .md, .html, .epub, .docx)'))
       } else {
         files.forEach((file, index) => {
           const relativePath = path.relative(process.cwd(), file)
@@ -181,7 +291,8 @@ class TT3CLI {
           if (state.componentsStatus) {
             Object.entries(state.componentsStatus).forEach(([component, status]) => {
               const statusIcon = status.ready ? '✅' : '❌'
-              console.log(`  ${statusIcon} ${component}: ${status.ready ? 'Ready' : 'Not Ready'}`)
+              const detail = status.engine ? ` (${status.engine})` : ''
+              console.log(`  ${statusIcon} ${component}: ${status.ready ? 'Ready' : 'Not Ready'}${detail}`)
             })
           }
         }
@@ -206,6 +317,112 @@ class TT3CLI {
     }
   }
 
+  async handleLexiconAddCommand (term, spoken, options) {
+    const isAcronym = Boolean(options.spell || options.word || options.expand)
+    if (!isAcronym && !spoken) {
+      this.error('Provide a spoken form or one of --spell, --word, --expand')
+      process.exit(1)
+    }
+
+    try {
+      const lexicon = await new Lexicon({ filePath: path.resolve(options.file) }).load()
+
+      if (isAcronym) {
+        const mode = options.expand ? 'expand' : options.spell ? 'spell' : 'word'
+        lexicon.addAcronym(term, mode, options.expand)
+      } else {
+        lexicon.addWord(term, spoken)
+      }
+
+      const filePath = await lexicon.save()
+      console.log(chalk.green(`✅ ${term} → ${lexicon.apply(term)}`))
+      console.log(chalk.gray(`  Saved to ${filePath}`))
+    } catch (error) {
+      this.error(`Lexicon update failed: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  async handleLexiconRemoveCommand (term, options) {
+    try {
+      const lexicon = await new Lexicon({ filePath: path.resolve(options.file) }).load()
+
+      if (!lexicon.remove(term)) {
+        throw new Error(`No lexicon entry for "${term}"`)
+      }
+
+      await lexicon.save()
+      console.log(chalk.green(`✅ Removed ${term}`))
+    } catch (error) {
+      this.error(`Lexicon update failed: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  async handleLexiconListCommand (options) {
+    try {
+      const lexicon = await new Lexicon({ filePath: path.resolve(options.file) }).load()
+      const entries = lexicon.list()
+
+      console.log(chalk.blue.bold(`📖 Lexicon: ${lexicon.options.filePath}\n`))
+
+      if (entries.length === 0) {
+        console.log(chalk.gray('  No entries yet. Add one with: tt3 lexicon add <term> <spoken>'))
+        return
+      }
+
+      entries.forEach(entry => {
+        const kind = entry.type === 'acronym' ? `acronym, ${entry.mode}` : 'word'
+        console.log(`  ${entry.term} → ${entry.spoken} ${chalk.gray(`(${kind})`)}`)
+      })
+    } catch (error) {
+      this.error(`Lexicon list failed: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  async handleLexiconTestCommand (words, options) {
+    try {
+      const lexicon = await new Lexicon({ filePath: path.resolve(options.file) }).load()
+      const text = words.join(' ')
+
+      console.log(chalk.gray(`Written: ${text}`))
+      console.log(`Spoken:  ${lexicon.apply(text)}`)
+    } catch (error) {
+      this.error(`Lexicon test failed: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  async handleCacheInfoCommand (options) {
+    try {
+      const cache = await new SynthesisCache({ cacheDir: path.resolve(options.dir) }).load()
+      const stats = cache.stats()
+      const megabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+
+      console.log(chalk.blue.bold(`🗄️  Synthesis cache: ${stats.cacheDir}\n`))
+      console.log(`  Entries: ${stats.entries}`)
+      console.log(`  Size:    ${megabytes(stats.sizeBytes)} of ${megabytes(stats.maxSizeBytes)}`)
+      if (stats.oldestUse) {
+        console.log(`  Oldest:  ${new Date(stats.oldestUse).toLocaleString()}`)
+      }
+    } catch (error) {
+      this.error(`Cache info failed: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
+  async handleCacheClearCommand (options) {
+    try {
+      const cache = await new SynthesisCache({ cacheDir: path.resolve(options.dir) }).load()
+      const removed = await cache.clear()
+      console.log(chalk.green(`✅ Removed ${removed} cached ${removed === 1 ? 'entry' : 'entries'} from ${cache.options.cacheDir}`))
+    } catch (error) {
+      this.error(`Cache clear failed: ${error.message}`)
+      process.exit(1)
+    }
+  }
+
   handleVersionCommand () {
     console.log(chalk.blue.bold(`🎵 TT3 - News Audio Converter v${packageJson.version}\n`))
 
@@ -331,6 +548,11 @@ class TT3CLI {
           const relativePath = path.relative(process.cwd(), fileResult.path)
           console.log(`  ${index + 1}. ${relativePath}`)
 
+          const metadata = fileResult.steps?.audioConversion?.metadata
+          if (metadata?.durationMismatch) {
+            console.log(chalk.yellow(`     ⚠️  Audio runs ${Math.round(metadata.measuredDuration)}s but ~${Math.round(metadata.estimatedDuration)}s was expected; synthesis may have been cut short`))
+          }
+
           if (verbose && fileResult.steps) {
             if (fileResult.steps.itunesImport && fileResult.steps.itunesImport.trackId) {
               console.log(chalk.gray(`     → Added to iTunes playlist: ${fileResult.steps.itunesImport.trackId}`))
@@ -340,11 +562,25 @@ class TT3CLI {
               if (duration) {
                 console.log(chalk.gray(`     → Audio duration: ${Math.round(duration)}s`))
               }
+              const loudness = fileResult.steps.audioConversion.metadata.loudness
+              if (loudness) {
+                console.log(chalk.gray(`     → Loudness: ${loudness.input.toFixed(1)} → ${loudness.output.toFixed(1)} LUFS${loudness.limited ? ' (peaks limited)' : ''}`))
+              }
             }
           }
         })
     }
 
+    // Combined episode
+    if (result.briefing?.success) {
+      const relativePath = path.relative(process.cwd(), result.briefing.audioPath)
+      const duration = result.briefing.audioConversion.metadata?.duration
+      console.log(chalk.green(`\n🎙️  Briefing: ${relativePath}`))
+      console.log(chalk.gray(`     → ${result.briefing.articles} articles${duration ? `, ${Math.round(duration)}s` : ''}`))
+    } else if (result.briefing?.error) {
+      console.log(chalk.red(`\n❌ Briefing failed: ${result.briefing.error.message}`))
+    }
+
     // Failure details
     if (result.summary.failedFiles > 0) {
       console.log(chalk.red('\n❌ Failed Files:'))
@@ -371,6 +607,21 @@ class TT3CLI {
     }
   }
 
+  /**
+   * Parse "es=Monica,de=Anna" into a voice per language
+   * @param {string} list - Comma-separated code=voice pairs
+   * @returns {Object<string, string>}
+   */
+  _parseLanguageVoices (list) {
+    return Object.fromEntries(list.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const match = /^([A-Za-z]{2,3}(?:[-_][A-Za-z0-9]+)*)=(.+)$/.exec(entry)
+      if (!match) {
+        throw new Error(`Invalid --language-voices entry "${entry}" (expected code=voice)`)
+      }
+      return [match[1], match[2].trim()]
+    }))
+  }
+
   log (message, verbose) {
     if (verbose) {
       console.log(chalk.gray(`[DEBUG] ${message}`))
@@ -0,0 +1,29 @@
+/**
+ * Build minimal compressed-audio fixtures for duration and tag tests
+ */
+
+/**
+ * MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, no padding: 417-byte frames of 1152 samples
+ * @param {number} count - Number of frames
+ * @returns {Buffer}
+ */
+function mp3Frames (count) {
+  const frame = Buffer.alloc(417)
+  frame.writeUInt32BE(0xFFFB9000, 0)
+  return Buffer.concat(Array(count).fill(frame))
+}
+
+/**
+ * ISO base media (MP4/M4A) box
+ * @param {string} type - Four-character box type
+ * @param {Buffer} body - Box contents
+ * @returns {Buffer}
+ */
+function atom (type, body) {
+  const header = Buffer.alloc(8)
+  header.writeUInt32BE(8 + body.length, 0)
+  header.write(type, 4, 'latin1')
+  return Buffer.concat([header, body])
+}
+
+module.exports = { mp3Frames, atom }
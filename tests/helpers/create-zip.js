@@ -0,0 +1,56 @@
+const zlib = require('zlib')
+
+/**
+ * Build an in-memory zip archive for extractor tests
+ * @param {Object<string, string|Buffer>} files - Entry name -> contents
+ * @param {Object} options - { store: true } writes entries uncompressed
+ * @returns {Buffer}
+ */
+function createZip (files, options = {}) {
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const [name, contents] of Object.entries(files)) {
+    const data = Buffer.isBuffer(contents) ? contents : Buffer.from(contents, 'utf8')
+    const method = options.store ? 0 : 8
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data
+    const nameBuffer = Buffer.from(name, 'utf8')
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(0x800, 6) // UTF-8 names
+    local.writeUInt16LE(method, 8)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(nameBuffer.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x800, 8)
+    central.writeUInt16LE(method, 10)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(nameBuffer.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    localParts.push(local, nameBuffer, compressed)
+    centralParts.push(central, nameBuffer)
+    offset += local.length + nameBuffer.length + compressed.length
+  }
+
+  const centralDirectory = Buffer.concat(centralParts)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(Object.keys(files).length, 8)
+  end.writeUInt16LE(Object.keys(files).length, 10)
+  end.writeUInt32LE(centralDirectory.length, 12)
+  end.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...localParts, centralDirectory, end])
+}
+
+module.exports = createZip
@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events')
+
+/**
+ * Fake child process for tests that mock child_process.spawn
+ */
+
+/**
+ * Child process that prints stdout/stderr and exits once stdin is closed, the
+ * way ProcessRunner drives every process it spawns
+ * @param {Object} options - code (exit code), stdout, stderr, error (emitted instead of exiting)
+ * @returns {EventEmitter} Child with stdout, stderr, stdin (input lands in stdin.written) and kill
+ */
+function mockProcess ({ code = 0, stdout = '', stderr = '', error } = {}) {
+  const child = new EventEmitter()
+  child.stdout = new EventEmitter()
+  child.stderr = new EventEmitter()
+  child.kill = jest.fn()
+  child.stdin = {
+    written: undefined,
+    on: jest.fn(),
+    end: jest.fn((input) => {
+      child.stdin.written = input
+      setImmediate(() => {
+        if (error) {
+          child.emit('error', error)
+          return
+        }
+        if (stdout) child.stdout.emit('data', stdout)
+        if (stderr) child.stderr.emit('data', stderr)
+        child.emit('close', code)
+      })
+    })
+  }
+  return child
+}
+
+module.exports = mockProcess
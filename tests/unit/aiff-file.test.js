@@ -0,0 +1,187 @@
+const AiffFile = require('../../src/core/audio/aiff-file')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+// 16-bit mono samples counting up from `start`
+function samples (count, start = 0) {
+  const data = Buffer.alloc(count * 2)
+  for (let i = 0; i < count; i++) data.writeInt16BE(start + i, i * 2)
+  return data
+}
+
+// Hand-built AIFF-C as written by macOS say: FVER, COMM with a compression name, and an SSND offset
+function sayStyleAifc (frames) {
+  const chunk = (id, body) => {
+    const header = Buffer.alloc(8)
+    header.write(id, 0, 'ascii')
+    header.writeUInt32BE(body.length, 4)
+    return Buffer.concat([header, body, Buffer.alloc(body.length % 2)])
+  }
+
+  const fver = Buffer.alloc(4)
+  fver.writeUInt32BE(0xA2805140, 0)
+
+  const comm = Buffer.alloc(18)
+  comm.writeInt16BE(1, 0)
+  comm.writeUInt32BE(frames, 2)
+  comm.writeInt16BE(16, 6)
+  AiffFile.writeExtended(22050).copy(comm, 8)
+  const name = Buffer.from('\x0enot compressed\x00', 'latin1')
+
+  const ssndHeader = Buffer.alloc(8)
+  ssndHeader.writeUInt32BE(4, 0) // four bytes of padding before the first sample
+
+  const body = Buffer.concat([
+    chunk('FVER', fver),
+    chunk('COMM', Buffer.concat([comm, Buffer.from('NONE', 'ascii'), name])),
+    chunk('MARK', Buffer.from([0, 0])),
+    chunk('SSND', Buffer.concat([ssndHeader, Buffer.alloc(4, 0xFF), samples(frames)]))
+  ])
+
+  const header = Buffer.alloc(12)
+  header.write('FORM', 0, 'ascii')
+  header.writeUInt32BE(4 + body.length, 4)
+  header.write('AIFC', 8, 'ascii')
+  return Buffer.concat([header, body])
+}
+
+describe('AiffFile', () => {
+  describe('extended floats', () => {
+    test('should round-trip common sample rates', () => {
+      for (const rate of [8000, 11025, 22050, 44100, 48000, 96000]) {
+        expect(AiffFile.readExtended(AiffFile.writeExtended(rate), 0)).toBe(rate)
+      }
+    })
+
+    test('should decode the standard 44.1 kHz bytes', () => {
+      const bytes = Buffer.from([0x40, 0x0E, 0xAC, 0x44, 0, 0, 0, 0, 0, 0])
+      expect(AiffFile.readExtended(bytes, 0)).toBe(44100)
+    })
+  })
+
+  describe('parse', () => {
+    test('should read AIFF-C files with an SSND offset and extra chunks', () => {
+      const file = AiffFile.parse(sayStyleAifc(100))
+
+      expect(file.aifc).toBe(true)
+      expect(file.channels).toBe(1)
+      expect(file.sampleSize).toBe(16)
+      expect(file.sampleRate).toBe(22050)
+      expect(file.compressionType).toBe('NONE')
+      expect(file.compressionName).toBe('not compressed')
+      expect(file.frames).toBe(100)
+      expect(file.data.equals(samples(100))).toBe(true)
+    })
+
+    test('should round-trip plain AIFF', () => {
+      const original = new AiffFile({ channels: 2, sampleSize: 16, sampleRate: 44100, data: samples(50) })
+      const parsed = AiffFile.parse(original.toBuffer())
+
+      expect(parsed.aifc).toBe(false)
+      expect(parsed.channels).toBe(2)
+      expect(parsed.frames).toBe(25)
+      expect(parsed.sampleRate).toBe(44100)
+      expect(parsed.data.equals(original.data)).toBe(true)
+    })
+
+    test('should reject other files', () => {
+      expect(() => AiffFile.parse(Buffer.from('RIFF....WAVE'))).toThrow('Not an AIFF file')
+      expect(() => AiffFile.parse(Buffer.from('FORM\x00\x00\x00\x04ILBM', 'latin1'))).toThrow('Unsupported FORM type: ILBM')
+    })
+  })
+
+  describe('concat', () => {
+    test('should sum frame counts and rewrite every size field', () => {
+      const parts = [sayStyleAifc(100), sayStyleAifc(250), sayStyleAifc(7)].map(buffer => AiffFile.parse(buffer))
+      const output = AiffFile.concat(parts).toBuffer()
+      const merged = AiffFile.parse(output)
+
+      expect(merged.frames).toBe(357)
+      expect(merged.duration).toBeCloseTo(357 / 22050)
+      expect(merged.data.length).toBe(357 * 2)
+      expect(output.readUInt32BE(4)).toBe(output.length - 8) // FORM size
+
+      const ssnd = output.indexOf('SSND')
+      expect(output.readUInt32BE(ssnd + 4)).toBe(8 + 357 * 2) // SSND size includes offset and block size
+      const comm = output.indexOf('COMM')
+      expect(output.readUInt32BE(comm + 10)).toBe(357) // numSampleFrames
+    })
+
+    test('should pad odd-length sample data', () => {
+      const odd = new AiffFile({ channels: 1, sampleSize: 8, sampleRate: 8000, data: Buffer.alloc(3, 1) })
+      const output = AiffFile.concat([odd, odd, odd]).toBuffer()
+
+      expect(output.length % 2).toBe(0)
+      expect(output.readUInt32BE(4)).toBe(output.length - 8)
+      expect(AiffFile.parse(output).frames).toBe(9)
+    })
+
+    test('should refuse files with different formats', () => {
+      const mono = new AiffFile({ channels: 1, sampleRate: 22050, data: samples(10) })
+      const faster = new AiffFile({ channels: 1, sampleRate: 44100, data: samples(10) })
+
+      expect(() => AiffFile.concat([mono, faster])).toThrow('Cannot concatenate AIFF file 2: sampleRate 44100 does not match 22050')
+      expect(() => AiffFile.concat([])).toThrow('No AIFF files to concatenate')
+    })
+  })
+
+  describe('channels', () => {
+    test('should decode big-endian, little-endian and float samples', () => {
+      const twos = new AiffFile({ data: samples(3, 16384) })
+      const sowt = new AiffFile({ aifc: true, compressionType: 'sowt', data: Buffer.from([0x00, 0x40]) })
+      const float = new AiffFile({ aifc: true, compressionType: 'fl32', sampleSize: 32, data: Buffer.alloc(4) })
+      float.data.writeFloatBE(-0.75, 0)
+
+      expect(twos.getChannels()[0][0]).toBe(0.5)
+      expect(sowt.getChannels()[0][0]).toBe(0.5)
+      expect(float.getChannels()[0][0]).toBe(-0.75)
+      expect(twos.withChannels(twos.getChannels()).data.equals(twos.data)).toBe(true)
+      expect(sowt.withChannels([new Float32Array([-1])]).data).toEqual(Buffer.from([0x00, 0x80]))
+    })
+
+    test('should refuse compressed AIFF-C', () => {
+      const ima = new AiffFile({ aifc: true, compressionType: 'ima4', data: Buffer.alloc(34), frames: 64 })
+      expect(() => ima.getChannels()).toThrow('Cannot decode compressed AIFF-C samples (ima4)')
+    })
+  })
+
+  describe('silence', () => {
+    test('should create and pad silence in the same format', () => {
+      const sowt = new AiffFile({ aifc: true, compressionType: 'sowt', sampleRate: 1000, data: Buffer.from([0x00, 0x40]) })
+      const padded = sowt.padSilence({ before: 2, after: 3 })
+
+      expect(AiffFile.silence({ channels: 2, sampleRate: 1000 }, 10).data).toEqual(Buffer.alloc(40))
+      expect(padded.frames).toBe(6)
+      expect(padded.compressionType).toBe('sowt')
+      expect(padded.getChannels()[0][2]).toBe(0.5)
+    })
+
+    test('should trim quiet frames from either end', () => {
+      const file = new AiffFile({ sampleRate: 1000 }).withChannels([new Float32Array([0, 0, 0.5, -0.25, 0.001, 0])])
+
+      expect(file.trimSilence().frames).toBe(2)
+      expect(file.trimSilence({ keep: 1 }).frames).toBe(4)
+      expect(file.trimSilence({ end: false }).frames).toBe(4)
+      expect(AiffFile.silence(file, 50).trimSilence().frames).toBe(0)
+    })
+  })
+
+  describe('read and write', () => {
+    test('should write files that read back identically', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-aiff-test-'))
+      const filePath = path.join(tempDir, 'out.aiff')
+
+      try {
+        await AiffFile.parse(sayStyleAifc(40)).write(filePath)
+        const reread = await AiffFile.read(filePath)
+
+        expect(reread.frames).toBe(40)
+        expect(reread.aifc).toBe(true)
+        await expect(AiffFile.read(path.join(tempDir, 'missing.aiff'))).rejects.toThrow('Failed to read AIFF')
+      } finally {
+        await fs.remove(tempDir)
+      }
+    })
+  })
+})
@@ -2,6 +2,8 @@ const fs = require('fs-extra')
 const path = require('path')
 const os = require('os')
 const AudioConverter = require('../../src/core/audio-converter')
+const WavFile = require('../../src/core/audio/wav-file')
+const AiffFile = require('../../src/core/audio/aiff-file')
 
 describe('AudioConverter', () => {
   let audioConverter
@@ -40,7 +42,8 @@ describe('AudioConverter', () => {
       const customConverter = new AudioConverter({
         outputFormat: 'mp3',
         maxFileSize: 100 * 1024 * 1024,
-        cleanupOnError: false
+        cleanupOnError: false,
+        transcoder: { selectEncoder: jest.fn().mockResolvedValue('ffmpeg') }
       })
 
       await customConverter.initialize()
@@ -52,6 +55,17 @@ describe('AudioConverter', () => {
       await customConverter.cleanupAll()
     })
 
+    test('should fail to initialize when the output format has no encoder', async () => {
+      const converter = new AudioConverter({
+        outputFormat: 'opus',
+        tempDir: testTempDir,
+        transcoder: { selectEncoder: jest.fn().mockRejectedValue(new Error('No opus encoder found; install ffmpeg or choose aiff/wav output')) }
+      })
+
+      await expect(converter.initialize()).rejects.toThrow('Failed to initialize audio converter: No opus encoder found')
+      expect(converter.initialized).toBe(false)
+    })
+
     test('should create temp directory', async () => {
       expect(await fs.pathExists(testTempDir)).toBe(true)
     })
@@ -138,6 +152,8 @@ describe('AudioConverter', () => {
       expect(result.metadata).toBeDefined()
       expect(result.metadata.sourceFile).toBe(sourceFilename)
       expect(result.metadata.textLength).toBe(testText.length)
+      expect(result.metadata.measuredDuration).toBeNull()
+      expect(result.metadata.duration).toBe(5.2)
       expect(mockTTSService.convertTextToAudio).toHaveBeenCalledWith(
         testText,
         mockFilePath,
@@ -145,6 +161,183 @@ describe('AudioConverter', () => {
       )
     })
 
+    test('should synthesize in the engine format and transcode to the output format', async () => {
+      const transcoder = {
+        selectEncoder: jest.fn().mockResolvedValue('ffmpeg'),
+        transcode: jest.fn(async (input, output) => {
+          await fs.writeFile(output, 'encoded audio')
+          return { encoder: 'ffmpeg', format: 'mp3', bitrate: 48, channels: 1 }
+        })
+      }
+      const converter = new AudioConverter({ tempDir: testTempDir, outputFormat: 'mp3', bitrate: 48, transcoder })
+      await converter.initialize()
+
+      const mockTTSService = {
+        getStatus: () => ({ supportedFormats: ['wav'] }),
+        convertTextToAudio: jest.fn(async (text, outputPath) => {
+          await WavFile.silence({}, 100).write(outputPath)
+          return { success: true, duration: 1 }
+        })
+      }
+
+      const result = await converter.convertToAudio(testText, sourceFilename, mockTTSService)
+      const synthesisPath = mockTTSService.convertTextToAudio.mock.calls[0][1]
+
+      expect(synthesisPath).toMatch(/\.synth\.wav$/)
+      expect(result.audioPath).toMatch(/\.mp3$/)
+      expect(transcoder.transcode).toHaveBeenCalledWith(synthesisPath, result.audioPath, expect.objectContaining({ format: 'mp3', bitrate: 48 }))
+      expect(await fs.pathExists(synthesisPath)).toBe(false)
+      expect(result.metadata.encoder).toBe('ffmpeg')
+      expect(result.metadata.bitrate).toBe(48)
+    })
+
+    test('should not synthesize when the output encoder is missing', async () => {
+      const converter = new AudioConverter({ tempDir: testTempDir })
+      await converter.initialize()
+      converter.transcoder = { selectEncoder: jest.fn().mockRejectedValue(new Error('No m4a encoder found')) }
+
+      const mockTTSService = {
+        getStatus: () => ({ supportedFormats: ['aiff'] }),
+        convertTextToAudio: jest.fn()
+      }
+
+      await expect(converter.convertToAudio(testText, sourceFilename, mockTTSService, { outputFormat: 'm4a' }))
+        .rejects.toThrow('Audio conversion failed: No m4a encoder found')
+      expect(mockTTSService.convertTextToAudio).not.toHaveBeenCalled()
+    })
+
+    test('should write real AIFF when the engine only writes WAV', async () => {
+      const mockTTSService = {
+        getStatus: () => ({ supportedFormats: ['wav'] }),
+        convertTextToAudio: jest.fn(async (text, outputPath) => {
+          await WavFile.silence({ sampleRate: 8000 }, 500).write(outputPath)
+          return { success: true, duration: 0.5 }
+        })
+      }
+
+      const result = await audioConverter.convertToAudio(testText, sourceFilename, mockTTSService)
+
+      expect(result.audioPath).toMatch(/\.aiff$/)
+      expect(result.metadata.detectedFormat).toBe('aiff')
+      expect(result.metadata.measuredDuration).toBe(0.5)
+      expect(result.metadata.encoder).toBe('builtin')
+    })
+
+    test('should normalize loudness before encoding', async () => {
+      const LoudnessNormalizer = require('../../src/core/audio/loudness-normalizer')
+      const quietTone = new Float32Array(22050 * 2).map((_, i) => 0.02 * Math.sin(2 * Math.PI * 440 * i / 22050))
+      const mockTTSService = {
+        getStatus: () => ({ supportedFormats: ['wav'] }),
+        convertTextToAudio: jest.fn(async (text, outputPath) => {
+          await new WavFile().withChannels([quietTone]).write(outputPath)
+          return { success: true, duration: 2 }
+        })
+      }
+
+      const result = await audioConverter.convertToAudio(testText, sourceFilename, mockTTSService, { loudnessTarget: -18 })
+      const written = await AiffFile.read(result.audioPath)
+
+      expect(result.metadata.loudness.input).toBeCloseTo(-37.6, 0)
+      expect(result.metadata.loudness.output).toBeCloseTo(-18, 0)
+      expect(result.metadata.loudness.limited).toBe(false)
+      expect(LoudnessNormalizer.measure(written.getChannels(), 22050).integrated).toBeCloseTo(-18, 0)
+
+      const untouched = await audioConverter.convertToAudio(testText, 'other.txt', mockTTSService, { loudnessTarget: null })
+      expect(untouched.metadata.loudness).toBeNull()
+      expect(LoudnessNormalizer.measure((await AiffFile.read(untouched.audioPath)).getChannels(), 22050).integrated).toBeCloseTo(-37.6, 0)
+    })
+
+    test('should embed tags in the output file', async () => {
+      const mockTTSService = {
+        getStatus: () => ({ supportedFormats: ['aiff'] }),
+        convertTextToAudio: jest.fn(async (text, outputPath) => {
+          await new AiffFile({ data: Buffer.alloc(22050 * 2) }).write(outputPath)
+          return { success: true, duration: 1 }
+        })
+      }
+
+      const result = await audioConverter.convertToAudio(testText, sourceFilename, mockTTSService, {
+        tags: { title: 'Test Article', artist: 'The Daily', genre: 'Speech' }
+      })
+      const written = await fs.readFile(result.audioPath)
+
+      expect(result.metadata.tagged).toBe(true)
+      expect(written.includes(Buffer.from('ID3 '))).toBe(true)
+      expect(written.includes(Buffer.from('The Daily'))).toBe(true)
+      expect(result.metadata.measuredDuration).toBe(1)
+    })
+
+    test('should embed chapters and write a chapters sidecar', async () => {
+      const chapters = [
+        { title: 'Intro', level: 1, start: 0, end: 0.4 },
+        { title: 'Details', level: 2, start: 0.4, end: 1 }
+      ]
+      const mockTTSService = {
+        getStatus: () => ({ supportedFormats: ['aiff'] }),
+        convertTextToAudio: jest.fn(async (text, outputPath) => {
+          await new AiffFile({ data: Buffer.alloc(22050 * 2) }).write(outputPath)
+          return { success: true, duration: 1, chapters }
+        })
+      }
+
+      const result = await audioConverter.convertToAudio(testText, sourceFilename, mockTTSService, {
+        tags: { title: 'Test Article' },
+        chapters: [{ title: 'Intro', offset: 0 }, { title: 'Details', offset: 20 }]
+      })
+
+      expect(mockTTSService.convertTextToAudio).toHaveBeenCalledWith(testText, result.audioPath, expect.objectContaining({
+        chapters: [{ title: 'Intro', offset: 0 }, { title: 'Details', offset: 20 }]
+      }))
+      expect(result.metadata.chapters).toEqual(chapters)
+      expect((await fs.readFile(result.audioPath)).includes(Buffer.from('CHAP'))).toBe(true)
+
+      expect(result.chaptersPath).toBe(result.audioPath.replace(/\.aiff$/, '.chapters.json'))
+      expect(await fs.readJson(result.chaptersPath)).toEqual({
+        version: '1.2.0',
+        title: 'Test Article',
+        chapters: [
+          { startTime: 0, endTime: 0.4, title: 'Intro' },
+          { startTime: 0.4, endTime: 1, title: 'Details' }
+        ]
+      })
+    })
+
+    test('should keep untaggable output and warn', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const mockTTSService = {
+        convertTextToAudio: jest.fn(async (text, outputPath) => {
+          await fs.writeFile(outputPath, 'FORM but not really audio')
+          return { success: true, duration: 1 }
+        })
+      }
+
+      try {
+        const result = await audioConverter.convertToAudio(testText, sourceFilename, mockTTSService, { tags: { title: 'x' } })
+        expect(result.success).toBe(true)
+        expect(result.metadata.tagged).toBe(false)
+      } finally {
+        warn.mockRestore()
+      }
+    })
+
+    test('should report the measured duration of the written file', async () => {
+      const mockTTSService = {
+        convertTextToAudio: jest.fn(async (text, outputPath) => {
+          await WavFile.silence({ sampleRate: 8000 }, 2000).write(outputPath)
+          return { success: true, duration: 5.2, engine: 'test-engine' }
+        })
+      }
+      audioConverter._generateAudioFilename = jest.fn().mockReturnValue('test-audio.wav')
+
+      const result = await audioConverter.convertToAudio(testText, sourceFilename, mockTTSService)
+
+      expect(result.metadata.detectedFormat).toBe('wav')
+      expect(result.metadata.measuredDuration).toBe(2)
+      expect(result.metadata.duration).toBe(2)
+      expect(result.metadata.estimatedDuration).toBe(5.2)
+      expect(result.metadata.durationMismatch).toBe(true)
+    })
+
     test('should require initialization before conversion', async () => {
       const unInitConverter = new AudioConverter()
       const mockTTSService = { convertTextToAudio: jest.fn() }
@@ -186,6 +379,28 @@ describe('AudioConverter', () => {
       ).rejects.toThrow('Audio conversion failed: TTS conversion failed')
     })
 
+    test('should remove partial output when the conversion is aborted', async () => {
+      const converter = new AudioConverter({ tempDir: testTempDir, outputFormat: 'wav', cleanupOnError: false })
+      await converter.initialize()
+      const controller = new AbortController()
+      const mockTTSService = {
+        getStatus: () => ({ supportedFormats: ['wav'] }),
+        convertTextToAudio: jest.fn(async (text, outputPath, options) => {
+          await WavFile.silence({ sampleRate: 8000 }, 500).write(outputPath)
+          controller.abort()
+          throw new Error(options.signal.aborted ? 'say aborted' : 'unexpected')
+        })
+      }
+
+      await expect(converter.convertToAudio(testText, sourceFilename, mockTTSService, { signal: controller.signal }))
+        .rejects.toThrow('Audio conversion failed: say aborted')
+      expect(await fs.readdir(testTempDir)).toEqual([])
+
+      await expect(converter.convertToAudio(testText, sourceFilename, mockTTSService, { signal: controller.signal }))
+        .rejects.toThrow('Audio conversion failed: Conversion aborted')
+      expect(mockTTSService.convertTextToAudio).toHaveBeenCalledTimes(1)
+    })
+
     test('should track active files during conversion', async () => {
       const mockTTSService = {
         convertTextToAudio: jest.fn().mockResolvedValue({
@@ -208,6 +423,56 @@ describe('AudioConverter', () => {
     })
   })
 
+  describe('combining audio', () => {
+    const tone = (sampleRate, seconds) => new Float32Array(Math.round(sampleRate * seconds)).map((_, i) => 0.1 * Math.sin(2 * Math.PI * 440 * i / sampleRate))
+
+    test('should join parts with a pause and time a chapter for each', async () => {
+      const intro = path.join(testTempDir, 'intro.wav')
+      const story = path.join(testTempDir, 'story.aiff')
+      await new WavFile({ sampleRate: 16000 }).withChannels([tone(16000, 1)]).write(intro)
+      await new AiffFile({ channels: 2, sampleRate: 8000 }).withChannels([tone(8000, 2), tone(8000, 2)]).write(story)
+
+      const result = await audioConverter.combineAudio([
+        { audioPath: intro, title: 'Headlines', text: 'Two headlines today.' },
+        { audioPath: story, title: 'Markets rally' }
+      ], path.join(testTempDir, 'briefing'), { separator: 'pause', gap: 500, loudnessTarget: null, tags: { title: 'Briefing' } })
+
+      const combined = await AiffFile.read(result.audioPath)
+      expect(combined.sampleRate).toBe(16000)
+      expect(combined.channels).toBe(1)
+      expect(combined.duration).toBeCloseTo(3.5, 2)
+
+      expect(result.metadata.chapters).toEqual([
+        { title: 'Headlines', level: 1, start: 0, end: 1.5 },
+        { title: 'Markets rally', level: 1, start: 1.5, end: 3.5 }
+      ])
+      expect(result.metadata.wordCount).toBe(3)
+      expect(await fs.readJson(result.chaptersPath)).toEqual(expect.objectContaining({ title: 'Briefing' }))
+    })
+
+    test('should put a tone between parts by default', async () => {
+      const part = path.join(testTempDir, 'part.wav')
+      await WavFile.silence({ sampleRate: 8000 }, 1000).write(part)
+
+      const result = await audioConverter.combineAudio([{ audioPath: part }, { audioPath: part }], 'briefing.txt', { outputFormat: 'wav', gap: 100 })
+      const samples = (await WavFile.read(result.audioPath)).getChannels()[0]
+      const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0)
+
+      expect(samples.length).toBe(8000 * 2 + 800 * 2 + 1200) // Two parts, 100 ms either side of a 150 ms tone
+      expect(peak).toBeGreaterThan(0.1)
+      expect(result.metadata.chapters).toEqual([])
+    })
+
+    test('should reject empty input and unknown separators', async () => {
+      const part = path.join(testTempDir, 'part.wav')
+      await WavFile.silence({ sampleRate: 8000 }, 100).write(part)
+
+      await expect(audioConverter.combineAudio([], 'briefing.txt')).rejects.toThrow('At least one audio file is required to combine')
+      await expect(audioConverter.combineAudio([{ audioPath: part }, { audioPath: part }], 'briefing.txt', { separator: 'gong' }))
+        .rejects.toThrow('Failed to combine audio: Unknown separator "gong" (use tone or pause)')
+    })
+  })
+
   describe('audio file validation', () => {
     test('should validate existing audio file', async () => {
       const testFilePath = path.join(testTempDir, 'test-audio.aiff')
@@ -372,6 +637,17 @@ describe('AudioConverter', () => {
       expect(metadata.processingMethod).toBe('single')
       expect(metadata.chunksProcessed).toBe(1)
     })
+
+    test('should flag measured durations outside the tolerance', async () => {
+      const ttsResult = { duration: 10 }
+
+      const close = await audioConverter._generateMetadata('a.txt', 'Text.', ttsResult, { format: 'aiff', duration: 8 })
+      expect(close.durationMismatch).toBe(false)
+      expect(close.duration).toBe(8)
+
+      const short = await audioConverter._generateMetadata('a.txt', 'Text.', ttsResult, { format: 'aiff', duration: 3 })
+      expect(short.durationMismatch).toBe(true)
+    })
   })
 
   describe('status and information', () => {
@@ -0,0 +1,108 @@
+const AudioDuration = require('../../src/core/audio/audio-duration')
+const AiffFile = require('../../src/core/audio/aiff-file')
+const WavFile = require('../../src/core/audio/wav-file')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const { mp3Frames, atom } = require('../helpers/audio-fixtures')
+
+function id3Tag (bodySize) {
+  const header = Buffer.from('ID3\x04\x00\x00\x00\x00\x00\x00', 'latin1')
+  header[8] = (bodySize >> 7) & 0x7F
+  header[9] = bodySize & 0x7F
+  return Buffer.concat([header, Buffer.alloc(bodySize)])
+}
+
+function m4a ({ version = 0, timescale, duration }) {
+  const mvhd = Buffer.alloc(version === 1 ? 32 : 20)
+  mvhd.writeUInt8(version, 0)
+  if (version === 1) {
+    mvhd.writeUInt32BE(timescale, 20)
+    mvhd.writeBigUInt64BE(BigInt(duration), 24)
+  } else {
+    mvhd.writeUInt32BE(timescale, 12)
+    mvhd.writeUInt32BE(duration, 16)
+  }
+
+  return Buffer.concat([
+    atom('ftyp', Buffer.from('M4A \x00\x00\x00\x00', 'latin1')),
+    atom('free', Buffer.alloc(4)),
+    atom('moov', Buffer.concat([atom('mvhd', mvhd), atom('trak', Buffer.alloc(8))]))
+  ])
+}
+
+// Ogg page: 27-byte header, one-entry segment table, body
+function oggPage (granule, body) {
+  const header = Buffer.alloc(28)
+  header.write('OggS', 0, 'ascii')
+  header.writeBigInt64LE(BigInt(granule), 6)
+  header.writeUInt8(1, 26)
+  header.writeUInt8(body.length, 27)
+  return Buffer.concat([header, body])
+}
+
+function opus ({ preSkip, samples }) {
+  const head = Buffer.alloc(19)
+  head.write('OpusHead', 0, 'ascii')
+  head.writeUInt8(1, 8)
+  head.writeUInt8(1, 9)
+  head.writeUInt16LE(preSkip, 10)
+  head.writeUInt32LE(48000, 12)
+
+  return Buffer.concat([oggPage(0, head), oggPage(0, Buffer.from('OpusTags')), oggPage(samples / 2, Buffer.alloc(40)), oggPage(samples, Buffer.alloc(40))])
+}
+
+describe('AudioDuration', () => {
+  test('should measure AIFF from COMM frames', () => {
+    const aiff = new AiffFile({ sampleRate: 22050, data: Buffer.alloc(22050 * 2 * 3) }).toBuffer()
+    expect(AudioDuration.fromBuffer(aiff)).toEqual({ format: 'aiff', duration: 3 })
+  })
+
+  test('should measure WAV from the data size', () => {
+    const wav = WavFile.silence({ channels: 2, sampleRate: 16000 }, 1500).toBuffer()
+    expect(AudioDuration.fromBuffer(wav)).toEqual({ format: 'wav', duration: 1.5 })
+  })
+
+  test('should measure MP3 by walking frames after an ID3 tag', () => {
+    const mp3 = Buffer.concat([id3Tag(300), mp3Frames(100), Buffer.from('TAG')])
+    const result = AudioDuration.fromBuffer(mp3)
+
+    expect(result.format).toBe('mp3')
+    expect(result.duration).toBeCloseTo(100 * 1152 / 44100, 6)
+  })
+
+  test('should measure M4A from the movie header', () => {
+    expect(AudioDuration.fromBuffer(m4a({ timescale: 44100, duration: 44100 * 90 }))).toEqual({ format: 'm4a', duration: 90 })
+    expect(AudioDuration.fromBuffer(m4a({ version: 1, timescale: 1000, duration: 12345 })).duration).toBeCloseTo(12.345)
+  })
+
+  test('should measure Opus from the last granule position', () => {
+    expect(AudioDuration.fromBuffer(opus({ preSkip: 312, samples: 312 + 48000 * 4 }))).toEqual({ format: 'opus', duration: 4 })
+  })
+
+  test('should identify containers by content, not extension', () => {
+    expect(AudioDuration.detectFormat(new WavFile().toBuffer())).toBe('wav')
+    expect(AudioDuration.detectFormat(mp3Frames(1))).toBe('mp3')
+    expect(AudioDuration.detectFormat(Buffer.from('mock audio content'))).toBeNull()
+  })
+
+  test('should reject unknown or damaged files', () => {
+    expect(() => AudioDuration.fromBuffer(Buffer.from('mock audio content'))).toThrow('Unrecognized audio format')
+    expect(() => AudioDuration.fromBuffer(Buffer.concat([id3Tag(20), Buffer.alloc(50)]))).toThrow('No MPEG audio frames found')
+  })
+
+  test('should read files from disk', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-duration-test-'))
+
+    try {
+      const filePath = path.join(tempDir, 'story.mp3')
+      await fs.writeFile(filePath, WavFile.silence({ sampleRate: 8000 }, 250).toBuffer())
+
+      // A WAV named .mp3 is still measured as WAV
+      expect(await AudioDuration.measure(filePath)).toEqual({ format: 'wav', duration: 0.25 })
+      await expect(AudioDuration.measure(path.join(tempDir, 'missing.mp3'))).rejects.toThrow('Failed to measure audio duration')
+    } finally {
+      await fs.remove(tempDir)
+    }
+  })
+})
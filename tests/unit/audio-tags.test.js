@@ -0,0 +1,169 @@
+const AudioTags = require('../../src/core/audio/audio-tags')
+const AudioDuration = require('../../src/core/audio/audio-duration')
+const AiffFile = require('../../src/core/audio/aiff-file')
+const WavFile = require('../../src/core/audio/wav-file')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+const { mp3Frames, atom } = require('../helpers/audio-fixtures')
+
+const tags = {
+  title: 'Café reopens',
+  artist: 'The Daily',
+  album: 'News 2026-10-19',
+  date: '2026-10-18',
+  genre: 'Speech',
+  track: 3,
+  trackTotal: 12,
+  comment: '/articles/cafe.md'
+}
+
+// Fast-start M4A: ftyp, moov (mvhd + one track whose stco points into mdat), mdat
+function fastStartM4a () {
+  const mvhd = Buffer.alloc(20)
+  mvhd.writeUInt32BE(1000, 12)
+  mvhd.writeUInt32BE(2500, 16)
+
+  const build = (chunkOffset) => {
+    const stco = Buffer.alloc(12)
+    stco.writeUInt32BE(1, 4)
+    stco.writeUInt32BE(chunkOffset, 8)
+    const trak = atom('trak', atom('mdia', atom('minf', atom('stbl', atom('stco', stco)))))
+    return Buffer.concat([
+      atom('ftyp', Buffer.from('M4A \x00\x00\x00\x00', 'latin1')),
+      atom('moov', Buffer.concat([atom('mvhd', mvhd), trak])),
+      atom('mdat', Buffer.from('AUDIO-PAYLOAD'))
+    ])
+  }
+
+  const draft = build(0)
+  return build(draft.indexOf('AUDIO-PAYLOAD'))
+}
+
+function stcoOffset (buffer) {
+  return buffer.readUInt32BE(buffer.indexOf('stco') + 12)
+}
+
+describe('AudioTags', () => {
+  describe('ID3v2.4', () => {
+    test('should write UTF-8 text, track and comment frames', () => {
+      const tag = AudioTags.id3(tags)
+
+      expect(tag.toString('latin1', 0, 5)).toBe('ID3\x04\x00')
+      expect(tag.includes(Buffer.from('TIT2'))).toBe(true)
+      expect(tag.includes(Buffer.from('Café reopens', 'utf8'))).toBe(true)
+      expect(tag.includes(Buffer.from('3/12'))).toBe(true)
+      expect(tag.includes(Buffer.from('COMM'))).toBe(true)
+      expect(tag.includes(Buffer.from('eng\x00/articles/cafe.md', 'latin1'))).toBe(true)
+
+      const declared = (tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9]
+      expect(declared).toBe(tag.length - 10)
+    })
+
+    test('should skip empty fields', () => {
+      const tag = AudioTags.id3({ title: 'Only title', artist: '', track: null })
+
+      expect(tag.includes(Buffer.from('TIT2'))).toBe(true)
+      expect(tag.includes(Buffer.from('TPE1'))).toBe(false)
+      expect(tag.includes(Buffer.from('TRCK'))).toBe(false)
+    })
+  })
+
+  describe('chapters', () => {
+    const chapters = [
+      { title: 'Intro', start: 0, end: 12.5 },
+      { title: 'Markets', start: 12.5, end: 61.25 }
+    ]
+
+    test('should write a CTOC and CHAP frames with millisecond times', () => {
+      const tag = AudioTags.id3({ title: 'Briefing', chapters })
+      const chap = tag.indexOf('CHAP')
+      const toc = tag.indexOf('CTOC')
+
+      expect(toc).toBeGreaterThan(0)
+      expect(tag.includes(Buffer.from('toc\x00\x03\x02chp0\x00chp1\x00', 'latin1'))).toBe(true)
+      expect(tag.toString('latin1', chap + 10, chap + 15)).toBe('chp0\x00')
+      expect(tag.readUInt32BE(chap + 15)).toBe(0)
+      expect(tag.readUInt32BE(chap + 19)).toBe(12500)
+      expect(tag.readUInt32BE(chap + 23)).toBe(0xFFFFFFFF)
+      expect(tag.includes(Buffer.from('Markets'))).toBe(true)
+    })
+
+    test('should write a Nero chpl atom in 100 ns units', () => {
+      const tagged = AudioTags.apply(fastStartM4a(), { title: 'Briefing', chapters }).buffer
+      const chpl = tagged.indexOf('chpl')
+
+      expect(tagged[chpl + 4]).toBe(1) // Version
+      expect(tagged[chpl + 12]).toBe(2) // Count
+      expect(tagged.readBigUInt64BE(chpl + 13 + 9 + 5)).toBe(125000000n)
+      expect(tagged.toString('utf8', chpl + 13 + 9 + 5 + 9, chpl + 13 + 9 + 5 + 9 + 7)).toBe('Markets')
+      expect(stcoOffset(tagged)).toBe(tagged.indexOf('AUDIO-PAYLOAD'))
+
+      const retagged = AudioTags.apply(tagged, { title: 'Briefing', chapters: chapters.slice(0, 1) }).buffer
+      expect(retagged.toString('latin1').split('chpl').length - 1).toBe(1)
+      expect(retagged[retagged.indexOf('chpl') + 12]).toBe(1)
+    })
+  })
+
+  test('should tag MP3 and replace an existing tag', () => {
+    const mp3 = mp3Frames(20)
+    const once = AudioTags.apply(mp3, tags).buffer
+    const twice = AudioTags.apply(once, { ...tags, title: 'Second' }).buffer
+
+    expect(twice.toString('latin1', 0, 3)).toBe('ID3')
+    expect(twice.includes(Buffer.from('Second'))).toBe(true)
+    expect(twice.includes(Buffer.from('Café reopens', 'utf8'))).toBe(false)
+    expect(twice.subarray(twice.length - mp3.length).equals(mp3)).toBe(true)
+    expect(AudioDuration.fromBuffer(twice).duration).toBeCloseTo(AudioDuration.fromBuffer(mp3).duration)
+  })
+
+  test('should add one ID3 chunk to AIFF and keep it readable', () => {
+    const aiff = new AiffFile({ sampleRate: 22050, data: Buffer.alloc(22050 * 2) }).toBuffer()
+    const tagged = AudioTags.apply(AudioTags.apply(aiff, tags).buffer, tags).buffer
+
+    expect(tagged.readUInt32BE(4)).toBe(tagged.length - 8)
+    expect(tagged.toString('latin1').split('ID3 ').length - 1).toBe(1)
+    expect(AiffFile.parse(tagged).frames).toBe(22050)
+    expect(AudioDuration.fromBuffer(tagged).duration).toBe(1)
+  })
+
+  test('should write ilst atoms and move chunk offsets in fast-start M4A', () => {
+    const m4a = fastStartM4a()
+    const tagged = AudioTags.apply(m4a, tags).buffer
+
+    expect(tagged.includes(Buffer.from('ilst'))).toBe(true)
+    expect(tagged.includes(Buffer.from('\xA9nam', 'latin1'))).toBe(true)
+    expect(tagged.includes(Buffer.from('Café reopens', 'utf8'))).toBe(true)
+
+    const trkn = tagged.indexOf('trkn')
+    expect(tagged.readUInt16BE(trkn + 4 + 16 + 2)).toBe(3)
+    expect(tagged.readUInt16BE(trkn + 4 + 16 + 4)).toBe(12)
+
+    // The chunk offset still points at the audio after moov grew
+    expect(stcoOffset(tagged)).toBe(tagged.indexOf('AUDIO-PAYLOAD'))
+    expect(AudioDuration.fromBuffer(tagged).duration).toBe(2.5)
+
+    const retagged = AudioTags.apply(tagged, { title: 'Short' }).buffer
+    expect(retagged.includes(Buffer.from('Café reopens', 'utf8'))).toBe(false)
+    expect(stcoOffset(retagged)).toBe(retagged.indexOf('AUDIO-PAYLOAD'))
+  })
+
+  test('should leave formats without tag support alone', () => {
+    expect(AudioTags.apply(new WavFile().toBuffer(), tags)).toEqual({ format: 'wav', buffer: null })
+  })
+
+  test('should tag files on disk', async () => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-tags-test-'))
+
+    try {
+      const filePath = path.join(tempDir, 'story.mp3')
+      await fs.writeFile(filePath, mp3Frames(5))
+
+      expect(await AudioTags.write(filePath, tags)).toEqual({ format: 'mp3', written: true })
+      expect((await fs.readFile(filePath)).toString('latin1', 0, 3)).toBe('ID3')
+      await expect(AudioTags.write(path.join(tempDir, 'missing.mp3'), tags)).rejects.toThrow('Failed to write tags')
+    } finally {
+      await fs.remove(tempDir)
+    }
+  })
+})
@@ -0,0 +1,202 @@
+const { spawn } = require('child_process')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+const AudioTranscoder = require('../../src/core/audio/audio-transcoder')
+const AiffFile = require('../../src/core/audio/aiff-file')
+const WavFile = require('../../src/core/audio/wav-file')
+const mockProcess = require('../helpers/mock-process')
+
+jest.mock('child_process')
+
+// Fake ffmpeg whose -encoders listing includes the given codecs
+function mockFfmpeg (codecs, encode = { code: 0 }) {
+  spawn.mockImplementation((command, args) => {
+    if (args.includes('-encoders')) {
+      return mockProcess({ stdout: codecs.map(codec => ` A..... ${codec}             description\n`).join('') })
+    }
+    return mockProcess(encode)
+  })
+}
+
+describe('AudioTranscoder', () => {
+  let transcoder
+
+  beforeEach(() => {
+    spawn.mockReset()
+    transcoder = new AudioTranscoder()
+    jest.spyOn(transcoder, '_commandExists').mockResolvedValue(false)
+  })
+
+  test('should normalize format names and reject unsupported ones', () => {
+    expect(AudioTranscoder.normalizeFormat('.MP3')).toBe('mp3')
+    expect(AudioTranscoder.normalizeFormat('aif')).toBe('aiff')
+    expect(() => AudioTranscoder.normalizeFormat('flac')).toThrow('Unsupported output format "flac"')
+  })
+
+  describe('selectEncoder', () => {
+    test('should prefer ffmpeg when it has the codec', async () => {
+      mockFfmpeg(['libmp3lame', 'aac'])
+
+      expect(await transcoder.selectEncoder('mp3')).toBe('ffmpeg')
+      expect(await transcoder.selectEncoder('m4a')).toBe('ffmpeg')
+      expect(spawn).toHaveBeenCalledTimes(1) // Probed once
+    })
+
+    test('should fall back to lame or afconvert', async () => {
+      mockFfmpeg(['aac'])
+      transcoder._commandExists.mockImplementation(async (command) => command === 'lame')
+
+      expect(await transcoder.selectEncoder('mp3')).toBe('lame')
+    })
+
+    test('should fail clearly when no encoder is installed', async () => {
+      spawn.mockImplementation(() => mockProcess({ error: new Error('spawn ffmpeg ENOENT') }))
+
+      await expect(transcoder.selectEncoder('mp3')).rejects.toThrow('No mp3 encoder found; install ffmpeg or lame')
+      await expect(transcoder.selectEncoder('opus')).rejects.toThrow('No opus encoder found; install ffmpeg')
+    })
+
+    test('should honour a requested encoder', async () => {
+      mockFfmpeg(['libmp3lame'])
+
+      await expect(transcoder.selectEncoder('mp3', { encoder: 'afconvert' })).rejects.toThrow('Encoder "afconvert" cannot write mp3 on this machine')
+      await expect(transcoder.selectEncoder('mp3', { encoder: 'sox' })).rejects.toThrow('Unknown encoder "sox"')
+    })
+
+    test('should always convert between AIFF and WAV itself', async () => {
+      expect(await transcoder.selectEncoder('wav')).toBe('builtin')
+      expect(spawn).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('transcode', () => {
+    test('should run ffmpeg with the codec, bitrate and channel count', async () => {
+      mockFfmpeg(['aac'])
+
+      const result = await transcoder.transcode('/tmp/in.aiff', '/tmp/out.m4a', { bitrate: 96, channels: 2 })
+      const args = spawn.mock.calls[1][1]
+
+      expect(spawn.mock.calls[1][0]).toBe('ffmpeg')
+      expect(args).toEqual(expect.arrayContaining(['-i', '/tmp/in.aiff', '-c:a', 'aac', '-b:a', '96k', '-ac', '2', '-f', 'ipod']))
+      expect(args[args.length - 1]).toBe('/tmp/out.m4a')
+      expect(result).toEqual({ encoder: 'ffmpeg', format: 'm4a', bitrate: 96, channels: 2 })
+    })
+
+    test('should hand chapters to ffmpeg for M4A and remove the metadata file', async () => {
+      mockFfmpeg(['aac'])
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-transcoder-test-'))
+      let metadata = null
+      spawn.mockImplementation((command, args) => {
+        if (args.includes('-encoders')) return mockProcess({ stdout: ' A..... aac   AAC\n' })
+        metadata = fs.readFileSync(args[args.indexOf('ffmetadata') + 2], 'utf8')
+        return mockProcess()
+      })
+
+      try {
+        const outputPath = path.join(tempDir, 'out.m4a')
+        await transcoder.transcode('/tmp/in.aiff', outputPath, { chapters: [{ title: 'Q&A; part=1', start: 0, end: 2.5 }] })
+
+        const args = spawn.mock.calls[1][1]
+        expect(args.slice(args.indexOf('/tmp/in.aiff') + 1, args.indexOf('/tmp/in.aiff') + 9))
+          .toEqual(['-f', 'ffmetadata', '-i', `${outputPath}.ffmeta`, '-map', '0:a', '-map_chapters', '1'])
+        expect(metadata).toBe(';FFMETADATA1\n[CHAPTER]\nTIMEBASE=1/1000\nSTART=0\nEND=2500\ntitle=Q&A\\; part\\=1\n')
+        expect(await fs.pathExists(`${outputPath}.ffmeta`)).toBe(false)
+      } finally {
+        await fs.remove(tempDir)
+      }
+    })
+
+    test('should use speech bitrates and mono by default', async () => {
+      mockFfmpeg(['libopus'])
+
+      const result = await transcoder.transcode('/tmp/in.wav', '/tmp/out.opus')
+
+      expect(result.bitrate).toBe(AudioTranscoder.DEFAULT_BITRATES.opus)
+      expect(spawn.mock.calls[1][1]).toEqual(expect.arrayContaining(['-c:a', 'libopus', '-ac', '1', '-f', 'ogg']))
+    })
+
+    test('should run lame for mono MP3', async () => {
+      mockFfmpeg([])
+      transcoder._commandExists.mockImplementation(async (command) => command === 'lame')
+
+      await transcoder.transcode('/tmp/in.wav', '/tmp/out.mp3', { bitrate: 64 })
+
+      expect(spawn.mock.calls[1]).toEqual(['lame', ['--quiet', '-b', '64', '-m', 'm', '/tmp/in.wav', '/tmp/out.mp3'], expect.any(Object)])
+    })
+
+    test('should report encoder errors and bad settings', async () => {
+      mockFfmpeg(['libmp3lame'], { code: 1, stderr: 'Unknown encoder\nmore detail' })
+
+      await expect(transcoder.transcode('/tmp/in.wav', '/tmp/out.mp3')).rejects.toThrow('Failed to transcode to mp3: ffmpeg failed with code 1: Unknown encoder')
+      await expect(transcoder.transcode('/tmp/in.wav', '/tmp/out.mp3', { channels: 6 })).rejects.toThrow('Invalid channel count: 6')
+    })
+  })
+
+  describe('decode', () => {
+    test('should decode compressed audio to WAV with ffmpeg', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-transcoder-test-'))
+      transcoder._commandExists.mockImplementation(async (command) => command === 'ffmpeg')
+      spawn.mockImplementation(() => mockProcess())
+
+      try {
+        const inputPath = path.join(tempDir, 'story.mp3')
+        const frame = Buffer.alloc(417)
+        frame.writeUInt32BE(0xFFFB9000, 0)
+        await fs.writeFile(inputPath, Buffer.concat([frame, frame]))
+
+        expect(await transcoder.decode(inputPath, '/tmp/story.wav')).toEqual({ decoder: 'ffmpeg' })
+        expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-i', inputPath, '-c:a', 'pcm_s16le', '-f', 'wav', '/tmp/story.wav']))
+
+        transcoder._commandExists.mockResolvedValue(false)
+        await expect(transcoder.decode(inputPath, '/tmp/story.wav')).rejects.toThrow('No decoder for mp3; install ffmpeg')
+      } finally {
+        await fs.remove(tempDir)
+      }
+    })
+  })
+
+  describe('AIFF and WAV conversion', () => {
+    let tempDir
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-transcoder-test-'))
+    })
+
+    afterEach(async () => {
+      await fs.remove(tempDir)
+    })
+
+    test('should round-trip 16-bit samples through both byte orders', async () => {
+      const data = Buffer.alloc(8)
+      ;[1000, -1000, 32767, -32768].forEach((value, i) => data.writeInt16LE(value, i * 2))
+      await new WavFile({ channels: 2, sampleRate: 16000, data }).write(path.join(tempDir, 'in.wav'))
+
+      await transcoder.transcode(path.join(tempDir, 'in.wav'), path.join(tempDir, 'out.aiff'))
+      const aiff = await AiffFile.read(path.join(tempDir, 'out.aiff'))
+      expect(aiff.channels).toBe(2)
+      expect(aiff.sampleRate).toBe(16000)
+      expect(aiff.data.readInt16BE(2)).toBe(-1000)
+
+      await transcoder.transcode(path.join(tempDir, 'out.aiff'), path.join(tempDir, 'back.wav'))
+      expect((await WavFile.read(path.join(tempDir, 'back.wav'))).data.equals(data)).toBe(true)
+    })
+
+    test('should convert unsigned 8-bit WAV to signed AIFF', async () => {
+      await new WavFile({ bitsPerSample: 8, data: Buffer.from([0x80, 0xFF, 0x00]) }).write(path.join(tempDir, 'in.wav'))
+
+      await transcoder.transcode(path.join(tempDir, 'in.wav'), path.join(tempDir, 'out.aiff'))
+
+      const aiff = await AiffFile.read(path.join(tempDir, 'out.aiff'))
+      expect([aiff.data.readInt8(0), aiff.data.readInt8(1), aiff.data.readInt8(2)]).toEqual([0, 127, -128])
+    })
+
+    test('should refuse float WAV', async () => {
+      await WavFile.silence({ bitsPerSample: 32, audioFormat: WavFile.FORMAT_FLOAT }, 10).write(path.join(tempDir, 'in.wav'))
+
+      await expect(transcoder.transcode(path.join(tempDir, 'in.wav'), path.join(tempDir, 'out.aiff')))
+        .rejects.toThrow('Only integer PCM WAV can be converted to AIFF')
+    })
+  })
+})
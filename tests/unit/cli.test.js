@@ -5,6 +5,8 @@
 
 // Mock all dependencies before imports
 jest.mock('../../src/core/workflow-orchestrator')
+jest.mock('../../src/core/text/lexicon')
+jest.mock('../../src/core/synthesis-cache')
 jest.mock('fs-extra')
 jest.mock('ora')
 jest.mock('chalk', () => {
@@ -22,6 +24,8 @@ jest.mock('chalk', () => {
 
 const TT3CLI = require('../../src/interfaces/cli')
 const WorkflowOrchestrator = require('../../src/core/workflow-orchestrator')
+const Lexicon = require('../../src/core/text/lexicon')
+const SynthesisCache = require('../../src/core/synthesis-cache')
 const fs = require('fs-extra')
 const ora = require('ora')
 
@@ -95,7 +99,7 @@ describe('TT3CLI', () => {
       getState: jest.fn().mockReturnValue({
         componentsStatus: {
           FileProcessor: { ready: true },
-          TTSService: { ready: true },
+          TTSService: { ready: true, engine: 'festival' },
           AudioConverter: { ready: true },
           ITunesManager: { ready: true }
         }
@@ -145,7 +149,8 @@ describe('TT3CLI', () => {
         retryAttempts: 2,
         enableItunesIntegration: false,
         outputMode: 'direct',
-        overwriteExisting: false
+        overwriteExisting: false,
+        speechNormalizer: { locale: 'en-US' }
       })
       expect(mockOrchestrator.initialize).toHaveBeenCalled()
       expect(mockOrchestrator.processFiles).toHaveBeenCalledWith('/test/directory', expect.any(Object))
@@ -162,7 +167,8 @@ describe('TT3CLI', () => {
         retryAttempts: 2,
         enableItunesIntegration: false,
         outputMode: 'direct',
-        overwriteExisting: false
+        overwriteExisting: false,
+        speechNormalizer: { locale: 'en-US' }
       })
     })
 
@@ -177,7 +183,8 @@ describe('TT3CLI', () => {
         retryAttempts: 2,
         enableItunesIntegration: false,
         outputMode: 'direct',
-        overwriteExisting: false
+        overwriteExisting: false,
+        speechNormalizer: { locale: 'en-US' }
       })
     })
 
@@ -218,7 +225,8 @@ describe('TT3CLI', () => {
         retryAttempts: 2,
         enableItunesIntegration: true,
         outputMode: 'direct',
-        overwriteExisting: false
+        overwriteExisting: false,
+        speechNormalizer: { locale: 'en-US' }
       })
     })
 
@@ -233,7 +241,8 @@ describe('TT3CLI', () => {
         retryAttempts: 2,
         enableItunesIntegration: false,
         outputMode: 'direct',
-        overwriteExisting: true
+        overwriteExisting: true,
+        speechNormalizer: { locale: 'en-US' }
       })
     })
 
@@ -248,9 +257,226 @@ describe('TT3CLI', () => {
         retryAttempts: 2,
         enableItunesIntegration: true,
         outputMode: 'direct',
-        overwriteExisting: true
+        overwriteExisting: true,
+        speechNormalizer: { locale: 'en-US' }
       })
     })
+    test('should pass the --lexicon option to the TTS service', async () => {
+      const mockArgv = ['node', 'cli.js', 'process', '/test/directory', '--lexicon', '/tmp/lexicon.yaml']
+
+      await cli.program.parseAsync(mockArgv)
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        ttsService: { lexiconPath: '/tmp/lexicon.yaml' }
+      }))
+    })
+
+    test('should pass the --engine option to the TTS service', async () => {
+      const mockArgv = ['node', 'cli.js', 'process', '/test/directory', '--engine', 'festival', '--lexicon', '/tmp/lexicon.yaml']
+
+      await cli.program.parseAsync(mockArgv)
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        ttsService: { lexiconPath: '/tmp/lexicon.yaml', engine: 'festival' }
+      }))
+    })
+
+    test('should pass output format options to the audio converter', async () => {
+      const mockArgv = ['node', 'cli.js', 'process', '/test/directory', '--format', 'MP3', '--bitrate', '96', '--stereo', '--encoder', 'lame']
+
+      await cli.program.parseAsync(mockArgv)
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        audioConverter: { outputFormat: 'mp3', bitrate: 96, channels: 2, encoder: 'lame' }
+      }))
+    })
+
+    test('should pass loudness settings to the audio converter', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--loudness', '-19', '--true-peak', '-2'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        audioConverter: { loudnessTarget: -19, truePeak: -2 }
+      }))
+    })
+
+    test('should turn loudness normalization off with --no-loudness', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--no-loudness'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        audioConverter: { loudnessTarget: null }
+      }))
+    })
+
+    test('should enable the briefing with its separator', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--briefing', '--separator', 'pause'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        briefing: { separator: 'pause' }
+      }))
+    })
+
+    test('should pass the --locale option to speech normalization', async () => {
+      const mockArgv = ['node', 'cli.js', 'process', '/test/directory', '--locale', 'en-GB']
+
+      await cli.program.parseAsync(mockArgv)
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        speechNormalizer: { locale: 'en-GB' }
+      }))
+    })
+  })
+
+  describe('Lexicon Commands', () => {
+    let mockLexicon
+
+    beforeEach(() => {
+      mockLexicon = {
+        options: { filePath: '/home/user/.tt3/lexicon.json' },
+        load: jest.fn(),
+        save: jest.fn().mockResolvedValue('/home/user/.tt3/lexicon.json'),
+        addWord: jest.fn(),
+        addAcronym: jest.fn(),
+        remove: jest.fn().mockReturnValue(true),
+        list: jest.fn().mockReturnValue([]),
+        apply: jest.fn(text => `spoken(${text})`)
+      }
+      mockLexicon.load.mockResolvedValue(mockLexicon)
+      Lexicon.mockImplementation(() => mockLexicon)
+    })
+
+    test('should add a word pronunciation', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'lexicon', 'add', 'Nguyen', 'win', '--file', '/tmp/lexicon.json'])
+
+      expect(Lexicon).toHaveBeenCalledWith({ filePath: '/tmp/lexicon.json' })
+      expect(mockLexicon.addWord).toHaveBeenCalledWith('Nguyen', 'win')
+      expect(mockLexicon.save).toHaveBeenCalled()
+      expect(consoleOutput.some(line => line.includes('Nguyen → spoken(Nguyen)'))).toBe(true)
+    })
+
+    test('should add acronym rules', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'lexicon', 'add', 'NATO', '--word'])
+      await cli.program.parseAsync(['node', 'cli.js', 'lexicon', 'add', 'IMF', '--expand', 'International Monetary Fund'])
+
+      expect(mockLexicon.addAcronym).toHaveBeenCalledWith('NATO', 'word', undefined)
+      expect(mockLexicon.addAcronym).toHaveBeenCalledWith('IMF', 'expand', 'International Monetary Fund')
+    })
+
+    test('should require a spoken form or acronym rule', async () => {
+      await expect(cli.program.parseAsync(['node', 'cli.js', 'lexicon', 'add', 'Nguyen']))
+        .rejects.toThrow('Process exit with code 1')
+      expect(mockLexicon.save).not.toHaveBeenCalled()
+    })
+
+    test('should fail when removing an unknown entry', async () => {
+      mockLexicon.remove.mockReturnValue(false)
+
+      await expect(cli.program.parseAsync(['node', 'cli.js', 'lexicon', 'remove', 'XYZ']))
+        .rejects.toThrow('Process exit with code 1')
+      expect(consoleErrors.some(err => err.includes('No lexicon entry for "XYZ"'))).toBe(true)
+    })
+
+    test('should list entries', async () => {
+      mockLexicon.list.mockReturnValue([
+        { term: 'IMF', type: 'acronym', mode: 'expand', spoken: 'International Monetary Fund' },
+        { term: 'Nguyen', type: 'word', spoken: 'win' }
+      ])
+
+      await cli.program.parseAsync(['node', 'cli.js', 'lexicon', 'list'])
+
+      expect(consoleOutput.some(line => line.includes('IMF → International Monetary Fund (acronym, expand)'))).toBe(true)
+      expect(consoleOutput.some(line => line.includes('Nguyen → win (word)'))).toBe(true)
+    })
+
+    test('should show how text will be spoken', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'lexicon', 'test', 'NATO', 'met'])
+
+      expect(mockLexicon.apply).toHaveBeenCalledWith('NATO met')
+      expect(consoleOutput.some(line => line.includes('spoken(NATO met)'))).toBe(true)
+    })
+  })
+
+  describe('Cache Commands', () => {
+    let mockCache
+
+    beforeEach(() => {
+      mockCache = {
+        options: { cacheDir: '/tmp/tt3-cache' },
+        load: jest.fn(),
+        stats: jest.fn().mockReturnValue({
+          cacheDir: '/tmp/tt3-cache',
+          entries: 12,
+          sizeBytes: 3 * 1024 * 1024,
+          maxSizeBytes: 512 * 1024 * 1024,
+          oldestUse: null
+        }),
+        clear: jest.fn().mockResolvedValue(12)
+      }
+      mockCache.load.mockResolvedValue(mockCache)
+      SynthesisCache.mockImplementation(() => mockCache)
+    })
+
+    test('should show cache statistics by default', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'cache', '--dir', '/tmp/tt3-cache'])
+
+      expect(SynthesisCache).toHaveBeenCalledWith({ cacheDir: '/tmp/tt3-cache' })
+      expect(consoleOutput.some(line => line.includes('Entries: 12'))).toBe(true)
+      expect(consoleOutput.some(line => line.includes('3.0 MB of 512.0 MB'))).toBe(true)
+    })
+
+    test('should clear the cache', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'cache', 'clear', '--dir', '/tmp/tt3-cache'])
+
+      expect(mockCache.clear).toHaveBeenCalled()
+      expect(consoleOutput.some(line => line.includes('Removed 12 cached entries'))).toBe(true)
+    })
+
+    test('should pass --no-cache to the TTS service', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--no-cache'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        ttsService: { cache: false }
+      }))
+    })
+
+    test('should pass pause lengths to the TTS service', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--sentence-pause', '0', '--paragraph-pause', '400', '--heading-pause', '1200'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        ttsService: { sentencePause: 0, paragraphPause: 400, headingPause: 1200 }
+      }))
+    })
+
+    test('should pass --no-trim-silence to the TTS service', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--no-trim-silence'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        ttsService: { trimSilence: false }
+      }))
+    })
+
+    test('should pass quote and heading voices to the TTS service as a voice map', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--quote-voice', 'Daniel'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        ttsService: { voiceMap: { quote: 'Daniel' } }
+      }))
+    })
+
+    test('should pass a voice per language to the TTS service', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--language-voices', 'es=Monica, de-DE=Anna'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        ttsService: { voicesByLanguage: { es: 'Monica', 'de-DE': 'Anna' } }
+      }))
+    })
+
+    test('should pass --language to the file processor', async () => {
+      await cli.program.parseAsync(['node', 'cli.js', 'process', '/test/directory', '--language', 'de'])
+
+      expect(WorkflowOrchestrator).toHaveBeenCalledWith(expect.objectContaining({
+        fileProcessor: { language: 'de' }
+      }))
+    })
   })
 
   describe('Dry Run Mode', () => {
@@ -274,7 +500,7 @@ describe('TT3CLI', () => {
 
       await cli.program.parseAsync(mockArgv)
 
-      expect(consoleOutput.some(out => out.includes('No .txt or .md files found'))).toBe(true)
+      expect(consoleOutput.some(out => out.includes('No supported article files found'))).toBe(true)
     })
   })
 
@@ -297,6 +523,7 @@ describe('TT3CLI', () => {
       expect(mockOrchestrator.getState).toHaveBeenCalled()
       expect(consoleOutput.some(out => out.includes('Component Status'))).toBe(true)
       expect(consoleOutput.some(out => out.includes('FileProcessor'))).toBe(true)
+      expect(consoleOutput.some(out => out.includes('TTSService: Ready (festival)'))).toBe(true)
     })
 
     test('should handle status check failure', async () => {
@@ -443,6 +670,25 @@ describe('TT3CLI', () => {
       expect(consoleOutput.some(out => out.includes('Audio duration: 120s'))).toBe(true)
     })
 
+    test('should warn when the audio is much shorter than expected', () => {
+      const mockResult = {
+        summary: { totalFiles: 1, successfulFiles: 1, failedFiles: 0, processingTime: 1000 },
+        results: [
+          {
+            success: true,
+            path: '/test/file1.txt',
+            steps: {
+              audioConversion: { metadata: { duration: 12, measuredDuration: 12, estimatedDuration: 300, durationMismatch: true } }
+            }
+          }
+        ]
+      }
+
+      cli.displayResults(mockResult, false)
+
+      expect(consoleOutput.some(out => out.includes('Audio runs 12s but ~300s was expected'))).toBe(true)
+    })
+
     test('should display failed file details', () => {
       const mockResult = {
         summary: {
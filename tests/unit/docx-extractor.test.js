@@ -0,0 +1,71 @@
+const DocxExtractor = require('../../src/core/extractors/docx-extractor')
+const createZip = require('../helpers/create-zip')
+
+const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:body>
+    <w:p><w:pPr><w:pStyle w:val="Title"/></w:pPr><w:r><w:t>Company announces results</w:t></w:r></w:p>
+    <w:p><w:r><w:t xml:space="preserve">Revenue grew </w:t></w:r><w:r><w:rPr><w:b/></w:rPr><w:t>12%</w:t></w:r><w:r><w:t xml:space="preserve"> in the third quarter &amp; margins held.</w:t></w:r></w:p>
+    <w:p><w:pPr><w:pStyle w:val="berschrift1"/></w:pPr><w:r><w:t>Outlook</w:t></w:r></w:p>
+    <w:p><w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText> HYPERLINK "x" </w:instrText></w:r><w:r><w:t>Guidance</w:t></w:r><w:r><w:tab/><w:t>is unchanged.</w:t></w:r></w:p>
+    <w:p><w:r><w:delText>Removed draft sentence.</w:delText></w:r></w:p>
+    <w:tbl><w:tr><w:tc><w:p><w:r><w:t>Table cell text</w:t></w:r></w:p></w:tc></w:tr></w:tbl>
+    <w:p><w:pPr><w:outlineLvl w:val="1"/></w:pPr><w:r><w:t>Contacts</w:t></w:r></w:p>
+  </w:body>
+</w:document>`
+
+const stylesXml = `<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:style w:type="paragraph" w:styleId="berschrift1"><w:name w:val="heading 1"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>
+</w:styles>`
+
+const coreXml = `<cp:coreProperties xmlns:cp="x" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">
+  <dc:title>Q3 Results</dc:title>
+  <dc:creator>Press Office</dc:creator>
+  <dcterms:created>2026-10-15T09:00:00Z</dcterms:created>
+</cp:coreProperties>`
+
+describe('DocxExtractor', () => {
+  let extractor
+
+  beforeEach(() => {
+    extractor = new DocxExtractor()
+  })
+
+  test('should extract paragraphs in document order with headings', () => {
+    const result = extractor.extract(createZip({
+      'word/document.xml': documentXml,
+      'word/styles.xml': stylesXml,
+      'docProps/core.xml': coreXml
+    }))
+
+    expect(result.blocks).toEqual([
+      { type: 'heading', level: 1, text: 'Company announces results' },
+      { type: 'paragraph', text: 'Revenue grew 12% in the third quarter & margins held.' },
+      { type: 'heading', level: 1, text: 'Outlook' },
+      { type: 'paragraph', text: 'Guidance is unchanged.' },
+      { type: 'paragraph', text: 'Table cell text' },
+      { type: 'heading', level: 2, text: 'Contacts' }
+    ])
+    expect(result.text).not.toContain('HYPERLINK')
+    expect(result.text).not.toContain('Removed draft sentence')
+  })
+
+  test('should read core document properties', () => {
+    const result = extractor.extract(createZip({
+      'word/document.xml': documentXml,
+      'docProps/core.xml': coreXml
+    }))
+
+    expect(result.metadata).toEqual({
+      title: 'Q3 Results',
+      byline: 'Press Office',
+      publishedDate: '2026-10-15T09:00:00Z'
+    })
+  })
+
+  test('should reject archives without a Word document part', () => {
+    expect(() => extractor.extract(createZip({ 'content.xml': '<x/>' })))
+      .toThrow('Not a Word document')
+  })
+})
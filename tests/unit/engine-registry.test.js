@@ -0,0 +1,120 @@
+const EngineRegistry = require('../../src/core/engines/engine-registry')
+const TTSEngine = require('../../src/core/engines/tts-engine')
+
+class FakeEngine extends TTSEngine {
+  constructor (name, { available = true, platforms = null } = {}) {
+    super()
+    this.name = name
+    this.displayName = `Fake ${name}`
+    this.platforms = platforms
+    this.available = available
+    this.detect = jest.fn(async () => this.available)
+  }
+
+  async synthesize (text, outputPath) {
+    return { audioPath: outputPath }
+  }
+}
+
+describe('EngineRegistry', () => {
+  let registry
+
+  beforeEach(() => {
+    registry = new EngineRegistry({ platform: 'linux' })
+  })
+
+  describe('register', () => {
+    test('should register and look up engines by name', () => {
+      const engine = new FakeEngine('one')
+      registry.register(engine)
+
+      expect(registry.get('one')).toBe(engine)
+      expect(registry.get('missing')).toBeNull()
+      expect(registry.list()).toEqual(['one'])
+    })
+
+    test('should reject objects that are not engines', () => {
+      expect(() => registry.register({ name: 'broken' })).toThrow('synthesize()')
+      expect(() => registry.register(null)).toThrow()
+    })
+
+    test('should reject duck-typed engines that do not extend TTSEngine', () => {
+      const duck = { name: 'duck', detect: async () => true, synthesize: async (text, outputPath) => ({ audioPath: outputPath }) }
+
+      expect(() => registry.register(duck)).toThrow('TTS engines must extend TTSEngine')
+      expect(registry.get('duck')).toBeNull()
+    })
+  })
+
+  describe('createDefault', () => {
+    test('should register the built-in engines', () => {
+      const names = EngineRegistry.createDefault({ platform: 'linux' }).list()
+      expect(names).toEqual(expect.arrayContaining(['say', 'sapi', 'espeak', 'espeak-ng', 'festival', 'pico2wave']))
+      expect(names).not.toContain('command')
+    })
+
+    test('should register a custom command engine when configured', () => {
+      const defaults = EngineRegistry.createDefault({
+        platform: 'linux',
+        customCommand: { command: 'mimic', args: ['-o', '{output}', '-t', '{text}'] }
+      })
+      expect(defaults.get('command').displayName).toBe('mimic')
+      expect(defaults.candidates()).toEqual(['espeak', 'espeak-ng', 'festival', 'pico2wave', 'command'])
+    })
+  })
+
+  describe('select', () => {
+    test('should fall back through the platform preference order', async () => {
+      registry.register(new FakeEngine('espeak', { available: false }))
+      registry.register(new FakeEngine('espeak-ng', { available: false }))
+      registry.register(new FakeEngine('festival'))
+
+      const engine = await registry.select()
+      expect(engine.name).toBe('festival')
+      expect(registry.get('espeak').detect).toHaveBeenCalled()
+    })
+
+    test('should try the requested engine first', async () => {
+      registry.register(new FakeEngine('espeak'))
+      registry.register(new FakeEngine('festival'))
+
+      const engine = await registry.select({ engine: 'festival' })
+      expect(engine.name).toBe('festival')
+      expect(registry.get('espeak').detect).not.toHaveBeenCalled()
+    })
+
+    test('should honour an explicit preference list', async () => {
+      registry.register(new FakeEngine('espeak'))
+      registry.register(new FakeEngine('pico2wave'))
+
+      const engine = await registry.select({ preference: ['pico2wave', 'espeak'] })
+      expect(engine.name).toBe('pico2wave')
+    })
+
+    test('should skip engines built for another platform', async () => {
+      registry.register(new FakeEngine('say', { platforms: ['darwin'] }))
+      registry.register(new FakeEngine('espeak'))
+
+      const engine = await registry.select({ preference: ['say', 'espeak'] })
+      expect(engine.name).toBe('espeak')
+      expect(registry.get('say').detect).not.toHaveBeenCalled()
+    })
+
+    test('should reject an unknown requested engine', async () => {
+      registry.register(new FakeEngine('espeak'))
+      await expect(registry.select({ engine: 'nope' })).rejects.toThrow('Unknown TTS engine: nope (available: espeak)')
+    })
+
+    test('should report the engines tried when none are available', async () => {
+      registry.register(new FakeEngine('espeak', { available: false }))
+      registry.register(new FakeEngine('festival', { available: false }))
+
+      await expect(registry.select()).rejects.toThrow('No TTS engine available (tried espeak, festival)')
+    })
+
+    test('should reject platforms without engines', async () => {
+      const other = new EngineRegistry({ platform: 'aix' })
+      await expect(other.select()).rejects.toThrow('Unsupported platform: aix')
+    })
+  })
+})
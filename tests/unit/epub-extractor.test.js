@@ -0,0 +1,109 @@
+const EpubExtractor = require('../../src/core/extractors/epub-extractor')
+const createZip = require('../helpers/create-zip')
+
+const container = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`
+
+const packageDocument = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:title>Weekly Dispatch</dc:title>
+    <dc:creator>Newsroom Team</dc:creator>
+    <dc:date>2026-10-17</dc:date>
+    <dc:language>en</dc:language>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c2" href="text/second%20story.xhtml" media-type="application/xhtml+xml"/>
+    <item id="c1" href="text/first.xhtml" media-type="application/xhtml+xml"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+  </manifest>
+  <spine>
+    <itemref idref="cover" linear="no"/>
+    <itemref idref="c1"/>
+    <itemref idref="c2"/>
+  </spine>
+</package>`
+
+const navDocument = `<html xmlns:epub="http://www.idpf.org/2007/ops"><body>
+  <nav epub:type="toc"><ol>
+    <li><a href="text/first.xhtml">Top Story</a></li>
+    <li><a href="text/second%20story.xhtml#start">In Brief</a></li>
+  </ol></nav>
+</body></html>`
+
+const buildEpub = (overrides = {}) => createZip({
+  mimetype: 'application/epub+zip',
+  'META-INF/container.xml': container,
+  'OEBPS/content.opf': packageDocument,
+  'OEBPS/nav.xhtml': navDocument,
+  'OEBPS/cover.xhtml': '<html><body><p>Cover page text</p></body></html>',
+  'OEBPS/text/first.xhtml': '<html><head><title>ignored</title></head><body><h1>Rates rise</h1><p>The bank raised rates.</p><p>Markets fell.</p></body></html>',
+  'OEBPS/text/second story.xhtml': '<html><body><p>Short items from around the world.</p></body></html>',
+  ...overrides
+})
+
+describe('EpubExtractor', () => {
+  let extractor
+
+  beforeEach(() => {
+    extractor = new EpubExtractor()
+  })
+
+  test('should extract chapters in spine order, not manifest order', () => {
+    const result = extractor.extract(buildEpub())
+
+    expect(result.blocks.map(block => block.text)).toEqual([
+      'Rates rise',
+      'The bank raised rates.',
+      'Markets fell.',
+      'In Brief',
+      'Short items from around the world.'
+    ])
+    expect(result.text).not.toContain('Cover page text')
+  })
+
+  test('should expose chapter boundaries with table-of-contents titles', () => {
+    const result = extractor.extract(buildEpub())
+
+    expect(result.chapters).toEqual([
+      { title: 'Top Story', href: 'OEBPS/text/first.xhtml', blockIndex: 0 },
+      { title: 'In Brief', href: 'OEBPS/text/second story.xhtml', blockIndex: 3 }
+    ])
+    expect(result.blocks[3]).toEqual({ type: 'heading', level: 1, text: 'In Brief' })
+  })
+
+  test('should read Dublin Core metadata', () => {
+    const result = extractor.extract(buildEpub())
+
+    expect(result.metadata).toEqual({
+      title: 'Weekly Dispatch',
+      byline: 'Newsroom Team',
+      publishedDate: '2026-10-17',
+      language: 'en'
+    })
+  })
+
+  test('should fall back to the EPUB 2 NCX table of contents', () => {
+    const epub2Package = packageDocument
+      .replace('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>')
+      .replace('<spine>', '<spine toc="ncx">')
+    const ncx = `<ncx><navMap>
+      <navPoint id="p1"><navLabel><text>Lead</text></navLabel><content src="text/first.xhtml"/></navPoint>
+      <navPoint id="p2"><navLabel><text>Roundup</text></navLabel><content src="text/second%20story.xhtml"/></navPoint>
+    </navMap></ncx>`
+
+    const result = extractor.extract(buildEpub({ 'OEBPS/content.opf': epub2Package, 'OEBPS/toc.ncx': ncx }))
+
+    expect(result.chapters.map(chapter => chapter.title)).toEqual(['Lead', 'Roundup'])
+  })
+
+  test('should reject archives without an EPUB container', () => {
+    expect(() => extractor.extract(createZip({ 'readme.txt': 'hello' })))
+      .toThrow('Not an EPUB file')
+  })
+})
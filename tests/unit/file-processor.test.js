@@ -1,6 +1,8 @@
 const fs = require('fs').promises
 const path = require('path')
 const FileProcessor = require('../../src/core/file-processor')
+const SpeechDocument = require('../../src/core/text/speech-document')
+const createZip = require('../helpers/create-zip')
 
 describe('FileProcessor', () => {
   let fileProcessor
@@ -127,6 +129,149 @@ describe('FileProcessor', () => {
       expect(result.cleanedText).toBe(testContent)
     })
 
+    test('should strip YAML front matter from markdown and expose it as metadata', async () => {
+      const testFile = path.join(tempTestDir, 'clipping.md')
+      await fs.writeFile(testFile, [
+        '---',
+        'title: Harbour reopens',
+        'author: Alex Kim',
+        'source: https://news.example/harbour',
+        'date: 2026-10-18',
+        'tags: [local, shipping]',
+        'voice: Samantha',
+        '---',
+        '# Harbour reopens',
+        '',
+        'The harbour reopened on Monday.'
+      ].join('\n'))
+
+      const result = await fileProcessor.extractText(testFile)
+
+      expect(result.cleanedText).not.toContain('author')
+      expect(result.cleanedText).not.toContain('---')
+      expect(result.content).toBe('Harbour reopens.\n\nThe harbour reopened on Monday.')
+      expect(result.metadata).toEqual({
+        title: 'Harbour reopens',
+        author: 'Alex Kim',
+        byline: 'Alex Kim',
+        source: 'https://news.example/harbour',
+        date: '2026-10-18',
+        publishedDate: '2026-10-18',
+        tags: ['local', 'shipping'],
+        voice: 'Samantha'
+      })
+    })
+
+    test('should return empty metadata for markdown without front matter', async () => {
+      const testFile = path.join(tempTestDir, 'plain.md')
+      await fs.writeFile(testFile, 'Just text.')
+
+      const result = await fileProcessor.extractText(testFile)
+
+      expect(result.metadata).toEqual({})
+      expect(result.content).toBe('Just text.')
+    })
+
+    test('should detect the article language unless front matter or an option sets it', async () => {
+      const testFile = path.join(tempTestDir, 'noticia.md')
+      const body = 'El puerto volvió a abrir el lunes después de tres semanas de obras, según informó el ayuntamiento.'
+      await fs.writeFile(testFile, body)
+
+      expect((await fileProcessor.extractText(testFile)).language).toBe('es')
+      expect((await new FileProcessor({ language: 'en-GB' }).extractText(testFile)).language).toBe('en-GB')
+      expect((await new FileProcessor({ detectLanguage: false }).extractText(testFile)).language).toBeNull()
+
+      await fs.writeFile(testFile, `---\nlang: de\n---\n${body}`)
+      const declared = await new FileProcessor({ language: 'en-GB' }).extractText(testFile)
+      expect(declared.language).toBe('de')
+      expect(declared.metadata.language).toBe('de')
+    })
+
+    test('should extract article text and metadata from HTML file', async () => {
+      const testFile = path.join(tempTestDir, 'saved-page.html')
+      const testContent = `<html><head><title>Harbour reopens</title>
+        <meta name="author" content="Alex Kim">
+        <meta property="article:published_time" content="2026-10-18">
+        <script>trackPageView()</script></head>
+        <body><nav>Home | World | Sport</nav>
+        <article><h1>Harbour reopens</h1>
+        <p>The harbour reopened to shipping on Monday after a week of repairs.</p>
+        <p>Officials expect traffic to return to normal by Friday.</p></article>
+        <footer>All rights reserved</footer></body></html>`
+      await fs.writeFile(testFile, testContent)
+
+      const result = await fileProcessor.processSingleFile(testFile)
+
+      expect(result.rawContent).toBe(testContent)
+      expect(result.cleanedText).toBe(
+        'Harbour reopens.\n\nThe harbour reopened to shipping on Monday after a week of repairs.\n\n' +
+        'Officials expect traffic to return to normal by Friday.'
+      )
+      expect(result.metadata).toEqual({
+        title: 'Harbour reopens',
+        byline: 'Alex Kim',
+        publishedDate: '2026-10-18'
+      })
+      expect(result.blocks[0]).toEqual({ type: 'heading', level: 1, text: 'Harbour reopens.' })
+    })
+
+    test('should expose HTML metadata through extractText', async () => {
+      const testFile = path.join(tempTestDir, 'page.htm')
+      await fs.writeFile(testFile, '<html><head><title>Budget vote</title></head><body><p>The council approved the budget late on Thursday night.</p></body></html>')
+
+      const result = await fileProcessor.extractText(testFile)
+
+      expect(result.metadata.title).toBe('Budget vote')
+      expect(result.content).toContain('The council approved the budget')
+      expect(result.content).not.toContain('<')
+    })
+
+    test('should extract EPUB chapters in reading order', async () => {
+      const testFile = path.join(tempTestDir, 'newsletter.epub')
+      await fs.writeFile(testFile, createZip({
+        mimetype: 'application/epub+zip',
+        'META-INF/container.xml': '<container><rootfiles><rootfile full-path="content.opf"/></rootfiles></container>',
+        'content.opf': `<package><metadata><dc:title>Morning Letter</dc:title></metadata>
+          <manifest><item id="b" href="b.xhtml" media-type="application/xhtml+xml"/>
+          <item id="a" href="a.xhtml" media-type="application/xhtml+xml"/></manifest>
+          <spine><itemref idref="a"/><itemref idref="b"/></spine></package>`,
+        'a.xhtml': '<html><body><h1>First chapter</h1><p>Opening paragraph of the letter.</p></body></html>',
+        'b.xhtml': '<html><body><h2>Second chapter</h2><p>Closing paragraph of the letter.</p></body></html>'
+      }))
+
+      const result = await fileProcessor.processSingleFile(testFile)
+
+      expect(result.cleanedText).toBe(
+        'First chapter.\n\nOpening paragraph of the letter.\n\nSecond chapter.\n\nClosing paragraph of the letter.'
+      )
+      expect(result.rawContent).toContain('Opening paragraph')
+      expect(result.metadata.title).toBe('Morning Letter')
+      expect(result.sections.map(section => section.title)).toEqual(['First chapter', 'Second chapter'])
+    })
+
+    test('should extract DOCX paragraphs with heading sections', async () => {
+      const testFile = path.join(tempTestDir, 'press-release.docx')
+      await fs.writeFile(testFile, createZip({
+        'word/document.xml': `<w:document><w:body>
+          <w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Launch news</w:t></w:r></w:p>
+          <w:p><w:r><w:t>The product ships next month worldwide.</w:t></w:r></w:p>
+        </w:body></w:document>`
+      }))
+
+      const result = await fileProcessor.extractText(testFile)
+
+      expect(result.content).toBe('Launch news.\n\nThe product ships next month worldwide.')
+      expect(result.sections).toEqual([{ title: 'Launch news', level: 1, blockIndex: 0 }])
+    })
+
+    test('should report corrupt archives as processing errors', async () => {
+      const testFile = path.join(tempTestDir, 'broken.docx')
+      await fs.writeFile(testFile, 'this is not a zip file')
+
+      await expect(fileProcessor.processSingleFile(testFile))
+        .rejects.toThrow('Not a zip archive')
+    })
+
     test('should reject unsupported file types', async () => {
       const testFile = path.join(tempTestDir, 'test.pdf')
       await fs.writeFile(testFile, 'PDF content')
@@ -150,6 +295,66 @@ describe('FileProcessor', () => {
       expect(cleanedText).toContain('italic text')
     })
 
+    test('should pass bold and italics on as emphasis and keep section titles plain', () => {
+      const processor = new FileProcessor()
+      const result = processor._extractContent('## Rates *rose*\n\nPrices **doubled**', '.md')
+
+      expect(result.cleanedText).toBe(`Rates ${SpeechDocument.emphasis('rose')}.\n\nPrices ${SpeechDocument.emphasis('doubled')}`)
+      expect(result.sections[0].title).toBe('Rates rose')
+    })
+
+    test('should keep heading boundaries and end headings with a full stop', () => {
+      const processor = new FileProcessor()
+      const cleanedText = processor._preprocessText('# Harbour reopens\n\nShips returned on Monday.\n\n## Next steps\nRepairs continue.')
+
+      expect(cleanedText).toBe('Harbour reopens.\n\nShips returned on Monday.\n\nNext steps.\n\nRepairs continue.')
+    })
+
+    test('should read lists, tables and block quotes instead of dropping their structure', () => {
+      const processor = new FileProcessor()
+      const markdown = [
+        'Key points:',
+        '',
+        '1. Rates rose',
+        '2. Markets fell',
+        '',
+        '| City | Change |',
+        '|------|--------|',
+        '| Oslo | up |',
+        '',
+        '> We will act if needed.'
+      ].join('\n')
+
+      const cleanedText = processor._preprocessText(markdown)
+
+      expect(cleanedText.split('\n\n')).toEqual([
+        'Key points:',
+        'First, Rates rose. Second, Markets fell.',
+        'Table with 1 row and columns City and Change. City Oslo, Change up.',
+        `Quote: ${SpeechDocument.quote('We will act if needed.')} End quote.`
+      ])
+      expect(cleanedText).not.toContain('|')
+    })
+
+    test('should keep apostrophes and normalize smart quotes', () => {
+      const processor = new FileProcessor()
+      const cleanedText = processor._preprocessText('It’s “quoted” and don\'t change.')
+
+      expect(cleanedText).toBe('It\'s "quoted" and don\'t change.')
+    })
+
+    test('should expose markdown sections from headings', async () => {
+      const testFile = path.join(tempTestDir, 'sections.md')
+      await fs.writeFile(testFile, '# Lead\n\nIntro text here.\n\n## Detail\n\nMore text here.')
+
+      const result = await fileProcessor.processSingleFile(testFile)
+
+      expect(result.sections).toEqual([
+        { title: 'Lead', level: 1, blockIndex: 0 },
+        { title: 'Detail', level: 2, blockIndex: 2 }
+      ])
+    })
+
     test('should normalize quotation marks', () => {
       const processor = new FileProcessor()
       const textWithQuotes = 'He said "Hello" and "Goodbye" with "smart quotes".'
@@ -167,13 +372,12 @@ describe('FileProcessor', () => {
       expect(processor._preprocessText('\t\n')).toBe('')
     })
 
-    test('should clean up whitespace and line breaks', () => {
+    test('should clean up whitespace and keep paragraph breaks', () => {
       const processor = new FileProcessor()
-      const textWithBreaks = 'First line.\n\n\nSecond line.\n\n\n\nThird line.'
+      const textWithBreaks = 'First   line.\n\n\nSecond line\nwrapped here.\n\n\n\nThird line.'
       const cleanedText = processor._preprocessText(textWithBreaks)
 
-      expect(cleanedText).toBe('First line. Second line. Third line.')
-      expect(cleanedText).not.toContain('\n')
+      expect(cleanedText).toBe('First line.\n\nSecond line wrapped here.\n\nThird line.')
     })
 
     test('should ensure proper sentence endings', () => {
@@ -354,6 +558,10 @@ describe('FileProcessor', () => {
       expect(stats).toHaveProperty('maxFileSize')
       expect(stats.supportedExtensions).toContain('.txt')
       expect(stats.supportedExtensions).toContain('.md')
+      expect(stats.supportedExtensions).toContain('.markdown')
+      expect(stats.supportedExtensions).toContain('.html')
+      expect(stats.supportedExtensions).toContain('.epub')
+      expect(stats.supportedExtensions).toContain('.docx')
       expect(stats.maxFileSize).toBe(1024 * 1024)
     })
 
@@ -0,0 +1,108 @@
+const FrontMatterParser = require('../../src/core/extractors/front-matter')
+
+describe('FrontMatterParser', () => {
+  let parser
+
+  beforeEach(() => {
+    parser = new FrontMatterParser()
+  })
+
+  describe('document splitting', () => {
+    test('should split front matter from content', () => {
+      const result = parser.parse('---\ntitle: Hello\n---\n# Body\n\nText.')
+
+      expect(result.hasFrontMatter).toBe(true)
+      expect(result.data).toEqual({ title: 'Hello' })
+      expect(result.content).toBe('# Body\n\nText.')
+    })
+
+    test('should leave documents without front matter untouched', () => {
+      const text = '# Title\n\n---\n\nAfter a horizontal rule.'
+      const result = parser.parse(text)
+
+      expect(result.hasFrontMatter).toBe(false)
+      expect(result.data).toEqual({})
+      expect(result.content).toBe(text)
+    })
+
+    test('should accept empty front matter, CRLF line endings and a BOM', () => {
+      expect(parser.parse('---\n---\nBody').content).toBe('Body')
+      expect(parser.parse('\uFEFF---\r\ntitle: Windows\r\n---\r\nBody')).toEqual({
+        data: { title: 'Windows' },
+        content: 'Body',
+        hasFrontMatter: true
+      })
+    })
+
+    test('should not treat an unterminated block as front matter', () => {
+      const result = parser.parse('---\ntitle: Never closed\n\nBody text')
+
+      expect(result.hasFrontMatter).toBe(false)
+    })
+  })
+
+  describe('YAML values', () => {
+    test('should parse typical clipping fields', () => {
+      const data = parser.parseYaml([
+        'title: "Rates rise: what it means"',
+        "author: 'O''Brien, Pat'",
+        'source: https://example.com/news/rates',
+        'date: 2026-10-19',
+        'tags: [economy, "central banks"]',
+        'voice: Samantha # narrator voice',
+        'rating: 4.5',
+        'draft: false',
+        'summary:'
+      ].join('\n'))
+
+      expect(data).toEqual({
+        title: 'Rates rise: what it means',
+        author: "O'Brien, Pat",
+        source: 'https://example.com/news/rates',
+        date: '2026-10-19',
+        tags: ['economy', 'central banks'],
+        voice: 'Samantha',
+        rating: 4.5,
+        draft: false,
+        summary: null
+      })
+    })
+
+    test('should parse block lists, nested maps and block scalars', () => {
+      const data = parser.parseYaml([
+        'tags:',
+        '  - politics',
+        '  - europe',
+        'keywords:',
+        '- one',
+        '- two',
+        'source:',
+        '  name: The Daily',
+        '  url: https://daily.example',
+        'authors:',
+        '  - name: Ann',
+        '    role: editor',
+        '  - name: Bo',
+        'description: >',
+        '  First line',
+        '  second line',
+        'notes: |',
+        '  Line one',
+        '  Line two'
+      ].join('\n'))
+
+      expect(data).toEqual({
+        tags: ['politics', 'europe'],
+        keywords: ['one', 'two'],
+        source: { name: 'The Daily', url: 'https://daily.example' },
+        authors: [{ name: 'Ann', role: 'editor' }, { name: 'Bo' }],
+        description: 'First line second line',
+        notes: 'Line one\nLine two'
+      })
+    })
+
+    test('should skip comments and malformed lines', () => {
+      expect(parser.parseYaml('# comment\ntitle: Kept\nnot a pair\n')).toEqual({ title: 'Kept' })
+    })
+  })
+})
@@ -0,0 +1,148 @@
+const HtmlExtractor = require('../../src/core/extractors/html-extractor')
+
+const samplePage = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Rates rise again | The Daily</title>
+  <meta property="og:site_name" content="The Daily">
+  <meta name="author" content="Jane Doe">
+  <meta property="article:published_time" content="2026-10-18T08:00:00Z">
+  <script>var markup = "<p>Not article text</p>";</script>
+  <style>p { color: red; }</style>
+</head>
+<body class="single has-sidebar">
+  <header role="banner"><nav><a href="/">Home</a> <a href="/world">World</a></nav></header>
+  <div class="ad-slot">Buy our premium plan today</div>
+  <article>
+    <h1>Rates rise <em>again</em></h1>
+    <p class="byline">By Jane Doe</p>
+    <p>The central bank raised rates by a quarter point on Tuesday, citing <a href="#">persistent</a> inflation.
+    <p>Markets fell &mdash; sharply &amp; quickly.</p>
+    <h2>What it means</h2>
+    <p>Borrowers will pay more on mortgages and car loans.</p>
+    <div class="share-tools">Share on social media</div>
+  </article>
+  <aside>Most read stories</aside>
+  <footer>Copyright 2026 The Daily</footer>
+</body>
+</html>`
+
+describe('HtmlExtractor', () => {
+  let extractor
+
+  beforeEach(() => {
+    extractor = new HtmlExtractor()
+  })
+
+  describe('content extraction', () => {
+    test('should extract the article body and drop page chrome', () => {
+      const result = extractor.extract(samplePage)
+
+      expect(result.text).toContain('The central bank raised rates')
+      expect(result.text).toContain('Borrowers will pay more')
+      expect(result.text).not.toContain('Home')
+      expect(result.text).not.toContain('Buy our premium plan')
+      expect(result.text).not.toContain('Share on social media')
+      expect(result.text).not.toContain('Most read stories')
+      expect(result.text).not.toContain('Copyright')
+      expect(result.text).not.toContain('Not article text')
+      expect(result.text).not.toContain('color: red')
+    })
+
+    test('should keep headings and paragraph breaks as blocks', () => {
+      const result = extractor.extract(samplePage)
+
+      expect(result.blocks).toEqual([
+        { type: 'heading', level: 1, text: 'Rates rise again' },
+        { type: 'paragraph', text: 'The central bank raised rates by a quarter point on Tuesday, citing persistent inflation.' },
+        { type: 'paragraph', text: 'Markets fell — sharply & quickly.' },
+        { type: 'heading', level: 2, text: 'What it means' },
+        { type: 'paragraph', text: 'Borrowers will pay more on mortgages and car loans.' }
+      ])
+      expect(result.text.split('\n\n')).toHaveLength(5)
+    })
+
+    test('should read a line break inside a paragraph as a space', () => {
+      const result = extractor.extract('<article><p>The storm arrived at dawn,<br>bringing heavy rain<br/>to the coast.</p><p>Roads closed.</p></article>')
+
+      expect(result.blocks).toEqual([
+        { type: 'paragraph', text: 'The storm arrived at dawn, bringing heavy rain to the coast.' },
+        { type: 'paragraph', text: 'Roads closed.' }
+      ])
+    })
+
+    test('should not read the byline as part of the body', () => {
+      const result = extractor.extract(samplePage)
+
+      expect(result.text).not.toContain('By Jane Doe')
+    })
+
+    test('should find the main content without semantic markup', () => {
+      const html = `
+        <html><body>
+          <div id="menu"><ul><li>News</li><li>Sport</li></ul></div>
+          <div class="content">
+            <p>First paragraph of a story long enough to count as real content.</p>
+            <p>Second paragraph with more words that belong to the article body.</p>
+          </div>
+          <div class="comments"><p>Great article, thanks for writing it!</p></div>
+        </body></html>`
+
+      const result = extractor.extract(html)
+
+      expect(result.blocks.map(block => block.text)).toEqual([
+        'First paragraph of a story long enough to count as real content.',
+        'Second paragraph with more words that belong to the article body.'
+      ])
+    })
+
+    test('should use the page title as a heading when the body has none', () => {
+      const html = '<html><head><title>Quiet Tuesday</title></head><body><p>Nothing much happened today in the city.</p></body></html>'
+
+      const result = extractor.extract(html)
+
+      expect(result.blocks[0]).toEqual({ type: 'heading', level: 1, text: 'Quiet Tuesday' })
+    })
+
+    test('should handle empty or invalid input', () => {
+      expect(extractor.extract('')).toEqual({ text: '', blocks: [], metadata: {} })
+      expect(extractor.extract(null)).toEqual({ text: '', blocks: [], metadata: {} })
+    })
+  })
+
+  describe('metadata extraction', () => {
+    test('should extract title, byline and publish date from meta tags', () => {
+      const result = extractor.extract(samplePage)
+
+      expect(result.metadata.title).toBe('Rates rise again')
+      expect(result.metadata.byline).toBe('Jane Doe')
+      expect(result.metadata.publishedDate).toBe('2026-10-18T08:00:00Z')
+      expect(result.metadata.siteName).toBe('The Daily')
+    })
+
+    test('should fall back to byline markup and time elements', () => {
+      const html = `
+        <html><head><title>Storm warning</title></head><body><article>
+          <span class="author-name">By Sam Lee</span>
+          <time datetime="2026-10-17">October 17</time>
+          <p>Forecasters issued a storm warning for the coast on Friday evening.</p>
+        </article></body></html>`
+
+      const result = extractor.extract(html)
+
+      expect(result.metadata.title).toBe('Storm warning')
+      expect(result.metadata.byline).toBe('Sam Lee')
+      expect(result.metadata.publishedDate).toBe('2026-10-17')
+    })
+  })
+
+  describe('entity decoding', () => {
+    test('should decode named and numeric entities', () => {
+      expect(extractor.decodeEntities('Caf&eacute; &#8220;open&#x201D; &amp; busy')).toBe('Café “open” & busy')
+    })
+
+    test('should leave unknown entities untouched', () => {
+      expect(extractor.decodeEntities('&unknown; stays')).toBe('&unknown; stays')
+    })
+  })
+})
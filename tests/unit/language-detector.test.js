@@ -0,0 +1,33 @@
+const LanguageDetector = require('../../src/core/text/language-detector')
+const SpeechDocument = require('../../src/core/text/speech-document')
+
+describe('LanguageDetector', () => {
+  const detector = new LanguageDetector()
+
+  test('should detect English, Spanish and German news text', () => {
+    expect(detector.detect('Firefighters worked through the night to contain the blaze, which forced hundreds of residents to leave their homes.').language).toBe('en')
+    expect(detector.detect('Los bomberos trabajaron durante toda la noche para contener el incendio, que obligó a cientos de vecinos a abandonar sus casas.').language).toBe('es')
+    expect(detector.detect('Die Feuerwehr arbeitete die ganze Nacht, um den Brand einzudämmen, der Hunderte Anwohner zwang, ihre Häuser zu verlassen.').language).toBe('de')
+  })
+
+  test('should read marked text and report a confidence', () => {
+    const result = detector.detect(`El ${SpeechDocument.emphasis('presidente')} visitó la ${SpeechDocument.spell('ONU')} para hablar de la crisis.`)
+
+    expect(result.language).toBe('es')
+    expect(result.confidence).toBeGreaterThan(0)
+    expect(result.confidence).toBeLessThanOrEqual(1)
+  })
+
+  test('should not guess from too little text or an unknown language', () => {
+    expect(detector.detect('Short one.')).toBeNull()
+    expect(detector.detect('')).toBeNull()
+    expect(detector.detect('Les pompiers ont travaillé toute la nuit pour maîtriser l\'incendie.')).toBeNull()
+  })
+
+  test('should learn languages from custom samples', () => {
+    const custom = new LanguageDetector({ samples: { it: 'Il governo ha detto che la spesa per le scuole e gli ospedali aumenterà il prossimo anno.', en: LanguageDetector.SAMPLES.en } })
+
+    expect(custom.languages).toEqual(['it', 'en'])
+    expect(custom.detect('Gli ospedali della città hanno chiesto più medici e infermieri per il prossimo inverno.').language).toBe('it')
+  })
+})
@@ -0,0 +1,223 @@
+const Lexicon = require('../../src/core/text/lexicon')
+const SpeechDocument = require('../../src/core/text/speech-document')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+describe('Lexicon', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-lexicon-'))
+  })
+
+  afterEach(async () => {
+    await fs.remove(tempDir)
+  })
+
+  describe('word entries', () => {
+    test('should replace words case-insensitively on word boundaries', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addWord('Nguyen', 'win')
+
+      expect(lexicon.apply('Nguyen and NGUYEN met Nguyenville.')).toBe('win and win met Nguyenville.')
+    })
+
+    test('should match multi-word phrases across whitespace, longest first', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addWord('Xi', 'shee')
+      lexicon.addWord('Xi Jinping', 'shee jin ping')
+
+      expect(lexicon.apply('Xi  Jinping spoke. Xi left.')).toBe('shee jin ping spoke. shee left.')
+    })
+
+    test('should match accented names', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addWord('Siobhán', 'shi-vawn')
+
+      expect(lexicon.apply('Siobhán said')).toBe('shi-vawn said')
+    })
+
+    test('should reject empty entries', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+
+      expect(() => lexicon.addWord('', 'x')).toThrow('Term must be a non-empty string')
+      expect(() => lexicon.addWord('x', ' ')).toThrow('Spoken form must be a non-empty string')
+    })
+  })
+
+  describe('acronym rules', () => {
+    test('should spell, say as a word or expand acronyms', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addAcronym('NATO', 'spell')
+      lexicon.addAcronym('GIF', 'word')
+      lexicon.addAcronym('IMF', 'expand', 'International Monetary Fund')
+
+      expect(lexicon.apply('NATO, GIF and IMF.')).toBe('N A T O, Gif and International Monetary Fund.')
+    })
+
+    test('should use built-in rules for common news acronyms', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+
+      expect(lexicon.apply('NATO, NASA, the UN and the US.')).toBe('Nato, Nasa, the U N and the U S.')
+    })
+
+    test('should let user rules override built-in rules', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addAcronym('UN', 'expand', 'United Nations')
+
+      expect(lexicon.apply('The UN met.')).toBe('The United Nations met.')
+    })
+
+    test('should spell short or vowel-less unknown acronyms and say longer ones as words', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+
+      expect(lexicon.apply('The HSBC, ABC and OFCOM.')).toBe('The H S B C, A B C and Ofcom.')
+    })
+
+    test('should leave Roman numerals for the engine', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+
+      expect(lexicon.apply('World War II, Louis XIV, Apollo XI and Henry VIII.'))
+        .toBe('World War II, Louis XIV, Apollo XI and Henry VIII.')
+    })
+
+    test('should read short common words in capitals as words', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+
+      expect(lexicon.apply('I AM here, NOT there.')).toBe('I am here, not there.')
+      expect(lexicon.apply('The US and IT.', { language: 'en' })).toBe('The U S and it.')
+    })
+
+    test('should let user rules claim Roman numerals and common words', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addAcronym('IT', 'spell')
+      lexicon.addAcronym('XI', 'expand', 'eleven')
+
+      expect(lexicon.apply('IT staff at Apollo XI.')).toBe('I T staff at Apollo eleven.')
+    })
+
+    test('should handle plural acronyms', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+
+      expect(lexicon.apply('Three CEOs and two NASAs.')).toBe('Three C E O\'s and two Nasas.')
+    })
+
+    test('should mark spelled acronyms for the speech document when asked', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      const marked = lexicon.apply('The UN and NATO met CEOs.', { markup: true })
+
+      expect(marked).toBe(`The ${SpeechDocument.spell('UN')} and Nato met ${SpeechDocument.spell('CEO')}'s.`)
+      expect(SpeechDocument.strip(marked)).toBe(lexicon.apply('The UN and NATO met CEOs.'))
+    })
+
+    test('should lower-case shouted headlines but keep user acronyms', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addAcronym('IMF', 'expand', 'International Monetary Fund')
+
+      expect(lexicon.apply('BREAKING: MAN IS FOUND IN IMF VAULT. The UN said.'))
+        .toBe('breaking: man is found in International Monetary Fund vault. The U N said.')
+    })
+
+    test('should only apply user entries to articles in other languages', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addAcronym('IMF', 'expand', 'International Monetary Fund')
+      lexicon.addWord('Nguyen', 'win')
+
+      expect(lexicon.apply('La OTAN, la UE y el IMF hablaron con Nguyen y los CEOs.', { language: 'es' }))
+        .toBe('La OTAN, la UE y el International Monetary Fund hablaron con win y los CEOs.')
+      expect(lexicon.apply('The EU and OTAN.', { language: 'en-GB' })).toBe('The E U and Otan.')
+    })
+
+    test('should reject unknown modes and missing expansions', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+
+      expect(() => lexicon.addAcronym('UN', 'shout')).toThrow('Unknown acronym mode "shout"')
+      expect(() => lexicon.addAcronym('UN', 'expand')).toThrow('Expansion must be a non-empty string')
+    })
+  })
+
+  describe('list and remove', () => {
+    test('should list entries sorted by term', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addWord('Nguyen', 'win')
+      lexicon.addAcronym('IMF', 'expand', 'International Monetary Fund')
+
+      expect(lexicon.list()).toEqual([
+        { term: 'IMF', type: 'acronym', mode: 'expand', spoken: 'International Monetary Fund' },
+        { term: 'Nguyen', type: 'word', spoken: 'win' }
+      ])
+    })
+
+    test('should remove entries', () => {
+      const lexicon = new Lexicon({ filePath: path.join(tempDir, 'lexicon.json') })
+      lexicon.addWord('Nguyen', 'win')
+
+      expect(lexicon.remove('Nguyen')).toBe(true)
+      expect(lexicon.remove('Nguyen')).toBe(false)
+      expect(lexicon.apply('Nguyen')).toBe('Nguyen')
+    })
+  })
+
+  describe('files', () => {
+    test('should treat a missing file as an empty lexicon', async () => {
+      const lexicon = await new Lexicon({ filePath: path.join(tempDir, 'missing.json') }).load()
+
+      expect(lexicon.loaded).toBe(true)
+      expect(lexicon.list()).toEqual([])
+    })
+
+    test('should round-trip JSON files', async () => {
+      const filePath = path.join(tempDir, 'nested', 'lexicon.json')
+      const lexicon = new Lexicon({ filePath })
+      lexicon.addWord('Nguyen', 'win')
+      lexicon.addAcronym('IMF', 'expand', 'International Monetary Fund')
+      lexicon.addAcronym('NATO', 'spell')
+      await lexicon.save()
+
+      expect(await fs.readJson(filePath)).toEqual({
+        words: { Nguyen: 'win' },
+        acronyms: { IMF: { expand: 'International Monetary Fund' }, NATO: 'spell' }
+      })
+
+      const reloaded = await new Lexicon({ filePath }).load()
+      expect(reloaded.list()).toEqual(lexicon.list())
+    })
+
+    test('should read and write YAML files', async () => {
+      const filePath = path.join(tempDir, 'lexicon.yaml')
+      await fs.writeFile(filePath, [
+        'words:',
+        '  Nguyen: win',
+        '  "Xi Jinping": shee jin ping',
+        'acronyms:',
+        '  NATO: spell',
+        '  IMF:',
+        '    expand: International Monetary Fund'
+      ].join('\n'))
+
+      const lexicon = await new Lexicon({ filePath }).load()
+      expect(lexicon.apply('Nguyen, Xi Jinping, NATO, IMF')).toBe('win, shee jin ping, N A T O, International Monetary Fund')
+
+      lexicon.addWord('Siobhan', 'shi-vawn')
+      await lexicon.save()
+
+      const reloaded = await new Lexicon({ filePath }).load()
+      expect(reloaded.list()).toEqual(lexicon.list())
+    })
+
+    test('should report invalid files', async () => {
+      const filePath = path.join(tempDir, 'lexicon.json')
+      await fs.writeFile(filePath, '{ not json')
+
+      await expect(new Lexicon({ filePath }).load()).rejects.toThrow(`Failed to load lexicon ${filePath}`)
+    })
+
+    test('should report invalid acronym modes in files', async () => {
+      const filePath = path.join(tempDir, 'lexicon.json')
+      await fs.writeJson(filePath, { acronyms: { UN: 'loud' } })
+
+      await expect(new Lexicon({ filePath }).load()).rejects.toThrow('Unknown acronym mode "loud"')
+    })
+  })
+})
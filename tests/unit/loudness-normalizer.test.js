@@ -0,0 +1,116 @@
+const LoudnessNormalizer = require('../../src/core/audio/loudness-normalizer')
+const AiffFile = require('../../src/core/audio/aiff-file')
+const WavFile = require('../../src/core/audio/wav-file')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+function sine (sampleRate, seconds, { frequency = 1000, amplitude = 1 } = {}) {
+  const samples = new Float32Array(Math.round(sampleRate * seconds))
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)
+  }
+  return samples
+}
+
+describe('LoudnessNormalizer', () => {
+  describe('measure', () => {
+    test('should read a full-scale 1 kHz sine as -3 LUFS at any sample rate', () => {
+      for (const sampleRate of [48000, 44100, 22050]) {
+        const { integrated, samplePeak } = LoudnessNormalizer.measure([sine(sampleRate, 2)], sampleRate)
+
+        expect(integrated).toBeCloseTo(-3.01, 0)
+        expect(samplePeak).toBeCloseTo(0, 2)
+      }
+    })
+
+    test('should sum channels and gate out silence', () => {
+      const tone = sine(48000, 2, { amplitude: 0.1 })
+      const withPause = new Float32Array(tone.length * 2)
+      withPause.set(tone)
+
+      expect(LoudnessNormalizer.measure([tone, tone], 48000).integrated).toBeCloseTo(-23.01 + 3.01, 1)
+      // Only the blocks that overlap the tone count (partly silent ones lower it a little)
+      expect(LoudnessNormalizer.measure([withPause], 48000).integrated).toBeCloseTo(-23.01, 0)
+      expect(LoudnessNormalizer.measure([new Float32Array(48000)], 48000).integrated).toBe(-Infinity)
+    })
+
+    test('should find peaks between samples', () => {
+      // A quarter-rate sine sampled 45 degrees off its crests never stores a sample above 0.71
+      const samples = new Float32Array(4800).map((_, i) => Math.sin(Math.PI / 2 * i + Math.PI / 4))
+      const { samplePeak, truePeak } = LoudnessNormalizer.measure([samples], 48000)
+
+      expect(samplePeak).toBeCloseTo(-3.01, 1)
+      expect(truePeak).toBeGreaterThan(-0.5)
+    })
+  })
+
+  describe('normalize', () => {
+    test('should bring quiet speech-level audio to the target', () => {
+      const result = new LoudnessNormalizer({ target: -16 }).normalize([sine(22050, 3, { frequency: 440, amplitude: 0.05 })], 22050)
+
+      expect(result.output.integrated).toBeCloseTo(-16, 1)
+      expect(result.gain).toBeGreaterThan(0)
+      expect(result.limited).toBe(false)
+    })
+
+    test('should limit peaks the gain would push over the ceiling', () => {
+      const samples = sine(22050, 5, { frequency: 440, amplitude: 0.05 })
+      for (let i = 22050; i < 22250; i++) samples[i] += 0.9 * Math.sin(2 * Math.PI * 3000 * i / 22050)
+
+      const result = new LoudnessNormalizer({ target: -16, truePeak: -1 }).normalize([samples], 22050)
+
+      expect(result.limited).toBe(true)
+      expect(result.output.truePeak).toBeLessThanOrEqual(-0.95)
+      expect(result.output.integrated).toBeCloseTo(-16, 0)
+    })
+
+    test('should leave silence alone', () => {
+      const silence = new Float32Array(22050)
+      const result = new LoudnessNormalizer().normalize([silence], 22050)
+
+      expect(result.gain).toBe(0)
+      expect(result.channels[0]).toBe(silence)
+    })
+  })
+
+  describe('normalizeFile', () => {
+    let tempDir
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-loudness-test-'))
+    })
+
+    afterEach(async () => {
+      await fs.remove(tempDir)
+    })
+
+    test('should rewrite WAV and AIFF in their own format', async () => {
+      const quiet = new WavFile({ sampleRate: 16000 }).withChannels([sine(16000, 2, { amplitude: 0.02 })])
+      await quiet.write(path.join(tempDir, 'quiet.wav'))
+      await new AiffFile({ sampleRate: 16000, data: Buffer.alloc(4) }).withChannels([sine(16000, 2, { amplitude: 0.9 })])
+        .write(path.join(tempDir, 'loud.aiff'))
+
+      const normalizer = new LoudnessNormalizer({ target: -18 })
+      const wav = await normalizer.normalizeFile(path.join(tempDir, 'quiet.wav'))
+      const aiff = await normalizer.normalizeFile(path.join(tempDir, 'loud.aiff'))
+
+      expect(wav.format).toBe('wav')
+      expect(aiff.format).toBe('aiff')
+      expect(aiff.gain).toBeLessThan(0)
+
+      const written = await WavFile.read(path.join(tempDir, 'quiet.wav'))
+      expect(written.bitsPerSample).toBe(16)
+      expect(LoudnessNormalizer.measure(written.getChannels(), 16000).integrated).toBeCloseTo(-18, 0)
+      expect(LoudnessNormalizer.measure((await AiffFile.read(path.join(tempDir, 'loud.aiff'))).getChannels(), 16000).integrated)
+        .toBeCloseTo(-18, 0)
+    })
+
+    test('should skip audio that is not PCM and report unreadable files', async () => {
+      await fs.writeFile(path.join(tempDir, 'story.mp3'), 'mock audio content')
+
+      expect(await new LoudnessNormalizer().normalizeFile(path.join(tempDir, 'story.mp3'))).toBeNull()
+      await expect(new LoudnessNormalizer().normalizeFile(path.join(tempDir, 'missing.wav'))).rejects.toThrow('Failed to normalize loudness')
+    })
+  })
+})
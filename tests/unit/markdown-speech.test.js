@@ -0,0 +1,138 @@
+const MarkdownSpeechTransformer = require('../../src/core/text/markdown-speech')
+const SpeechDocument = require('../../src/core/text/speech-document')
+
+describe('MarkdownSpeechTransformer', () => {
+  let transformer
+
+  beforeEach(() => {
+    transformer = new MarkdownSpeechTransformer()
+  })
+
+  describe('headings', () => {
+    test('should parse ATX and setext headings with levels', () => {
+      const blocks = transformer.parse('# Title #\n\nBody text.\n\nSection\n-------\n\nMore text.')
+
+      expect(blocks).toEqual([
+        { type: 'heading', level: 1, content: 'Title', text: 'Title' },
+        { type: 'paragraph', content: 'Body text.', text: 'Body text.' },
+        { type: 'heading', level: 2, content: 'Section', text: 'Section' },
+        { type: 'paragraph', content: 'More text.', text: 'More text.' }
+      ])
+    })
+
+    test('should end a paragraph at a following heading', () => {
+      const text = transformer.toSpeechText('Intro line\n## Next')
+
+      expect(text).toBe('Intro line\n\nNext')
+    })
+  })
+
+  describe('paragraphs', () => {
+    test('should join wrapped lines and keep paragraph breaks', () => {
+      const text = transformer.toSpeechText('One line\nwrapped.\n\n\nSecond paragraph.')
+
+      expect(text).toBe('One line wrapped.\n\nSecond paragraph.')
+    })
+
+    test('should not treat a wrapped line starting with a year as a list', () => {
+      const blocks = transformer.parse('The project started in\n2026. It is ongoing.')
+
+      expect(blocks).toHaveLength(1)
+      expect(blocks[0].type).toBe('paragraph')
+    })
+  })
+
+  describe('lists', () => {
+    test('should read unordered items as sentences', () => {
+      const text = transformer.toSpeechText('- apples\n- pears!\n  * nested item')
+
+      expect(text).toBe('apples. pears! nested item.')
+    })
+
+    test('should number ordered items aloud', () => {
+      const items = Array.from({ length: 11 }, (_, index) => `${index + 1}. Item ${index + 1}`).join('\n')
+      const text = transformer.toSpeechText(items)
+
+      expect(text.startsWith('First, Item 1. Second, Item 2.')).toBe(true)
+      expect(text).toContain('Tenth, Item 10.')
+      expect(text).toContain('Number 11, Item 11.')
+    })
+
+    test('should drop task list checkboxes and keep continuation lines', () => {
+      const text = transformer.toSpeechText('- [x] Write report\n  before Friday\n- [ ] Send it')
+
+      expect(text).toBe('Write report before Friday. Send it.')
+    })
+  })
+
+  describe('tables', () => {
+    test('should summarise a table and read small tables row by row', () => {
+      const text = transformer.toSpeechText('| Name | Score |\n|:-----|------:|\n| Ada | 10 |\n| Bob | 7 |')
+
+      expect(text).toBe('Table with 2 rows and columns Name and Score. Name Ada, Score 10. Name Bob, Score 7.')
+    })
+
+    test('should only summarise tables above the row limit', () => {
+      const limited = new MarkdownSpeechTransformer({ maxTableRowsRead: 1 })
+      const text = limited.toSpeechText('| A | B | C |\n|---|---|---|\n| 1 | 2 | 3 |\n| 4 | 5 | 6 |')
+
+      expect(text).toBe('Table with 2 rows and columns A, B and C.')
+    })
+  })
+
+  describe('block quotes', () => {
+    test('should announce the start and end of a quote', () => {
+      const text = transformer.toSpeechText('> First line\n> continues here\n>\n> Second paragraph')
+
+      expect(text).toBe('Quote: First line continues here. Second paragraph. End quote.')
+    })
+
+    test('should use configured quote markers', () => {
+      const custom = new MarkdownSpeechTransformer({ quoteStart: 'Quoting:', quoteEnd: 'Unquote.' })
+
+      expect(custom.toSpeechText('> Hello')).toBe('Quoting: Hello. Unquote.')
+    })
+
+    test('should mark quoted text for another voice when asked', () => {
+      const marking = new MarkdownSpeechTransformer({ markQuotes: true })
+
+      expect(marking.toSpeechText('> Hello')).toBe(`Quote: ${SpeechDocument.quote('Hello.')} End quote.`)
+    })
+  })
+
+  describe('omitted content', () => {
+    test('should skip fenced code blocks, rules and link definitions', () => {
+      const markdown = 'Before.\n\n```js\nconst x = 1\n```\n\n---\n\n[ref]: https://example.com\n\nAfter.'
+
+      expect(transformer.toSpeechText(markdown)).toBe('Before.\n\nAfter.')
+    })
+
+    test('should return no blocks for invalid input', () => {
+      expect(transformer.parse(null)).toEqual([])
+      expect(transformer.parse('')).toEqual([])
+    })
+  })
+
+  describe('stripInline', () => {
+    test('should remove links, images, code and emphasis', () => {
+      const text = transformer.stripInline('See [the docs](https://example.com) ![logo](a.png) and `npm test` for **bold** and *italic* ~~old~~ text')
+
+      expect(text).toBe('See the docs and npm test for bold and italic old text')
+    })
+
+    test('should keep snake_case identifiers and escaped characters', () => {
+      expect(transformer.stripInline('Set max_chunk_size to 10\\*2 and _emphasis_')).toBe('Set max_chunk_size to 10*2 and emphasis')
+    })
+
+    test('should remove inline HTML tags and footnote references', () => {
+      expect(transformer.stripInline('A <em>fine</em> point[^1]')).toBe('A fine point')
+    })
+
+    test('should keep bold and italics as emphasis markers when asked', () => {
+      const marking = new MarkdownSpeechTransformer({ markEmphasis: true })
+
+      expect(marking.stripInline('Rates **rose** and _fell_ in my_file')).toBe(`Rates ${SpeechDocument.emphasis('rose')} and ${SpeechDocument.emphasis('fell')} in my_file`)
+      expect(marking.toSpeechText('> A *quoted line*')).toBe(`Quote: A ${SpeechDocument.emphasis('quoted line')}. End quote.`)
+    })
+  })
+})
@@ -0,0 +1,85 @@
+const NumberWords = require('../../src/core/text/number-words')
+
+describe('NumberWords', () => {
+  const us = new NumberWords({ locale: 'en-US' })
+  const gb = new NumberWords({ locale: 'en-GB' })
+
+  describe('cardinal', () => {
+    test('should spell small numbers and tens', () => {
+      expect(us.cardinal(0)).toBe('zero')
+      expect(us.cardinal(13)).toBe('thirteen')
+      expect(us.cardinal(40)).toBe('forty')
+      expect(us.cardinal(99)).toBe('ninety-nine')
+    })
+
+    test('should spell large numbers with scales', () => {
+      expect(us.cardinal(1234)).toBe('one thousand two hundred thirty-four')
+      expect(us.cardinal(2000000)).toBe('two million')
+      expect(us.cardinal(4500000000)).toBe('four billion five hundred million')
+    })
+
+    test('should insert "and" for en-GB', () => {
+      expect(gb.cardinal(105)).toBe('one hundred and five')
+      expect(gb.cardinal(1005)).toBe('one thousand and five')
+      expect(gb.cardinal(1234)).toBe('one thousand two hundred and thirty-four')
+      expect(us.cardinal(105)).toBe('one hundred five')
+    })
+
+    test('should read negative numbers', () => {
+      expect(us.cardinal(-7)).toBe('minus seven')
+    })
+  })
+
+  describe('ordinal', () => {
+    test('should convert regular and irregular endings', () => {
+      expect(us.ordinal(1)).toBe('first')
+      expect(us.ordinal(2)).toBe('second')
+      expect(us.ordinal(3)).toBe('third')
+      expect(us.ordinal(12)).toBe('twelfth')
+      expect(us.ordinal(20)).toBe('twentieth')
+      expect(us.ordinal(21)).toBe('twenty-first')
+      expect(us.ordinal(100)).toBe('one hundredth')
+    })
+  })
+
+  describe('year', () => {
+    test('should read years in pairs', () => {
+      expect(us.year(1984)).toBe('nineteen eighty-four')
+      expect(us.year(2026)).toBe('twenty twenty-six')
+      expect(us.year(1905)).toBe('nineteen oh five')
+      expect(us.year(1900)).toBe('nineteen hundred')
+    })
+
+    test('should read the 2000s as thousands', () => {
+      expect(us.year(2000)).toBe('two thousand')
+      expect(us.year(2005)).toBe('two thousand five')
+      expect(gb.year(2005)).toBe('two thousand and five')
+    })
+
+    test('should read decades', () => {
+      expect(us.decade(1990)).toBe('nineteen nineties')
+      expect(us.decade(2010)).toBe('twenty tens')
+    })
+  })
+
+  describe('decimal and digits', () => {
+    test('should read decimals digit by digit after the point', () => {
+      expect(us.decimal('4.5')).toBe('four point five')
+      expect(us.decimal('3.14')).toBe('three point one four')
+      expect(us.decimal('-0.05')).toBe('minus zero point zero five')
+    })
+
+    test('should read digit strings', () => {
+      expect(us.digits('0123')).toBe('zero one two three')
+    })
+  })
+
+  describe('fraction', () => {
+    test('should name halves, quarters and other denominators', () => {
+      expect(us.fraction(1, 2)).toBe('one half')
+      expect(us.fraction(3, 4)).toBe('three quarters')
+      expect(us.fraction(2, 3)).toBe('two thirds')
+      expect(us.fraction(5, 8)).toBe('five eighths')
+    })
+  })
+})
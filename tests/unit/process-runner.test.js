@@ -0,0 +1,35 @@
+const ProcessRunner = require('../../src/core/process-runner')
+
+describe('ProcessRunner', () => {
+  const node = process.execPath
+
+  test('should collect output and feed stdin', async () => {
+    const result = await ProcessRunner.run(node, ['-e', 'process.stdin.pipe(process.stdout)'], { input: 'hello' })
+
+    expect(result).toEqual({ code: 0, stdout: 'hello', stderr: '' })
+  })
+
+  test('should report the first stderr line when a checked command fails', async () => {
+    await expect(ProcessRunner.runChecked(node, ['-e', 'console.error("bad input\\nmore"); process.exit(3)']))
+      .rejects.toThrow('failed with code 3: bad input')
+  })
+
+  test('should kill a process that outlives its timeout', async () => {
+    await expect(ProcessRunner.run(node, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 }))
+      .rejects.toThrow('timed out after 200ms')
+  })
+
+  test('should kill a process when its signal aborts and start nothing once aborted', async () => {
+    const controller = new AbortController()
+    const running = ProcessRunner.run(node, ['-e', 'setTimeout(() => {}, 10000)'], { signal: controller.signal })
+    setTimeout(() => controller.abort(), 100)
+
+    await expect(running).rejects.toThrow('aborted')
+    await expect(ProcessRunner.run(node, ['-e', ''], { signal: controller.signal })).rejects.toThrow('aborted')
+  })
+
+  test('should find commands on PATH and absolute executables', async () => {
+    expect(await ProcessRunner.commandExists(node)).toBe(true)
+    expect(await ProcessRunner.commandExists('tt3-no-such-command')).toBe(false)
+  })
+})
@@ -0,0 +1,75 @@
+const SpeechDocument = require('../../src/core/text/speech-document')
+
+describe('SpeechDocument', () => {
+  const text = `The ${SpeechDocument.spell('UN')} said ${SpeechDocument.emphasis('rates & prices')} fell.`
+
+  test('should split marked text into styled runs', () => {
+    expect(SpeechDocument.inline(`${SpeechDocument.emphasis(`Hello ${SpeechDocument.spell('EU')}`)} there`)).toEqual([
+      { text: 'Hello ', emphasis: true, sayAs: null, quote: false },
+      { text: 'EU', emphasis: true, sayAs: 'characters', quote: false },
+      { text: ' there', emphasis: false, sayAs: null, quote: false }
+    ])
+  })
+
+  test('should mark double-quoted passages and split at them', () => {
+    const marked = SpeechDocument.markQuotes('He said "we will rebuild" and "left')
+    expect(SpeechDocument.strip(marked)).toBe('He said "we will rebuild" and "left')
+
+    expect(SpeechDocument.splitQuotes(marked)).toEqual([
+      { text: 'He said', quote: false },
+      { text: '"we will rebuild"', quote: true },
+      { text: 'and "left', quote: false }
+    ])
+  })
+
+  test('should close and reopen spans across split parts', () => {
+    const emphasized = SpeechDocument.emphasis(`Not ${SpeechDocument.quote('now')} later`)
+    const parts = SpeechDocument.splitQuotes(emphasized)
+
+    expect(parts.map(part => part.quote)).toEqual([false, true, false])
+    expect(parts.map(part => SpeechDocument.inline(part.text)[0].emphasis)).toEqual([true, true, true])
+    expect(SpeechDocument.balance([SpeechDocument.spell('AB').slice(0, 2), 'C'])).toEqual([
+      SpeechDocument.spell('A'),
+      SpeechDocument.spell('C')
+    ])
+  })
+
+  test('should strip markers to plain text, spelling say-as spans', () => {
+    expect(SpeechDocument.strip(text)).toBe('The U N said rates & prices fell.')
+    expect(SpeechDocument.strip(`${SpeechDocument.emphasis('unclosed').slice(0, -1)} end`)).toBe('unclosed end')
+  })
+
+  test('should serialize to SSML with emphasis, say-as, headings and breaks', () => {
+    const document = new SpeechDocument([
+      { type: 'heading', text: 'Markets.', pause: 900 },
+      { type: 'paragraph', text, pause: 0 }
+    ], { language: 'en-GB' })
+
+    expect(document.render('ssml')).toBe(
+      '<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-GB">' +
+      '<emphasis>Markets.</emphasis><break time="900ms"/> ' +
+      'The <say-as interpret-as="characters">UN</say-as> said <emphasis>rates &amp; prices</emphasis> fell.</speak>'
+    )
+  })
+
+  test('should serialize to macOS say embedded commands', () => {
+    const document = new SpeechDocument([
+      { type: 'paragraph', text, pause: 600 },
+      { type: 'paragraph', text: 'Literal [[slnc 5]] text.' }
+    ])
+
+    expect(document.render('say')).toBe(
+      'The [[char LTRL]]UN[[char NORM]] said [[emph +]]rates [[emph +]]& [[emph +]]prices fell. [[slnc 600]] Literal [ [slnc 5]] text.'
+    )
+  })
+
+  test('should serialize to plain text with blank lines where pauses fall', () => {
+    const document = new SpeechDocument([
+      { type: 'heading', text: 'Markets.', pause: 900 },
+      { type: 'paragraph', text: 'First.', pause: null },
+      { type: 'paragraph', text: 'Second.', pause: 0 }
+    ])
+
+    expect(document.render('text')).toBe('Markets.\n\nFirst. Second.')
+  })
+})
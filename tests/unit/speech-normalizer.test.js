@@ -0,0 +1,228 @@
+const SpeechNormalizer = require('../../src/core/text/speech-normalizer')
+
+describe('SpeechNormalizer', () => {
+  let normalizer
+
+  beforeEach(() => {
+    normalizer = new SpeechNormalizer()
+  })
+
+  const us = (text) => normalizer.normalize(text)
+  const gb = (text) => normalizer.normalize(text, { locale: 'en-GB' })
+
+  describe('configuration', () => {
+    test('should default to en-US', () => {
+      expect(normalizer.options.locale).toBe('en-US')
+    })
+
+    test('should reject unsupported locales', () => {
+      expect(() => new SpeechNormalizer({ locale: 'fr-FR' })).toThrow('Unsupported locale: fr-FR')
+    })
+
+    test('should map article languages onto supported locales', () => {
+      expect(normalizer.resolveLocale('en-US')).toBe('en-US')
+      expect(normalizer.resolveLocale('en_GB')).toBe('en-GB')
+      expect(normalizer.resolveLocale('en-au')).toBe('en-GB')
+      expect(normalizer.resolveLocale('de')).toBe('en-US')
+      expect(normalizer.resolveLocale(undefined)).toBe('en-US')
+    })
+
+    test('should only claim English article languages', () => {
+      expect(normalizer.supportsLanguage('en')).toBe(true)
+      expect(normalizer.supportsLanguage('en_GB')).toBe(true)
+      expect(normalizer.supportsLanguage(null)).toBe(true)
+      expect(normalizer.supportsLanguage('es')).toBe(false)
+      expect(normalizer.supportsLanguage('de-AT')).toBe(false)
+    })
+
+    test('should return empty string for invalid input', () => {
+      expect(normalizer.normalize(null)).toBe('')
+      expect(normalizer.normalize('')).toBe('')
+    })
+
+    test('should preserve paragraph breaks and text without numbers', () => {
+      expect(us('First paragraph.\n\nSecond paragraph.')).toBe('First paragraph.\n\nSecond paragraph.')
+    })
+  })
+
+  describe('numbers', () => {
+    test('should read integers, grouped numbers and decimals', () => {
+      expect(us('We counted 42 boats.')).toBe('We counted forty-two boats.')
+      expect(us('About 1,250,000 people.')).toBe('About one million two hundred fifty thousand people.')
+      expect(gb('About 1,250 people.')).toBe('About one thousand two hundred and fifty people.')
+      expect(us('It grew 2.75 times.')).toBe('It grew two point seven five times.')
+    })
+
+    test('should read negatives and identifiers', () => {
+      expect(us('It fell to -3 overnight.')).toBe('It fell to minus three overnight.')
+      expect(us('Call 0800 now.')).toBe('Call zero eight zero zero now.')
+      expect(us('Release 2.1.4 ships #1 features.')).toBe('Release two point one point four ships number one features.')
+    })
+
+    test('should leave digits inside words alone', () => {
+      expect(us('An mp3 of a B2B call.')).toBe('An mp3 of a B2B call.')
+    })
+
+    test('should keep a number attached to a letter readable', () => {
+      expect(us('A 3D printer.')).toBe('A three D printer.')
+    })
+
+    test('should read billions and trillions', () => {
+      expect(us('A 3.5bn deal.')).toBe('A three point five billion deal.')
+      expect(us('Debt of 2tn.')).toBe('Debt of two trillion.')
+    })
+  })
+
+  describe('ordinals', () => {
+    test('should spell ordinal suffixes', () => {
+      expect(us('The 1st, 2nd, 3rd and 21st entries.')).toBe('The first, second, third and twenty-first entries.')
+    })
+  })
+
+  describe('currency', () => {
+    test('should read amounts with magnitudes', () => {
+      expect(us('A $4.5bn loss.')).toBe('A four point five billion dollars loss.')
+      expect(gb('A £20m grant.')).toBe('A twenty million pounds grant.')
+      expect(us('A €300k fee.')).toBe('A three hundred thousand euros fee.')
+    })
+
+    test('should read major and minor units', () => {
+      expect(us('It cost $1,234.56.')).toBe('It cost one thousand two hundred thirty-four dollars and fifty-six cents.')
+      expect(gb('A £1.50 coffee.')).toBe('A one pound and fifty pence coffee.')
+      expect(us('Only $0.99 each.')).toBe('Only ninety-nine cents each.')
+      expect(us('Just $1 today.')).toBe('Just one dollar today.')
+    })
+
+    test('should name prefixed dollars and currencies without minor units', () => {
+      expect(us('Sold for US$5.')).toBe('Sold for five US dollars.')
+      expect(us('Priced at ¥500.')).toBe('Priced at five hundred yen.')
+    })
+  })
+
+  describe('percentages', () => {
+    test('should read percent per locale', () => {
+      expect(us('Up 12% today.')).toBe('Up twelve percent today.')
+      expect(gb('Up 12% today.')).toBe('Up twelve per cent today.')
+      expect(us('Down -0.5%.')).toBe('Down minus zero point five percent.')
+    })
+  })
+
+  describe('dates', () => {
+    test('should read ISO dates in locale order', () => {
+      expect(us('Filed 2026-10-19.')).toBe('Filed October nineteenth, twenty twenty-six.')
+      expect(gb('Filed 2026-10-19.')).toBe('Filed the nineteenth of October twenty twenty-six.')
+    })
+
+    test('should read numeric dates month-first for en-US and day-first for en-GB', () => {
+      expect(us('On 3/4/2026.')).toBe('On March fourth, twenty twenty-six.')
+      expect(gb('On 3/4/2026.')).toBe('On the third of April twenty twenty-six.')
+    })
+
+    test('should fall back to the other order when the locale order is impossible', () => {
+      expect(us('On 19/10/2026.')).toBe('On October nineteenth, twenty twenty-six.')
+      expect(gb('On 10/19/2026.')).toBe('On the nineteenth of October twenty twenty-six.')
+    })
+
+    test('should read written dates in the order they are written', () => {
+      expect(us('On 19 October 2026.')).toBe('On the nineteenth of October twenty twenty-six.')
+      expect(us('On Oct. 19th, 2026.')).toBe('On October nineteenth, twenty twenty-six.')
+      expect(us('By March 3.')).toBe('By March third.')
+      expect(us('In Sept 2025.')).toBe('In September twenty twenty-five.')
+    })
+
+    test('should read years in context, decades and year ranges', () => {
+      expect(us('Founded in 1984.')).toBe('Founded in nineteen eighty-four.')
+      expect(gb('Since 2005.')).toBe('Since two thousand and five.')
+      expect(us('The 1990s and the \'80s.')).toBe('The nineteen nineties and the eighties.')
+      expect(us('From 2020-24, growth.')).toBe('From twenty twenty to twenty twenty-four, growth.')
+    })
+
+    test('should read every year in a list that opens in year context', () => {
+      expect(us('In 2000, 1999 and 2010.')).toBe('In two thousand, nineteen ninety-nine and twenty ten.')
+      expect(gb('Since 1998 or 2005.')).toBe('Since nineteen ninety-eight or two thousand and five.')
+      expect(us('Scores of 1999 and 2010.')).toBe('Scores of nineteen ninety-nine and twenty ten.')
+      expect(us('Bought 1999 and 2010 units.')).toBe('Bought one thousand nine hundred ninety-nine and two thousand ten units.')
+    })
+  })
+
+  describe('times', () => {
+    test('should read clock times with and without meridiem', () => {
+      expect(us('At 12:30pm.')).toBe('At twelve thirty P M.')
+      expect(us('At 9am or 7 p.m. today')).toBe('At nine A M or seven P M today')
+      expect(us('At 9:05 and 14:00.')).toBe('At nine oh five and fourteen hundred.')
+      expect(us('At 9:00 sharp.')).toBe('At nine o\'clock sharp.')
+    })
+
+    test('should leave invalid times alone for the number rule', () => {
+      expect(us('Score 25:99.')).toBe('Score twenty-five:ninety-nine.')
+    })
+  })
+
+  describe('reporting periods', () => {
+    test('should read quarters, halves and fiscal years', () => {
+      expect(us('Q3 results.')).toBe('third quarter results.')
+      expect(us('In Q4 2026.')).toBe('In the fourth quarter of twenty twenty-six.')
+      expect(us('In H1 2026.')).toBe('In the first half of twenty twenty-six.')
+      expect(us('For FY26 and FY2027.')).toBe('For fiscal year twenty-six and fiscal year twenty twenty-seven.')
+    })
+
+    test('should put an article between a preposition and a quarter', () => {
+      expect(us('Sales rose in Q3.')).toBe('Sales rose in the third quarter.')
+      expect(us('Flat during Q1, up since Q2.')).toBe('Flat during the first quarter, up since the second quarter.')
+      expect(us('The Q2 figures.')).toBe('The second quarter figures.')
+    })
+  })
+
+  describe('units', () => {
+    test('should read speed and distance with locale spelling', () => {
+      expect(us('Limit 80 km/h.')).toBe('Limit eighty kilometers per hour.')
+      expect(gb('Limit 80 km/h.')).toBe('Limit eighty kilometres per hour.')
+      expect(us('Gusts of 60mph.')).toBe('Gusts of sixty miles per hour.')
+      expect(gb('A 100 m race.')).toBe('A one-hundred-metre race.')
+    })
+
+    test('should keep a measurement before a noun singular', () => {
+      expect(us('A 5 m wall.')).toBe('A five-meter wall.')
+      expect(gb('An 8 km walk and a 5-km run.')).toBe('An eight-kilometre walk and a five-kilometre run.')
+      expect(us('The wall is 5 m high.')).toBe('The wall is five meters high.')
+      expect(us('Ran 5 km today.')).toBe('Ran five kilometers today.')
+    })
+
+    test('should use the singular for one', () => {
+      expect(us('Walk 1 km.')).toBe('Walk one kilometer.')
+      expect(us('Add 1 kg.')).toBe('Add one kilogram.')
+    })
+
+    test('should read temperatures, energy and storage', () => {
+      expect(us('It hit -5°C and 98.6°F.')).toBe('It hit minus five degrees Celsius and ninety-eight point six degrees Fahrenheit.')
+      expect(us('A 5 kWh battery and 16GB of memory.')).toBe('A five-kilowatt-hour battery and sixteen gigabytes of memory.')
+    })
+  })
+
+  describe('fractions and ranges', () => {
+    test('should read simple and mixed fractions', () => {
+      expect(us('Add 3/4 cup.')).toBe('Add three quarters cup.')
+      expect(us('Wait 1 1/2 hours.')).toBe('Wait one and a half hours.')
+      expect(us('About 2/3 agreed.')).toBe('About two thirds agreed.')
+      expect(us('Use ½ and 2¼.')).toBe('Use one half and two and a quarter.')
+    })
+
+    test('should not read improper fractions or slashed idioms as fractions', () => {
+      expect(us('Open 24/7.')).toBe('Open twenty-four seven.')
+      expect(us('A 50/50 split after 9/11.')).toBe('A fifty-fifty split after nine eleven.')
+      expect(us('Ratio 7/4.')).toBe('Ratio seven/four.')
+    })
+
+    test('should read phone-style digit groups digit by digit', () => {
+      expect(us('Call 555-1234.')).toBe('Call five five five, one two three four.')
+      expect(us('Call 212-555-0188 now.')).toBe('Call two one two, five five five, zero one eight eight now.')
+      expect(gb('Ring 020-7946 today.')).toBe('Ring zero two zero, seven nine four six today.')
+      expect(us('Between 100-200 people.')).toBe('Between one hundred to two hundred people.')
+    })
+
+    test('should read numeric ranges but not scores', () => {
+      expect(us('Pages 10-20.')).toBe('Pages ten to twenty.')
+      expect(us('Won 3-2.')).toBe('Won three-two.')
+    })
+  })
+})
@@ -0,0 +1,129 @@
+const SynthesisCache = require('../../src/core/synthesis-cache')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+describe('SynthesisCache', () => {
+  let tempDir
+  let cacheDir
+  let cache
+
+  const request = { text: 'Hello world.', engine: 'say', voice: 'Alex', rate: 200, format: 'aiff' }
+
+  const writeAudio = async (name, bytes) => {
+    const filePath = path.join(tempDir, name)
+    await fs.writeFile(filePath, Buffer.alloc(bytes, 1))
+    return filePath
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-cache-test-'))
+    cacheDir = path.join(tempDir, 'cache')
+    cache = await new SynthesisCache({ cacheDir }).load()
+  })
+
+  afterEach(async () => {
+    await fs.remove(tempDir)
+  })
+
+  describe('key', () => {
+    test('should ignore whitespace differences in the text', () => {
+      expect(SynthesisCache.key(request)).toBe(SynthesisCache.key({ ...request, text: '  Hello \n world. ' }))
+    })
+
+    test('should change with engine, voice, rate and format', () => {
+      const base = SynthesisCache.key(request)
+
+      expect(SynthesisCache.key({ ...request, engine: 'espeak' })).not.toBe(base)
+      expect(SynthesisCache.key({ ...request, voice: 'Samantha' })).not.toBe(base)
+      expect(SynthesisCache.key({ ...request, rate: 180 })).not.toBe(base)
+      expect(SynthesisCache.key({ ...request, format: 'wav' })).not.toBe(base)
+      expect(base).toMatch(/^[0-9a-f]{64}$/)
+    })
+  })
+
+  describe('get and put', () => {
+    test('should miss, then return stored audio', async () => {
+      const key = SynthesisCache.key(request)
+      const destination = path.join(tempDir, 'out.aiff')
+
+      expect(await cache.get(key, destination)).toBe(false)
+
+      await cache.put(key, await writeAudio('chunk.aiff', 100))
+      expect(await cache.get(key, destination)).toBe(true)
+      expect((await fs.stat(destination)).size).toBe(100)
+    })
+
+    test('should persist entries across instances', async () => {
+      const key = SynthesisCache.key(request)
+      await cache.put(key, await writeAudio('chunk.aiff', 100))
+
+      const reloaded = await new SynthesisCache({ cacheDir }).load()
+      expect(reloaded.stats().entries).toBe(1)
+      expect(await reloaded.get(key, path.join(tempDir, 'out.aiff'))).toBe(true)
+    })
+
+    test('should forget entries whose files were removed', async () => {
+      const key = SynthesisCache.key(request)
+      await cache.put(key, await writeAudio('chunk.aiff', 100))
+      await fs.remove(path.join(cacheDir, cache.entries.get(key).file))
+
+      expect(await cache.get(key, path.join(tempDir, 'out.aiff'))).toBe(false)
+      expect(cache.stats().entries).toBe(0)
+    })
+  })
+
+  describe('eviction', () => {
+    test('should evict the least recently used entries beyond the size limit', async () => {
+      cache = await new SynthesisCache({ cacheDir, maxSizeBytes: 250 }).load()
+      const keys = ['one', 'two', 'three'].map(text => SynthesisCache.key({ ...request, text }))
+
+      await cache.put(keys[0], await writeAudio('1.aiff', 100))
+      await cache.put(keys[1], await writeAudio('2.aiff', 100))
+      await cache.get(keys[0], path.join(tempDir, 'out.aiff')) // keys[1] is now least recently used
+      await cache.put(keys[2], await writeAudio('3.aiff', 100))
+
+      expect(Array.from(cache.entries.keys())).toEqual([keys[0], keys[2]])
+      expect(cache.stats().sizeBytes).toBe(200)
+      expect(await fs.pathExists(path.join(cacheDir, keys[1].slice(0, 2), `${keys[1]}.aiff`))).toBe(false)
+    })
+
+    test('should respect the entry limit', async () => {
+      cache = await new SynthesisCache({ cacheDir, maxEntries: 2 }).load()
+
+      for (const text of ['one', 'two', 'three']) {
+        await cache.put(SynthesisCache.key({ ...request, text }), await writeAudio(`${text}.aiff`, 10))
+      }
+
+      expect(cache.stats().entries).toBe(2)
+    })
+  })
+
+  describe('stats and clear', () => {
+    test('should report totals and clear everything', async () => {
+      await cache.put(SynthesisCache.key(request), await writeAudio('chunk.aiff', 100))
+
+      expect(cache.stats()).toEqual(expect.objectContaining({ cacheDir, entries: 1, sizeBytes: 100 }))
+      expect(await cache.clear()).toBe(1)
+      expect(cache.stats().entries).toBe(0)
+      expect(await fs.pathExists(cacheDir)).toBe(false)
+    })
+
+    test('should leave files the index does not name', async () => {
+      await cache.put(SynthesisCache.key(request), await writeAudio('chunk.aiff', 100))
+      await fs.outputFile(path.join(cacheDir, 'notes.txt'), 'keep me')
+      await fs.outputFile(path.join(cacheDir, 'ab', 'other.txt'), 'keep me too')
+
+      expect(await cache.clear()).toBe(1)
+      expect(await fs.readdir(cacheDir)).toEqual(['ab', 'notes.txt'])
+      expect(await fs.pathExists(path.join(cacheDir, 'ab', 'other.txt'))).toBe(true)
+    })
+
+    test('should refuse a directory without a cache index', async () => {
+      await fs.outputFile(path.join(cacheDir, 'important.doc'), 'data')
+
+      await expect(cache.clear()).rejects.toThrow('has no index.json; not a synthesis cache')
+      expect(await fs.pathExists(path.join(cacheDir, 'important.doc'))).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,239 @@
+const { spawn } = require('child_process')
+
+const SayEngine = require('../../src/core/engines/say-engine')
+const SapiEngine = require('../../src/core/engines/sapi-engine')
+const EspeakEngine = require('../../src/core/engines/espeak-engine')
+const FestivalEngine = require('../../src/core/engines/festival-engine')
+const PicoEngine = require('../../src/core/engines/pico-engine')
+const CommandEngine = require('../../src/core/engines/command-engine')
+const mockProcess = require('../helpers/mock-process')
+
+jest.mock('child_process')
+
+describe('TTS engines', () => {
+  let child
+
+  beforeEach(() => {
+    child = null
+    spawn.mockReset()
+    spawn.mockImplementation(() => {
+      child = mockProcess()
+      return child
+    })
+  })
+
+  test('say should pass rate, voice and text as arguments', async () => {
+    const result = await new SayEngine().synthesize('Hello there', '/tmp/out.aiff', { rate: 180, voice: 'Samantha' })
+
+    expect(spawn).toHaveBeenCalledWith('say', ['-o', '/tmp/out.aiff', '-r', '180', '-v', 'Samantha', 'Hello there'], { stdio: 'pipe' })
+    expect(result.audioPath).toBe('/tmp/out.aiff')
+  })
+
+  test('sapi should run a PowerShell script with a clamped rate', async () => {
+    await new SapiEngine().synthesize('Say "hello"', 'C:\\out.wav', { rate: 600 })
+
+    const [command, args] = spawn.mock.calls[0]
+    expect(command).toBe('powershell')
+    expect(args.join(' ')).toContain('Rate = 10')
+    // Text is piped in rather than embedded in the -Command string
+    expect(args.join(' ')).not.toContain('hello')
+    expect(child.stdin.written).toBe('Say "hello"')
+    expect(args.join(' ')).toContain('$synth.Speak($text)')
+  })
+
+  test('sapi should pass the voice and output path as literals PowerShell does not expand', async () => {
+    await new SapiEngine().synthesize('Hi', 'C:\\it\'s\\out.wav', { voice: 'Zira$(Remove-Item C:\\ -Recurse)`n\u2019' })
+
+    const script = spawn.mock.calls[0][1].join(' ')
+    expect(script).toContain('$synth.SelectVoice(\'Zira$(Remove-Item C:\\ -Recurse)`n\u2019\u2019\')')
+    expect(script).toContain('$synth.SetOutputToWaveFile(\'C:\\it\'\'s\\out.wav\')')
+    expect(script).not.toContain('"Zira')
+  })
+
+  test('sapi should speak SSML documents with SpeakSsml', async () => {
+    await new SapiEngine().synthesize('<speak version="1.0">Hi</speak>', 'C:\\out.wav', { markup: 'ssml' })
+
+    expect(spawn.mock.calls[0][1].join(' ')).toContain('$synth.SpeakSsml($text)')
+  })
+
+  test('espeak should use the configured command and read text from stdin', async () => {
+    await new EspeakEngine({ command: 'espeak-ng' }).synthesize('Hello', '/tmp/out.wav', { rate: 160, voice: 'en-gb' })
+
+    expect(spawn).toHaveBeenCalledWith('espeak-ng', ['-w', '/tmp/out.wav', '-s', '160', '-v', 'en-gb', '--stdin'], { stdio: 'pipe' })
+    expect(child.stdin.written).toBe('Hello')
+  })
+
+  test('espeak should read SSML with -m', async () => {
+    const engine = new EspeakEngine()
+    await engine.synthesize('<speak version="1.0">Hi</speak>', '/tmp/out.wav', { markup: 'ssml' })
+
+    expect(engine.markup).toBe('ssml')
+    expect(spawn.mock.calls[0][1]).toEqual(['-w', '/tmp/out.wav', '-s', '200', '-m', '--stdin'])
+  })
+
+  test('festival should feed text to text2wave on stdin', async () => {
+    await new FestivalEngine().synthesize('Hello', '/tmp/out.wav', { rate: 100 })
+
+    const [command, args] = spawn.mock.calls[0]
+    expect(command).toBe('text2wave')
+    expect(args).toEqual(['-o', '/tmp/out.wav', '-eval', "(Parameter.set 'Duration_Stretch 2.00)"])
+    expect(child.stdin.written).toBe('Hello')
+  })
+
+  test('pico should pass the language as its voice', async () => {
+    await new PicoEngine().synthesize('Hello', '/tmp/out.wav', { voice: 'en-GB' })
+
+    expect(spawn).toHaveBeenCalledWith('pico2wave', ['--wave=/tmp/out.wav', '--lang=en-GB', 'Hello'], { stdio: 'pipe' })
+  })
+
+  test('command engine should fill its argument template', async () => {
+    const engine = new CommandEngine({ command: 'mimic', args: ['-t', '{text}', '-o', '{output}', '--speed', '{rate}'] })
+    await engine.synthesize('Hello', '/tmp/out.wav', { rate: 220 })
+
+    expect(spawn).toHaveBeenCalledWith('mimic', ['-t', 'Hello', '-o', '/tmp/out.wav', '--speed', '220'], { stdio: 'pipe' })
+    expect(child.stdin.written).toBeUndefined()
+  })
+
+  test('command engine should write text to stdin without a {text} placeholder', async () => {
+    await new CommandEngine({ command: 'piper', args: ['--output_file', '{output}'] }).synthesize('Hello', '/tmp/out.wav')
+
+    expect(child.stdin.written).toBe('Hello')
+  })
+
+  test('command engine should require a command', () => {
+    expect(() => new CommandEngine()).toThrow('requires a command')
+  })
+
+  test('should surface the exit code and first stderr line on failure', async () => {
+    spawn.mockImplementation(() => mockProcess({ code: 1, stderr: 'bad voice\nmore detail' }))
+
+    await expect(new EspeakEngine().synthesize('Hello', '/tmp/out.wav'))
+      .rejects.toThrow('espeak failed with code 1: bad voice')
+  })
+
+  describe('voice enumeration', () => {
+    const respondWith = (stdout) => spawn.mockImplementation(() => {
+      child = mockProcess()
+      const end = child.stdin.end
+      child.stdin.end = jest.fn((input) => {
+        child.stdout.emit('data', stdout)
+        end(input)
+      })
+      return child
+    })
+
+    test('say should parse `say -v ?` output', async () => {
+      respondWith([
+        'Alex                en_US    # Most people recognize me by my voice.',
+        'Ava (Premium)       en_US    # Hello! My name is Ava.',
+        'Eddy (English (UK)) en_GB    # Hello! My name is Eddy.'
+      ].join('\n'))
+
+      const voices = await new SayEngine().listVoices()
+
+      expect(spawn).toHaveBeenCalledWith('say', ['-v', '?'], { stdio: 'pipe' })
+      expect(voices).toEqual([
+        { name: 'Alex', language: 'en-US', gender: null, quality: 'standard' },
+        { name: 'Ava (Premium)', language: 'en-US', gender: null, quality: 'premium' },
+        { name: 'Eddy (English (UK))', language: 'en-GB', gender: null, quality: 'standard' }
+      ])
+    })
+
+    test('espeak should parse the --voices table and match language codes', async () => {
+      respondWith([
+        'Pty Language       Age/Gender VoiceName          File                 Other Languages',
+        ' 5  en-gb           --/M      English_(Great_Britain) gmw/en               (en 2)',
+        ' 5  en-us           --/F      English_(America)  gmw/en-US            (en 3)'
+      ].join('\n'))
+
+      const engine = new EspeakEngine({ command: 'espeak-ng' })
+      const voices = await engine.listVoices()
+
+      expect(voices[0]).toEqual({ name: 'English_(Great_Britain)', language: 'en-gb', gender: 'male', quality: 'low', file: 'gmw/en' })
+      expect(voices[1].gender).toBe('female')
+      expect(engine.matchesVoice(voices[0], 'en-GB')).toBe(true)
+      expect(engine.matchesVoice(voices[0], 'en-us')).toBe(false)
+    })
+
+    test('sapi should parse installed voices', async () => {
+      respondWith('Microsoft David Desktop|en-US|Male\r\nMicrosoft Hazel Desktop|en-GB|Female\r\n')
+
+      const voices = await new SapiEngine().listVoices()
+
+      expect(voices).toEqual([
+        { name: 'Microsoft David Desktop', language: 'en-US', gender: 'male', quality: 'standard' },
+        { name: 'Microsoft Hazel Desktop', language: 'en-GB', gender: 'female', quality: 'standard' }
+      ])
+    })
+
+    test('festival should parse the voice list', async () => {
+      respondWith('(kal_diphone cmu_us_slt_arctic_hts my_voice)\n')
+
+      const voices = await new FestivalEngine().listVoices()
+
+      expect(voices).toEqual([
+        { name: 'kal_diphone', language: 'en-US', gender: 'male', quality: 'low' },
+        { name: 'cmu_us_slt_arctic_hts', language: 'en-US', gender: 'female', quality: 'standard' },
+        { name: 'my_voice', language: null, gender: null, quality: 'standard' }
+      ])
+    })
+
+    test('pico and command engines should describe their configured voices', async () => {
+      expect(await new PicoEngine().listVoices()).toContainEqual({ name: 'de-DE', language: 'de-DE', gender: 'female', quality: 'standard' })
+
+      const engine = new CommandEngine({ command: 'piper', voices: ['amy', { name: 'alan', language: 'en-GB', gender: 'male' }] })
+      expect(await engine.listVoices()).toEqual([
+        { name: 'amy', language: null, gender: null, quality: 'standard' },
+        { name: 'alan', language: 'en-GB', gender: 'male', quality: 'standard' }
+      ])
+    })
+  })
+
+  test('should report an engine as unavailable when its probe fails', async () => {
+    spawn.mockImplementation(() => mockProcess({ code: 127 }))
+    expect(await new EspeakEngine().detect()).toBe(false)
+
+    spawn.mockImplementation(() => mockProcess())
+    expect(await new EspeakEngine().detect()).toBe(true)
+  })
+
+  test('festival should also require text2wave', async () => {
+    spawn.mockImplementation(() => mockProcess())
+    const engine = new FestivalEngine()
+    const commandExists = jest.spyOn(engine, '_commandExists').mockResolvedValue(false)
+
+    expect(await engine.detect()).toBe(false)
+    expect(commandExists).toHaveBeenCalledWith('text2wave')
+
+    commandExists.mockResolvedValue(true)
+    expect(await engine.detect()).toBe(true)
+  })
+
+  test('should time out hung processes', async () => {
+    spawn.mockImplementation(() => {
+      child = mockProcess()
+      child.stdin.end = jest.fn()
+      return child
+    })
+
+    await expect(new EspeakEngine({ timeout: 20 }).synthesize('Hello', '/tmp/out.wav'))
+      .rejects.toThrow('espeak timed out after 20ms')
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM')
+  })
+  test('should kill the process when the signal is aborted', async () => {
+    spawn.mockImplementation(() => {
+      child = mockProcess()
+      child.stdin.end = jest.fn()
+      return child
+    })
+    const controller = new AbortController()
+
+    const synthesis = new SayEngine().synthesize('Hello', '/tmp/out.aiff', { signal: controller.signal })
+    controller.abort()
+
+    await expect(synthesis).rejects.toThrow('say aborted')
+    expect(child.kill).toHaveBeenCalledWith('SIGTERM')
+    await expect(new SayEngine().synthesize('Hello', '/tmp/out.aiff', { signal: controller.signal })).rejects.toThrow('say aborted')
+    expect(spawn).toHaveBeenCalledTimes(1) // Nothing starts once aborted
+  })
+})
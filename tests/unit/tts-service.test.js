@@ -1,4 +1,8 @@
 const LocalTTSService = require('../../src/core/tts-service')
+const TTSEngine = require('../../src/core/engines/tts-engine')
+const ProcessRunner = require('../../src/core/process-runner')
+const AiffFile = require('../../src/core/audio/aiff-file')
+const WavFile = require('../../src/core/audio/wav-file')
 const fs = require('fs-extra')
 const path = require('path')
 const os = require('os')
@@ -11,6 +15,7 @@ describe('LocalTTSService', () => {
     testTempDir = path.join(os.tmpdir(), 'tt3-test-tts')
     ttsService = new LocalTTSService({
       tempDir: testTempDir,
+      cacheDir: path.join(testTempDir, 'cache'),
       rate: 200
     })
   })
@@ -68,9 +73,9 @@ describe('LocalTTSService', () => {
       expect(processed).not.toContain('https://example.com/url')
       expect(processed).not.toContain('TEST')
       expect(processed).not.toContain('MORE CAPS')
-      expect(processed).toContain('test')
-      expect(processed).toContain('more caps')
-      expect(processed).toContain('...')
+      expect(processed).toContain('Test')
+      expect(processed).toContain('More Caps')
+      expect(processed.split('\n\n')).toHaveLength(2)
     })
 
     test('should handle empty or whitespace-only text', () => {
@@ -79,6 +84,49 @@ describe('LocalTTSService', () => {
     })
   })
 
+  describe('paragraph pauses', () => {
+    test('should keep paragraph breaks instead of spelling pauses out as dots', () => {
+      const processed = ttsService._preprocessText('Harbour reopens. Crews cheered.\n\nShips returned on Monday.')
+
+      expect(processed).toBe('Harbour reopens. Crews cheered.\n\nShips returned on Monday.')
+    })
+
+    test('should end a chunk at every paragraph with the pause that follows it', () => {
+      const text = 'Intro line.\n\nMarkets.\n\nPrices rose. Then fell.\n\nLast word.'
+      const pieces = ttsService._speechPieces(text, {
+        ...ttsService.options,
+        chapters: [{ title: 'Markets', offset: text.indexOf('Markets'), level: 2, heading: true }]
+      })
+
+      expect(pieces).toEqual([
+        { chunk: 'Intro line.', chapter: null, heading: false, pause: 600 },
+        { chunk: 'Markets.', chapter: { title: 'Markets', level: 2 }, heading: true, pause: 900 },
+        { chunk: 'Prices rose. Then fell.', chapter: null, heading: false, pause: 600 },
+        { chunk: 'Last word.', chapter: null, heading: false, pause: 0 }
+      ])
+      expect(ttsService._speechPieces(text, { ...ttsService.options, sentencePause: 200 })
+        .slice(2, 4).map(piece => piece.pause)).toEqual([200, 600])
+    })
+  })
+
+  describe('pronunciation lexicon', () => {
+    test('should apply acronym rules instead of lower-casing capitals', () => {
+      const processed = ttsService._preprocessText('NATO and the UN met.')
+
+      expect(processed).toBe('Nato and the U N met.')
+    })
+
+    test('should load user entries from the configured lexicon file', async () => {
+      const lexiconPath = path.join(testTempDir, 'lexicon.json')
+      await fs.outputJson(lexiconPath, { words: { Nguyen: 'win' }, acronyms: { UN: { expand: 'United Nations' } } })
+
+      const service = new LocalTTSService({ tempDir: testTempDir, lexiconPath })
+      await service.lexicon.load()
+
+      expect(service._preprocessText('Nguyen spoke at the UN.')).toBe('win spoke at the United Nations.')
+    })
+  })
+
   describe('audio duration estimation', () => {
     test('should estimate duration correctly', () => {
       const text = 'This is a test sentence with ten words total.'
@@ -145,6 +193,601 @@ describe('LocalTTSService', () => {
     })
   })
 
+  describe('engine selection', () => {
+    const fakeEngine = (name, available = true) => Object.assign(new TTSEngine(), {
+      name,
+      displayName: `Fake ${name}`,
+      detect: jest.fn(async () => available),
+      listVoices: jest.fn(async () => [
+        { name: 'Robot', language: 'en-US', gender: null, quality: 'low' },
+        { name: 'Android', language: 'en-GB', gender: 'female', quality: 'standard' }
+      ]),
+      synthesize: jest.fn(async (text, outputPath) => {
+        await fs.outputFile(outputPath, text)
+        return { audioPath: outputPath }
+      })
+    })
+
+    test('should synthesize with the requested engine', async () => {
+      const engine = fakeEngine('fake')
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine] })
+
+      const init = await ttsService.initialize()
+      expect(init.engine).toBe('Fake fake')
+
+      const outputPath = path.join(testTempDir, 'fake.wav')
+      const result = await ttsService.convertTextToAudio('Hello world.', outputPath, { voice: 'robot', rate: 150 })
+
+      expect(result.success).toBe(true)
+      expect(result.method).toBe('single')
+      expect(engine.synthesize).toHaveBeenCalledWith('Hello world.', outputPath, expect.objectContaining({ voice: 'robot', rate: 150 }))
+    })
+
+    test('should hand engines that read SSML a document with their markup', async () => {
+      const engine = Object.assign(fakeEngine('fake'), { markup: 'ssml' })
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], enableChunking: false })
+      await ttsService.initialize()
+
+      await ttsService.convertTextToAudio('The UN met.\n\nRates & fees rose.', path.join(testTempDir, 'ssml.wav'), { voice: 'Android' })
+
+      const [text, , options] = engine.synthesize.mock.calls[0]
+      expect(options.markup).toBe('ssml')
+      expect(text).toBe(
+        '<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="en-GB">' +
+        'The <say-as interpret-as="characters">UN</say-as> met.<break time="600ms"/> Rates &amp; fees rose.</speak>'
+      )
+    })
+
+    test('should list structured voices once per engine', async () => {
+      const engine = fakeEngine('fake')
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine] })
+      await ttsService.initialize()
+
+      const info = await ttsService.getTTSInfo()
+      await ttsService._getAvailableVoices()
+
+      expect(info.voices[1]).toEqual({ name: 'Android', language: 'en-GB', gender: 'female', quality: 'standard' })
+      expect(engine.listVoices).toHaveBeenCalledTimes(1)
+    })
+
+    test('should reject an unknown voice at initialization', async () => {
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [fakeEngine('fake')], voice: 'Robott' })
+
+      await expect(ttsService.initialize()).rejects.toThrow('Unknown voice "Robott" for Fake fake (available: Robot, Android)')
+    })
+
+    test('should accept known voices case-insensitively', async () => {
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [fakeEngine('fake')], voice: 'android' })
+
+      await expect(ttsService.initialize()).resolves.toEqual(expect.objectContaining({ success: true }))
+    })
+
+    test('should validate per-conversion voice overrides', async () => {
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [fakeEngine('fake')] })
+      await ttsService.initialize()
+
+      await expect(ttsService.convertTextToAudio('Hello.', path.join(testTempDir, 'x.wav'), { voice: 'Nobody' }))
+        .rejects.toThrow('Unknown voice "Nobody"')
+    })
+
+    test('should fall back through the preference list', async () => {
+      const missing = fakeEngine('missing', false)
+      const present = fakeEngine('present')
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, enginePreference: ['missing', 'present'], engines: [missing, present] })
+
+      await ttsService.initialize()
+      expect(ttsService._getTTSEngine()).toBe('Fake present')
+      expect(missing.detect).toHaveBeenCalled()
+    })
+
+    test('should synthesize with festival when espeak is missing', async () => {
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, enginePreference: ['espeak', 'espeak-ng', 'festival'] })
+      const festival = ttsService.registry.get('festival')
+      jest.spyOn(ttsService.registry.get('espeak'), 'detect').mockResolvedValue(false)
+      jest.spyOn(ttsService.registry.get('espeak-ng'), 'detect').mockResolvedValue(false)
+      jest.spyOn(festival, 'detect').mockResolvedValue(true)
+      jest.spyOn(festival, 'listVoices').mockResolvedValue([])
+      const run = jest.spyOn(festival, '_run').mockResolvedValue({ code: 0, stdout: '', stderr: '' })
+
+      const init = await ttsService.initialize()
+      const result = await ttsService.convertTextToAudio('Hello.', path.join(testTempDir, 'festival.wav'))
+
+      expect(init.engineName).toBe('festival')
+      expect(ttsService.getStatus()).toEqual(expect.objectContaining({ engine: 'festival', engineName: 'festival' }))
+      expect(result.engine).toBe('festival')
+      expect(run).toHaveBeenCalledWith('text2wave', expect.arrayContaining(['-o', path.join(testTempDir, 'festival.wav')]), expect.objectContaining({ input: 'Hello.' }))
+    })
+
+    test('should chunk long text for WAV engines and join the chunks', async () => {
+      // 16-bit mono WAV whose samples all equal the number of words in the chunk
+      const wav = (words) => {
+        const data = Buffer.alloc(words * 2)
+        for (let i = 0; i < words; i++) data.writeInt16LE(words, i * 2)
+        const header = Buffer.alloc(44)
+        header.write('RIFF', 0, 'ascii')
+        header.writeUInt32LE(36 + data.length, 4)
+        header.write('WAVEfmt ', 8, 'ascii')
+        header.writeUInt32LE(16, 16)
+        header.writeUInt16LE(1, 20)
+        header.writeUInt16LE(1, 22)
+        header.writeUInt32LE(22050, 24)
+        header.writeUInt32LE(44100, 28)
+        header.writeUInt16LE(2, 32)
+        header.writeUInt16LE(16, 34)
+        header.write('data', 36, 'ascii')
+        header.writeUInt32LE(data.length, 40)
+        return Buffer.concat([header, data])
+      }
+      const engine = fakeEngine('fake')
+      engine.synthesize.mockImplementation(async (text, outputPath) => {
+        await fs.outputFile(outputPath, wav(text.split(/\s+/).length))
+        return { audioPath: outputPath }
+      })
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], maxChunkWords: 10, trimSilence: false })
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockRejectedValue(new Error('ffmpeg not found'))
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const text = Array(6).fill('One two three four five six.').join(' ')
+      const outputPath = path.join(testTempDir, 'long.wav')
+      const result = await ttsService.convertTextToAudio(text, outputPath)
+
+      expect(result.method).toBe('chunked')
+      expect(result.chunks).toBe(6) // One six-word sentence per chunk
+      expect(engine.synthesize).toHaveBeenCalledWith(expect.any(String), expect.stringMatching(/\.wav$/), expect.objectContaining({ timeout: 30000 }))
+
+      const output = await fs.readFile(outputPath)
+      expect(output.readUInt32LE(4)).toBe(output.length - 8)
+      const chunkSamples = engine.synthesize.mock.calls.reduce((sum, [chunk]) => sum + chunk.split(/\s+/).length, 0)
+      expect(output.readUInt32LE(40)).toBe(chunkSamples * 2) // Every chunk's samples survived
+      console.log.mockRestore()
+    })
+
+    test('should join AIFF chunks with correct frame counts', async () => {
+      const engine = Object.assign(fakeEngine('fake'), { formats: ['aiff'] })
+      engine.synthesize.mockImplementation(async (text, outputPath) => {
+        // One 16-bit frame per word
+        await new AiffFile({ sampleRate: 22050, data: Buffer.alloc(text.split(/\s+/).length * 2) }).write(outputPath)
+        return { audioPath: outputPath }
+      })
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], maxChunkWords: 10, trimSilence: false })
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockRejectedValue(new Error('ffmpeg not found'))
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const outputPath = path.join(testTempDir, 'long.aiff')
+      await ttsService.convertTextToAudio(Array(5).fill('One two three four five six.').join(' '), outputPath)
+
+      const words = engine.synthesize.mock.calls.reduce((sum, [chunk]) => sum + chunk.split(/\s+/).length, 0)
+      const merged = await AiffFile.read(outputPath)
+      expect(engine.synthesize.mock.calls[0][1]).toMatch(/\.aiff$/)
+      expect(merged.frames).toBe(words)
+      console.log.mockRestore()
+    })
+
+    test('should join chunks of an engine-native compressed output as PCM and encode the result', async () => {
+      const engine = Object.assign(fakeEngine('fake'), { formats: ['m4a', 'aiff'] })
+      engine.synthesize.mockImplementation(async (text, outputPath) => {
+        await new AiffFile({ sampleRate: 22050, data: Buffer.alloc(text.split(/\s+/).length * 2) }).write(outputPath)
+        return { audioPath: outputPath }
+      })
+      const transcoder = { transcode: jest.fn(async (inputPath, outputPath) => fs.copy(inputPath, outputPath)) }
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], transcoder, maxChunkWords: 10, trimSilence: false })
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockRejectedValue(new Error('ffmpeg not found'))
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const outputPath = path.join(testTempDir, 'long.m4a')
+      await ttsService.convertTextToAudio(Array(5).fill('One two three four five six.').join(' '), outputPath)
+
+      expect(engine.synthesize.mock.calls[0][1]).toMatch(/\.aiff$/)
+      expect(transcoder.transcode).toHaveBeenCalledWith(expect.stringMatching(/joined_.*\.aiff$/), outputPath, expect.any(Object))
+      expect((await AiffFile.read(outputPath)).frames).toBeGreaterThan(0)
+      expect((await fs.readdir(testTempDir)).filter(file => file.startsWith('joined_'))).toEqual([])
+      console.log.mockRestore()
+    })
+
+    test('should refuse to join chunks into a file of another format', async () => {
+      await expect(ttsService._concatenateAudioFiles(['/tmp/chunk_0.aiff'], '/tmp/out.m4a'))
+        .rejects.toThrow('Cannot join aiff chunks into out.m4a')
+    })
+
+    test('should time chapters from the measured length of their chunks', async () => {
+      const engine = fakeEngine('fake')
+      engine.synthesize.mockImplementation(async (text, outputPath) => {
+        // A tenth of a second per word
+        await WavFile.silence({ sampleRate: 1000 }, text.split(/\s+/).length * 100).write(outputPath)
+        return { audioPath: outputPath }
+      })
+      ttsService = new LocalTTSService({
+        tempDir: testTempDir,
+        cache: false,
+        engine: 'fake',
+        engines: [engine],
+        maxChunkWords: 4,
+        chunkConcurrency: 1,
+        trimSilence: false,
+        paragraphPause: 0,
+        headingPause: 0
+      })
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockRejectedValue(new Error('ffmpeg not found'))
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const intro = 'Story so far.'
+      const first = 'First heading.\n\nOne two three. Four five.'
+      const text = `${intro}\n\n${first}\n\nSecond heading.`
+      const result = await ttsService.convertTextToAudio(text, path.join(testTempDir, 'chapters.wav'), {
+        chapters: [
+          { title: 'Intro', offset: 0, level: 1 },
+          { title: 'First heading', offset: intro.length + 2, level: 2 },
+          { title: 'Second heading', offset: intro.length + 2 + first.length + 2, level: 2 }
+        ]
+      })
+
+      // No chunk crosses a chapter start
+      const chunks = engine.synthesize.mock.calls.map(([chunk]) => chunk)
+      expect(chunks.some(chunk => chunk.includes('so far') && chunk.includes('First'))).toBe(false)
+      expect(chunks.some(chunk => chunk.includes('Four five') && chunk.includes('Second'))).toBe(false)
+
+      const wordTime = (chunkList) => chunkList.reduce((sum, chunk) => sum + chunk.split(/\s+/).length, 0) / 10
+      const secondStart = chunks.findIndex(chunk => chunk.startsWith('Second'))
+      const firstStart = chunks.findIndex(chunk => chunk.startsWith('First'))
+
+      expect(result.chapters.map(chapter => chapter.title)).toEqual(['Intro', 'First heading', 'Second heading'])
+      expect(result.chapters[0]).toEqual(expect.objectContaining({ start: 0, level: 1 }))
+      expect(result.chapters[1].start).toBeCloseTo(wordTime(chunks.slice(0, firstStart)))
+      expect(result.chapters[2].start).toBeCloseTo(wordTime(chunks.slice(0, secondStart)))
+      expect(result.chapters[2].end).toBeCloseTo(wordTime(chunks))
+      expect(result.chapters[1].end).toBe(result.chapters[2].start)
+      console.log.mockRestore()
+    })
+
+    test('should trim engine silence and insert paragraph and heading pauses', async () => {
+      const engine = fakeEngine('fake')
+      engine.synthesize.mockImplementation(async (text, outputPath) => {
+        // A tenth of a second of loud audio per word between 50 ms and 80 ms of dead air
+        const speech = new WavFile({ sampleRate: 1000, data: Buffer.alloc(text.split(/\s+/).length * 200, 0x40) })
+        await speech.padSilence({ before: 50, after: 80 }).write(outputPath)
+        return { audioPath: outputPath }
+      })
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], paragraphPause: 300, headingPause: 500 })
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockRejectedValue(new Error('ffmpeg not found'))
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const text = 'Intro line.\n\nHeading.\n\nBody one two.'
+      const outputPath = path.join(testTempDir, 'paused.wav')
+      const result = await ttsService.convertTextToAudio(text, outputPath, {
+        chapters: [{ title: 'Heading', offset: text.indexOf('Heading'), level: 2, heading: true }]
+      })
+
+      // Each chunk keeps 30 ms of quiet at both ends: (30 + 200 + 30) + 300, (30 + 100 + 30) + 500, 30 + 300 + 30
+      expect(engine.synthesize.mock.calls.map(([chunk]) => chunk)).toEqual(['Intro line.', 'Heading.', 'Body one two.'])
+      expect((await WavFile.read(outputPath)).frames).toBe(560 + 660 + 360)
+      expect(result.chapters).toEqual([{ title: 'Heading', level: 2, start: 0.56, end: 1.58 }])
+      console.log.mockRestore()
+    })
+
+    test('should read quotes and headings with mapped voices and join them in order', async () => {
+      const engine = fakeEngine('fake')
+      engine.synthesize.mockImplementation(async (text, outputPath, { voice }) => {
+        // A tenth of a second per word; the two voices speak at different sample rates
+        const sampleRate = voice === 'Android' ? 2000 : 1000
+        await new WavFile({ sampleRate, data: Buffer.alloc(text.split(/\s+/).length * sampleRate / 5, 0x40) }).write(outputPath)
+        return { audioPath: outputPath }
+      })
+      ttsService = new LocalTTSService({
+        tempDir: testTempDir,
+        cache: false,
+        engine: 'fake',
+        engines: [engine],
+        voice: 'Robot',
+        voiceMap: { quote: 'Android', heading: 'Android' },
+        paragraphPause: 0,
+        headingPause: 0
+      })
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockRejectedValue(new Error('ffmpeg not found'))
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const outputPath = path.join(testTempDir, 'voices.wav')
+      await ttsService.convertTextToAudio('Heading.\n\nShe said "we rebuild" today.', outputPath, {
+        chapters: [{ title: 'Heading', offset: 0, level: 1, heading: true }]
+      })
+
+      expect(engine.synthesize.mock.calls.map(([chunk, , options]) => [chunk, options.voice])).toEqual([
+        ['Heading.', 'Android'],
+        ['She said', 'Robot'],
+        ['"we rebuild"', 'Android'],
+        ['today.', 'Robot']
+      ])
+      // Robot's chunks are resampled to the heading's 2000 Hz: 200 + 400 + 400 + 200 frames
+      const joined = await WavFile.read(outputPath)
+      expect(joined.sampleRate).toBe(2000)
+      expect(joined.frames).toBe(1200)
+      console.log.mockRestore()
+    })
+
+    test('should read everything with the narrator when the engine has one voice', async () => {
+      const engine = fakeEngine('fake')
+      engine.listVoices.mockResolvedValue([{ name: 'Robot', language: 'en-US', gender: null, quality: 'low' }])
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], voiceMap: { quote: 'Android' } })
+      await ttsService.initialize()
+
+      const result = await ttsService.convertTextToAudio('She said "we rebuild" today.', path.join(testTempDir, 'one.wav'))
+
+      expect(console.warn).toHaveBeenCalledWith('Warning: Fake fake has a single voice; quotes and headings use the narrator voice')
+      expect(result.method).toBe('single')
+      expect(engine.synthesize).toHaveBeenCalledWith('She said "we rebuild" today.', expect.any(String), expect.objectContaining({ voice: 'default' }))
+      console.warn.mockRestore()
+    })
+
+    test('should pick the configured voice for the article language unless one is given', async () => {
+      const engine = fakeEngine('fake')
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], voicesByLanguage: { de: 'Android' } })
+      await ttsService.initialize()
+
+      await ttsService.convertTextToAudio('Guten Tag.', path.join(testTempDir, 'de.wav'), { language: 'de-AT' })
+      await ttsService.convertTextToAudio('Guten Tag.', path.join(testTempDir, 'de-robot.wav'), { language: 'de', voice: 'Robot' })
+
+      expect(engine.synthesize.mock.calls.map(([, , options]) => options.voice)).toEqual(['Android', 'Robot'])
+    })
+
+    test('should fall back to an engine voice that speaks the article language', async () => {
+      const engine = fakeEngine('fake')
+      engine.listVoices.mockResolvedValue([
+        { name: 'Robot', language: 'en-US', gender: null, quality: 'low' },
+        { name: 'Monica', language: 'es_ES', gender: 'female', quality: 'standard' }
+      ])
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine] })
+      await ttsService.initialize()
+
+      for (const language of ['es', 'en-GB', 'fr']) {
+        await ttsService.convertTextToAudio('Hola.', path.join(testTempDir, `${language}.wav`), { language })
+      }
+
+      expect(engine.synthesize.mock.calls.map(([, , options]) => options.voice)).toEqual(['Monica', 'default', 'default'])
+      expect(console.warn).toHaveBeenCalledWith('Warning: No Fake fake voice speaks "fr"; reading it with default')
+      console.warn.mockRestore()
+    })
+
+    test('should select an espeak voice for the article language by the identifier -v expects', async () => {
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'espeak' })
+      const espeak = ttsService.registry.get('espeak')
+      jest.spyOn(espeak, 'detect').mockResolvedValue(true)
+      jest.spyOn(espeak, 'listVoices').mockResolvedValue([
+        { name: 'English_(America)', language: 'en-us', gender: 'male', quality: 'low', file: 'gmw/en-US' },
+        { name: 'Spanish_(Spain)', language: 'es', gender: 'male', quality: 'low', file: 'roa/es' }
+      ])
+      const run = jest.spyOn(espeak, '_run').mockResolvedValue({ code: 0, stdout: '', stderr: '' })
+      await ttsService.initialize()
+
+      await ttsService.convertTextToAudio('Hola a todos.', path.join(testTempDir, 'es.wav'), { language: 'es' })
+
+      const [command, args] = run.mock.calls[0]
+      expect(command).toBe('espeak')
+      expect(args[args.indexOf('-v') + 1]).toBe('es')
+    })
+
+    test('should stop at once when the signal is aborted and remove partial output', async () => {
+      const engine = fakeEngine('fake')
+      let controller = new AbortController()
+      engine.synthesize.mockImplementation(async (text, outputPath, { signal }) => {
+        await fs.outputFile(outputPath, text)
+        if (text.startsWith('Second')) {
+          controller.abort() // Stop pressed while this process runs
+        }
+        if (signal.aborted) {
+          throw new Error('fake aborted')
+        }
+        return { audioPath: outputPath }
+      })
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], sentencePause: 0, chunkConcurrency: 1 })
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const outputPath = path.join(testTempDir, 'aborted.wav')
+      await expect(ttsService.convertTextToAudio('First one. Second one. Third one.', outputPath, { signal: controller.signal }))
+        .rejects.toThrow('fake aborted')
+      expect(engine.synthesize).toHaveBeenCalledTimes(2) // Neither retried nor continued
+      await expect(ttsService.convertTextToAudio('First again.', outputPath, { signal: controller.signal }))
+        .rejects.toThrow('Synthesis aborted')
+
+      controller = new AbortController()
+      await expect(ttsService.convertTextToAudio('Second try.', outputPath, { signal: controller.signal }))
+        .rejects.toThrow('fake aborted')
+      expect(engine.synthesize).toHaveBeenCalledTimes(3)
+      expect(await fs.pathExists(outputPath)).toBe(false) // Written by the engine before it was killed
+      expect((await fs.readdir(testTempDir)).filter(file => file.startsWith('chunk_'))).toEqual([])
+      console.log.mockRestore()
+    })
+
+    test('should reuse cached audio for unchanged chunks', async () => {
+      const engine = fakeEngine('fake')
+      const options = { tempDir: testTempDir, cacheDir: path.join(testTempDir, 'cache'), engine: 'fake', engines: [engine], maxChunkWords: 10, chunkConcurrency: 1 }
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      const concat = async (files, outputPath) => {
+        await fs.outputFile(outputPath, (await Promise.all(files.map(file => fs.readFile(file, 'utf8')))).join('|'))
+      }
+
+      const text = 'First sentence of the long story. Second sentence of the long story. Third sentence of the long story.'
+      ttsService = new LocalTTSService(options)
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockImplementation(concat)
+      await ttsService.initialize()
+      const first = await ttsService.convertTextToAudio(text, path.join(testTempDir, 'first.wav'))
+
+      // A new service (a later run) with one sentence edited
+      ttsService = new LocalTTSService(options)
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockImplementation(concat)
+      await ttsService.initialize()
+      const second = await ttsService.convertTextToAudio(text.replace('Third', 'Final'), path.join(testTempDir, 'second.wav'))
+
+      expect(first.cachedChunks).toBe(0)
+      expect(second.cachedChunks).toBe(2)
+      expect(engine.synthesize).toHaveBeenCalledTimes(4)
+      expect(await fs.readFile(path.join(testTempDir, 'second.wav'), 'utf8')).toContain('Second sentence of the long story.')
+      console.log.mockRestore()
+    })
+
+    test('should key cached audio by voice', async () => {
+      const engine = fakeEngine('fake')
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cacheDir: path.join(testTempDir, 'cache'), engine: 'fake', engines: [engine] })
+      await ttsService.initialize()
+
+      await ttsService.convertTextToAudio('Hello.', path.join(testTempDir, 'a.wav'), { voice: 'Robot' })
+      const again = await ttsService.convertTextToAudio('Hello.', path.join(testTempDir, 'b.wav'), { voice: 'Robot' })
+      const otherVoice = await ttsService.convertTextToAudio('Hello.', path.join(testTempDir, 'c.wav'), { voice: 'Android' })
+
+      expect(again.cached).toBe(true)
+      expect(otherVoice.cached).toBe(false)
+      expect(engine.synthesize).toHaveBeenCalledTimes(2)
+    })
+
+    test('should name the failing chunk once its retries are used up', async () => {
+      const engine = fakeEngine('fake')
+      engine.synthesize.mockRejectedValue(new Error('fake timed out after 30000ms'))
+      ttsService = new LocalTTSService({
+        tempDir: testTempDir,
+        cache: false,
+        engine: 'fake',
+        engines: [engine],
+        maxChunkWords: 10,
+        chunkConcurrency: 1,
+        chunkRetryDelay: 0
+      })
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const text = Array(4).fill('One two three four five six.').join(' ')
+      await expect(ttsService.convertTextToAudio(text, path.join(testTempDir, 'long.wav')))
+        .rejects.toThrow('chunk 1/4 failed after 3 attempts: fake timed out after 30000ms')
+      expect(engine.synthesize).toHaveBeenCalledTimes(3) // No further chunks start after a failure
+      console.log.mockRestore()
+    })
+
+    test('should retry a failed chunk without redoing the others', async () => {
+      const engine = fakeEngine('fake')
+      engine.synthesize
+        .mockImplementationOnce(async (text, outputPath) => { await fs.outputFile(outputPath, text); return { audioPath: outputPath } })
+        .mockRejectedValueOnce(new Error('say crashed'))
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], maxChunkWords: 10, chunkConcurrency: 1, chunkRetryDelay: 0 })
+      jest.spyOn(ttsService, '_tryFFmpegConcat').mockImplementation(async (files, outputPath) => {
+        await fs.outputFile(outputPath, (await Promise.all(files.map(file => fs.readFile(file, 'utf8')))).join('|'))
+      })
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const text = Array(3).fill('One two three four five six.').join(' ')
+      const result = await ttsService.convertTextToAudio(text, path.join(testTempDir, 'long.wav'))
+
+      expect(result.chunks).toBe(3)
+      expect(engine.synthesize).toHaveBeenCalledTimes(4)
+      expect(engine.synthesize.mock.calls[1][1]).toBe(engine.synthesize.mock.calls[2][1])
+      console.log.mockRestore()
+    })
+
+    test('should cancel a pending retry backoff when the signal aborts', async () => {
+      const engine = fakeEngine('fake')
+      const controller = new AbortController()
+      engine.synthesize.mockImplementation(async () => {
+        setTimeout(() => controller.abort(), 20) // stop() while the retry waits
+        throw new Error('say crashed')
+      })
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'fake', engines: [engine], maxChunkWords: 10, chunkConcurrency: 1, chunkRetryDelay: 60000 })
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      await ttsService.initialize()
+
+      const started = Date.now()
+      const text = Array(3).fill('One two three four five six.').join(' ')
+      await expect(ttsService.convertTextToAudio(text, path.join(testTempDir, 'long.wav'), { signal: controller.signal }))
+        .rejects.toThrow('Synthesis aborted')
+      expect(Date.now() - started).toBeLessThan(5000)
+      expect(engine.synthesize).toHaveBeenCalledTimes(1)
+      console.log.mockRestore()
+    })
+  })
+
+  describe('chunk worker pool', () => {
+    const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+    test('should default to the CPU count', () => {
+      expect(ttsService.options.chunkConcurrency).toBe(os.cpus().length || 1)
+    })
+
+    test('should bound concurrency and keep results in input order', async () => {
+      let running = 0
+      let peak = 0
+      const delays = [30, 5, 20, 1, 10, 2]
+
+      const results = await ttsService._mapWithConcurrency(delays, 2, async (delay, index) => {
+        running++
+        peak = Math.max(peak, running)
+        await tick(delay)
+        running--
+        return index
+      })
+
+      expect(peak).toBe(2)
+      expect(results).toEqual([0, 1, 2, 3, 4, 5])
+    })
+
+    test('should stop starting new work after a failure', async () => {
+      const started = []
+
+      await expect(ttsService._mapWithConcurrency([1, 2, 3, 4], 2, async (item) => {
+        started.push(item)
+        await tick(5)
+        if (item === 1) throw new Error('boom')
+      })).rejects.toThrow('boom')
+
+      expect(started).toEqual([1, 2])
+    })
+
+    test('should fail initialization for an unknown engine', async () => {
+      ttsService = new LocalTTSService({ tempDir: testTempDir, cache: false, engine: 'nope' })
+      await expect(ttsService.initialize()).rejects.toThrow('Unknown TTS engine: nope')
+    })
+  })
+
+  describe('ffmpeg concatenation', () => {
+    const files = ['/tmp/chunk_0.aiff', '/tmp/chunk_1.aiff']
+
+    beforeEach(async () => {
+      await fs.ensureDir(testTempDir)
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    test('should overwrite the output under the process timeout and abort signal', async () => {
+      const run = jest.spyOn(ProcessRunner, 'runChecked').mockResolvedValue({ code: 0, stdout: '', stderr: '' })
+      const { signal } = new AbortController()
+
+      await ttsService._tryFFmpegConcat(files, '/tmp/out.aiff', { maxProcessTimeout: 5000, signal })
+
+      const [command, args, options] = run.mock.calls[0]
+      expect(command).toBe('ffmpeg')
+      expect(args[0]).toBe('-y')
+      expect(args.slice(-3)).toEqual(['-c', 'copy', '/tmp/out.aiff'])
+      expect(options).toEqual({ timeout: 5000, signal })
+      expect((await fs.readdir(testTempDir)).filter(file => file.startsWith('concat_'))).toEqual([])
+    })
+
+    test('should not fall back to joining the files itself once aborted', async () => {
+      const controller = new AbortController()
+      controller.abort()
+      jest.spyOn(ProcessRunner, 'runChecked').mockRejectedValue(new Error('ffmpeg aborted'))
+      const join = jest.spyOn(ttsService, '_aiffConcatenation')
+
+      await expect(ttsService._concatenateAudioFiles(files, '/tmp/out.aiff', { signal: controller.signal })).rejects.toThrow('Synthesis aborted')
+      expect(join).not.toHaveBeenCalled()
+    })
+  })
+
   describe('cleanup', () => {
     test('should cleanup temp directory', async () => {
       await ttsService.initialize()
@@ -173,7 +816,8 @@ describe('LocalTTSService Integration', () => {
   beforeEach(() => {
     testTempDir = path.join(os.tmpdir(), 'tt3-integration-test')
     ttsService = new LocalTTSService({
-      tempDir: testTempDir
+      tempDir: testTempDir,
+      cacheDir: path.join(testTempDir, 'cache')
     })
   })
 
@@ -0,0 +1,197 @@
+const WavFile = require('../../src/core/audio/wav-file')
+const fs = require('fs-extra')
+const path = require('path')
+const os = require('os')
+
+// 16-bit mono WAV data from sample values in -1..1
+function pcm16 (values) {
+  const data = Buffer.alloc(values.length * 2)
+  values.forEach((value, i) => data.writeInt16LE(Math.round(value * 32767), i * 2))
+  return data
+}
+
+describe('WavFile', () => {
+  describe('parse', () => {
+    test('should round-trip format and samples', () => {
+      const original = new WavFile({ channels: 2, sampleRate: 16000, bitsPerSample: 16, data: pcm16([0.1, -0.1, 0.5, -0.5]) })
+      const parsed = WavFile.parse(original.toBuffer())
+
+      expect(parsed.channels).toBe(2)
+      expect(parsed.sampleRate).toBe(16000)
+      expect(parsed.bitsPerSample).toBe(16)
+      expect(parsed.frames).toBe(2)
+      expect(parsed.data.equals(original.data)).toBe(true)
+    })
+
+    test('should skip unknown chunks and tolerate streaming placeholder sizes', () => {
+      const buffer = new WavFile({ data: pcm16([0.25, 0.25, 0.25]) }).toBuffer()
+      const list = Buffer.from('LIST\x04\x00\x00\x00INFO', 'latin1')
+      const withList = Buffer.concat([buffer.subarray(0, 36), list, buffer.subarray(36)])
+      withList.writeUInt32LE(0xFFFFFFFF, 36 + list.length + 4) // data size never filled in
+
+      const parsed = WavFile.parse(withList)
+      expect(parsed.frames).toBe(3)
+    })
+
+    test('should read WAVE_FORMAT_EXTENSIBLE headers', () => {
+      const buffer = new WavFile({ data: pcm16([0.5]) }).toBuffer()
+      const fmt = Buffer.alloc(40)
+      buffer.copy(fmt, 0, 20, 36)
+      fmt.writeUInt16LE(0xFFFE, 0)
+      fmt.writeUInt16LE(22, 16)
+      fmt.writeUInt16LE(1, 24) // PCM sub-format
+      const extensible = Buffer.concat([
+        Buffer.from('RIFF\x00\x00\x00\x00WAVEfmt \x28\x00\x00\x00', 'latin1'),
+        fmt,
+        buffer.subarray(36)
+      ])
+
+      const parsed = WavFile.parse(extensible)
+      expect(parsed.audioFormat).toBe(WavFile.FORMAT_PCM)
+      expect(parsed.frames).toBe(1)
+    })
+
+    test('should reject other files', () => {
+      expect(() => WavFile.parse(Buffer.from('FORM....AIFF'))).toThrow('Not a WAV file')
+      expect(() => WavFile.parse(Buffer.from('RIFF\x04\x00\x00\x00WAVE', 'latin1'))).toThrow('missing its fmt chunk')
+    })
+  })
+
+  describe('concat', () => {
+    test('should join data and rewrite the RIFF and data sizes', () => {
+      const parts = [3, 5, 1].map(count => new WavFile({ data: pcm16(Array(count).fill(0.2)) }))
+      const output = WavFile.concat(parts).toBuffer()
+
+      expect(WavFile.parse(output).frames).toBe(9)
+      expect(output.readUInt32LE(4)).toBe(output.length - 8)
+      expect(output.readUInt32LE(40)).toBe(18)
+    })
+
+    test('should refuse files with different formats', () => {
+      const a = new WavFile({ sampleRate: 22050 })
+      const b = new WavFile({ sampleRate: 16000 })
+      expect(() => WavFile.concat([a, b])).toThrow('Cannot concatenate WAV file 2: sampleRate 16000 does not match 22050')
+    })
+  })
+
+  describe('silence', () => {
+    test('should create silence of the requested length', () => {
+      const silence = WavFile.silence({ channels: 2, sampleRate: 8000, bitsPerSample: 16 }, 250)
+
+      expect(silence.frames).toBe(2000)
+      expect(silence.duration).toBe(0.25)
+      expect(silence.data.every(byte => byte === 0)).toBe(true)
+    })
+
+    test('should centre unsigned 8-bit silence', () => {
+      const silence = WavFile.silence({ bitsPerSample: 8, sampleRate: 1000 }, 10)
+      expect(Array.from(silence.data)).toEqual(Array(10).fill(0x80))
+    })
+
+    test('should pad audio with silence', () => {
+      const file = new WavFile({ sampleRate: 1000, data: pcm16([0.5, 0.5]) })
+      const padded = file.padSilence({ before: 3, after: 5 })
+
+      expect(padded.frames).toBe(10)
+      expect(padded.data.readInt16LE(6)).toBe(Math.round(0.5 * 32767))
+    })
+  })
+
+  describe('tone', () => {
+    test('should fade a sine tone in and out', () => {
+      const tone = WavFile.tone({ sampleRate: 8000 }, 100, { frequency: 1000, amplitude: 0.5, fade: 5 })
+      const [samples] = tone.getChannels()
+      const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0)
+
+      expect(tone.frames).toBe(800)
+      expect(samples[0]).toBe(0)
+      expect(Math.abs(samples[799])).toBeLessThan(0.01)
+      expect(peak).toBeCloseTo(0.5, 2)
+    })
+  })
+
+  describe('trimSilence', () => {
+    test('should remove quiet frames at both ends', () => {
+      const file = new WavFile({ sampleRate: 1000, data: pcm16([0, 0.001, 0, 0.5, 0, -0.4, 0.002, 0]) })
+      const trimmed = file.trimSilence()
+
+      expect(trimmed.frames).toBe(3)
+      expect(trimmed.data.readInt16LE(0)).toBe(Math.round(0.5 * 32767))
+    })
+
+    test('should keep some quiet frames when asked', () => {
+      const file = new WavFile({ sampleRate: 1000, data: pcm16([0, 0, 0, 0.5, 0, 0, 0]) })
+      expect(file.trimSilence({ keep: 2 }).frames).toBe(5)
+    })
+
+    test('should return empty audio when everything is quiet', () => {
+      expect(WavFile.silence({}, 100).trimSilence().frames).toBe(0)
+    })
+
+    test('should leave one end alone when asked', () => {
+      const file = new WavFile({ sampleRate: 1000, data: pcm16([0, 0, 0.5, 0, 0, 0]) })
+
+      expect(file.trimSilence({ end: false }).frames).toBe(4)
+      expect(file.trimSilence({ start: false }).frames).toBe(3)
+    })
+  })
+
+  describe('resample', () => {
+    test('should change the frame count and keep the signal', () => {
+      const ramp = Array.from({ length: 100 }, (_, i) => i / 100)
+      const file = new WavFile({ sampleRate: 16000, data: pcm16(ramp) })
+      const upsampled = file.resample(32000)
+
+      expect(upsampled.sampleRate).toBe(32000)
+      expect(upsampled.frames).toBe(200)
+      expect(upsampled.duration).toBeCloseTo(file.duration)
+      expect(upsampled.data.readInt16LE(21 * 2) / 32767).toBeCloseTo(0.105, 2) // Halfway between samples 10 and 11
+    })
+
+    test('should let mismatched rates be concatenated', () => {
+      const a = new WavFile({ sampleRate: 22050, data: pcm16([0.1, 0.2]) })
+      const b = new WavFile({ sampleRate: 11025, data: pcm16([0.3]) })
+
+      expect(WavFile.concat([a, b.resample(22050)]).frames).toBe(4)
+    })
+
+    test('should handle 8-bit, 24-bit and float samples', () => {
+      for (const format of [{ bitsPerSample: 8 }, { bitsPerSample: 24 }, { bitsPerSample: 32, audioFormat: WavFile.FORMAT_FLOAT }]) {
+        const file = WavFile.silence({ sampleRate: 1000, ...format }, 10)
+        file._writeSample(0, 0.5)
+        const resampled = file.resample(2000)
+
+        expect(resampled.frames).toBe(20)
+        expect(resampled._readSample(0)).toBeCloseTo(0.5, 2)
+      }
+    })
+  })
+
+  describe('channels', () => {
+    test('should split interleaved samples and write them back', () => {
+      const file = new WavFile({ channels: 2, data: pcm16([0.5, -0.25, 0.1, 0.2]) })
+      const [left, right] = file.getChannels()
+
+      expect(Array.from(left).map(value => Math.round(value * 100) / 100)).toEqual([0.5, 0.1])
+      expect(Array.from(right).map(value => Math.round(value * 100) / 100)).toEqual([-0.25, 0.2])
+      expect(file.withChannels([left, right]).data.equals(file.data)).toBe(true)
+      expect(() => file.withChannels([left])).toThrow('Expected 2 channels, got 1')
+    })
+  })
+
+  describe('read and write', () => {
+    test('should write files that read back identically', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tt3-wav-test-'))
+
+      try {
+        const filePath = path.join(tempDir, 'out.wav')
+        await new WavFile({ data: pcm16([0.1, 0.2, 0.3]) }).write(filePath)
+
+        expect((await WavFile.read(filePath)).frames).toBe(3)
+        await expect(WavFile.read(path.join(tempDir, 'missing.wav'))).rejects.toThrow('Failed to read WAV')
+      } finally {
+        await fs.remove(tempDir)
+      }
+    })
+  })
+})
@@ -44,6 +44,7 @@ jest.mock('fs-extra', () => ({
   readdirSync: jest.fn()
 }))
 
+const path = require('path')
 const WorkflowOrchestrator = require('../../src/core/workflow-orchestrator')
 const fs = require('fs').promises
 
@@ -185,6 +186,35 @@ describe('WorkflowOrchestrator', () => {
       expect(files).toEqual([filePath])
     })
 
+    test('should discover files with the long markdown extension', async () => {
+      const filePath = '/path/to/test.markdown'
+      fs.stat.mockResolvedValue({ isFile: () => true, isDirectory: () => false })
+      fs.access.mockResolvedValue()
+
+      const files = await orchestrator._discoverFiles(filePath)
+
+      expect(files).toEqual([filePath])
+    })
+
+    test('should discover single HTML file', async () => {
+      const filePath = '/path/to/saved-article.html'
+      fs.stat.mockResolvedValue({ isFile: () => true, isDirectory: () => false })
+      fs.access.mockResolvedValue()
+
+      const files = await orchestrator._discoverFiles(filePath)
+
+      expect(files).toEqual([filePath])
+    })
+
+    test('should discover EPUB and DOCX files', async () => {
+      fs.stat.mockResolvedValue({ isFile: () => true, isDirectory: () => false })
+      fs.access.mockResolvedValue()
+
+      const files = await orchestrator._discoverFiles(['/path/to/newsletter.epub', '/path/to/release.docx'])
+
+      expect(files).toEqual(['/path/to/newsletter.epub', '/path/to/release.docx'])
+    })
+
     test('should reject unsupported file type', async () => {
       const filePath = '/path/to/test.pdf'
       fs.stat.mockResolvedValue({ isFile: () => true, isDirectory: () => false })
@@ -312,6 +342,158 @@ describe('WorkflowOrchestrator', () => {
       })
     })
 
+    test('should pass the front matter voice to audio conversion', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Sample text content',
+        metadata: { title: 'Test Article', voice: 'Samantha' }
+      })
+
+      await orchestrator.processSingleFile('/path/to/test.md')
+
+      expect(mockAudioConverter.convertToAudio).toHaveBeenCalledWith(
+        'Sample text content',
+        '/path/to/test.md',
+        mockTTSService,
+        expect.objectContaining({ voice: 'Samantha' })
+      )
+    })
+
+    test('should pass the article language to audio conversion', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Texto de ejemplo',
+        language: 'es',
+        metadata: { title: 'Artículo' }
+      })
+
+      const result = await orchestrator.processSingleFile('/path/to/test.md')
+
+      expect(result.steps.textNormalization.language).toBe('es')
+      expect(mockAudioConverter.convertToAudio.mock.calls[0][3]).toEqual(expect.objectContaining({ language: 'es' }))
+      expect(mockAudioConverter.convertToAudio.mock.calls[0][3].voice).toBeUndefined()
+    })
+
+    test('should tag audio from the article metadata', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Sample text content',
+        metadata: { title: 'Test Article', byline: 'Jane Reporter', publishedDate: '2026-10-18T07:30:00Z' }
+      })
+
+      await orchestrator.processSingleFile('/path/to/test.md')
+
+      const { tags } = mockAudioConverter.convertToAudio.mock.calls[0][3]
+      expect(tags).toEqual(expect.objectContaining({
+        title: 'Test Article',
+        artist: 'Jane Reporter',
+        date: '2026-10-18',
+        genre: 'Speech',
+        comment: '/path/to/test.md'
+      }))
+      expect(tags.album).toMatch(/^News \d{4}-\d{2}-\d{2}$/)
+    })
+
+    test('should fall back to the source, file name and discovery order for tags', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Sample text content',
+        metadata: { source: 'Example Times', publishedDate: 'not a date' }
+      })
+      orchestrator.state.files = ['/path/to/first.md', '/path/to/second-story.md']
+
+      await orchestrator.processSingleFile('/path/to/second-story.md')
+
+      const { tags } = mockAudioConverter.convertToAudio.mock.calls[0][3]
+      expect(tags).toEqual(expect.objectContaining({ title: 'second-story', artist: 'Example Times', track: 2, trackTotal: 2 }))
+      expect(tags.date).toMatch(/^\d{4}-\d{2}-\d{2}$/)
+    })
+
+    test('should pass heading offsets in the spoken text as chapters', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Opening line.\n\nPrices.\n\nUp 5%.\n\nOutlook.\n\nCalm.',
+        metadata: { title: 'Markets' },
+        blocks: [
+          { type: 'paragraph', text: 'Opening line.' },
+          { type: 'heading', level: 2, text: 'Prices.' },
+          { type: 'paragraph', text: 'Up 5%.' },
+          { type: 'heading', level: 2, text: '' },
+          { type: 'heading', level: 2, text: 'Outlook.' },
+          { type: 'paragraph', text: 'Calm.' }
+        ],
+        sections: [
+          { title: 'Prices', level: 2, blockIndex: 1 },
+          { title: 'Outlook', level: 2, blockIndex: 4 }
+        ]
+      })
+
+      const result = await orchestrator.processSingleFile('/path/to/markets.md')
+
+      const [spokenText, , , audioOptions] = mockAudioConverter.convertToAudio.mock.calls[0]
+      expect(spokenText).toBe('Opening line.\n\nPrices.\n\nUp five percent.\n\nOutlook.\n\nCalm.')
+      expect(audioOptions.chapters).toEqual([
+        { title: 'Markets', level: 1, offset: 0 },
+        { title: 'Prices', level: 2, offset: spokenText.indexOf('Prices.'), heading: true },
+        { title: 'Outlook', level: 2, offset: spokenText.indexOf('Outlook.'), heading: true }
+      ])
+      expect(result.steps.textNormalization.chapters).toBe(3)
+    })
+
+    test('should expand numbers, dates and units before audio conversion', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Revenue rose 12% to $4.5bn.',
+        metadata: { title: 'Test Article' }
+      })
+
+      const result = await orchestrator.processSingleFile('/path/to/test.md')
+
+      expect(result.steps.textNormalization).toEqual(expect.objectContaining({ success: true, locale: 'en-US' }))
+      expect(mockAudioConverter.convertToAudio).toHaveBeenCalledWith(
+        'Revenue rose twelve percent to four point five billion dollars.',
+        '/path/to/test.md',
+        mockTTSService,
+        expect.any(Object)
+      )
+    })
+
+    test('should leave numbers and dates of a non-English article to the engine', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Los precios subieron un 12% en Q3 de 2026.',
+        language: 'es',
+        metadata: { title: 'Artículo', language: 'en-US' }
+      })
+
+      const result = await orchestrator.processSingleFile('/path/to/test.md')
+
+      expect(result.steps.textNormalization).toEqual(expect.objectContaining({ locale: null, language: 'es' }))
+      expect(mockAudioConverter.convertToAudio.mock.calls[0][0]).toBe('Los precios subieron un 12% en Q3 de 2026.')
+    })
+
+    test('should keep the declared English region when the language is detected as English', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Up 2% since 2005.',
+        language: 'en',
+        metadata: { title: 'Test Article', language: 'en-GB' }
+      })
+
+      const result = await orchestrator.processSingleFile('/path/to/test.html')
+
+      expect(result.steps.textNormalization.locale).toBe('en-GB')
+      expect(mockAudioConverter.convertToAudio.mock.calls[0][0]).toBe('Up two per cent since two thousand and five.')
+    })
+
+    test('should follow the article language when normalizing', async () => {
+      mockFileProcessor.extractText.mockResolvedValue({
+        content: 'Rates rose 2% on 19/10/2026.',
+        metadata: { title: 'Test Article', language: 'en-GB' }
+      })
+
+      await orchestrator.processSingleFile('/path/to/test.html')
+
+      expect(mockAudioConverter.convertToAudio).toHaveBeenCalledWith(
+        'Rates rose two per cent on the nineteenth of October twenty twenty-six.',
+        '/path/to/test.html',
+        mockTTSService,
+        expect.any(Object)
+      )
+    })
+
     test('should process single file successfully with iTunes integration', async () => {
       // Reset mocks to ensure clean state
       jest.clearAllMocks()
@@ -474,6 +656,87 @@ describe('WorkflowOrchestrator', () => {
     })
   })
 
+  describe('Briefing', () => {
+    const today = new Date().toISOString().split('T')[0]
+    const files = ['/news/markets.md', '/news/weather.md']
+
+    beforeEach(() => {
+      fs.stat.mockResolvedValue({ isFile: () => true, isDirectory: () => false })
+      fs.access.mockResolvedValue()
+
+      mockFileProcessor.extractText.mockImplementation(async (filePath) => ({
+        content: `Body of ${filePath}`,
+        metadata: { title: filePath.includes('markets') ? 'Markets rally' : 'Storm warning' }
+      }))
+      mockAudioConverter.convertToAudio.mockImplementation(async (text, sourceFilename, tts, options) => ({
+        audioPath: `/tmp/audio/${path.basename(sourceFilename, path.extname(sourceFilename))}.${options.outputFormat || 'aiff'}`,
+        outputMode: options.outputMode,
+        metadata: {}
+      }))
+      mockAudioConverter.combineAudio = jest.fn(async (parts, sourceFilename, options) => ({
+        audioPath: `${sourceFilename}.aiff`,
+        outputMode: options.outputMode,
+        metadata: { duration: 95 }
+      }))
+    })
+
+    test('should merge the articles behind a headline intro and import one track', async () => {
+      orchestrator = new WorkflowOrchestrator({ briefing: { separator: 'pause' }, enableItunesIntegration: true })
+      await orchestrator.initialize()
+
+      const result = await orchestrator.processFiles(files)
+
+      const introText = mockAudioConverter.convertToAudio.mock.calls[2][0]
+      expect(introText).toMatch(/^This is your news briefing for .+, with two stories\.\n\nMarkets rally\.\n\nStorm warning\.$/)
+
+      const [parts, sourceFilename, options] = mockAudioConverter.combineAudio.mock.calls[0]
+      expect(parts.map(part => [part.audioPath, part.title])).toEqual([
+        ['/tmp/audio/briefing-intro.wav', 'Headlines'],
+        ['/tmp/audio/markets.aiff', 'Markets rally'],
+        ['/tmp/audio/weather.aiff', 'Storm warning']
+      ])
+      expect(sourceFilename).toBe(`/news/briefing-${today}`)
+      expect(options).toEqual(expect.objectContaining({
+        outputMode: 'direct',
+        outputDir: '/news',
+        separator: 'pause',
+        tags: expect.objectContaining({ title: `News briefing ${today}`, album: `News ${today}`, genre: 'Speech' })
+      }))
+
+      expect(mockITunesManager.importAudioFile).toHaveBeenCalledTimes(1)
+      expect(mockITunesManager.importAudioFile).toHaveBeenCalledWith(`/news/briefing-${today}.aiff`, expect.objectContaining({ title: `News briefing ${today}` }))
+      expect(result.results[0].steps.itunesImport.skipped).toBe(true)
+      expect(mockAudioConverter.cleanup).toHaveBeenCalledWith(['/tmp/audio/briefing-intro.wav'])
+      expect(result.briefing).toEqual(expect.objectContaining({ success: true, articles: 2, audioPath: `/news/briefing-${today}.aiff` }))
+    })
+
+    test('should keep temp audio until the briefing is built and survive its failure', async () => {
+      orchestrator = new WorkflowOrchestrator({ briefing: true, outputMode: 'temp', retryAttempts: 0 })
+      await orchestrator.initialize()
+      mockAudioConverter.combineAudio.mockRejectedValue(new Error('Failed to combine audio: disk full'))
+
+      const result = await orchestrator.processFiles(files)
+
+      expect(result.results[0].steps.cleanup.skipped).toBe(true)
+      expect(mockAudioConverter.cleanup).toHaveBeenCalledTimes(1)
+      expect(mockAudioConverter.cleanup).toHaveBeenCalledWith(['/tmp/audio/markets.aiff', '/tmp/audio/weather.aiff', '/tmp/audio/briefing-intro.wav'])
+      expect(result.briefing.success).toBe(false)
+      expect(result.briefing.error.message).toBe('Failed to combine audio: disk full')
+      expect(result.summary.errors).toEqual([expect.objectContaining({ step: 'briefing' })])
+    })
+
+    test('should skip the briefing when no article was converted', async () => {
+      orchestrator = new WorkflowOrchestrator({ briefing: true, retryAttempts: 0 })
+      await orchestrator.initialize()
+      mockAudioConverter.convertToAudio.mockRejectedValue(new Error('Conversion failed'))
+
+      const result = await orchestrator.processFiles(files)
+
+      expect(result.briefing).toEqual({ success: false, skipped: true, reason: 'No articles were converted' })
+      expect(mockAudioConverter.combineAudio).not.toHaveBeenCalled()
+    })
+  })
+
   describe('Workflow Control', () => {
     beforeEach(async () => {
       await orchestrator.initialize()
@@ -513,6 +776,21 @@ describe('WorkflowOrchestrator', () => {
       expect(orchestrator.state.status).toBe('stopped')
       expect(mockAudioConverter.cleanupAll).toHaveBeenCalled()
     })
+
+    test('should abort the running conversion on stop without retrying or starting the next file', async () => {
+      fs.stat.mockResolvedValue({ isFile: () => true, isDirectory: () => false })
+      fs.access.mockResolvedValue()
+      mockAudioConverter.convertToAudio.mockImplementation((text, filePath, tts, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('say aborted')))
+        setImmediate(() => orchestrator.stop())
+      }))
+
+      await orchestrator.processFiles(['/path/to/test1.txt', '/path/to/test2.txt'])
+
+      expect(mockAudioConverter.convertToAudio).toHaveBeenCalledTimes(1)
+      expect(mockAudioConverter.convertToAudio.mock.calls[0][3].signal.aborted).toBe(true)
+      expect(orchestrator.state.errors[0].error.message).toBe('say aborted')
+    })
   })
 
   describe('Error Handling', () => {
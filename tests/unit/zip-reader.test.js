@@ -0,0 +1,52 @@
+const ZipReader = require('../../src/core/extractors/zip-reader')
+const createZip = require('../helpers/create-zip')
+
+describe('ZipReader', () => {
+  test('should list and read deflated entries', () => {
+    const zip = new ZipReader(createZip({
+      mimetype: 'application/epub+zip',
+      'OEBPS/chapter one.xhtml': '<p>Hello</p>'
+    }))
+
+    expect(zip.list()).toEqual(['mimetype', 'OEBPS/chapter one.xhtml'])
+    expect(zip.has('mimetype')).toBe(true)
+    expect(zip.readText('OEBPS/chapter one.xhtml')).toBe('<p>Hello</p>')
+  })
+
+  test('should read stored entries', () => {
+    const zip = new ZipReader(createZip({ 'a.txt': 'stored text' }, { store: true }))
+
+    expect(zip.read('a.txt').toString()).toBe('stored text')
+  })
+
+  test('should strip a UTF-8 byte order mark from text entries', () => {
+    const zip = new ZipReader(createZip({ 'doc.xml': '\uFEFF<root/>' }))
+
+    expect(zip.readText('doc.xml')).toBe('<root/>')
+  })
+
+  test('should reject buffers that are not zip archives', () => {
+    expect(() => new ZipReader(Buffer.from('plain text, not a zip'))).toThrow('Not a zip archive')
+    expect(() => new ZipReader('not a buffer')).toThrow('Zip archive must be a Buffer')
+  })
+
+  test('should throw for missing entries', () => {
+    const zip = new ZipReader(createZip({ 'a.txt': 'a' }))
+
+    expect(() => zip.read('b.txt')).toThrow('Entry not found in archive: b.txt')
+  })
+
+  test('should refuse entries that inflate beyond their declared size', () => {
+    const archive = createZip({ 'bomb.xml': 'x'.repeat(10000) })
+    const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]))
+    archive.writeUInt32LE(100, central + 24)
+
+    expect(() => new ZipReader(archive).read('bomb.xml')).toThrow('Archive entry inflates beyond its declared size: bomb.xml')
+  })
+
+  test('should refuse entries declared above the size limit', () => {
+    const zip = new ZipReader(createZip({ 'big.xml': 'x'.repeat(2048) }), { maxEntrySize: 1024 })
+
+    expect(() => zip.read('big.xml')).toThrow('Archive entry too large: big.xml (2048 bytes, limit 1024)')
+  })
+})